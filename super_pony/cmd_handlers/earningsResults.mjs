@@ -0,0 +1,96 @@
+import { EmbedBuilder } from "discord.js";
+import { getTickerAggregates } from "../../utils/tickerQueries.mjs";
+import { getMeta, setMeta } from "../../utils/tickerStore.mjs";
+import { fetchEarningsCalendar } from "./todaysEarnings.mjs";
+import { commitDbIfChanged } from "./graphChannelHandler.mjs";
+
+/**
+ * Earnings results follow-up (the scheduler lives in index.mjs):
+ * once Finnhub has actuals for a reporting session, post beat/miss vs. estimate
+ * for the tickers the room tracks, tagging whoever called each one first.
+ * Sessions: "bmo" (before the open) and "amc" (after the close, plus during-hours / unknown).
+ * Posted symbols are recorded per day+session in the db meta table, so a re-check never repeats one.
+ */
+
+const MAX_SHOWN = 25;
+const CALENDAR_MAX_AGE_MS = 5 * 60 * 1000; // actuals show up some time after the report
+
+function shortDate(ymd) {
+  const [y, m, d] = ymd.split("-");
+  return `${d}/${m}/${y.slice(-2)}`;
+}
+
+/** Surprise vs. estimate in %, null without both numbers */
+export function surprisePct(actual, estimate) {
+  if (actual == null || estimate == null || estimate === 0) return null;
+  return ((actual - estimate) / Math.abs(estimate)) * 100;
+}
+
+function fmtPct(p) {
+  return p == null ? "" : ` (${p >= 0 ? "+" : ""}${p.toFixed(1)}%)`;
+}
+
+function fmtMoney(n) {
+  if (n == null) return "—";
+  if (Math.abs(n) >= 1e9) return `${(n / 1e9).toFixed(2)}B`;
+  if (Math.abs(n) >= 1e6) return `${(n / 1e6).toFixed(0)}M`;
+  return String(n);
+}
+
+function inSession(e, session) {
+  return session === "bmo" ? e.hour === "bmo" : e.hour !== "bmo";
+}
+
+function resultLine(e, caller) {
+  const eps = surprisePct(e.epsActual, e.epsEstimate);
+  const rev = surprisePct(e.revenueActual, e.revenueEstimate);
+  const verdict = eps == null ? "⚪" : eps >= 0 ? "🟢" : "🔴";
+  const epsText = `EPS ${e.epsActual.toFixed(2)} מול ${e.epsEstimate == null ? "—" : e.epsEstimate.toFixed(2)}${fmtPct(eps)}`;
+  const revText = e.revenueActual == null
+    ? ""
+    : ` · Rev ${fmtMoney(e.revenueActual)} מול ${fmtMoney(e.revenueEstimate)}${fmtPct(rev)}`;
+  return `${verdict} **${e.symbol}** ${epsText}${revText}${caller ? ` — <@${caller}>` : ""}`;
+}
+
+/**
+ * Post results for tracked tickers that reported in `session` on `ymd` (US date)
+ * and weren't posted yet. Returns how many were posted.
+ */
+export async function postEarningsResults({ channel, dbPath, ymd, session }) {
+  const key = `earnings:${ymd}:${session}`;
+  const posted = new Set(JSON.parse((await getMeta(dbPath, key)) || "[]"));
+
+  const tracked = new Map((await getTickerAggregates(dbPath)).map((a) => [a.symbol, a]));
+  const rows = await fetchEarningsCalendar(ymd, ymd, { maxAgeMs: CALENDAR_MAX_AGE_MS });
+  const reported = rows.filter(
+    (e) => tracked.has(e.symbol) && inSession(e, session) && e.epsActual != null && !posted.has(e.symbol)
+  );
+  if (!reported.length) return 0;
+
+  // claim first: a crash after this point skips these tickers instead of posting them twice
+  for (const e of reported) posted.add(e.symbol);
+  await setMeta(dbPath, key, JSON.stringify([...posted]));
+  await commitDbIfChanged(dbPath);
+
+  reported.sort(
+    (a, b) => Math.abs(surprisePct(b.epsActual, b.epsEstimate) ?? 0) - Math.abs(surprisePct(a.epsActual, a.epsEstimate) ?? 0)
+  );
+  const shown = reported.slice(0, MAX_SHOWN);
+  const lines = shown.map((e) => resultLine(e, tracked.get(e.symbol).firstUserId));
+  if (reported.length > shown.length) lines.push(`ועוד ${reported.length - shown.length}...`);
+
+  const beats = reported.filter((e) => (surprisePct(e.epsActual, e.epsEstimate) ?? 0) >= 0).length;
+  const embed = new EmbedBuilder()
+    .setColor(beats >= reported.length - beats ? 0x2ecc71 : 0xe74c3c)
+    .setTitle(`📣 תוצאות דיווחים — ${session === "bmo" ? "לפני הפתיחה" : "אחרי הסגירה"} ${shortDate(ymd)}`)
+    .setDescription(lines.join("\n"))
+    .setFooter({ text: `${beats} עקפו · ${reported.length - beats} פספסו (EPS מול הצפי)` });
+
+  const callers = [...new Set(shown.map((e) => tracked.get(e.symbol).firstUserId).filter(Boolean))];
+  await channel.send({
+    content: callers.map((id) => `<@${id}>`).join(" ") || undefined,
+    embeds: [embed],
+    allowedMentions: { users: callers },
+  });
+  return reported.length;
+}
@@ -1,121 +1,30 @@
-import fs from "fs/promises";
-import fssync from "fs";
-import path from "path";
 import { promisify } from "util";
 import { exec as execCb } from "child_process";
+import {
+  appendMentions,
+  replaceMessageMentions,
+  retractMessageMentions,
+  getCheckpoint,
+  updateCheckpoint,
+  flushTickerStore,
+} from "../../utils/tickerStore.mjs";
+import { scoreTickers, formatScored, blacklistFromEnv } from "../../utils/tickerExtractor.mjs";
+import { readChartSymbols, isChartImage } from "../../utils/chartOcr.mjs";
+import { loadTickerUniverse } from "../../utils/tickerUniverse.mjs";
 
 /** ---- config ---- */
 const DISCORD_EPOCH = 1420070400000n; // 2015-01-01
 
-/** Cache the tickers set in-memory to avoid rereads */
-let _tickerSet = null;
-let _blacklistSet = null;
-let _tickerFilePath = null;
-
-/** Simple write queue to serialize db.json writes */
-let writeQueue = Promise.resolve();
-
-/** Pre-compiled regex
- * Standalone words only:
- * - left boundary: start or whitespace/quote/bracket
- * - right boundary: end or whitespace/quote/bracket/punct (not '/')
- * Supports: TSLA / $TSLA / BRK.B / BRK-B
- * Avoids: ".com/..." and other URL/domain hits.
- * Boundaries are LATIN-only, so Hebrew next to a ticker is still a boundary.
- */
-const TICKER_RE = /(?:^|[\s"'`([{<]|[^\x00-\x7F])\$?([A-Za-z]{1,5}(?:[.\-][A-Za-z]{1,2})?)(?=$|[\s"'`)\]}>.,:;!?]|[^\x00-\x7F])/gu;
-const TICKER_RE_FALLBACK = /(?:^|[^A-Za-z0-9])\$?([A-Za-z]{1,5}(?:[.-][A-Za-z]{1,2})?)(?=$|[^A-Za-z0-9])/g;
-
 const exec = promisify(execCb);
 
-/** -------- blacklist -------- */
-function getBlacklistSet() {
-  if (_blacklistSet) return _blacklistSet;
-
-  // Env is a single string (possibly multiline). If absent, fall back to defaults.
-  const rawEnv = process.env.TICKER_BLACKLIST;
-  const raw = (typeof rawEnv === "string" && rawEnv.trim().length > 0)
-    ? rawEnv
-    : DEFAULT_BLACKLIST.join("\n");
-
-  const list = raw
-    .split(/[\s,;]+/)              // split on newlines, spaces, commas, semicolons
-    .map(s => s.trim().toUpperCase())
-    .filter(Boolean);
-
-  _blacklistSet = new Set(list);
-  return _blacklistSet;
-}
-
-/** Ensure directory exists for a file path */
-async function ensureDirFor(filePath) {
-  await fs.mkdir(path.dirname(filePath), { recursive: true });
-}
-
-/** Load tickers (one per line) into an uppercase Set */
-async function loadTickerSet(allTickersFile) {
-  if (_tickerSet && _tickerFilePath === allTickersFile) return _tickerSet;
-  if (!fssync.existsSync(allTickersFile)) {
-    throw new Error(`Missing tickers file: ${allTickersFile}`);
-  }
-  const txt = await fs.readFile(allTickersFile, "utf-8");
-  _tickerSet = new Set(
-    txt
-      .split(/\r?\n/)
-      .map((s) => s.trim().toUpperCase())
-      .filter(Boolean)
-  );
-  _tickerFilePath = allTickersFile;
-  return _tickerSet;
-}
-
-/** Extract possible tickers and validate against the Set + blacklist */
-function extractTickers(text, tickerSet) {
-  if (!text) return [];
-  const found = new Set();
-  const blacklistSet = getBlacklistSet();
-
-  // try main regex
-  TICKER_RE.lastIndex = 0;
-  let m;
-  while ((m = TICKER_RE.exec(text)) !== null) {
-    const cand = m[1].toUpperCase().replace(/-/g, ".");
-    if (tickerSet.has(cand) && !blacklistSet.has(cand)) found.add(cand);
-  }
-
-  // optional fallback if nothing matched (older runtimes)
-  if (found.size === 0) {
-    TICKER_RE_FALLBACK.lastIndex = 0;
-    while ((m = TICKER_RE_FALLBACK.exec(text)) !== null) {
-      const cand = m[1].toUpperCase().replace(/-/g, ".");
-      if (tickerSet.has(cand) && !blacklistSet.has(cand)) found.add(cand);
-    }
-  }
-  return [...found];
-}
-
-/** DB helpers */
-async function loadDb(dbPath) {
-  try {
-    const txt = await fs.readFile(dbPath, "utf-8");
-    const json = JSON.parse(txt);
-    if (Array.isArray(json)) return { updated: new Date().toISOString(), entries: json, checkpoints: {} };
-    if (!json.entries) json.entries = [];
-    if (!json.checkpoints) json.checkpoints = {};
-    return json;
-  } catch {
-    return { updated: new Date().toISOString(), entries: [], checkpoints: {} };
-  }
-}
-async function saveDb(dbPath, db) {
-  await ensureDirFor(dbPath);
-  await fs.writeFile(dbPath, JSON.stringify(db, null, 2), "utf-8");
+/** Accepted tickers in `text` (see utils/tickerExtractor.mjs for the scoring) */
+export function extractTickers(text, tickerSet, opts) {
+  return scoreTickers(text, tickerSet, opts).accepted.map((t) => t.ticker);
 }
 
-/** Compare two snowflake strings (by BigInt) */
-function snowflakeGt(a, b) {
-  if (!b) return true;
-  return BigInt(a) > BigInt(b);
+/** Image attachments count as a chart (a context clue for the extractor, and OCR input) */
+function hasChart(message) {
+  return [...(message.attachments?.values() || [])].some(isChartImage);
 }
 
 /** Convert timestamp (ms) -> synthetic snowflake string */
@@ -124,58 +33,24 @@ function snowflakeFromTsMs(ts) {
   return n.toString();
 }
 
-/** Update checkpoint for a channel (only if id is newer) */
-async function updateCheckpoint(dbPath, channelId, msgId, tsIso) {
-  writeQueue = writeQueue.then(async () => {
-    const db = await loadDb(dbPath);
-    const cp = db.checkpoints[channelId] || {};
-    if (!cp.lastProcessedId || snowflakeGt(msgId, cp.lastProcessedId)) {
-      db.checkpoints[channelId] = {
-        lastProcessedId: msgId,
-        lastProcessedAt: tsIso,
-      };
-      db.updated = new Date().toISOString();
-      await saveDb(dbPath, db);
-    }
-  });
-  return writeQueue;
-}
-
-/** Append multiple entries in a single read/write; dedupe by (messageId,ticker) */
-async function appendEntries(dbPath, entries) {
-  if (!entries.length) return;
-  await ensureDirFor(dbPath);
-  writeQueue = writeQueue.then(async () => {
-    const db = await loadDb(dbPath);
-    const have = new Set(db.entries.map((e) => `${e.messageId}:${e.ticker}`));
-    let added = 0;
-    for (const entry of entries) {
-      const key = `${entry.messageId}:${entry.ticker}`;
-      if (have.has(key)) continue;
-      db.entries.push(entry);
-      have.add(key);
-      added++;
-    }
-    if (added > 0) {
-      db.updated = new Date().toISOString();
-      await saveDb(dbPath, db);
-    }
-  });
-  return writeQueue;
-}
-
-/** Git commit helper (safe to call when nothing changed) */
-export async function commitDbIfChanged(dbPath) {
+/**
+ * Git commit helper (safe to call when nothing changed); TICKER_DB_GIT=off only flushes (tests, local runs)
+ * `also`: more files to commit with the db (e.g. the refreshed ticker universe)
+ */
+export async function commitDbIfChanged(dbPath, { also = [], message = "chore(scanner): update tickers db [skip ci]" } = {}) {
   try {
+    await flushTickerStore(dbPath);
+    if (process.env.TICKER_DB_GIT === "off") return false;
+
     await exec('git config user.name "github-actions[bot]"');
     await exec('git config user.email "41898282+github-actions[bot]@users.noreply.github.com"');
 
-    await exec(`git add "${dbPath}"`);
+    await exec(`git add ${[dbPath, ...also].map((p) => `"${p}"`).join(" ")}`);
     try {
       await exec("git diff --cached --quiet");
       return false; // nothing to commit
     } catch {}
-    await exec('git commit -m "chore(scanner): update db.json [skip ci]"');
+    await exec(`git commit -m "${message}"`);
     try {
       await exec("git push");
     } catch {
@@ -184,7 +59,7 @@ export async function commitDbIfChanged(dbPath) {
         await exec("git push");
       } catch {}
     }
-    console.log("✅ Pushed db.json changes.");
+    console.log("✅ Pushed tickers db changes.");
     return true;
   } catch (e) {
     console.error("git commit/push failed:", e?.message || e);
@@ -192,20 +67,49 @@ export async function commitDbIfChanged(dbPath) {
   }
 }
 
+/** Display name as shown in the guild */
+function authorDisplayName(message) {
+  return (
+    message.member?.nickname ||
+    message.member?.displayName ||
+    message.author.globalName ||
+    message.author.username
+  );
+}
+
+/** One store entry per ticker found in the message; `source`: "text" | "ocr" */
+function buildEntries(message, tickers, content, source = "text") {
+  const name = authorDisplayName(message);
+  return tickers.map((ticker) => ({
+    ticker,
+    user: { id: message.author.id, name },
+    messageId: message.id,
+    channelId: message.channel.id,
+    guildId: message.guildId,
+    link: message.url,
+    timestamp: new Date(message.createdTimestamp).toISOString(),
+    content,
+    source,
+  }));
+}
+
 /**
  * Handle a single message in GRAPHS_CHANNEL_ID:
- * - Extract tickers, save entries, optionally commit+push
+ * - Extract tickers from the text and (OCR) from chart screenshots, save entries, optionally commit+push
+ * - Returns { tickers, ocrTickers, borderline } (tickers includes the OCR ones;
+ *   borderline: text candidates scored just under the threshold, not saved)
  */
 export async function handleGraphChannelMessage({
   message,
   allTickersFile = "../scanner/all_tickers.txt",
-  dbPath = "../scanner/db.json",
+  dbPath = "../scanner/tickers.sqlite",
   silent = false,
   updateCheckpoint: doCheckpoint = true,
   commitAfterWrite = true, // live messages: true; backfill: false
 }) {
-  const content = message.content?.trim();
-  if (!content) {
+  const content = message.content?.trim() || "";
+  const chart = hasChart(message);
+  if (!content && !chart) {
     if (doCheckpoint) {
       await updateCheckpoint(
         dbPath,
@@ -214,31 +118,34 @@ export async function handleGraphChannelMessage({
         new Date(message.createdTimestamp).toISOString()
       );
     }
-    return;
+    return { tickers: [], ocrTickers: [], borderline: [] };
   }
 
-  const tickerSet = await loadTickerSet(allTickersFile);
-  const tickers = extractTickers(content, tickerSet);
+  const { set: tickerSet, renames } = await loadTickerUniverse(allTickersFile);
+  const { accepted, borderline } = scoreTickers(content, tickerSet, { hasChart: chart, renames });
+  const textTickers = accepted.map((t) => t.ticker);
+  if (borderline.length) {
+    console.log(`🤔 Borderline in ${message.id}: ${borderline.map(formatScored).join(", ")}`);
+  }
+
+  // chart screenshots: symbols the text didn't already give (blacklist still applies: "EMA, 9" is a legend)
+  const blacklist = blacklistFromEnv();
+  const ocrTickers = chart
+    ? (await readChartSymbols(message.attachments, { tickerSet }))
+      .map((hit) => hit.symbol)
+      .filter((t) => !textTickers.includes(t) && !blacklist.has(t))
+    : [];
+  if (ocrTickers.length) console.log(`🖼️ OCR in ${message.id}: ${ocrTickers.join(", ")}`);
+  const tickers = [...textTickers, ...ocrTickers];
 
   if (tickers.length > 0) {
-    const displayName =
-      message.member?.nickname ||
-      message.member?.displayName ||
-      message.author.globalName ||
-      message.author.username;
-
-    const entries = tickers.map((ticker) => ({
-      ticker,
-      user: { id: message.author.id, name: displayName },
-      messageId: message.id,
-      channelId: message.channel.id,
-      guildId: message.guildId,
-      link: message.url,
-      timestamp: new Date(message.createdTimestamp).toISOString(),
-      content,
-    }));
-
-    await appendEntries(dbPath, entries);
+    const displayName = authorDisplayName(message);
+    const entries = [
+      ...buildEntries(message, textTickers, content),
+      ...buildEntries(message, ocrTickers, content, "ocr"),
+    ];
+
+    await appendMentions(dbPath, entries);
 
     if (commitAfterWrite) {
       await commitDbIfChanged(dbPath);
@@ -259,6 +166,59 @@ export async function handleGraphChannelMessage({
       new Date(message.createdTimestamp).toISOString()
     );
   }
+  return { tickers, ocrTickers, borderline };
+}
+
+/**
+ * Handle an edited message in GRAPHS_CHANNEL_ID:
+ * - Re-extract tickers; removed ones are tombstoned, new ones are added
+ * - Returns the first-mention hand-overs caused by the edit (for audit logging)
+ */
+export async function handleGraphChannelEdit({
+  message,
+  allTickersFile = "../scanner/all_tickers.txt",
+  dbPath = "../scanner/tickers.sqlite",
+  commitAfterWrite = true,
+}) {
+  if (message.author?.bot) return [];
+  const content = message.content?.trim() || "";
+  const { set: tickerSet, renames } = await loadTickerUniverse(allTickersFile);
+  const tickers = extractTickers(content, tickerSet, { hasChart: hasChart(message), renames });
+
+  const { added, removed, firstChanges } = await replaceMessageMentions(
+    dbPath,
+    message.id,
+    buildEntries(message, tickers, content)
+  );
+
+  if ((added || removed) && commitAfterWrite) {
+    await commitDbIfChanged(dbPath);
+  }
+  if (added || removed) {
+    console.log(`✏️ Edit ${message.id}: +${added} / -${removed} mentions`);
+  }
+  return firstChanges;
+}
+
+/**
+ * Handle deleted message(s) in GRAPHS_CHANNEL_ID:
+ * - Retract their mentions (kept as tombstones with `reason`)
+ * - Returns the first-mention hand-overs caused by the delete
+ */
+export async function handleGraphChannelDelete({
+  messageIds,
+  dbPath = "../scanner/tickers.sqlite",
+  reason = "delete", // "delete" | "bulk_delete"
+  commitAfterWrite = true,
+}) {
+  const { removed, firstChanges } = await retractMessageMentions(dbPath, messageIds, { reason });
+  if (removed && commitAfterWrite) {
+    await commitDbIfChanged(dbPath);
+  }
+  if (removed) {
+    console.log(`🗑️ Retracted ${removed} mentions from ${messageIds.length} deleted message(s) (${reason})`);
+  }
+  return firstChanges;
 }
 
 /**
@@ -269,14 +229,13 @@ export async function runBackfillOnce({
   client,
   channelId,
   allTickersFile = "./scanner/all_tickers.txt",
-  dbPath = "./scanner/db.json",
+  dbPath = "./scanner/tickers.sqlite",
   lookbackDays = 14,
 }) {
   if (!channelId) throw new Error("runBackfillOnce: channelId is required");
   const channel = await client.channels.fetch(channelId);
 
-  const db = await loadDb(dbPath);
-  const cp = db.checkpoints[channelId];
+  const cp = await getCheckpoint(dbPath, channelId);
 
   let afterId;
   if (cp?.lastProcessedId) {
@@ -287,6 +246,7 @@ export async function runBackfillOnce({
   }
 
   let scanned = 0;
+  const borderline = new Map(); // ticker -> times rejected as borderline
   while (true) {
     const batch = await channel.messages.fetch({ limit: 100, after: afterId });
     if (batch.size === 0) break;
@@ -301,7 +261,7 @@ export async function runBackfillOnce({
           (client.user?.id && message.mentions.users.has(client.user.id)) ||
           message.content?.includes("@SuperPony");
         if (!mentionsBot) {
-          await handleGraphChannelMessage({
+          const result = await handleGraphChannelMessage({
             message,
             allTickersFile,
             dbPath,
@@ -309,6 +269,7 @@ export async function runBackfillOnce({
             updateCheckpoint: false,
             commitAfterWrite: false, // <= no per-message commits during backfill
           });
+          for (const b of result.borderline) borderline.set(b.ticker, (borderline.get(b.ticker) || 0) + 1);
 
           await updateCheckpoint(
             dbPath,
@@ -324,13 +285,17 @@ export async function runBackfillOnce({
     }
   }
 
-  // Flush queued writes and commit ONCE for the whole backfill
-  await writeQueue;
+  // Commit ONCE for the whole backfill (commitDbIfChanged flushes the store first)
   await commitDbIfChanged(dbPath);
 
   console.log(`Backfill complete for channel ${channelId}. Scanned ${scanned} messages.`);
+  if (borderline.size) {
+    const top = [...borderline.entries()].sort((a, b) => b[1] - a[1]).slice(0, 20);
+    console.log(`🤔 Borderline rejections: ${top.map(([t, n]) => `${t}×${n}`).join(", ")}`);
+  }
+  return { scanned, borderline };
 }
 
-export function flushTickerDbWrites() {
-  return writeQueue;
+export function flushTickerDbWrites(dbPath) {
+  return flushTickerStore(dbPath);
 }
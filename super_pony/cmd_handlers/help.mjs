@@ -1,30 +1,65 @@
-export const helpString = `כדי שאדע שאתם מדברים אלי, תזכירו אותי בהודעה שלכם, תוסיפו את השם שלי
-@SuperPony.
+/**
+ * Help text, generated from the command registry (super_pony/commands.mjs):
+ * each command's `help` entries are the numbered mention commands, and its slash
+ * definition gives the usage line in the slash section.
+ */
+
+const MAX_MESSAGE = 1900; // Discord caps messages at 2000 chars
+const OPTION_TYPES = { SUB_COMMAND: 1, INTEGER: 4, USER: 6, NUMBER: 10 };
 
-הנה רשימת הפקודות שאני יודע לבצע:
-1. להציג את כל הטיקרים שבמעקב בחוכמת הסורק – כתבו: טיקרים
-   לדוגמה: @SuperPony טיקרים
+const intro = `כדי שאדע שאתם מדברים אלי, תזכירו אותי בהודעה שלכם, תוסיפו את השם שלי
+@SuperPony.
 
-2. להציג את כל הטיקרים שבמעקב שאתם ציינתם ראשונים החודש – כתבו: טיקרים שלי
-   לדוגמה: @SuperPony טיקרים שלי
-   או: @SuperPony שלי
+אפשר לכתוב את הפקודות גם באנגלית, במילים אחרות או עם שגיאות כתיב – אם לא אהיה בטוח, אשאל למה התכוונתם.
 
-3. להציג את כל הטיקרים של חברות שמדווחות היום – כתבו: דיווחים או מדווחות
-   לדוגמה: @SuperPony דיווחים
-   או: @SuperPony מדווחות
+הנה רשימת הפקודות שאני יודע לבצע:`;
 
-4. להציג תמונה של החברות שהכי מצפים לדיווח שלהן היום – כתבו: תמונת דיווחים או תמונה
-   לדוגמה: @SuperPony תמונת דיווחים
-   או: @SuperPony תמונה
+/** "/leaderboard  (window: MTD | 7 | 30, metric: Open→Close | Close→Close)" */
+function slashUsage(json) {
+  const opts = json.options || [];
+  if (!opts.length) return `/${json.name}`;
+  if (opts[0].type === OPTION_TYPES.SUB_COMMAND) return `/${json.name} ${opts.map((o) => o.name).join(" | ")}`;
+  const describe = (o) => {
+    if (o.choices?.length) return `${o.name}: ${o.choices.map((c) => c.name).join(" | ")}`;
+    if (o.type === OPTION_TYPES.INTEGER || o.type === OPTION_TYPES.NUMBER) return `${o.name}: #`;
+    if (o.type === OPTION_TYPES.USER) return `${o.name}: @`;
+    return o.name;
+  };
+  return `/${json.name}  (${opts.map(describe).join(", ")})`;
+}
 
-5. להציג את הטיקרים של חברות ה־סאפ 500 שמדווחות היום – כתבו: דיווחים 500
-   לדוגמה: @SuperPony דיווחים 500
+/** commands: registry entries, each with `json` (its slash definition) */
+export function buildHelpSections(commands) {
+  const items = [];
+  let n = 0;
+  for (const c of commands) {
+    for (const h of c.help || []) {
+      const lines = [`${++n}. ${h.text}`];
+      (h.examples || []).forEach((ex, i) => lines.push(`   ${i ? "או" : "לדוגמה"}: @SuperPony ${ex}`));
+      (h.extra || []).forEach((line) => lines.push(`   ${line}`));
+      items.push(lines.join("\n"));
+    }
+  }
+  const slash = commands.filter((c) => c.json).map((c) => `${c.description}\n${slashUsage(c.json)}`);
+  const [first = "", ...rest] = items;
+  return [`${intro}\n${first}`, ...rest, ["יש גם פקודות סלאש:", ...slash].join("\n")];
+}
 
-יש גם פקודת סלאש:
-להציג את כל הדיווחים של היום, עם אפשרות לסנן לפי סוג או מספר תוצאות.
-/todays_earnings  (type: All | S&P 500 | Anticipated, limit: #)
-`;
+/** Sections packed into messages under Discord's length limit */
+export function buildHelpMessages(commands) {
+  const messages = [];
+  let current = "";
+  for (const section of buildHelpSections(commands)) {
+    if (current && (current + "\n\n" + section).length > MAX_MESSAGE) {
+      messages.push(current);
+      current = "";
+    }
+    current = current ? `${current}\n\n${section}` : section;
+  }
+  if (current) messages.push(current);
+  return messages;
+}
 
-export async function sendHelp({ channel }) {
-  await channel.send(helpString);
+export async function sendHelp({ channel, commands }) {
+  for (const text of buildHelpMessages(commands)) await channel.send(text);
 }
@@ -0,0 +1,210 @@
+import { EmbedBuilder, ActionRowBuilder, StringSelectMenuBuilder } from "discord.js";
+import { getTickerAggregates } from "../../utils/tickerQueries.mjs";
+import { computeGainers, startOfMonthUTC } from "./tickersDashboard.mjs";
+
+/**
+ * Callers leaderboard: scores each user's FIRST mentions (all-time first call of a ticker,
+ * made inside the selected window) by return since the mention.
+ * State lives in the component customIds (`lb:window:<mode>`, `lb:mode:<window>`),
+ * so a leaderboard message keeps working after a restart.
+ */
+
+const TOP_USERS = 15;
+const DESCRIPTION_MAX = 4096; // Discord embed description limit
+const MAX_PRICED_CALLS = 300; // one price lookup each; like the dashboard's cap
+
+export const LEADERBOARD_WINDOWS = [
+  { label: "This month (MTD)", value: "mtd" },
+  { label: "Last 7 days",      value: "7d"  },
+  { label: "Last 30 days",     value: "30d" },
+  { label: "Last 90 days",     value: "90d" },
+  { label: "All time",         value: "all" },
+];
+export const LEADERBOARD_MODES = [
+  { label: "Open→Close (Since Mention)",  value: "oc" },
+  { label: "Close→Close (Since Mention)", value: "cc" },
+];
+
+function windowStartTs(window) {
+  switch (window) {
+    case "mtd": return startOfMonthUTC();
+    case "7d":  return Date.now() - 7 * 86400000;
+    case "30d": return Date.now() - 30 * 86400000;
+    case "90d": return Date.now() - 90 * 86400000;
+    case "all":
+    default:    return null;
+  }
+}
+
+function median(nums) {
+  const s = [...nums].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+function fmtPct(p) {
+  return `${p >= 0 ? "+" : ""}${p.toFixed(1)}%`;
+}
+
+/**
+ * { rows: [{ userId, name, calls, avg, median, hitRate, hits, best, worst }] sorted by avg desc,
+ *   totalCalls, pricedCalls }. best/worst are { symbol, pct, link }.
+ * Only the newest MAX_PRICED_CALLS calls of the window are priced.
+ */
+export async function buildLeaderboard(dbPath, { window = "mtd", mode = "oc" } = {}) {
+  const fromTs = windowStartTs(window);
+  const calls = (await getTickerAggregates(dbPath))
+    .filter((a) => a.firstUserId && (fromTs == null || a.firstTs >= fromTs))
+    .map((a) => ({
+      symbol: a.symbol,
+      firstTs: a.firstTs,
+      firstLink: a.firstLink,
+      firstUserId: a.firstUserId,
+      firstUserName: a.firstUserName,
+    }))
+    .sort((a, b) => b.firstTs - a.firstTs);
+
+  const scored = await computeGainers(calls, {
+    limitTickers: MAX_PRICED_CALLS,
+    concurrency: 4,
+    anchor: "mention",
+    mode,
+  });
+
+  const byUser = new Map();
+  for (const r of scored) {
+    const cur = byUser.get(r.firstUserId) || { userId: r.firstUserId, name: r.firstUserName || "Unknown", results: [] };
+    cur.results.push(r);
+    byUser.set(r.firstUserId, cur);
+  }
+
+  const rows = [...byUser.values()]
+    .map(({ userId, name, results }) => {
+      const pcts = results.map((r) => r.pct);
+      const hits = pcts.filter((p) => p > 0).length;
+      const sorted = [...results].sort((a, b) => b.pct - a.pct);
+      const pick = (r) => ({ symbol: r.symbol, pct: r.pct, link: r.firstLink });
+      return {
+        userId,
+        name,
+        calls: results.length,
+        avg: pcts.reduce((s, p) => s + p, 0) / pcts.length,
+        median: median(pcts),
+        hits,
+        hitRate: (hits / pcts.length) * 100,
+        best: pick(sorted[0]),
+        worst: pick(sorted[sorted.length - 1]),
+      };
+    })
+    .sort((a, b) => b.avg - a.avg || b.calls - a.calls || a.name.localeCompare(b.name));
+  return { rows, totalCalls: calls.length, pricedCalls: Math.min(calls.length, MAX_PRICED_CALLS) };
+}
+
+function buildLeaderboardComponents(window, mode) {
+  const menuWindow = new StringSelectMenuBuilder()
+    .setCustomId(`lb:window:${mode}`)
+    .setPlaceholder("Window")
+    .addOptions(LEADERBOARD_WINDOWS.map((w) => ({ ...w, default: w.value === window })));
+  const menuMode = new StringSelectMenuBuilder()
+    .setCustomId(`lb:mode:${window}`)
+    .setPlaceholder("Metric")
+    .addOptions(LEADERBOARD_MODES.map((m) => ({ ...m, default: m.value === mode })));
+  return [
+    new ActionRowBuilder().addComponents(menuWindow),
+    new ActionRowBuilder().addComponents(menuMode),
+  ];
+}
+
+function rowLine(r, i) {
+  const best = `[\`${r.best.symbol}\`](${r.best.link || "#"}) ${fmtPct(r.best.pct)}`;
+  const worst = `[\`${r.worst.symbol}\`](${r.worst.link || "#"}) ${fmtPct(r.worst.pct)}`;
+  return `${i + 1}. **${r.name}** — avg **${fmtPct(r.avg)}**, median ${fmtPct(r.median)}, ` +
+    `hit ${r.hitRate.toFixed(0)}% (${r.hits}/${r.calls})\n   best ${best} · worst ${worst}`;
+}
+
+/** Row lines up to the description limit; rows that don't fit are counted */
+function rowLines(rows) {
+  const lines = [];
+  let len = 0;
+  for (const [i, r] of rows.entries()) {
+    const line = rowLine(r, i);
+    const more = `+${rows.length - i} משתמשים נוספים`;
+    if (len + line.length + 1 + more.length > DESCRIPTION_MAX) {
+      lines.push(more);
+      break;
+    }
+    lines.push(line);
+    len += line.length + 1;
+  }
+  return lines;
+}
+
+async function buildLeaderboardMessage(dbPath, window, mode) {
+  const { rows, totalCalls, pricedCalls } = await buildLeaderboard(dbPath, { window, mode });
+  const windowLabel = LEADERBOARD_WINDOWS.find((w) => w.value === window)?.label || window;
+  const modeLabel = LEADERBOARD_MODES.find((m) => m.value === mode)?.label || mode;
+
+  const lines = rowLines(rows.slice(0, TOP_USERS));
+
+  const embed = new EmbedBuilder()
+    .setColor(0xf5c518)
+    .setTitle(`🏆 Leaderboard — ${windowLabel}`)
+    .setDescription(lines.join("\n") || "אין קריאות עם נתוני מחיר בטווח הזה.")
+    .setFooter({
+      text: `${modeLabel} · ${rows.length} משתמשים` +
+        (pricedCalls < totalCalls ? ` · חושבו ${pricedCalls} הקריאות האחרונות מתוך ${totalCalls}` : ""),
+    });
+
+  return { embeds: [embed], components: buildLeaderboardComponents(window, mode) };
+}
+
+/** Post a leaderboard (slash command or mention command) */
+export async function showLeaderboard({ interaction, dbPath, window = "mtd", mode = "oc" }) {
+  try {
+    const payload = await buildLeaderboardMessage(dbPath, window, mode);
+    return interaction.followUp(payload);
+  } catch (e) {
+    console.error("leaderboard error:", e);
+    return interaction.followUp("❌ לא הצלחתי לחשב את טבלת המובילים כרגע.");
+  }
+}
+
+/**
+ * Component router for `lb:*` ids:
+ * - `lb:open`            — dashboard button, opens an ephemeral MTD leaderboard
+ * - `lb:window:<mode>`   — window select on a leaderboard message
+ * - `lb:mode:<window>`   — metric select on a leaderboard message
+ */
+export async function handleLeaderboardInteraction({ interaction, dbPath }) {
+  const cid = interaction.customId || "";
+  if (!cid.startsWith("lb:")) return false;
+  const [, kind, arg] = cid.split(":");
+
+  try {
+    if (kind === "open" && interaction.isButton()) {
+      await interaction.deferReply({ flags: 64 });
+      await interaction.editReply(await buildLeaderboardMessage(dbPath, "mtd", "oc"));
+      return true;
+    }
+    if (kind === "window" && interaction.isStringSelectMenu()) {
+      await interaction.deferUpdate();
+      await interaction.editReply(await buildLeaderboardMessage(dbPath, interaction.values?.[0] || "mtd", arg || "oc"));
+      return true;
+    }
+    if (kind === "mode" && interaction.isStringSelectMenu()) {
+      await interaction.deferUpdate();
+      await interaction.editReply(await buildLeaderboardMessage(dbPath, arg || "mtd", interaction.values?.[0] || "oc"));
+      return true;
+    }
+  } catch (e) {
+    console.error("lb interaction error:", e);
+    const msg = { content: "לא הצלחתי לחשב את טבלת המובילים כרגע.", flags: 64 };
+    if (interaction.deferred || interaction.replied) {
+      await interaction.followUp(msg).catch(() => {});
+    } else {
+      await interaction.reply(msg).catch(() => {});
+    }
+    return true;
+  }
+  return false;
+}
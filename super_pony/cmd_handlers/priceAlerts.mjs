@@ -0,0 +1,192 @@
+import {
+  addPriceAlert,
+  getPriceAlerts,
+  deletePriceAlert,
+  markPriceAlertTriggered,
+} from "../../utils/tickerStore.mjs";
+import { getTickerMentions } from "../../utils/tickerQueries.mjs";
+import { getYahooChart, fetchBasisAndLatest } from "./tickersDashboard.mjs";
+import { commitDbIfChanged } from "./graphChannelHandler.mjs";
+import { normalizeSymbol } from "../../utils/symbols.mjs";
+
+/**
+ * Price alerts (one-shot), stored in the tickers db so they survive restarts.
+ * Kinds:
+ * - above / below  — price crosses `target`
+ * - move           — `target`% move from the price when the alert was set
+ * - basis_move     — `target`% move from the user's first-mention basis (open of that day)
+ * Percent kinds carry a direction: up | down | any.
+ */
+
+const MAX_ALERTS_PER_USER = 25;
+const PRICE_MAX_AGE_MS = 2 * 60 * 1000;
+
+export const ALERT_TYPES = [
+  { name: "Above price",             value: "above" },
+  { name: "Below price",             value: "below" },
+  { name: "% move from now",         value: "move" },
+  { name: "% move from my first call", value: "basis_move" },
+];
+
+function shortDate(ms) {
+  const d = new Date(ms);
+  const dd = String(d.getUTCDate()).padStart(2, "0");
+  const mm = String(d.getUTCMonth() + 1).padStart(2, "0");
+  const yy = String(d.getUTCFullYear()).slice(-2);
+  return `${dd}/${mm}/${yy}`;
+}
+
+async function currentPrice(symbol) {
+  const ch = await getYahooChart(symbol, Date.now(), { maxAgeMs: PRICE_MAX_AGE_MS });
+  const price = ch.lastPrice ?? ch.lastClose;
+  if (!(price > 0)) throw new Error(`no price for ${symbol}`);
+  return price;
+}
+
+function describeAlert(a) {
+  const arrow = { up: "⬆️ ", down: "⬇️ ", any: "↕️ " }[a.direction] || "";
+  switch (a.kind) {
+    case "above": return `מעל ${a.target}`;
+    case "below": return `מתחת ל־${a.target}`;
+    case "move":  return `${arrow}${a.target}% מ־${a.refPrice.toFixed(2)}`;
+    case "basis_move": return `${arrow}${a.target}% מהאזכור הראשון (${a.refPrice.toFixed(2)})`;
+    default: return a.kind;
+  }
+}
+
+/**
+ * Parse the text after "התראה":
+ *   "TSLA 250"          — above/below, whichever side the price is on now
+ *   "TSLA מעל 250"      / "TSLA מתחת 200"
+ *   "TSLA 5%"           — ±5% from now ("+5%" / "-5%" for one direction)
+ *   "TSLA 20% מהאזכור"  — from the user's first-mention basis
+ * Returns { symbol, kind, value, direction } or null.
+ */
+export function parseAlertSpec(text) {
+  const tokens = (text || "").trim().split(/\s+/).filter(Boolean);
+  const symbol = normalizeSymbol(tokens.shift());
+  if (!symbol) return null;
+
+  let kind = "price";
+  if (/^(מעל|above)$/i.test(tokens[0])) { kind = "above"; tokens.shift(); }
+  else if (/^(מתחת|below)$/i.test(tokens[0])) { kind = "below"; tokens.shift(); if (tokens[0] === "ל") tokens.shift(); }
+
+  const m = /^(ל־?)?([+-]?)(\d+(?:\.\d+)?)(%?)$/.exec(tokens.shift() || "");
+  if (!m) return null;
+  const value = Number(m[3]);
+  if (!(value > 0)) return null;
+
+  if (m[4] === "%") {
+    if (kind !== "price") return null;
+    const basis = /^(מהאזכור|מאזכור|basis)$/i.test(tokens[0] || "");
+    const direction = m[2] === "+" ? "up" : m[2] === "-" ? "down" : "any";
+    return { symbol, kind: basis ? "basis_move" : "move", value, direction };
+  }
+  return { symbol, kind, value, direction: null };
+}
+
+/** Create an alert from a parsed spec and reply with the result */
+export async function createPriceAlert({ interaction, dbPath, userId, channelId, spec }) {
+  if (!spec?.symbol) {
+    return interaction.followUp("❌ לא הבנתי את ההתראה. לדוגמה: `התראה TSLA 250`, `התראה TSLA 5%`, `התראה TSLA 20% מהאזכור`.");
+  }
+  const existing = await getPriceAlerts(dbPath, { userId });
+  if (existing.length >= MAX_ALERTS_PER_USER) {
+    return interaction.followUp(`❌ יש לך כבר ${MAX_ALERTS_PER_USER} התראות פעילות. מחק/י אחת קודם.`);
+  }
+
+  const { symbol, value } = spec;
+  let kind = spec.kind;
+  let refPrice = null;
+  try {
+    const price = await currentPrice(symbol);
+    if (kind === "price") kind = value >= price ? "above" : "below";
+    if (kind === "move") refPrice = price;
+    if (kind === "basis_move") {
+      const mine = (await getTickerMentions(dbPath, symbol)).filter((m) => m.userId === userId);
+      if (!mine.length) {
+        return interaction.followUp(`❌ לא מצאתי אזכור שלך של \`${symbol}\` בחדר הגרפים.`);
+      }
+      ({ basis: refPrice } = await fetchBasisAndLatest(symbol, mine[0].ts, { anchor: "mention", mode: "oc" }));
+    }
+  } catch (e) {
+    console.warn(`price alert: no price data for ${symbol}:`, e?.message || e);
+    return interaction.followUp(`❌ לא מצאתי נתוני מחיר עבור \`${symbol}\`.`);
+  }
+
+  const alert = { userId, channelId, ticker: symbol, kind, target: value, direction: spec.direction, refPrice };
+  const id = await addPriceAlert(dbPath, alert);
+  await commitDbIfChanged(dbPath);
+  return interaction.followUp(`🔔 התראה #${id} נשמרה: \`${symbol}\` ${describeAlert(alert)}`);
+}
+
+export async function listPriceAlerts({ interaction, dbPath, userId }) {
+  const alerts = await getPriceAlerts(dbPath, { userId });
+  if (!alerts.length) return interaction.followUp("אין לך התראות פעילות.");
+  const lines = alerts.map((a) => `#${a.id} \`${a.ticker}\` ${describeAlert(a)} — ${shortDate(a.createdAt)}`);
+  return interaction.followUp(`🔔 **ההתראות שלך**\n${lines.join("\n")}`);
+}
+
+export async function removePriceAlert({ interaction, dbPath, userId, id }) {
+  const removed = await deletePriceAlert(dbPath, Number(id), userId);
+  if (!removed) return interaction.followUp(`❌ לא נמצאה התראה #${id} שלך.`);
+  await commitDbIfChanged(dbPath);
+  return interaction.followUp(`🗑️ התראה #${id} נמחקה.`);
+}
+
+function isTriggered(a, price) {
+  switch (a.kind) {
+    case "above": return price >= a.target;
+    case "below": return price <= a.target;
+    case "move":
+    case "basis_move": {
+      const pct = (price / a.refPrice - 1) * 100;
+      if (a.direction === "up") return pct >= a.target;
+      if (a.direction === "down") return pct <= -a.target;
+      return Math.abs(pct) >= a.target;
+    }
+    default: return false;
+  }
+}
+
+/** DM the owner; fall back to a mention in the channel the alert was set from */
+async function notifyOwner(client, a, text) {
+  try {
+    const user = await client.users.fetch(a.userId);
+    await user.send(text);
+    return;
+  } catch (e) {
+    console.warn(`price alert #${a.id}: DM failed:`, e?.message || e);
+  }
+  const channel = a.channelId && client.channels.cache.get(a.channelId);
+  if (channel) {
+    await channel.send({ content: `<@${a.userId}> ${text}`, allowedMentions: { users: [a.userId] } }).catch(() => {});
+  }
+}
+
+/** Poller: check every active alert against the latest price; returns how many fired */
+export async function checkPriceAlerts({ client, dbPath }) {
+  const alerts = await getPriceAlerts(dbPath);
+  const byTicker = new Map();
+  for (const a of alerts) byTicker.set(a.ticker, [...(byTicker.get(a.ticker) || []), a]);
+
+  let fired = 0;
+  for (const [ticker, list] of byTicker) {
+    let price;
+    try {
+      price = await currentPrice(ticker);
+    } catch (e) {
+      console.warn(`price alerts: no price for ${ticker}:`, e?.message || e);
+      continue;
+    }
+    for (const a of list) {
+      if (!isTriggered(a, price)) continue;
+      await markPriceAlertTriggered(dbPath, a.id);
+      fired++;
+      const move = a.refPrice ? ` (${((price / a.refPrice - 1) * 100).toFixed(1)}%)` : "";
+      await notifyOwner(client, a, `🔔 התראה #${a.id}: \`${ticker}\` ${describeAlert(a)} — עכשיו ${price.toFixed(2)}${move}`);
+    }
+  }
+  if (fired) await commitDbIfChanged(dbPath);
+  return fired;
+}
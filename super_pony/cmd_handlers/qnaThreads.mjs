@@ -0,0 +1,154 @@
+import { askGeminiTurn, hasChannelLogs } from "../../utils/askGemini.mjs";
+
+/**
+ * Gemini Q&A threads: every bot-room question (the `ask` fallback) opens a thread with the answer.
+ * Follow-ups posted in the thread — no mention needed — are answered with the earlier turns and
+ * the same log window (the dates of the first question) as context.
+ * A question reads the default chat room, or the rooms it names (`#room` mentions, the slash
+ * option); a follow-up naming rooms switches the thread to them.
+ * Sessions live in memory; a thread idle for QNA_THREAD_IDLE_MIN is archived and forgotten.
+ * A message in a Q&A thread without a session (expired, or the bot restarted) gets a note to ask anew.
+ *
+ * Env:
+ *   QNA_THREAD_IDLE_MIN  minutes of inactivity before a thread expires (default 30)
+ */
+
+const IDLE_MS = (Number(process.env.QNA_THREAD_IDLE_MIN) || 30) * 60 * 1000;
+const MAX_TURNS = 6;          // earlier turns sent back to Gemini
+const THREAD_NAME_MAX = 90;   // Discord allows 100
+const AUTO_ARCHIVE_MIN = 60;  // Discord's own archive, as a backstop for a restart
+const GEMINI_CHUNK = 1500;
+
+const CHANNEL_MENTION_RE = /<#(\d+)>/g;
+const THREAD_PREFIX = "❓ ";
+
+const sessions = new Map(); // threadId -> { dates, channels, allTickersFile, turns: [{ question, answer }], lastActive, busy }
+
+/** Send long text in chunks, line by line */
+async function sendLongText(reply, text) {
+  const lines = (text || "").split("\n").map((l) => l.trim()).filter(Boolean);
+  let chunk = "";
+  for (const line of lines) {
+    if ((chunk + line + "\n").length > GEMINI_CHUNK) {
+      await reply(chunk);
+      chunk = "";
+    }
+    if (line.length > GEMINI_CHUNK) {
+      for (const part of line.match(new RegExp(`.{1,${GEMINI_CHUNK}}`, "g")) || []) await reply(part);
+      continue;
+    }
+    chunk += line + "\n";
+  }
+  if (chunk) await reply(chunk);
+}
+
+function threadName(question) {
+  const name = `${THREAD_PREFIX}${question.replace(/\s+/g, " ").trim()}`;
+  return name.length > THREAD_NAME_MAX ? `${name.slice(0, THREAD_NAME_MAX - 1)}…` : name;
+}
+
+/**
+ * The rooms a question targets: its `<#channel>` mentions plus `extraIds` (e.g. the slash option).
+ * -> { question (mentions written as #name), channels: [{ id, name }] (logged rooms), unlogged: ["#name"] }
+ */
+export async function questionChannels(client, text, extraIds = []) {
+  const nameOf = (id) => client?.channels?.cache.get(id)?.name || null;
+  const label = (id) => `#${nameOf(id) || id}`;
+  const mentioned = [...String(text || "").matchAll(CHANNEL_MENTION_RE)].map((m) => m[1]);
+  const channels = [];
+  const unlogged = [];
+  for (const id of new Set([...extraIds.filter(Boolean), ...mentioned])) {
+    if (await hasChannelLogs(id)) channels.push({ id, name: nameOf(id) });
+    else unlogged.push(label(id));
+  }
+  const question = String(text || "").replace(CHANNEL_MENTION_RE, (_, id) => label(id)).trim();
+  return { question, channels, unlogged };
+}
+
+/** Reply for rooms we have no log of */
+export function unloggedText(unlogged) {
+  return `❌ אין לי היסטוריה של ${unlogged.join(", ")} – אפשר לשאול רק על חדרים שאני מתעד.`;
+}
+
+/**
+ * Answer a new question in its own thread.
+ * `anchor`: the message to open the thread from (the question itself, or a placeholder
+ * for slash commands). Without a thread (no permission, already in one) the answer goes to `reply`.
+ * `allTickersFile`: the ticker universe, so only listed tickers in a question filter the search.
+ */
+export async function askInThread({ anchor, question, reply, channels = [], allTickersFile = null }) {
+  const thread = anchor?.startThread
+    ? await anchor.startThread({ name: threadName(question), autoArchiveDuration: AUTO_ARCHIVE_MIN }).catch((err) => {
+      console.warn("Q&A thread not opened:", err?.message || err);
+      return null;
+    })
+    : null;
+  const send = thread ? (payload) => thread.send(payload) : reply;
+  await send("🔍 מחפש תשובה לשאלה שלך, זה יכול לקחת כמה שניות...");
+
+  const { text, dates } = await askGeminiTurn(question, { channels, allTickersFile });
+  await sendLongText(send, text);
+  if (thread && dates) {
+    sessions.set(thread.id, { dates, channels, allTickersFile, turns: [{ question, answer: text }], lastActive: Date.now(), busy: false });
+    console.log(`🧵 Q&A thread ${thread.id} opened (${dates.join(", ") || "all days"})`);
+  }
+  return thread;
+}
+
+/** A Q&A thread we have no session for: say the conversation is over and archive it; false when it isn't one */
+async function closeStaleThread(thread) {
+  if (!thread.ownerId || thread.ownerId !== thread.client?.user?.id || !thread.name?.startsWith(THREAD_PREFIX)) return false;
+  await thread.send("⌛ השיחה הזו כבר לא פעילה (פג הזמן או שהבוט הופעל מחדש). לשאלה חדשה – כתבו בחדר הבוט.").catch(() => { });
+  await thread.setArchived(true).catch((err) => console.warn(`Q&A thread ${thread.id} not archived:`, err?.message || err));
+  return true;
+}
+
+/** A message in a Q&A thread -> answered as a follow-up; false when it isn't one */
+export async function handleQnaFollowUp(message) {
+  const session = sessions.get(message.channel.id);
+  if (!session) return closeStaleThread(message.channel);
+  const target = await questionChannels(message.channel.client, (message.content || "").replace(/<@!?[0-9]+>/g, ""));
+  const { question } = target;
+  if (!question) return true;
+  if (target.unlogged.length) {
+    await message.channel.send(unloggedText(target.unlogged));
+    return true;
+  }
+
+  if (session.busy) {
+    await message.channel.send("⏳ רגע, עוד עונה על השאלה הקודמת...");
+    return true;
+  }
+  session.busy = true;
+  session.lastActive = Date.now();
+  if (target.channels.length) session.channels = target.channels;
+  try {
+    const { text } = await askGeminiTurn(question, {
+      history: session.turns.slice(-MAX_TURNS),
+      dates: session.dates,
+      channels: session.channels,
+      allTickersFile: session.allTickersFile,
+    });
+    session.turns.push({ question, answer: text });
+    await sendLongText((payload) => message.channel.send(payload), text);
+  } finally {
+    session.busy = false;
+    session.lastActive = Date.now();
+  }
+  return true;
+}
+
+/** Archive and forget threads idle for longer than QNA_THREAD_IDLE_MIN; returns how many */
+export async function expireQnaThreads(client, now = Date.now()) {
+  let expired = 0;
+  for (const [threadId, session] of sessions) {
+    if (session.busy || now - session.lastActive < IDLE_MS) continue;
+    sessions.delete(threadId);
+    expired++;
+    const thread = await client.channels.fetch(threadId).catch(() => null);
+    if (!thread) continue;
+    await thread.send("⌛ השרשור נסגר בגלל חוסר פעילות. לשאלה חדשה – כתבו בחדר הבוט.").catch(() => { });
+    await thread.setArchived(true).catch((err) => console.warn(`Q&A thread ${threadId} not archived:`, err?.message || err));
+  }
+  return expired;
+}
@@ -0,0 +1,148 @@
+import { EmbedBuilder } from "discord.js";
+import { getTickerAggregates } from "../../utils/tickerQueries.mjs";
+import { buildPaginatedMessage } from "../../utils/paginator.mjs";
+import { summarizeChatDays } from "../../utils/askGemini.mjs";
+import { computeGainers } from "./tickersDashboard.mjs";
+import { showLeaderboard } from "./leaderboard.mjs";
+
+/**
+ * Scheduled recap posts (the scheduler itself lives in index.mjs).
+ * Days are Israel-time calendar days, given as YYYY-MM-DD.
+ */
+
+const IL_TZ = "Asia/Jerusalem";
+const TRACKED_DAYS = 30;      // movers are picked from tickers mentioned in this window
+const TRACKED_LIMIT = 150;
+const MOVERS_SHOWN = 5;
+const NEW_TICKERS_SHOWN = 25;
+const FIELD_MAX = 1024;       // Discord embed field value limit
+
+function shortDate(ymd) {
+  const [y, m, d] = ymd.split("-");
+  return `${d}/${m}/${y.slice(-2)}`;
+}
+
+function fmtPct(p) {
+  return `${p >= 0 ? "+" : ""}${p.toFixed(1)}%`;
+}
+
+/** Offset (ms) of Israel time from UTC at `ts` */
+function israelOffset(ts) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: IL_TZ, hourCycle: "h23",
+    year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+  }).formatToParts(new Date(ts));
+  const get = (t) => Number(parts.find((p) => p.type === t)?.value);
+  return Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"), get("second")) - Math.floor(ts / 1000) * 1000;
+}
+
+/** [fromTs, toTs) of an Israel-time calendar day */
+function israelDayRange(ymd) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  const startOf = (day) => {
+    const guess = Date.UTC(y, m - 1, day);
+    return guess - israelOffset(guess - israelOffset(guess));
+  };
+  return { fromTs: startOf(d), toTs: startOf(d + 1) };
+}
+
+/** Lines that fit one embed field, then "ועוד N..." for the rest of `total` */
+function fitLines(lines, total = lines.length) {
+  const out = [];
+  let len = 0;
+  for (const [i, line] of lines.entries()) {
+    const more = `ועוד ${total - i}...`;
+    const last = i === lines.length - 1 && total === lines.length;
+    if (len + line.length + (last ? 0 : 1 + more.length) > FIELD_MAX) {
+      out.push(more);
+      return out;
+    }
+    out.push(line);
+    len += line.length + 1;
+  }
+  if (total > lines.length) out.push(`ועוד ${total - lines.length}...`);
+  return out;
+}
+
+/**
+ * End-of-day recap: tickers first mentioned today (with who called them)
+ * and today's open→last movers among recently tracked tickers.
+ */
+export async function postDailyRecap({ channel, dbPath, ymd }) {
+  const { fromTs, toTs } = israelDayRange(ymd);
+
+  const all = await getTickerAggregates(dbPath);
+  const fresh = all
+    .filter((a) => a.firstTs >= fromTs && a.firstTs < toTs)
+    .sort((a, b) => a.firstTs - b.firstTs);
+  const freshLines = fitLines(
+    fresh.slice(0, NEW_TICKERS_SHOWN).map((a) => `• [\`${a.symbol}\`](${a.firstLink || "#"}) — ${a.firstUserName || "Unknown"}`),
+    fresh.length
+  );
+
+  const tracked = await getTickerAggregates(dbPath, { fromTs: toTs - TRACKED_DAYS * 86400000, toTs });
+  let moverLines = [];
+  try {
+    const ranked = await computeGainers(tracked, {
+      limitTickers: TRACKED_LIMIT,
+      concurrency: 4,
+      anchor: "month",
+      mode: "oc",
+      fromTs: Date.parse(`${ymd}T00:00:00Z`), // the day's open, on the exchange calendar
+    });
+    const line = (r) => `\`${r.symbol}\` **${fmtPct(r.pct)}**`;
+    const up = ranked.filter((r) => r.pct > 0).slice(0, MOVERS_SHOWN);
+    const down = ranked.filter((r) => r.pct < 0).reverse().slice(0, MOVERS_SHOWN);
+    if (up.length) moverLines.push(`🟢 ${up.map(line).join(", ")}`);
+    if (down.length) moverLines.push(`🔴 ${down.map(line).join(", ")}`);
+  } catch (e) {
+    console.warn("daily recap: movers failed:", e?.message || e);
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(0x00b7ff)
+    .setTitle(`📅 סיכום יומי — ${shortDate(ymd)}`)
+    .addFields(
+      { name: `טיקרים חדשים היום (${fresh.length})`, value: freshLines.join("\n") || "—" },
+      { name: "המניות הבולטות היום", value: moverLines.join("\n") || "אין נתוני מחיר." }
+    )
+    .setFooter({ text: `מתוך ${tracked.length} טיקרים שהוזכרו ב־${TRACKED_DAYS} הימים האחרונים` });
+
+  await channel.send({ embeds: [embed] });
+}
+
+/**
+ * Weekly recap: a Gemini summary of the week's chat logs, the 7-day leaderboard
+ * and the week's Hot10. `ymds` are the week's days (Israel time), oldest first.
+ */
+export async function postWeeklyRecap({ channel, dbPath, ymds }) {
+  let summary = "";
+  try {
+    summary = await summarizeChatDays(ymds);
+  } catch (e) {
+    console.warn("weekly recap: summary failed:", e?.message || e);
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(0xf5c518)
+    .setTitle(`🗓️ סיכום שבועי — ${shortDate(ymds[0])}–${shortDate(ymds[ymds.length - 1])}`)
+    .setDescription((summary || "לא הצלחתי לסכם את השיחות השבוע.").slice(0, 4000));
+  await channel.send({ embeds: [embed] });
+
+  await showLeaderboard({
+    interaction: { followUp: (t) => channel.send(t) },
+    dbPath,
+    window: "7d",
+  });
+
+  try {
+    const hot = await buildPaginatedMessage("dash", {
+      dbPath,
+      args: ["hot10", "month_oc", `week:${ymds[ymds.length - 1]}`, ""],
+      sort: "return",
+    });
+    await channel.send(hot);
+  } catch (e) {
+    console.warn("weekly recap: hot10 failed:", e?.message || e);
+  }
+}
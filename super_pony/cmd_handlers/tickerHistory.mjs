@@ -0,0 +1,168 @@
+import sharp from "sharp";
+import { AttachmentBuilder, EmbedBuilder } from "discord.js";
+import { getTickerMentions } from "../../utils/tickerQueries.mjs";
+import { getYahooChart, fetchBasisAndLatest, localYMD } from "./tickersDashboard.mjs";
+import { normalizeSymbol } from "../../utils/symbols.mjs";
+
+const CHART_W = 900;
+const CHART_H = 400;
+const PAD = { left: 60, right: 20, top: 30, bottom: 40 };
+const LAST_MENTIONS = 5;
+const WEEKS_SHOWN = 8;
+
+function shortDate(isoOrMs) {
+  const d = new Date(isoOrMs);
+  const dd = String(d.getUTCDate()).padStart(2, "0");
+  const mm = String(d.getUTCMonth() + 1).padStart(2, "0");
+  const yy = String(d.getUTCFullYear()).slice(-2);
+  return `${dd}/${mm}/${yy}`;
+}
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" }[c]));
+}
+
+/** Monday (UTC) of the week containing ts, as YYYY-MM-DD */
+function weekKey(ts) {
+  const d = new Date(ts);
+  const day = (d.getUTCDay() + 6) % 7; // Mon=0
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - day)).toISOString().slice(0, 10);
+}
+
+/** Mentions per week, newest last: [[YYYY-MM-DD, count]] */
+function mentionsByWeek(mentions) {
+  const counts = new Map();
+  for (const m of mentions) {
+    const k = weekKey(m.ts);
+    counts.set(k, (counts.get(k) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+/** Index of the first trading day on/after the mention's local date (last bar if none) */
+function barIndexForTs(ch, ts) {
+  const target = localYMD(ts, ch.tz);
+  for (let i = 0; i < ch.timestamps.length; i++) {
+    if (localYMD(ch.timestamps[i], ch.tz) >= target) return i;
+  }
+  return ch.timestamps.length - 1;
+}
+
+/**
+ * Render the daily close line with a dot per mention (first mention highlighted).
+ * Returns a PNG buffer, or null when there is nothing to draw.
+ */
+async function renderMentionsChart(symbol, ch, mentions, fromTs) {
+  const points = [];
+  for (let i = 0; i < ch.timestamps.length; i++) {
+    if (ch.timestamps[i] < fromTs) continue;
+    const c = ch.closes[i];
+    if (c != null && isFinite(c)) points.push({ i, ts: ch.timestamps[i], close: c });
+  }
+  if (points.length < 2) return null;
+
+  const minP = Math.min(...points.map((p) => p.close));
+  const maxP = Math.max(...points.map((p) => p.close));
+  const spanP = maxP - minP || maxP * 0.01 || 1;
+  const t0 = points[0].ts;
+  const t1 = points[points.length - 1].ts;
+  const plotW = CHART_W - PAD.left - PAD.right;
+  const plotH = CHART_H - PAD.top - PAD.bottom;
+  const x = (ts) => PAD.left + ((ts - t0) / (t1 - t0 || 1)) * plotW;
+  const y = (p) => PAD.top + (1 - (p - minP) / spanP) * plotH;
+
+  const line = points.map((p) => `${x(p.ts).toFixed(1)},${y(p.close).toFixed(1)}`).join(" ");
+
+  const byIndex = new Map(points.map((p) => [p.i, p]));
+  const dots = mentions.map((m, n) => {
+    const p = byIndex.get(barIndexForTs(ch, m.ts));
+    if (!p) return "";
+    const first = n === 0;
+    return `<circle cx="${x(p.ts).toFixed(1)}" cy="${y(p.close).toFixed(1)}" r="${first ? 7 : 4.5}" fill="${first ? "#f5c518" : "#ff4d4f"}" stroke="#ffffff" stroke-width="1"/>`;
+  });
+
+  const grid = [0, 0.25, 0.5, 0.75, 1].map((f) => {
+    const price = minP + f * spanP;
+    const gy = y(price).toFixed(1);
+    return `<line x1="${PAD.left}" y1="${gy}" x2="${CHART_W - PAD.right}" y2="${gy}" stroke="#2f3136" stroke-width="1"/>` +
+      `<text x="${PAD.left - 8}" y="${gy}" fill="#b9bbbe" font-size="12" font-family="sans-serif" text-anchor="end" dominant-baseline="middle">${price.toFixed(2)}</text>`;
+  });
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${CHART_W}" height="${CHART_H}">
+  <rect width="100%" height="100%" fill="#1e1f22"/>
+  ${grid.join("\n  ")}
+  <polyline points="${line}" fill="none" stroke="#00b7ff" stroke-width="2"/>
+  ${dots.join("\n  ")}
+  <text x="${PAD.left}" y="20" fill="#ffffff" font-size="15" font-family="sans-serif" font-weight="bold">${escapeXml(symbol)} · daily close · ${mentions.length} mentions</text>
+  <text x="${PAD.left}" y="${CHART_H - 12}" fill="#b9bbbe" font-size="12" font-family="sans-serif">${shortDate(t0)}</text>
+  <text x="${CHART_W - PAD.right}" y="${CHART_H - 12}" fill="#b9bbbe" font-size="12" font-family="sans-serif" text-anchor="end">${shortDate(t1)}</text>
+</svg>`;
+
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+/**
+ * Everything the room knows about one symbol:
+ * first mention + user, mentions per week, last mentions with links,
+ * % change since first mention, and a PNG chart of mentions on the daily price line.
+ */
+export async function showTickerHistory({ interaction, dbPath, symbol }) {
+  const sym = normalizeSymbol(symbol) || (symbol || "").replace(/^\$/, "").toUpperCase();
+  if (!sym) {
+    return interaction.followUp("❌ לא צוין טיקר.");
+  }
+
+  const mentions = await getTickerMentions(dbPath, sym);
+  if (!mentions.length) {
+    return interaction.followUp(`לא נמצאו אזכורים של \`${sym}\` בחדר הגרפים.`);
+  }
+
+  const first = mentions[0];
+  const last = mentions[mentions.length - 1];
+
+  const lines = [];
+  lines.push(`אזכור ראשון: [${shortDate(first.ts)}](${first.link || "#"}) — **${first.userName || "Unknown"}**`);
+  lines.push(`סה"כ אזכורים: **${mentions.length}**, אחרון: [${shortDate(last.ts)}](${last.link || "#"})`);
+
+  try {
+    const { basis, latest } = await fetchBasisAndLatest(sym, first.ts, { anchor: "mention", mode: "oc" });
+    const pct = ((latest - basis) / basis) * 100;
+    lines.push(`שינוי מאז האזכור הראשון: **${pct.toFixed(1)}%** (${basis.toFixed(2)} → ${latest.toFixed(2)})`);
+  } catch (e) {
+    console.warn(`ticker history: no price data for ${sym}:`, e?.message || e);
+  }
+
+  const weeks = mentionsByWeek(mentions).slice(-WEEKS_SHOWN);
+  const recent = mentions.slice(-LAST_MENTIONS).reverse();
+
+  const embed = new EmbedBuilder()
+    .setColor(0x00b7ff)
+    .setTitle(`🔎 ${sym} — היסטוריית אזכורים`)
+    .setDescription(lines.join("\n"))
+    .addFields(
+      {
+        name: "אזכורים לפי שבוע",
+        value: weeks.map(([wk, n]) => `\`${shortDate(wk)}\` ${"▮".repeat(Math.min(n, 20))} ${n}`).join("\n") || "—",
+      },
+      {
+        name: "אזכורים אחרונים",
+        value: recent.map((m) => `• [${shortDate(m.ts)}](${m.link || "#"}) — ${m.userName || "Unknown"}`).join("\n") || "—",
+      }
+    );
+
+  const files = [];
+  try {
+    const fromTs = first.ts - 14 * 86400000; // a little context before the first call
+    const ch = await getYahooChart(sym, fromTs);
+    const png = await renderMentionsChart(sym, ch, mentions, fromTs);
+    if (png) {
+      const name = `${sym.replace(/[^A-Z0-9]/g, "_")}.png`;
+      files.push(new AttachmentBuilder(png, { name }));
+      embed.setImage(`attachment://${name}`);
+    }
+  } catch (e) {
+    console.warn(`ticker history: chart failed for ${sym}:`, e?.message || e);
+  }
+
+  return interaction.followUp({ embeds: [embed], files });
+}
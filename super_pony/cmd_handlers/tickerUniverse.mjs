@@ -0,0 +1,61 @@
+import { EmbedBuilder } from "discord.js";
+import { readUniverseMeta, refreshTickerUniverse, TYPES } from "../../utils/tickerUniverse.mjs";
+
+const MAX_LISTED = 40; // symbols shown per list (the embed field cap is 1024 chars)
+
+function symbolList(symbols, format = (s) => `\`${s}\``) {
+  if (!symbols.length) return "—";
+  const shown = symbols.slice(0, MAX_LISTED).map(format).join(" ");
+  return symbols.length > MAX_LISTED ? `${shown} …ועוד ${symbols.length - MAX_LISTED}` : shown;
+}
+
+function formatIsraelTime(iso) {
+  return new Date(iso).toLocaleString("he-IL", { timeZone: "Asia/Jerusalem", dateStyle: "short", timeStyle: "short" });
+}
+
+/** Embed of the last universe refresh: counts by type, added / removed / renamed symbols */
+export function universeEmbed(meta) {
+  const diff = meta.lastDiff;
+  const byType = Object.fromEntries(TYPES.map((t) => [t, 0]));
+  for (const { type } of Object.values(meta.symbols || {})) byType[type in byType ? type : "other"]++;
+
+  return new EmbedBuilder()
+    .setColor(0x3498db)
+    .setTitle("📚 רשימת הטיקרים")
+    .setDescription(
+      [
+        `עודכנה: ${formatIsraelTime(diff.at)} (${diff.source})`,
+        `${diff.count} סימולים — ${TYPES.filter((t) => byType[t]).map((t) => `${t}: ${byType[t]}`).join(" · ")}`,
+      ].join("\n")
+    )
+    .addFields(
+      { name: `➕ נוספו (${diff.added.length})`, value: symbolList(diff.added) },
+      { name: `➖ הוסרו (${diff.removed.length})`, value: symbolList(diff.removed) },
+      {
+        name: `🔀 שינו סימול (${diff.renamed.length})`,
+        value: symbolList(diff.renamed, (r) => `\`${r.from}\`→\`${r.to}\``),
+      }
+    );
+}
+
+/**
+ * Admin: show what the last universe refresh changed; `refresh` runs one first
+ * (`force`: accept a list much smaller than the current one).
+ * `onRefreshed(diff)` lets the caller commit the new files.
+ */
+export async function showTickerUniverse({ interaction, allTickersFile, refresh = false, force = false, onRefreshed }) {
+  try {
+    if (refresh) {
+      const diff = await refreshTickerUniverse({ allTickersFile, force });
+      await onRefreshed?.(diff);
+    }
+    const meta = await readUniverseMeta(allTickersFile);
+    if (!meta.lastDiff) {
+      return interaction.followUp("רשימת הטיקרים עוד לא רועננה. כתבו: רענן טיקרים");
+    }
+    return interaction.followUp({ embeds: [universeEmbed(meta)] });
+  } catch (err) {
+    console.error("Ticker universe command failed:", err);
+    return interaction.followUp(`❌ רענון רשימת הטיקרים נכשל: ${err?.message || err}`);
+  }
+}
@@ -1,34 +1,27 @@
-import fs from "fs/promises";
-import axios from "axios";
 import {
   EmbedBuilder,
   ActionRowBuilder,
   StringSelectMenuBuilder,
   ButtonBuilder,
   ButtonStyle,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
 } from "discord.js";
+import { getTickerAggregates, getFirstMentionCounts, getTotals } from "../../utils/tickerQueries.mjs";
+import { registerPaginatedList, buildPaginatedMessage } from "../../utils/paginator.mjs";
+import { marketData } from "../../utils/marketData.mjs";
+import { priceSymbol } from "../../utils/symbols.mjs";
 
-/* ---------- per-message metric selection ---------- */
-const metricState = new Map(); // messageId -> "month_oc" | "month_cc" | "mention_oc" | "mention_cc"
-
-/* ======================== DB + time helpers ======================== */
-async function loadDb(dbPath) {
-  try {
-    const raw = await fs.readFile(dbPath, "utf-8");
-    const db = JSON.parse(raw || "{}");
-    return Array.isArray(db) ? { entries: db } : db || { entries: [] };
-  } catch {
-    return { entries: [] };
-  }
-}
-
-function startOfMonthUTC(d = new Date()) {
+/* ======================== time helpers ======================== */
+export function startOfMonthUTC(d = new Date()) {
   return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1, 0, 0, 0, 0);
 }
-function isInMonth(tsMs, monthStartMs) {
-  const d = new Date(tsMs);
-  const m0 = new Date(monthStartMs);
-  return d.getUTCFullYear() === m0.getUTCFullYear() && d.getUTCMonth() === m0.getUTCMonth();
+function startOfNextMonthUTC(d = new Date()) {
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1, 0, 0, 0, 0);
+}
+function utcYMD(ts) {
+  return new Date(ts).toISOString().slice(0, 10);
 }
 function shortDate(isoOrMs) {
   const d = new Date(isoOrMs);
@@ -38,46 +31,102 @@ function shortDate(isoOrMs) {
   return `${dd}/${mm}/${yy}`;
 }
 
-/* ======================== MTD aggregation ======================== */
-function buildMonthAgg(entries) {
-  const monthStart = startOfMonthUTC();
-  const mtd = entries.filter((e) => isInMonth(Date.parse(e.timestamp), monthStart));
+/* ======================== periods ======================== */
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const PAST_MONTHS_SHOWN = 6;
+const MAX_DAYS = 3650;
+
+/**
+ * Period id -> { fromTs, toTs, label } (UTC; toTs is exclusive, null = up to now).
+ * Ids: "mtd" | "month:YYYY-MM" | "week:YYYY-MM-DD" (Sunday-start week containing the date)
+ *      | "days:N" | "ytd". Unknown ids fall back to "mtd".
+ */
+function resolvePeriod(period = "mtd", now = new Date()) {
+  let m;
+  if ((m = /^month:(\d{4})-(\d{2})$/.exec(period))) {
+    const y = Number(m[1]), mo = Number(m[2]) - 1;
+    return {
+      fromTs: Date.UTC(y, mo, 1),
+      toTs: Date.UTC(y, mo + 1, 1),
+      label: `${MONTH_NAMES[mo]} ${y}`,
+    };
+  }
+  if ((m = /^week:(\d{4}-\d{2}-\d{2})$/.exec(period))) {
+    const d = new Date(`${m[1]}T00:00:00Z`);
+    const fromTs = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - d.getUTCDay());
+    const toTs = fromTs + 7 * 86400000;
+    return { fromTs, toTs, label: `Week ${shortDate(fromTs)}–${shortDate(toTs - 86400000)}` };
+  }
+  if ((m = /^days:(\d+)$/.exec(period))) {
+    const n = Math.min(Math.max(Number(m[1]), 1), MAX_DAYS);
+    return { fromTs: now.getTime() - n * 86400000, toTs: null, label: `Last ${n} days` };
+  }
+  if (period === "ytd") {
+    return { fromTs: Date.UTC(now.getUTCFullYear(), 0, 1), toTs: null, label: `YTD ${now.getUTCFullYear()}` };
+  }
+  return { fromTs: startOfMonthUTC(now), toTs: startOfNextMonthUTC(now), label: "This month" };
+}
+
+/** Parse the custom-week modal input: DD/MM/YYYY, DD.MM.YYYY or YYYY-MM-DD -> "week:YYYY-MM-DD" */
+function parseWeekInput(text) {
+  const t = (text || "").trim();
+  let m;
+  if ((m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(t))) {
+    const ts = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    return Number.isNaN(ts) ? null : `week:${utcYMD(ts)}`;
+  }
+  if ((m = /^(\d{1,2})[./](\d{1,2})[./](\d{2}|\d{4})$/.exec(t))) {
+    const y = m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3]);
+    const ts = Date.UTC(y, Number(m[2]) - 1, Number(m[1]));
+    return Number.isNaN(ts) ? null : `week:${utcYMD(ts)}`;
+  }
+  return null;
+}
+
+function buildPeriodOptions(current, now = new Date()) {
+  const opts = [{ label: "This month", value: "mtd" }];
+  for (let i = 1; i <= PAST_MONTHS_SHOWN; i++) {
+    const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1));
+    const value = `month:${utcYMD(d.getTime()).slice(0, 7)}`;
+    opts.push({ label: resolvePeriod(value).label, value });
+  }
+  opts.push(
+    { label: "Last 7 days", value: "days:7" },
+    { label: "Last 30 days", value: "days:30" },
+    { label: "Last 90 days", value: "days:90" },
+    { label: "YTD", value: "ytd" },
+    { label: "Custom week…", value: "custom_week" },
+    { label: "Last N days…", value: "custom_days" },
+  );
+  // keep a custom selection visible as the default
+  if (!opts.some((o) => o.value === current)) {
+    opts.unshift({ label: resolvePeriod(current).label, value: current });
+  }
+  return opts.slice(0, 25).map((o) => ({ ...o, default: o.value === current }));
+}
+
+/* ======================== period aggregation ======================== */
+async function buildPeriodAgg(dbPath, period) {
+  const { fromTs, toTs } = resolvePeriod(period);
+  const range = { fromTs, toTs: toTs ?? undefined };
+  const aggs = await getTickerAggregates(dbPath, range);
 
   const byTicker = new Map();
-  for (const e of mtd) {
-    const sym = e.ticker?.toUpperCase();
-    if (!sym) continue;
-    const ts = Date.parse(e.timestamp);
-    const cur = byTicker.get(sym) || {
-      countMTD: 0,
-      firstTs: Infinity,
-      firstLink: "",
-      firstUserId: "",
-      firstUserName: "",
-      lastTs: -1,
-      lastLink: "",
-    };
-    cur.countMTD++;
-    if (ts < cur.firstTs) {
-      cur.firstTs = ts;
-      cur.firstLink = e.link || "";
-      cur.firstUserId = e?.user?.id || "";
-      cur.firstUserName = e?.user?.name || "";
-    }
-    if (ts > cur.lastTs) {
-      cur.lastTs = ts;
-      cur.lastLink = e.link || "";
-    }
-    byTicker.set(sym, cur);
+  for (const a of aggs) {
+    byTicker.set(a.symbol, {
+      count: a.count,
+      firstTs: a.firstTs,
+      firstLink: a.firstLink,
+      firstUserId: a.firstUserId,
+      firstUserName: a.firstUserName,
+      lastTs: a.lastTs,
+      lastLink: a.lastLink,
+    });
   }
 
   const firstByUserCounts = new Map();
-  for (const [, v] of byTicker) {
-    if (!v.firstUserId) continue;
-    const e = firstByUserCounts.get(v.firstUserId) || { name: v.firstUserName || "", count: 0 };
-    e.count++;
-    if (!e.name && v.firstUserName) e.name = v.firstUserName;
-    firstByUserCounts.set(v.firstUserId, e);
+  for (const u of await getFirstMentionCounts(dbPath, range)) {
+    firstByUserCounts.set(u.id, { name: u.name, count: u.count });
   }
 
   return { byTicker, firstByUserCounts };
@@ -86,18 +135,19 @@ function buildMonthAgg(entries) {
 /* ======================== Yahoo Finance fetch ======================== */
 const chartCache = new Map();
 
-async function getYahooChart(symbol, fromTsMs) {
+/**
+ * Daily chart since `fromTsMs` for a canonical id (stock, crypto, TASE or index; see utils/symbols.mjs);
+ * cached per symbol/range (`maxAgeMs` forces a refetch of older entries)
+ */
+export async function getYahooChart(symbol, fromTsMs, { maxAgeMs = Infinity } = {}) {
   const days = Math.max(1, Math.floor((Date.now() - (fromTsMs || Date.now())) / 86400000));
   const range = days <= 30 ? "1mo" : days <= 62 ? "3mo" : days <= 370 ? "1y" : "5y";
 
   const cacheKey = `${symbol}|${range}`;
-  if (chartCache.has(cacheKey)) return chartCache.get(cacheKey);
+  const cached = chartCache.get(cacheKey);
+  if (cached && Date.now() - cached.fetchedAt <= maxAgeMs) return cached;
 
-  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(
-    symbol
-  )}?interval=1d&range=${range}`;
-  const { data } = await axios.get(url);
-  const r = data?.chart?.result?.[0];
+  const r = await marketData().getChart(priceSymbol(symbol), range, Number.isFinite(maxAgeMs) ? { maxAgeMs } : undefined);
   if (!r) throw new Error(`yahoo chart NA for ${symbol}`);
 
   const ts = (r.timestamp || []).map((s) => s * 1000);
@@ -115,12 +165,22 @@ async function getYahooChart(symbol, fromTsMs) {
     throw new Error(`yahoo parse fail for ${symbol}`);
   }
 
-  const out = { timestamps: ts, opens, closes, lastClose, lastPrice, tz };
+  const out = { timestamps: ts, opens, closes, lastClose, lastPrice, tz, fetchedAt: Date.now() };
   chartCache.set(cacheKey, out);
   return out;
 }
 
-function localYMD(ts, tz) {
+/** { price, prevClose, changePct } — latest price vs the previous daily close */
+export async function getDailyQuote(symbol, { maxAgeMs = 2 * 60 * 1000 } = {}) {
+  const ch = await getYahooChart(symbol, Date.now(), { maxAgeMs });
+  const closes = ch.closes.filter((v) => v != null && isFinite(v));
+  const price = ch.lastPrice ?? ch.lastClose;
+  const prevClose = closes.length >= 2 ? closes[closes.length - 2] : null;
+  if (!(price > 0)) throw new Error(`no price for ${symbol}`);
+  return { price, prevClose, changePct: prevClose > 0 ? ((price - prevClose) / prevClose) * 100 : null };
+}
+
+export function localYMD(ts, tz) {
   const fmt = new Intl.DateTimeFormat("en-CA", {
     timeZone: tz,
     year: "numeric",
@@ -139,9 +199,8 @@ function monthFirstYMD(tz) {
   const month = parts.find((p) => p.type === "month")?.value || "01";
   return `${year}-${month}-01`;
 }
-function pickStartIndex(ch, anchor, mentionTs) {
+function pickStartIndex(ch, targetYMD) {
   const tz = ch.tz || "America/New_York";
-  const targetYMD = anchor === "month" ? monthFirstYMD(tz) : localYMD(mentionTs, tz);
   let idx = -1;
   for (let i = 0; i < ch.timestamps.length; i++) {
     const ymd = localYMD(ch.timestamps[i], tz);
@@ -151,11 +210,19 @@ function pickStartIndex(ch, anchor, mentionTs) {
   return idx;
 }
 
-/** opts: { anchor:"mention"|"month", mode:"oc"|"cc" } */
-async function fetchBasisAndLatest(symbol, mentionTs, opts) {
-  const { anchor = "mention", mode = "oc" } = opts || {};
-  const ch = await getYahooChart(symbol, anchor === "month" ? startOfMonthUTC() : mentionTs);
-  const idx = pickStartIndex(ch, anchor, mentionTs);
+/**
+ * opts: { anchor:"mention"|"month", mode:"oc"|"cc", fromTs?, toTs? }
+ * - anchor "month" starts at the period start (`fromTs`, UTC date; default: this month)
+ * - a period that already ended (`toTs` in the past) is measured up to its last daily close
+ */
+export async function fetchBasisAndLatest(symbol, mentionTs, opts) {
+  const { anchor = "mention", mode = "oc", fromTs = null, toTs = null } = opts || {};
+  const tzOf = (ch) => ch.tz || "America/New_York";
+  const ch = await getYahooChart(symbol, anchor === "month" ? (fromTs ?? startOfMonthUTC()) : mentionTs);
+  const startYMD = anchor === "month"
+    ? (fromTs != null ? utcYMD(fromTs) : monthFirstYMD(tzOf(ch)))
+    : localYMD(mentionTs, tzOf(ch));
+  const idx = pickStartIndex(ch, startYMD);
 
   let startOpen = ch.opens[idx];
   let startClose = ch.closes[idx];
@@ -166,8 +233,19 @@ async function fetchBasisAndLatest(symbol, mentionTs, opts) {
     if (ch.closes[j] != null && isFinite(ch.closes[j])) { startClose = ch.closes[j]; break; }
   }
 
-  const lastClose = ch.lastClose;
-  const lastPrice = ch.lastPrice;
+  let lastClose = ch.lastClose;
+  let lastPrice = ch.lastPrice;
+  if (toTs != null && toTs <= Date.now()) {
+    // closed period: last close before the period end
+    const endYMD = utcYMD(toTs);
+    lastClose = lastPrice = undefined;
+    for (let j = ch.timestamps.length - 1; j >= idx; j--) {
+      if (localYMD(ch.timestamps[j], tzOf(ch)) < endYMD && ch.closes[j] != null && isFinite(ch.closes[j])) {
+        lastClose = lastPrice = ch.closes[j];
+        break;
+      }
+    }
+  }
 
   if (!(startOpen > 0) && !(startClose > 0)) throw new Error("bad start prices");
   if (!(lastPrice > 0) && !(lastClose > 0)) throw new Error("bad latest price");
@@ -181,6 +259,7 @@ async function fetchBasisAndLatest(symbol, mentionTs, opts) {
 /* concurrency map */
 async function mapLimit(items, limit, worker) {
   const results = new Array(items.length);
+  if (!items.length) return results;
   let i = 0, active = 0;
   return await new Promise((resolve) => {
     const next = () => {
@@ -202,11 +281,14 @@ async function mapLimit(items, limit, worker) {
 }
 
 /** rank by gain */
-async function computeGainers(items, { limitTickers = 50, concurrency = 3, anchor = "month", mode = "oc" } = {}) {
+export async function computeGainers(
+  items,
+  { limitTickers = 50, concurrency = 3, anchor = "month", mode = "oc", fromTs = null, toTs = null } = {}
+) {
   const subset = items.slice(0, limitTickers);
   const out = await mapLimit(subset, concurrency, async (info) => {
     try {
-      const { basis, latest } = await fetchBasisAndLatest(info.symbol, info.firstTs, { anchor, mode });
+      const { basis, latest } = await fetchBasisAndLatest(info.symbol, info.firstTs, { anchor, mode, fromTs, toTs });
       const pct = ((latest - basis) / basis) * 100;
       return { ...info, basis, latest, pct };
     } catch {
@@ -216,69 +298,117 @@ async function computeGainers(items, { limitTickers = 50, concurrency = 3, ancho
   return out.filter(Boolean).sort((a, b) => b.pct - a.pct);
 }
 
+/**
+ * Same items with `pct` (since first mention) where price data exists; the rest unchanged.
+ * Only the first `limitTickers` items are priced — callers pass them in count order.
+ */
+export async function attachReturns(items, { limitTickers = 150, mode = "oc" } = {}) {
+  const scored = await computeGainers(items, { limitTickers, concurrency: 4, anchor: "mention", mode });
+  const pctBySymbol = new Map(scored.map((r) => [r.symbol, r.pct]));
+  return items.map((it) => (pctBySymbol.has(it.symbol) ? { ...it, pct: pctBySymbol.get(it.symbol) } : it));
+}
+
 /* ======================== UI builders ======================== */
 const METRIC_CHOICES = [
-  { label: "Open→Close (Month)",           value: "month_oc"   },
-  { label: "Close→Close (Month)",          value: "month_cc"   },
+  { label: "Open→Close (Period)",          value: "month_oc"   },
+  { label: "Close→Close (Period)",         value: "month_cc"   },
   { label: "Open→Close (Since Mention)",   value: "mention_oc" },
   { label: "Close→Close (Since Mention)",  value: "mention_cc" },
 ];
 
-function buildDashboardComponents(userOptions, currentUserId, currentMetric = "month_oc") {
+/* ---------- dashboard state, carried in every customId ----------
+ * customId = "dash:<action>|<metric>|<period>|<userId>"
+ * - userId: dashboard owner (Mine)
+ * Result pages are paginator messages (pg:dash ids) that carry the same state.
+ * Nothing is kept in memory, so any dashboard keeps working after a restart.
+ * Legacy ids ("dash:hot5", "dash:mine:<uid>") decode with the defaults.
+ */
+function encodeState(action, { metric = "month_oc", period = "mtd", userId = "" } = {}) {
+  return `dash:${action}|${metric}|${period}|${userId}`;
+}
+function decodeState(customId) {
+  const [head, metric, period, userId] = customId.split("|");
+  let action = head.slice("dash:".length);
+  let legacyUser = "";
+  if (action.startsWith("mine:")) {
+    legacyUser = action.split(":")[1] || "";
+    action = "mine";
+  }
+  return {
+    action,
+    metric: metric || "month_oc",
+    period: period || "mtd",
+    userId: userId || legacyUser,
+  };
+}
+
+function buildDashboardComponents(userOptions, state) {
   const row1 = new ActionRowBuilder().addComponents(
-    new ButtonBuilder().setCustomId("dash:hot5").setStyle(ButtonStyle.Primary).setLabel("Hot5"),
-    new ButtonBuilder().setCustomId("dash:hot10").setStyle(ButtonStyle.Primary).setLabel("Hot10"),
-    new ButtonBuilder().setCustomId("dash:hot20").setStyle(ButtonStyle.Primary).setLabel("Hot20"), // NEW
-    new ButtonBuilder().setCustomId(`dash:mine:${currentUserId}`).setStyle(ButtonStyle.Secondary).setLabel("Mine"),
-    new ButtonBuilder().setCustomId("dash:all").setStyle(ButtonStyle.Secondary).setLabel("All"),
+    new ButtonBuilder().setCustomId(encodeState("hot5", state)).setStyle(ButtonStyle.Primary).setLabel("Hot5"),
+    new ButtonBuilder().setCustomId(encodeState("hot10", state)).setStyle(ButtonStyle.Primary).setLabel("Hot10"),
+    new ButtonBuilder().setCustomId(encodeState("hot20", state)).setStyle(ButtonStyle.Primary).setLabel("Hot20"), // NEW
+    new ButtonBuilder().setCustomId(encodeState("mine", state)).setStyle(ButtonStyle.Secondary).setLabel("Mine"),
+    new ButtonBuilder().setCustomId(encodeState("all", state)).setStyle(ButtonStyle.Secondary).setLabel("All"),
   );
 
   const menuUsers = new StringSelectMenuBuilder()
-    .setCustomId("dash:user")
+    .setCustomId(encodeState("user", state))
     .setPlaceholder("Users")
     .addOptions(userOptions.slice(0, 25));
   const row2 = new ActionRowBuilder().addComponents(menuUsers);
 
   const menuMetric = new StringSelectMenuBuilder()
-    .setCustomId("dash:metric")
+    .setCustomId(encodeState("metric", state))
     .setPlaceholder("Metric")
     .addOptions(
       METRIC_CHOICES.map((m) => ({
         label: m.label,
         value: m.value,
-        default: m.value === currentMetric,
+        default: m.value === state.metric,
       }))
     );
   const row3 = new ActionRowBuilder().addComponents(menuMetric);
 
-  return [row1, row2, row3];
-}
+  const menuPeriod = new StringSelectMenuBuilder()
+    .setCustomId(encodeState("period", state))
+    .setPlaceholder("Period")
+    .addOptions(buildPeriodOptions(state.period));
+  const row4 = new ActionRowBuilder().addComponents(menuPeriod);
+
+  // handled by leaderboard.mjs (lb:* ids)
+  const row5 = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId("lb:open").setStyle(ButtonStyle.Success).setLabel("🏆 Leaderboard"),
+  );
 
-function getSelectedMetricForMessage(message) {
-  return metricState.get(message.id) || "month_oc";
+  const rows = [row1, row3, row4, row5];
+  // a select menu needs at least one option; an empty period has no users
+  if (userOptions.length) rows.splice(1, 0, row2);
+  return rows;
 }
-function metricToComputeOpts(metric) {
+
+function metricToComputeOpts(metric, period = "mtd") {
+  const { fromTs, toTs } = resolvePeriod(period);
+  const range = { fromTs, toTs };
   switch (metric) {
-    case "month_cc":   return { anchor: "month",   mode: "cc" };
-    case "mention_oc": return { anchor: "mention", mode: "oc" };
-    case "mention_cc": return { anchor: "mention", mode: "cc" };
+    case "month_cc":   return { anchor: "month",   mode: "cc", ...range };
+    case "mention_oc": return { anchor: "mention", mode: "oc", ...range };
+    case "mention_cc": return { anchor: "mention", mode: "cc", ...range };
     case "month_oc":
-    default:           return { anchor: "month",   mode: "oc" };
+    default:           return { anchor: "month",   mode: "oc", ...range };
   }
 }
 
-/* ======================== Public: dashboard ======================== */
-export async function showTickersDashboard({ message, dbPath }) {
-  const { entries } = await loadDb(dbPath);
-
-  const allUnique = new Set(entries.map((e) => (e.ticker || "").toUpperCase()).filter(Boolean)).size;
+/* ======================== dashboard view ======================== */
+async function buildDashboardView(dbPath, { userId, metric = "month_oc", period = "mtd" }) {
+  const { uniqueTickers: allUnique } = await getTotals(dbPath);
+  const { label: periodLabel } = resolvePeriod(period);
 
-  const { byTicker, firstByUserCounts } = buildMonthAgg(entries);
-  const mtdItems = [...byTicker.entries()];
-  const mtdUnique = mtdItems.length;
+  const { byTicker, firstByUserCounts } = await buildPeriodAgg(dbPath, period);
+  const periodItems = [...byTicker.entries()];
+  const periodUnique = periodItems.length;
 
-  const top10 = mtdItems
-    .sort((a, b) => b[1].countMTD - a[1].countMTD || a[0].localeCompare(b[0]))
+  const top10 = periodItems
+    .sort((a, b) => b[1].count - a[1].count || a[0].localeCompare(b[0]))
     .slice(0, 10)
     .map(([s]) => s);
 
@@ -288,8 +418,8 @@ export async function showTickersDashboard({ message, dbPath }) {
     .slice(0, 3)
     .map((x) => x.name);
 
-  // quick preview of top gainers (month_oc)
-  const quickInfos = mtdItems.map(([sym, v]) => ({
+  // quick preview of top gainers (period open→close)
+  const quickInfos = periodItems.map(([sym, v]) => ({
     symbol: sym,
     firstTs: v.firstTs,
     firstUserName: v.firstUserName,
@@ -300,8 +430,7 @@ export async function showTickersDashboard({ message, dbPath }) {
     const gainers = await computeGainers(quickInfos, {
       limitTickers: 25,
       concurrency: 3,
-      anchor: "month",
-      mode: "oc",
+      ...metricToComputeOpts("month_oc", period),
     });
     topGainersSyms = gainers.slice(0, 3).map((g) => g.symbol);
   } catch {
@@ -315,7 +444,7 @@ export async function showTickersDashboard({ message, dbPath }) {
 
   const lines = [];
   lines.push(`Total Tracked: **${allUnique}** Tickers`);
-  lines.push(`This month: **${mtdUnique}** Tickers`);
+  lines.push(`${periodLabel}: **${periodUnique}** Tickers`);
   if (top10.length)       lines.push(`Top 10 Tickers: ${top10.map((s) => `\`${s}\``).join(", ")}`);
   if (posters.length)     lines.push(`Top 3 Posters: ${posters.join(", ")}`);
   if (topGainersSyms.length)
@@ -323,157 +452,181 @@ export async function showTickersDashboard({ message, dbPath }) {
 
   const embed = new EmbedBuilder()
     .setColor(0x00b7ff)
-    .setTitle("📈 Tickers — Dashboard (MTD)")
+    .setTitle(`📈 Tickers — Dashboard (${periodLabel})`)
     .setDescription(lines.join("\n"));
 
-  const components = buildDashboardComponents(userOptions, message.author.id, "month_oc");
-  const sent = await message.channel.send({ embeds: [embed], components });
+  const components = buildDashboardComponents(userOptions, { metric, period, userId });
+  return { embeds: [embed], components };
+}
 
-  metricState.set(sent.id, "month_oc");
+/* ======================== Public: dashboard ======================== */
+export async function showTickersDashboard({ message, dbPath }) {
+  const view = await buildDashboardView(dbPath, { userId: message.author.id });
+  await message.channel.send(view);
 }
 
-/* ======================== Public: interactions ======================== */
-export async function handleDashboardInteraction({ interaction, dbPath }) {
-  const cid = interaction.customId || "";
-  if (!cid.startsWith("dash:")) return false;
+function buildPeriodModal(kind, state) {
+  const week = kind === "custom_week";
+  const input = new TextInputBuilder()
+    .setCustomId("value")
+    .setLabel(week ? "תאריך כלשהו בשבוע (DD/MM/YYYY)" : "מספר ימים אחורה")
+    .setStyle(TextInputStyle.Short)
+    .setRequired(true)
+    .setPlaceholder(week ? "18/08/2025" : "14");
+  return new ModalBuilder()
+    .setCustomId(encodeState(week ? "period_week" : "period_days", state))
+    .setTitle(week ? "Custom week" : "Last N days")
+    .addComponents(new ActionRowBuilder().addComponents(input));
+}
 
-  const { entries } = await loadDb(dbPath);
-  const { byTicker } = buildMonthAgg(entries);
-  const mtd = [...byTicker.entries()].sort(
-    (a, b) => b[1].countMTD - a[1].countMTD || a[0].localeCompare(b[0])
-  );
+/** Re-render the dashboard message in place with the new state */
+async function rerenderDashboard(interaction, dbPath, state) {
+  await interaction.deferUpdate();
+  const view = await buildDashboardView(dbPath, {
+    userId: state.userId || interaction.user.id,
+    metric: state.metric,
+    period: state.period,
+  });
+  await interaction.editReply(view);
+}
 
-  const infos = mtd.map(([sym, v]) => ({
-    symbol: sym,
-    firstTs: v.firstTs,
-    firstLink: v.firstLink,
-    firstUserName: v.firstUserName,
-    firstUserId: v.firstUserId,
-    lastLink: v.lastLink,
-    lastTs: v.lastTs,
-    countMTD: v.countMTD,
-  }));
+/* ======================== result views ======================== */
+const RESULT_VIEWS = ["hot5", "hot10", "hot20", "mine", "all", "user"];
 
-  const sendPaged = async (title, lines) => {
-    if (!interaction.deferred && !interaction.replied) {
-      await interaction.deferReply({ flags: 64 });
-    }
-    if (!lines.length) {
-      await interaction.editReply("—");
-      return;
-    }
-    let cur = "", chunks = [];
-    for (const ln of lines) {
-      if (cur.length + ln.length + 1 > 1800) { chunks.push(cur); cur = ""; }
-      cur += ln + "\n";
-    }
-    if (cur) chunks.push(cur);
-    await interaction.editReply(`**${title}**\n${chunks[0]}`);
-    for (let i = 1; i < chunks.length; i++) {
-      await interaction.followUp({ content: chunks[i], flags: 64 });
-    }
+function gainLine(r, i, fallbackName) {
+  const who = r.firstUserName || fallbackName;
+  const pct = Number.isFinite(r.pct) ? `**${r.pct.toFixed(1)}%**` : "—";
+  return `${i + 1}. \`${r.symbol}\`: ${pct}, [${who}](${r.firstLink || "#"})`;
+}
+
+/**
+ * Paginated list behind the dashboard's result buttons.
+ * args: [view, metric, period, userId] — userId is the owner (Mine) or the selected user.
+ */
+registerPaginatedList("dash", async ({ dbPath, args: [view, metric = "month_oc", period = "mtd", userId = ""] }) => {
+  const { label: periodLabel } = resolvePeriod(period);
+  const { byTicker } = await buildPeriodAgg(dbPath, period);
+  const infos = [...byTicker.entries()]
+    .sort((a, b) => b[1].count - a[1].count || a[0].localeCompare(b[0]))
+    .map(([sym, v]) => ({
+      symbol: sym,
+      firstTs: v.firstTs,
+      firstLink: v.firstLink,
+      firstUserName: v.firstUserName,
+      firstUserId: v.firstUserId,
+      lastLink: v.lastLink,
+      lastTs: v.lastTs,
+      ts: v.lastTs,
+      count: v.count,
+    }));
+  const computeOpts = metricToComputeOpts(metric, period);
+  const withReturns = async (items) => {
+    const scored = await computeGainers(items, { limitTickers: 300, concurrency: 4, ...computeOpts });
+    const pctBySymbol = new Map(scored.map((r) => [r.symbol, r.pct]));
+    return items.map((it) => (pctBySymbol.has(it.symbol) ? { ...it, pct: pctBySymbol.get(it.symbol) } : it));
   };
+  const base = { color: 0x00b7ff, footer: `${periodLabel} · ${METRIC_CHOICES.find((m) => m.value === metric)?.label || metric}`, withReturns };
+
+  // Hot5 / Hot10 / Hot20
+  if (view === "hot5" || view === "hot10" || view === "hot20") {
+    const topN = view === "hot5" ? 5 : view === "hot10" ? 10 : 20;
+    const ranked = await computeGainers(infos, { limitTickers: 300, concurrency: 4, ...computeOpts });
+    return {
+      ...base,
+      title: `🔥 Hot ${topN}`,
+      empty: "לא הצלחתי לחשב תשואות כרגע.",
+      items: ranked.slice(0, topN),
+      withReturns: async (items) => items,
+      renderLine: (r, i) => gainLine(r, i, "user"),
+    };
+  }
 
-  // Metric selection
-  if (cid === "dash:metric" && interaction.isStringSelectMenu()) {
-    const selected = interaction.values?.[0] || "month_oc";
-    metricState.set(interaction.message.id, selected);
-    await interaction.deferUpdate();
-    return true;
+  // All
+  if (view === "all") {
+    return {
+      ...base,
+      title: `📋 All (${periodLabel})`,
+      empty: `לא נמצאו טיקרים בתקופה (${periodLabel}).`,
+      items: infos,
+      renderLine: (v) => {
+        const firstUrl = v.firstLink || "#";
+        const lastUrl = v.lastLink || "#";
+        const lastStr = shortDate(v.lastTs);
+        const who = v.firstUserName ? ` (${v.firstUserName})` : "";
+        const pct = Number.isFinite(v.pct) ? ` — **${v.pct.toFixed(1)}%**` : "";
+        return `• [\`${v.symbol}\`](${firstUrl}) — **${v.count}**${who} — [${lastStr}](${lastUrl})${pct}`;
+      },
+    };
   }
 
-  const metric = getSelectedMetricForMessage(interaction.message);
-  const computeOpts = metricToComputeOpts(metric);
+  // Mine / Users dropdown: first mentions of one user
+  const mine = view === "mine";
+  const firsts = userId ? infos.filter((v) => v.firstUserId === userId) : [];
+  return {
+    ...base,
+    title: mine ? `🎯 Mine (first mentions, ${periodLabel})` : `👤 User's first mentions (${periodLabel})`,
+    empty: mine
+      ? `אין טיקרים שהוזכרו ראשונים על ידך בתקופה (${periodLabel}).`
+      : `אין טיקרים למשתמש זה בתקופה (${periodLabel}).`,
+    items: firsts,
+    renderLine: (r, i) => gainLine(r, i, mine ? "you" : "user"),
+  };
+});
 
-  // Hot5 / Hot10 / Hot20  <<< UPDATED
-  if (cid === "dash:hot5" || cid === "dash:hot10" || cid === "dash:hot20") {
-    const topN = cid === "dash:hot5" ? 5 : cid === "dash:hot10" ? 10 : 20;
-    await interaction.deferReply({ flags: 64 });
-    try {
-      const ranked = await computeGainers(infos, { limitTickers: 300, concurrency: 4, ...computeOpts });
-      const picked = ranked.slice(0, topN);
-      const lines = picked.map((r, i) => {
-        const who = r.firstUserName || "user";
-        const pct = r.pct.toFixed(1);
-        return `${i + 1}. \`${r.symbol}\`: **${pct}%**, [${who}](${r.firstLink || "#"})`;
-      });
-      await sendPaged(topN === 5 ? "🔥 Hot 5" : topN === 10 ? "🔥 Hot 10" : "🔥 Hot 20", lines);
-    } catch (e) {
-      console.error("dash:hot error:", e);
-      await interaction.editReply("לא הצלחתי לחשב תשואות כרגע.");
-    }
+/* ======================== Public: interactions ======================== */
+export async function handleDashboardInteraction({ interaction, dbPath }) {
+  const cid = interaction.customId || "";
+  if (!cid.startsWith("dash:")) return false;
+  const state = decodeState(cid);
+
+  // Metric selection
+  if (state.action === "metric" && interaction.isStringSelectMenu()) {
+    await rerenderDashboard(interaction, dbPath, { ...state, metric: interaction.values?.[0] || "month_oc" });
     return true;
   }
 
-  // Mine
-  if (cid.startsWith("dash:mine:")) {
-    const uid = cid.split(":")[2] || interaction.user.id;
-    await interaction.deferReply({ flags: 64 });
-    const mine = infos.filter((v) => v.firstUserId === uid);
-    if (!mine.length) {
-      await interaction.editReply("אין טיקרים שהוזכרו ראשונים על ידך החודש.");
+  // Period selection (custom entries open a modal; the modal submit applies it)
+  if (state.action === "period" && interaction.isStringSelectMenu()) {
+    const selected = interaction.values?.[0] || "mtd";
+    if (selected === "custom_week" || selected === "custom_days") {
+      await interaction.showModal(buildPeriodModal(selected, state));
       return true;
     }
-    try {
-      const ranked = await computeGainers(mine, { limitTickers: 200, concurrency: 4, ...computeOpts });
-      const lines = ranked.map((r, i) => {
-        const pct = r.pct.toFixed(1);
-        const who = r.firstUserName || "you";
-        return `${i + 1}. \`${r.symbol}\`: **${pct}%**, [${who}](${r.firstLink || "#"})`;
-      });
-      await sendPaged("🎯 Mine (first mentions this month)", lines);
-    } catch (e) {
-      console.error("dash:mine error:", e);
-      await interaction.editReply("תקלה בחישוב תשואות.");
-    }
-    return true;
-  }
-
-  // All
-  if (cid === "dash:all") {
-    await interaction.deferReply({ flags: 64 });
-    const lines = infos.map((v) => {
-      const firstUrl = v.firstLink || "#";
-      const lastUrl = v.lastLink || "#";
-      const lastStr = shortDate(v.lastTs);
-      const who = v.firstUserName ? ` (${v.firstUserName})` : "";
-      return `• [\`${v.symbol}\`](${firstUrl}) — **${v.countMTD}**${who} — [${lastStr}](${lastUrl})`;
-    });
-    await sendPaged("📋 All (this month)", lines);
+    await rerenderDashboard(interaction, dbPath, { ...state, period: selected });
     return true;
   }
-
-  // Users dropdown
-  if (cid === "dash:user" && interaction.isStringSelectMenu()) {
-    try {
-      const targetId = interaction.values?.[0];
-      if (!targetId) {
-        await interaction.deferReply({ flags: 64 });
-        await interaction.editReply("לא נבחר משתמש.");
-        return true;
-      }
-      const userFirst = infos.filter((v) => v.firstUserId === targetId);
-      if (!userFirst.length) {
-        await interaction.deferReply({ flags: 64 });
-        await interaction.editReply("אין טיקרים למשתמש זה החודש.");
-        return true;
-      }
-      const ranked = await computeGainers(userFirst, { limitTickers: 200, concurrency: 4, ...computeOpts });
-      const lines = ranked.map((r, i) => {
-        const pct = r.pct.toFixed(1);
-        const who = r.firstUserName || "user";
-        return `${i + 1}. \`${r.symbol}\`: **${pct}%**, [${who}](${r.firstLink || "#"})`;
-      });
-      await sendPaged("👤 User's first mentions (MTD)", lines);
-    } catch (e) {
-      console.error("dash:user error:", e);
-      if (!interaction.deferred && !interaction.replied) {
-        await interaction.deferReply({ flags: 64 }).catch(() => {});
-      }
-      await interaction.editReply("תקלה בעיבוד הבחירה.");
+  if ((state.action === "period_week" || state.action === "period_days") && interaction.isModalSubmit()) {
+    const raw = interaction.fields.getTextInputValue("value");
+    const period = state.action === "period_week"
+      ? parseWeekInput(raw)
+      : (/^\d+$/.test(raw.trim()) && Number(raw) > 0 ? `days:${Number(raw)}` : null);
+    if (!period) {
+      await interaction.reply({ content: "❌ ערך לא תקין.", flags: 64 });
+      return true;
     }
+    await rerenderDashboard(interaction, dbPath, { ...state, period });
     return true;
   }
 
-  return false;
+  // Result views open as an ephemeral paginated list (pg:dash ids take it from there)
+  if (!RESULT_VIEWS.includes(state.action)) return false;
+  const view = state.action;
+  let userId = state.userId;
+  if (view === "user") userId = interaction.values?.[0] || "";
+  if (view === "mine" && !userId) userId = interaction.user.id;
+
+  try {
+    await interaction.deferReply({ flags: 64 });
+    await interaction.editReply(
+      await buildPaginatedMessage("dash", {
+        dbPath,
+        args: [view, state.metric, state.period, userId],
+        sort: view === "all" ? "count" : "return",
+      })
+    );
+  } catch (e) {
+    console.error(`dash:${view} error:`, e);
+    await interaction.editReply({ content: "לא הצלחתי לחשב תשואות כרגע.", components: [] }).catch(() => {});
+  }
+  return true;
 }
@@ -1,28 +1,60 @@
-import axios from "axios";
-import fs from "fs/promises";
-import path from "path";
+import { EmbedBuilder } from "discord.js";
+import { getTickerAggregates } from "../../utils/tickerQueries.mjs";
+import { marketData } from "../../utils/marketData.mjs";
 
-const SP_FILE = path.resolve("./super_pony/sp500.json");
+/**
+ * Earnings calendar (Finnhub): a day or a range of days, filtered by S&P 500,
+ * tickers tracked in the graphs room, the user's own called tickers or market cap.
+ * One embed per day, grouped by BMO / during hours / AMC, with quarter and EPS / revenue estimates.
+ */
 
-async function loadSP500() {
-  try {
-    const txt = await fs.readFile(SP_FILE, "utf-8");
-    const { updated, symbols } = JSON.parse(txt);
-    if ((Date.now() - Date.parse(updated)) / 86400000 < 30) return symbols;
-  } catch {}
-  const csvUrl = "https://raw.githubusercontent.com/datasets/s-and-p-500-companies/master/data/constituents.csv";
-  const { data: csv } = await axios.get(csvUrl);
-  const symbols = csv
-    .split("\n")
-    .slice(1)
-    .map((line) => line.split(",")[0])
-    .filter(Boolean);
-  await fs.writeFile(
-    SP_FILE,
-    JSON.stringify({ updated: new Date().toISOString(), symbols }, null, 2),
-    "utf-8"
-  );
-  return symbols;
+const MAX_CAP_LOOKUPS = 50; // uncached profiles per request (Finnhub free tier: 60 calls/min)
+const FIELD_MAX = 1000;     // embed field values are capped at 1024 chars
+const HE_DAYS = ["ראשון", "שני", "שלישי", "רביעי", "חמישי", "שישי", "שבת"];
+
+export const EARNINGS_RANGES = [
+  { name: "Today",     value: "today" },
+  { name: "Tomorrow",  value: "tomorrow" },
+  { name: "This week", value: "week" },
+  { name: "Next week", value: "next_week" },
+];
+
+export const EARNINGS_FILTERS = [
+  { name: "All",             value: "all" },
+  { name: "S&P 500",         value: "sp500" },
+  { name: "Tracked tickers", value: "tracked" },
+  { name: "My tickers",      value: "mine" },
+];
+
+/**
+ * Market caps in $M (company profiles, cached by the market data provider).
+ * Uncached lookups go in `symbols` order and stop after `need` symbols reach `minCapM`
+ * (0 = no stop) or when the lookup budget runs out; symbols never checked are counted in `unchecked`.
+ */
+async function loadMarketCaps(symbols, { minCapM = 0, need = 0 } = {}) {
+  const md = marketData();
+  const caps = new Map();
+  let lookups = 0, passed = 0, stopped = false;
+  for (const symbol of symbols) {
+    if (need && passed >= need) break;
+    let profile = await md.getCompanyProfile(symbol, { cacheOnly: true });
+    if (profile === undefined) {
+      if (stopped || lookups >= MAX_CAP_LOOKUPS) continue;
+      lookups++;
+      try {
+        profile = await md.getCompanyProfile(symbol);
+      } catch (e) {
+        console.warn(`earnings: market cap lookup failed for ${symbol}:`, e?.message || e);
+        stopped = true; // most likely rate-limited; the rest stay unknown
+        continue;
+      }
+    }
+    const cap = profile?.marketCapitalization ?? null;
+    caps.set(symbol, cap);
+    if (cap >= minCapM) passed++;
+  }
+  const unchecked = need && passed >= need ? 0 : symbols.filter((s) => !caps.has(s)).length;
+  return { caps, unchecked };
 }
 
 const timeMap = {
@@ -47,57 +79,208 @@ function todayInIsraelYYYYMMDD() {
   return `${y}-${m}-${d}`;
 }
 
-export async function handleTodaysEarnings({ client, interaction, filter = "all", limit = 0, FINNHUB_TOKEN }) {
+function addDays(ymd, n) {
+  return new Date(Date.parse(`${ymd}T00:00:00Z`) + n * 86400000).toISOString().slice(0, 10);
+}
+
+function weekday(ymd) {
+  return new Date(`${ymd}T00:00:00Z`).getUTCDay();
+}
+
+function shortDate(ymd) {
+  const [y, m, d] = ymd.split("-");
+  return `${d}/${m}/${y.slice(-2)}`;
+}
+
+/**
+ * { from, to, label } for a range: today | tomorrow | week (today..Friday, next week on weekends)
+ * | next_week | a YYYY-MM-DD date
+ */
+export function earningsRange(range = "today", today = todayInIsraelYYYYMMDD()) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(range)) return { from: range, to: range, label: shortDate(range) };
+  if (range === "tomorrow") {
+    const d = addDays(today, 1);
+    return { from: d, to: d, label: "מחר" };
+  }
+  if (range === "week" || range === "next_week") {
+    const wd = weekday(today);
+    const monday = addDays(today, wd === 0 ? 1 : 8 - wd); // next Monday
+    if (range === "week" && wd >= 1 && wd <= 5) return { from: today, to: addDays(today, 5 - wd), label: "השבוע" };
+    if (range === "week") return { from: monday, to: addDays(monday, 4), label: "השבוע הקרוב" };
+    const start = wd >= 1 && wd <= 5 ? monday : addDays(monday, 7);
+    return { from: start, to: addDays(start, 4), label: "שבוע הבא" };
+  }
+  return { from: today, to: today, label: "היום" };
+}
+
+function parseDate(tok, today) {
+  let m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(tok);
+  if (m) return `${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}`;
+  m = /^(\d{1,2})[./](\d{1,2})(?:[./](\d{2}|\d{4}))?$/.exec(tok);
+  if (!m) return null;
+  const year = m[3] ? (m[3].length === 2 ? `20${m[3]}` : m[3]) : today.slice(0, 4);
+  return `${year}-${m[2].padStart(2, "0")}-${m[1].padStart(2, "0")}`;
+}
+
+/** "10b" -> 10 ($B); "500m" -> 0.5 */
+function parseCap(tok) {
+  const m = /^(\d+(?:\.\d+)?)([bm])?\+?$/.exec(tok);
+  if (!m) return null;
+  return m[2] === "m" ? Number(m[1]) / 1000 : Number(m[1]);
+}
+
+/**
+ * Parse the words after "דיווחים" / "earnings":
+ *   מחר | השבוע | שבוע הבא | 2025-10-21 | 21/10 ; 500 | שלי | במעקב ; מעל 10b ; הגבל 20
+ * Returns { range, filter, minCap, limit }, or null if any word isn't understood.
+ */
+export function parseEarningsQuery(text, today = todayInIsraelYYYYMMDD()) {
+  const tokens = (text || "").toLowerCase().replace(/s&p\s*500|s&p/g, "sp500").split(/\s+/).filter(Boolean);
+  if (!tokens.length) return null;
+  const out = { range: "today", filter: "all", minCap: 0, limit: 0 };
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+    const next = tokens[i + 1] || "";
+    if (/^(היום|today)$/.test(tok)) out.range = "today";
+    else if (/^(מחר|tomorrow)$/.test(tok)) out.range = "tomorrow";
+    else if (/^(שבוע|week)$/.test(tok) && /^(הבא|הבאה)$/.test(next)) { out.range = "next_week"; i++; }
+    else if (tok === "next" && next === "week") { out.range = "next_week"; i++; }
+    else if (/^(השבוע|שבוע|week|this)$/.test(tok)) { out.range = "week"; if (tok === "this" && next === "week") i++; }
+    else if (/^(500|sp500|ספ)$/.test(tok)) out.filter = "sp500";
+    else if (/^(שלי|mine|my)$/.test(tok)) out.filter = "mine";
+    else if (/^(במעקב|מעקב|tracked|הסורק)$/.test(tok)) out.filter = "tracked";
+    else if (/^(מעל|שווי|cap|over)$/.test(tok) && parseCap(next) != null) { out.minCap = parseCap(next); i++; }
+    else if (/^\d+(?:\.\d+)?[bm]\+?$/.test(tok)) out.minCap = parseCap(tok);
+    else if (/^(הגבל|limit|top)$/.test(tok) && /^\d+$/.test(next)) { out.limit = Number(next); i++; }
+    else if (parseDate(tok, today)) out.range = parseDate(tok, today);
+    else return null;
+  }
+  return out;
+}
+
+function fmtMoney(n) {
+  if (n == null) return "—";
+  const abs = Math.abs(n);
+  if (abs >= 1e9) return `${(n / 1e9).toFixed(1)}B`;
+  if (abs >= 1e6) return `${(n / 1e6).toFixed(0)}M`;
+  if (abs >= 1e3) return `${(n / 1e3).toFixed(0)}K`;
+  return String(n);
+}
+
+function fmtEps(n) {
+  return n == null ? "—" : n.toFixed(2);
+}
+
+/** "NVDA   Q3'26  EPS 0.75→0.81  Rev 33.1B→35.1B" (actuals after the arrow, once reported) */
+function earningsLine(e) {
+  const q = e.quarter && e.year ? `Q${e.quarter}'${String(e.year).slice(-2)}` : "";
+  const eps = e.epsActual != null ? `${fmtEps(e.epsEstimate)}→${fmtEps(e.epsActual)}` : fmtEps(e.epsEstimate);
+  const rev = e.revenueActual != null
+    ? `${fmtMoney(e.revenueEstimate)}→${fmtMoney(e.revenueActual)}`
+    : fmtMoney(e.revenueEstimate);
+  return `${e.symbol.padEnd(6)} ${q.padEnd(6)} EPS ${eps.padEnd(5)} Rev ${rev}`;
+}
+
+/** Code-block field value; lines that don't fit are counted */
+function fieldValue(items) {
+  const lines = [];
+  let len = 8;
+  for (const [i, e] of items.entries()) {
+    const line = earningsLine(e);
+    const more = `+${items.length - i} נוספים`;
+    if (len + line.length + 1 + more.length + 1 > FIELD_MAX) {
+      lines.push(more);
+      break;
+    }
+    lines.push(line);
+    len += line.length + 1;
+  }
+  return "```\n" + lines.join("\n") + "\n```";
+}
+
+function dayEmbed(ymd, items) {
+  const groups = items.reduce((acc, e) => {
+    const label = timeMap[e.hour] || e.hour || "Unknown Time";
+    (acc[label] = acc[label] || []).push(e);
+    return acc;
+  }, {});
+  const embed = new EmbedBuilder()
+    .setColor(0x2ecc71)
+    .setTitle(`📅 דיווחים — יום ${HE_DAYS[weekday(ymd)]} ${shortDate(ymd)}`)
+    .setFooter({ text: `${items.length} חברות · EPS / Rev: צפי→בפועל` });
+  for (const label of order) {
+    if (groups[label]?.length) embed.addFields({ name: `${label} (${groups[label].length})`, value: fieldValue(groups[label]) });
+  }
+  return embed;
+}
+
+/** Finnhub calendar rows for YYYY-MM-DD..YYYY-MM-DD (estimates, and actuals once reported) */
+export async function fetchEarningsCalendar(from, to, opts) {
+  return marketData().getEarningsCalendar(from, to, opts);
+}
+
+/**
+ * Earnings calendar.
+ * range: today | tomorrow | week | next_week | YYYY-MM-DD
+ * filter: all | sp500 | tracked | mine (mine needs userId); minCap in $B; limit caps the total
+ */
+export async function handleEarningsCalendar({
+  interaction,
+  dbPath,
+  userId,
+  range = "today",
+  filter = "all",
+  minCap = 0,
+  limit = 0,
+}) {
   try {
-    const sp500 = await loadSP500();
-    const today = todayInIsraelYYYYMMDD();
-    const { data } = await axios.get(
-      `https://finnhub.io/api/v1/calendar/earnings?from=${today}&to=${today}&token=${FINNHUB_TOKEN}`
-    );
-    let items = data.earningsCalendar || data;
+    const { from, to, label } = earningsRange(range);
+    let items = await fetchEarningsCalendar(from, to);
 
     if (filter === "sp500") {
+      const sp500 = await marketData().getSP500Symbols();
       items = items.filter((e) => sp500.includes(e.symbol));
+    } else if (filter === "tracked" || filter === "mine") {
+      const rows = await getTickerAggregates(dbPath, filter === "mine" ? { userId } : {});
+      const symbols = new Set(rows.map((r) => r.symbol));
+      items = items.filter((e) => symbols.has(e.symbol));
+    }
+
+    // biggest first: revenue estimate is the best size hint in the calendar itself
+    items.sort((a, b) => (b.revenueEstimate ?? -1) - (a.revenueEstimate ?? -1));
+
+    const notes = [];
+    if (minCap > 0) {
+      const { caps, unchecked } = await loadMarketCaps(items.map((e) => e.symbol), {
+        minCapM: minCap * 1000,
+        need: limit,
+      });
+      items = items.filter((e) => caps.get(e.symbol) >= minCap * 1000);
+      if (unchecked) notes.push(`⚠️ ${unchecked} חברות לא נבדקו לשווי שוק (מגבלת קצב), ולא נכללו.`);
     }
     if (limit) items = items.slice(0, limit);
 
     if (!items.length) {
-      return interaction.followUp ? interaction.followUp("לא מצאתי דיווחי רווחים להיום.") : null;
+      return interaction.followUp(`לא מצאתי דיווחי רווחים (${label}).`);
     }
 
-    const groups = items.reduce((acc, e) => {
-      const label = timeMap[e.hour] || e.hour || "Unknown Time";
-      (acc[label] = acc[label] || []).push(e.symbol);
-      return acc;
-    }, {});
-
-    const channel = interaction.channel ?? (interaction.channelId ? await client.channels.fetch(interaction.channelId) : null);
-    if (!channel) {
-      return interaction.followUp ? interaction.followUp("❌ לא הצלחתי לשלוח הודעות לערוץ.") : null;
+    const byDay = new Map();
+    for (const e of [...items].sort((a, b) => a.date.localeCompare(b.date))) {
+      byDay.set(e.date, [...(byDay.get(e.date) || []), e]);
     }
-
-    const maxLen = 1900;
-    for (const label of order) {
-      const syms = groups[label] || [];
-      if (!syms.length) continue;
-
-      let chunk = `—————————————————————————\n**${label}:**\n—————————————————————————\n`;
-      for (const sym of syms) {
-        const part = `${sym}, `;
-        if ((chunk + part).length > maxLen) {
-          await channel.send(chunk.replace(/, $/, ""));
-          chunk = "";
-        }
-        chunk += part;
-      }
-      await channel.send(chunk.replace(/, $/, ""));
+    for (const [ymd, dayItems] of byDay) {
+      await interaction.followUp({ embeds: [dayEmbed(ymd, dayItems)] });
     }
 
-    return interaction.followUp
-      ? interaction.followUp(`נמצאו ${items.length} דיווחי רווחים להיום.`)
-      : null;
+    const span = from === to ? shortDate(from) : `${shortDate(from)}–${shortDate(to)}`;
+    return interaction.followUp([`נמצאו ${items.length} דיווחי רווחים (${span}).`, ...notes].join("\n"));
   } catch (e) {
     console.error(e);
-    return interaction.followUp ? interaction.followUp("❌ מתנצל, קרתה שגיאה בשליפת דיווחי הרווחים.") : null;
+    return interaction.followUp("❌ מתנצל, קרתה שגיאה בשליפת דיווחי הרווחים.");
   }
 }
+
+/** Today's earnings, all or S&P 500 */
+export async function handleTodaysEarnings({ interaction, filter = "all", limit = 0 }) {
+  return handleEarningsCalendar({ interaction, range: "today", filter, limit });
+}
@@ -0,0 +1,134 @@
+import { EmbedBuilder } from "discord.js";
+import {
+  addWatchlistTickers,
+  removeWatchlistTickers,
+  getWatchlist,
+  shareWatchlist,
+  unshareWatchlist,
+  getWatchlistShares,
+} from "../../utils/tickerStore.mjs";
+import { getDailyQuote } from "./tickersDashboard.mjs";
+import { commitDbIfChanged } from "./graphChannelHandler.mjs";
+import { resolveSymbol } from "../../utils/symbols.mjs";
+import { loadTickerUniverse } from "../../utils/tickerUniverse.mjs";
+
+/**
+ * Personal watchlists, independent of graph-room mentions.
+ * Stored in the tickers db (next to the scanner data) and committed with it.
+ * A watchlist is visible to its owner and to members it was shared with.
+ */
+
+const MAX_WATCHLIST = 50;
+const QUOTE_BATCH = 5;
+/**
+ * "tsla, $NVDA btc" -> ["TSLA", "NVDA", "BTC-USD"] (canonical ids); invalid tokens go to `invalid`.
+ * Plain stock symbols must be in `tickerSet` (when given); the other classes are recognized by form.
+ */
+export function parseSymbols(text, tickerSet = null) {
+  const symbols = [], invalid = [];
+  for (const tok of (text || "").split(/[\s,]+/).filter(Boolean)) {
+    const s = resolveSymbol(tok.replace(/^\$/, ""), tickerSet)?.id;
+    if (s) { if (!symbols.includes(s)) symbols.push(s); }
+    else invalid.push(tok);
+  }
+  return { symbols, invalid };
+}
+
+/** Add symbols; unlisted stock symbols ("hello") are skipped (`allTickersFile`: the ticker universe) */
+export async function addToWatchlist({ interaction, dbPath, allTickersFile, userId, text }) {
+  const tickerSet = allTickersFile
+    ? (await loadTickerUniverse(allTickersFile).catch((err) => console.warn("watchlist: no ticker universe:", err?.message)))?.set
+    : null;
+  const { symbols, invalid } = parseSymbols(text, tickerSet);
+  if (!symbols.length) return interaction.followUp("❌ לא צוינו טיקרים. לדוגמה: `מעקב הוסף TSLA NVDA`");
+
+  const current = await getWatchlist(dbPath, userId);
+  const room = MAX_WATCHLIST - current.length;
+  if (room <= 0) return interaction.followUp(`❌ רשימת המעקב מלאה (${MAX_WATCHLIST} טיקרים).`);
+
+  const added = await addWatchlistTickers(dbPath, userId, symbols.slice(0, room));
+  if (added.length) await commitDbIfChanged(dbPath);
+
+  const parts = [];
+  parts.push(added.length ? `✅ נוספו למעקב: ${added.map((s) => `\`${s}\``).join(", ")}` : "כל הטיקרים כבר ברשימה.");
+  if (symbols.length > room) parts.push(`⚠️ הרשימה מוגבלת ל־${MAX_WATCHLIST} טיקרים, חלק לא נוספו.`);
+  if (invalid.length) parts.push(`⚠️ התעלמתי מ: ${invalid.join(", ")}`);
+  return interaction.followUp(parts.join("\n"));
+}
+
+export async function removeFromWatchlist({ interaction, dbPath, userId, text }) {
+  const { symbols } = parseSymbols(text);
+  if (!symbols.length) return interaction.followUp("❌ לא צוינו טיקרים. לדוגמה: `מעקב הסר TSLA`");
+
+  const removed = await removeWatchlistTickers(dbPath, userId, symbols);
+  if (!removed.length) return interaction.followUp("הטיקרים האלה לא ברשימת המעקב שלך.");
+  await commitDbIfChanged(dbPath);
+  return interaction.followUp(`🗑️ הוסרו מהמעקב: ${removed.map((s) => `\`${s}\``).join(", ")}`);
+}
+
+/** Quotes in small batches; failed symbols come back with `quote: null` */
+async function fetchQuotes(tickers) {
+  const out = [];
+  for (let i = 0; i < tickers.length; i += QUOTE_BATCH) {
+    const batch = tickers.slice(i, i + QUOTE_BATCH);
+    out.push(...(await Promise.all(
+      batch.map((t) => getDailyQuote(t).then((quote) => ({ ticker: t, quote })).catch(() => ({ ticker: t, quote: null })))
+    )));
+  }
+  return out;
+}
+
+function quoteLine({ ticker, quote }) {
+  if (!quote) return `\`${ticker}\` — אין נתונים`;
+  const chg = quote.changePct == null
+    ? ""
+    : ` ${quote.changePct >= 0 ? "🟢 +" : "🔴 "}${quote.changePct.toFixed(2)}%`;
+  return `\`${ticker}\` ${quote.price.toFixed(2)}${chg}`;
+}
+
+/**
+ * Show `owner`'s watchlist with current price and daily change.
+ * owner: { id, name }; viewers other than the owner need a share.
+ */
+export async function showWatchlist({ interaction, dbPath, viewerId, owner }) {
+  const own = owner.id === viewerId;
+  if (!own && !(await getWatchlistShares(dbPath, owner.id)).includes(viewerId)) {
+    return interaction.followUp(`🔒 ${owner.name} לא שיתף/ה איתך את רשימת המעקב.`);
+  }
+
+  const list = await getWatchlist(dbPath, owner.id);
+  if (!list.length) {
+    return interaction.followUp(own
+      ? "רשימת המעקב שלך ריקה. הוסיפו טיקרים עם: `מעקב הוסף TSLA`"
+      : `רשימת המעקב של ${owner.name} ריקה.`);
+  }
+
+  const quotes = await fetchQuotes(list.map((w) => w.ticker));
+  const embed = new EmbedBuilder()
+    .setColor(0x5865f2)
+    .setTitle(own ? "👀 רשימת המעקב שלך" : `👀 רשימת המעקב של ${owner.name}`)
+    .setDescription(quotes.map(quoteLine).join("\n"))
+    .setFooter({ text: `${list.length} טיקרים · שינוי יומי מול סגירה קודמת` });
+
+  if (own) {
+    const shares = await getWatchlistShares(dbPath, owner.id);
+    if (shares.length) embed.addFields({ name: "משותפת עם", value: shares.map((id) => `<@${id}>`).join(", ") });
+  }
+  return interaction.followUp({ embeds: [embed], allowedMentions: { parse: [] } });
+}
+
+/** member: { id, name } */
+export async function shareWatchlistWith({ interaction, dbPath, ownerId, member }) {
+  if (member.id === ownerId) return interaction.followUp("❌ אי אפשר לשתף את הרשימה עם עצמך.");
+  const shared = await shareWatchlist(dbPath, ownerId, member.id);
+  if (!shared) return interaction.followUp(`הרשימה כבר משותפת עם ${member.name}.`);
+  await commitDbIfChanged(dbPath);
+  return interaction.followUp(`🤝 רשימת המעקב שלך שותפה עם ${member.name}.`);
+}
+
+export async function unshareWatchlistWith({ interaction, dbPath, ownerId, member }) {
+  const removed = await unshareWatchlist(dbPath, ownerId, member.id);
+  if (!removed) return interaction.followUp(`הרשימה לא הייתה משותפת עם ${member.name}.`);
+  await commitDbIfChanged(dbPath);
+  return interaction.followUp(`🚫 השיתוף עם ${member.name} בוטל.`);
+}
@@ -0,0 +1,761 @@
+import { SlashCommandBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, PermissionFlagsBits } from "discord.js";
+
+import {
+  handleTodaysEarnings,
+  handleEarningsCalendar,
+  parseEarningsQuery,
+  EARNINGS_RANGES,
+  EARNINGS_FILTERS,
+} from "./cmd_handlers/todaysEarnings.mjs";
+import { handleAnticipatedImage } from "./cmd_handlers/anticipatedImage.mjs";
+import { sendHelp } from "./cmd_handlers/help.mjs";
+import { listAllTickers } from "./cmd_handlers/listAllTickers.mjs";
+import { listMyTickers } from "./cmd_handlers/listMyTickers.mjs";
+import { listFirstByUser } from "./cmd_handlers/listFirstByUser.mjs";
+import { showTickersDashboard } from "./cmd_handlers/tickersDashboard.mjs";
+import { showTickerHistory } from "./cmd_handlers/tickerHistory.mjs";
+import { showLeaderboard, LEADERBOARD_WINDOWS } from "./cmd_handlers/leaderboard.mjs";
+import {
+  ALERT_TYPES,
+  parseAlertSpec,
+  createPriceAlert,
+  listPriceAlerts,
+  removePriceAlert,
+} from "./cmd_handlers/priceAlerts.mjs";
+import {
+  addToWatchlist,
+  removeFromWatchlist,
+  showWatchlist,
+  shareWatchlistWith,
+  unshareWatchlistWith,
+} from "./cmd_handlers/watchlists.mjs";
+import { showTickerUniverse } from "./cmd_handlers/tickerUniverse.mjs";
+import { askInThread, questionChannels, unloggedText } from "./cmd_handlers/qnaThreads.mjs";
+import { normalizeSymbol, resolveSymbol } from "../utils/symbols.mjs";
+import { matchIntents } from "../utils/intentMatcher.mjs";
+
+/**
+ * Command registry: every bot command is declared once, with
+ * - name / description / slash(builder) — the slash command definition
+ * - triggers — Hebrew mention commands in the bot room, tried in order:
+ *     { aliases: [...] } exact match, { pattern: /re/ } on the cleaned text, or { match(text) -> array | null };
+ *     `mentions`: "none" | "required" (other users tagged in the message), default any;
+ *     `args(match, ctx)` -> handler args (a trigger with `fallback: true` matches any text)
+ * - intents — fuzzy free-text matching when no trigger matched exactly (utils/intentMatcher.mjs):
+ *     { phrases: [...he/en], optional?, slot?, mentions?, label?, args(extracted, ctx) };
+ *     a confident match runs, a near miss gets "did you mean" buttons before anything goes to Gemini
+ * - slashArgs(interaction) -> handler args
+ * - run(ctx, args) — one handler for both sources
+ * - help — entries for the generated help text
+ * - admin — Manage Server members only (slash default permission + checked on every run; not in the help)
+ * Slash registration, message routing and help.mjs are all generated from COMMANDS.
+ *
+ * ctx: { source: "message" | "slash", client, dbPath, allTickersFile, onUniverseRefreshed(diff), env, isAdmin, user, channel,
+ *        reply(payload), replier (the `interaction` shape handlers take),
+ *        asMessage (the `message` shape handlers take), memberOf(user), message?, interaction? }
+ */
+
+const userOption = (name, description, required) => (opt) =>
+  opt.setName(name).setDescription(description).setRequired(required);
+
+export const COMMANDS = [
+  {
+    name: "my_tickers",
+    description: "הטיקרים שציינת בחדר הגרפים",
+    slash: (b) =>
+      b.addStringOption((opt) =>
+        opt.setName("from").setDescription("מתאריך (YYYY-MM-DD)").setRequired(false)
+      ),
+    triggers: [{ aliases: ["טיקרים שלי", "שלי"], mentions: "none" }],
+    intents: [{
+      phrases: ["טיקרים שלי", "הטיקרים שלי", "my tickers", "my calls", "mine"],
+      mentions: "none",
+      args: (x) => ({ fromDateIso: x.date || undefined }),
+    }],
+    slashArgs: (i) => ({ fromDateIso: i.options.getString("from") || undefined }),
+    run: (ctx, { fromDateIso } = {}) => listMyTickers({ message: ctx.asMessage, dbPath: ctx.dbPath, fromDateIso }),
+    help: [{
+      text: "להציג את כל הטיקרים שבמעקב שאתם ציינתם ראשונים החודש – כתבו: טיקרים שלי",
+      examples: ["טיקרים שלי", "שלי"],
+    }],
+  },
+  {
+    name: "all_tickers",
+    description: "כל הטיקרים במעקב",
+    slash: (b) =>
+      b.addIntegerOption((opt) =>
+        opt.setName("min_mentions").setDescription("מינימום אזכורים").setMinValue(1).setRequired(false)
+      ),
+    triggers: [{ aliases: ["כל הטיקרים", "כל טיקרים"], mentions: "none" }],
+    intents: [{
+      phrases: ["כל הטיקרים", "רשימת טיקרים", "all tickers", "ticker list"],
+      mentions: "none",
+      args: (x) => ({ minMentions: x.min || 1 }),
+    }],
+    slashArgs: (i) => ({ minMentions: i.options.getInteger("min_mentions") || 1 }),
+    run: (ctx, { minMentions = 1 } = {}) => listAllTickers({ message: ctx.asMessage, dbPath: ctx.dbPath, minMentions }),
+    help: [{ text: "להציג רשימה של כל הטיקרים שבמעקב – כתבו: כל הטיקרים", examples: ["כל הטיקרים"] }],
+  },
+  {
+    name: "dashboard",
+    description: "לוח הטיקרים של חדר הגרפים",
+    triggers: [{ aliases: ["טיקרים"], mentions: "none" }],
+    intents: [{ phrases: ["טיקרים", "לוח טיקרים", "dashboard", "tickers"], mentions: "none" }],
+    run: (ctx) => showTickersDashboard({ message: ctx.asMessage, dbPath: ctx.dbPath }),
+    help: [{ text: "להציג את לוח הטיקרים שבמעקב בחוכמת הסורק – כתבו: טיקרים", examples: ["טיקרים"] }],
+  },
+  {
+    name: "user_tickers",
+    description: "הטיקרים שמשתמש אחר ציין ראשון",
+    slash: (b) => b.addUserOption(userOption("user", "המשתמש", true)),
+    triggers: [
+      {
+        aliases: ["טיקרים", "הטיקרים", "של"],
+        mentions: "required",
+        args: (_, ctx) => ({ targetUser: otherUsers(ctx)[0] }),
+      },
+    ],
+    intents: [{
+      phrases: ["טיקרים של", "הטיקרים של", "tickers of", "tickers", "calls"],
+      mentions: "required",
+      args: (_, ctx) => ({ targetUser: otherUsers(ctx)[0] }),
+    }],
+    slashArgs: (i) => ({ targetUser: i.options.getUser("user") }),
+    run: (ctx, { targetUser }) => listFirstByUser({ message: ctx.asMessage, dbPath: ctx.dbPath, targetUser }),
+    help: [{ text: "להציג את הטיקרים שמשתמש אחר ציין ראשון – כתבו: טיקרים ותייגו אותו", examples: ["טיקרים @חבר"] }],
+  },
+  {
+    name: "ticker",
+    description: "הצג את כל מה שידוע על טיקר מחדר הגרפים",
+    slash: (b) => b.addStringOption((opt) => opt.setName("symbol").setDescription("הטיקר, לדוגמה TSLA").setRequired(true)),
+    triggers: [{
+      // "$tsla", "$btc", or a symbol that can't be a word: "^spx", "tase:teva", "btcusdt"
+      match: (text) => {
+        const m = /^(\$?)(\S+)$/.exec(text);
+        return m && (m[1] ? normalizeSymbol(m[2]) : resolveSymbol(m[2])?.qualified) ? m : null;
+      },
+      args: (m) => ({ symbol: m[2] }),
+    }],
+    intents: [{
+      phrases: ["היסטוריה", "היסטוריית טיקר", "טיקר", "history", "ticker"],
+      slot: "ticker",
+      args: (x) => ({ symbol: x.ticker }),
+    }],
+    slashArgs: (i) => ({ symbol: i.options.getString("symbol") }),
+    run: (ctx, { symbol }) => {
+      if (!symbol) return ctx.reply("❌ לא צוין טיקר. לדוגמה: `$TSLA`");
+      return showTickerHistory({ interaction: ctx.replier, dbPath: ctx.dbPath, symbol });
+    },
+    help: [{
+      text: "להציג היסטוריה של טיקר אחד (אזכור ראשון, אזכורים אחרונים, שינוי מאז האזכור וגרף) – כתבו $ ואת הטיקר",
+      examples: ["$TSLA", "$BTC", "TASE:TEVA"],
+    }],
+  },
+  {
+    name: "leaderboard",
+    description: "טבלת המובילים לפי ביצועי האזכורים הראשונים",
+    slash: (b) =>
+      b
+        .addStringOption((opt) =>
+          opt
+            .setName("window")
+            .setDescription("טווח זמן")
+            .setRequired(false)
+            .addChoices(...LEADERBOARD_WINDOWS.map((w) => ({ name: w.label, value: w.value })))
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("metric")
+            .setDescription("שיטת חישוב התשואה")
+            .setRequired(false)
+            .addChoices(
+              { name: "Open→Close", value: "oc" },
+              { name: "Close→Close", value: "cc" },
+            )
+        ),
+    triggers: [{ aliases: ["מובילים", "טבלת מובילים"] }],
+    intents: [{
+      phrases: ["מובילים", "טבלת מובילים", "leaderboard", "top callers"],
+      optional: ["7", "30", "90", "ימים", "days", "שבוע", "week", "חודש", "month", "הכל", "all", "time", "cc", "oc"],
+      args: (x) => leaderboardArgs(x.tokens),
+    }],
+    slashArgs: (i) => ({ window: i.options.getString("window") || "mtd", mode: i.options.getString("metric") || "oc" }),
+    run: (ctx, { window = "mtd", mode = "oc" } = {}) =>
+      showLeaderboard({ interaction: ctx.replier, dbPath: ctx.dbPath, window, mode }),
+    help: [{
+      text: "להציג טבלת מובילים לפי ביצועי הטיקרים שציינתם ראשונים (ממוצע, חציון, אחוז הצלחה) – כתבו: מובילים",
+      examples: ["מובילים"],
+    }],
+  },
+  {
+    name: "alert",
+    description: "התראות מחיר על טיקרים",
+    ephemeral: true,
+    slash: (b) =>
+      b
+        .addSubcommand((sub) =>
+          sub
+            .setName("add")
+            .setDescription("צור התראת מחיר")
+            .addStringOption((opt) => opt.setName("symbol").setDescription("הטיקר, לדוגמה TSLA").setRequired(true))
+            .addStringOption((opt) =>
+              opt.setName("type").setDescription("סוג ההתראה").setRequired(true).addChoices(...ALERT_TYPES)
+            )
+            .addNumberOption((opt) =>
+              opt.setName("value").setDescription("מחיר, או אחוז שינוי").setMinValue(0.01).setRequired(true)
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("direction")
+                .setDescription("כיוון (להתראות אחוז)")
+                .setRequired(false)
+                .addChoices(
+                  { name: "Up or down", value: "any" },
+                  { name: "Up", value: "up" },
+                  { name: "Down", value: "down" },
+                )
+            )
+        )
+        .addSubcommand((sub) => sub.setName("list").setDescription("הצג את ההתראות שלך"))
+        .addSubcommand((sub) =>
+          sub
+            .setName("delete")
+            .setDescription("מחק התראה")
+            .addIntegerOption((opt) => opt.setName("id").setDescription("מספר ההתראה").setRequired(true))
+        ),
+    triggers: [
+      { aliases: ["התראות", "ההתראות שלי"], args: () => ({ sub: "list" }) },
+      { pattern: /^(?:מחק|הסר) התראה #?(\d+)$/, args: (m) => ({ sub: "delete", id: m[1] }) },
+      { pattern: /^התראה\s+(.+)$/, args: (m) => ({ sub: "add", spec: parseAlertSpec(m[1]) }) },
+      { pattern: /^(?:delete|remove) alert #?(\d+)$/, args: (m) => ({ sub: "delete", id: m[1] }) },
+      { pattern: /^alert\s+(.+)$/, args: (m) => ({ sub: "add", spec: parseAlertSpec(m[1]) }) },
+    ],
+    intents: [{ phrases: ["התראות", "ההתראות שלי", "alerts", "my alerts"], args: () => ({ sub: "list" }) }],
+    slashArgs: (i) => {
+      const sub = i.options.getSubcommand();
+      if (sub === "list") return { sub };
+      if (sub === "delete") return { sub, id: i.options.getInteger("id") };
+      const kind = i.options.getString("type");
+      return {
+        sub,
+        spec: {
+          symbol: normalizeSymbol(i.options.getString("symbol")),
+          kind,
+          value: i.options.getNumber("value"),
+          direction: kind === "move" || kind === "basis_move" ? i.options.getString("direction") || "any" : null,
+        },
+      };
+    },
+    run: (ctx, { sub, id, spec }) => {
+      const base = { interaction: ctx.replier, dbPath: ctx.dbPath, userId: ctx.user.id };
+      if (sub === "list") return listPriceAlerts(base);
+      if (sub === "delete") return removePriceAlert({ ...base, id });
+      return createPriceAlert({ ...base, channelId: ctx.channel?.id, spec });
+    },
+    help: [{
+      text: "התראות מחיר: מחיר מעל/מתחת, אחוז שינוי מעכשיו, או אחוז שינוי מהאזכור הראשון שלכם – כתבו: התראה",
+      examples: ["התראה TSLA 250", "התראה TSLA 5%  (‎+5% רק למעלה, ‎-5% רק למטה)", "התראה TSLA 20% מהאזכור"],
+      extra: ["להצגת ההתראות שלכם: @SuperPony התראות", "למחיקה: @SuperPony מחק התראה 3"],
+    }],
+  },
+  {
+    name: "watchlist",
+    description: "רשימת מעקב אישית",
+    slash: (b) =>
+      b
+        .addSubcommand((sub) =>
+          sub
+            .setName("add")
+            .setDescription("הוסף טיקרים לרשימה")
+            .addStringOption((opt) => opt.setName("symbols").setDescription("טיקרים, לדוגמה TSLA NVDA").setRequired(true))
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("remove")
+            .setDescription("הסר טיקרים מהרשימה")
+            .addStringOption((opt) => opt.setName("symbols").setDescription("טיקרים, לדוגמה TSLA").setRequired(true))
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("show")
+            .setDescription("הצג רשימת מעקב (שלך, או של מי ששיתף איתך)")
+            .addUserOption(userOption("user", "של מי", false))
+        )
+        .addSubcommand((sub) =>
+          sub.setName("share").setDescription("שתף את הרשימה שלך").addUserOption(userOption("user", "עם מי", true))
+        )
+        .addSubcommand((sub) =>
+          sub.setName("unshare").setDescription("בטל שיתוף").addUserOption(userOption("user", "עם מי", true))
+        ),
+    triggers: [
+      { pattern: /^(?:מעקב הוסף|הוסף למעקב|watchlist add)\s+(.+)$/, args: (m) => ({ sub: "add", text: m[1] }) },
+      { pattern: /^(?:מעקב הסר|הסר ממעקב|watchlist remove)\s+(.+)$/, args: (m) => ({ sub: "remove", text: m[1] }) },
+      {
+        aliases: ["שתף מעקב", "מעקב שתף", "share watchlist"],
+        mentions: "required",
+        args: (_, ctx) => ({ sub: "share", users: otherUsers(ctx) }),
+      },
+      {
+        aliases: ["בטל שיתוף מעקב", "מעקב בטל שיתוף", "unshare watchlist"],
+        mentions: "required",
+        args: (_, ctx) => ({ sub: "unshare", users: otherUsers(ctx) }),
+      },
+      {
+        aliases: ["מעקב", "רשימת מעקב", "המעקב שלי"],
+        args: (_, ctx) => ({ sub: "show", users: otherUsers(ctx).slice(0, 1) }),
+      },
+    ],
+    intents: [{
+      phrases: ["מעקב", "רשימת מעקב", "watchlist", "my watchlist"],
+      args: (_, ctx) => ({ sub: "show", users: otherUsers(ctx).slice(0, 1) }),
+    }],
+    slashArgs: (i) => {
+      const picked = i.options.getUser("user");
+      return { sub: i.options.getSubcommand(), text: i.options.getString("symbols"), users: picked ? [picked] : [] };
+    },
+    run: async (ctx, { sub, text, users = [] }) => {
+      const userId = ctx.user.id;
+      const base = { interaction: ctx.replier, dbPath: ctx.dbPath };
+      if (sub === "add") return addToWatchlist({ ...base, allTickersFile: ctx.allTickersFile, userId, text });
+      if (sub === "remove") return removeFromWatchlist({ ...base, userId, text });
+      if (sub === "share" || sub === "unshare") {
+        const fn = sub === "share" ? shareWatchlistWith : unshareWatchlistWith;
+        for (const u of users) await fn({ ...base, ownerId: userId, member: ctx.memberOf(u) });
+        return;
+      }
+      const owner = ctx.memberOf(users[0] || ctx.user);
+      return showWatchlist({ ...base, viewerId: userId, owner });
+    },
+    help: [{
+      text: "רשימת מעקב אישית עם מחיר ושינוי יומי – כתבו: מעקב",
+      extra: [
+        "להוספה: @SuperPony מעקב הוסף TSLA NVDA",
+        "להסרה: @SuperPony מעקב הסר TSLA",
+        "לשיתוף עם חבר/ה: @SuperPony שתף מעקב @חבר  (ביטול: בטל שיתוף מעקב @חבר)",
+        "לצפייה ברשימה ששותפה איתכם: @SuperPony מעקב @חבר",
+      ],
+    }],
+  },
+  {
+    name: "todays_earnings",
+    description: "הצג את הטיקרים של החברות שמדווחות היום",
+    slash: (b) =>
+      b
+        .addStringOption((opt) =>
+          opt
+            .setName("type")
+            .setDescription("איזה סוג של טיקרים להציג")
+            .setRequired(false)
+            .addChoices(
+              { name: "All", value: "all" },
+              { name: "S&P 500", value: "sp500" },
+              { name: "Anticipated", value: "anticipated" },
+            )
+        )
+        .addIntegerOption((opt) =>
+          opt
+            .setName("limit")
+            .setDescription("הגבל את מספר הטיקרים המוצגים")
+            .setMinValue(1)
+            .setRequired(false)
+        ),
+    triggers: [
+      { aliases: ["דיווחים 500"], args: () => ({ filter: "sp500" }) },
+      { aliases: ["תמונת דיווחים", "תמונה"], args: () => ({ filter: "anticipated" }) },
+      { aliases: ["דיווחים", "מדווחות"], args: () => ({ filter: "all" }) },
+    ],
+    intents: [
+      {
+        phrases: ["דיווחים 500", "דיווחים sp500", "earnings sp500", "earnings 500", "sp500"],
+        label: "דיווחים 500",
+        args: (x) => ({ filter: "sp500", limit: x.limit || 0 }),
+      },
+      {
+        phrases: ["תמונת דיווחים", "תמונה", "earnings image", "anticipated earnings", "anticipated"],
+        args: () => ({ filter: "anticipated" }),
+      },
+      {
+        phrases: ["דיווחים", "מדווחות", "מי מדווח", "earnings", "todays earnings", "reports"],
+        args: (x) => ({ filter: "all", limit: x.limit || 0 }),
+      },
+    ],
+    slashArgs: (i) => ({ filter: i.options.getString("type") || "all", limit: i.options.getInteger("limit") || 0 }),
+    run: (ctx, { filter = "all", limit = 0 } = {}) => {
+      if (filter === "anticipated") {
+        return handleAnticipatedImage({
+          client: ctx.client,
+          interaction: ctx.replier,
+          ANTICIPATED_CHANNEL_ID: ctx.env.ANTICIPATED_CHANNEL_ID,
+        });
+      }
+      return handleTodaysEarnings({ interaction: ctx.replier, filter, limit });
+    },
+    help: [
+      { text: "להציג את כל הטיקרים של חברות שמדווחות היום – כתבו: דיווחים או מדווחות", examples: ["דיווחים", "מדווחות"] },
+      {
+        text: "להציג תמונה של החברות שהכי מצפים לדיווח שלהן היום – כתבו: תמונת דיווחים או תמונה",
+        examples: ["תמונת דיווחים", "תמונה"],
+      },
+      { text: "להציג את הטיקרים של חברות ה־סאפ 500 שמדווחות היום – כתבו: דיווחים 500", examples: ["דיווחים 500"] },
+    ],
+  },
+  {
+    name: "earnings",
+    description: "יומן דיווחים: יום, מחר או שבוע, עם סינון",
+    slash: (b) =>
+      b
+        .addStringOption((opt) =>
+          opt.setName("range").setDescription("טווח").setRequired(false).addChoices(...EARNINGS_RANGES)
+        )
+        .addStringOption((opt) =>
+          opt.setName("date").setDescription("תאריך מסוים (YYYY-MM-DD)").setRequired(false)
+        )
+        .addStringOption((opt) =>
+          opt.setName("filter").setDescription("סינון").setRequired(false).addChoices(...EARNINGS_FILTERS)
+        )
+        .addNumberOption((opt) =>
+          opt.setName("min_cap").setDescription("שווי שוק מינימלי במיליארדי דולר").setMinValue(0.1).setRequired(false)
+        )
+        .addIntegerOption((opt) =>
+          opt.setName("limit").setDescription("הגבל את מספר הדיווחים").setMinValue(1).setRequired(false)
+        ),
+    triggers: [
+      {
+        // "דיווחים מחר 500", "earnings next week mine", "דיווחים 21/10 מעל 10b"
+        match: (text) => {
+          const m = /^(?:דיווחים|מדווחות|earnings)\s+(.+)$/.exec(text);
+          const query = m && parseEarningsQuery(m[1]);
+          return query ? [text, query] : null;
+        },
+        args: ([, query]) => query,
+      },
+    ],
+    slashArgs: (i) => {
+      const date = i.options.getString("date");
+      return {
+        range: /^\d{4}-\d{2}-\d{2}$/.test(date || "") ? date : i.options.getString("range") || "today",
+        filter: i.options.getString("filter") || "all",
+        minCap: i.options.getNumber("min_cap") || 0,
+        limit: i.options.getInteger("limit") || 0,
+      };
+    },
+    run: (ctx, { range, filter, minCap, limit }) =>
+      handleEarningsCalendar({
+        interaction: ctx.replier,
+        dbPath: ctx.dbPath,
+        userId: ctx.user.id,
+        range,
+        filter,
+        minCap,
+        limit,
+      }),
+    help: [{
+      text: "יומן דיווחים לפי יום או שבוע, עם סינון – כתבו: דיווחים ואחריו מחר / השבוע / שבוע הבא / תאריך",
+      examples: ["דיווחים מחר", "דיווחים השבוע 500"],
+      extra: [
+        "סינון: 500 (סאפ 500), במעקב (טיקרים מחדר הגרפים), שלי (הטיקרים שציינתם), מעל 10b (שווי שוק)",
+        "לדוגמה: @SuperPony דיווחים שבוע הבא שלי",
+      ],
+    }],
+  },
+  {
+    name: "universe",
+    description: "שינויים ברשימת הטיקרים (מנהלים)",
+    admin: true,
+    slash: (b) =>
+      b
+        .addBooleanOption((opt) => opt.setName("refresh").setDescription("לרענן עכשיו").setRequired(false))
+        .addBooleanOption((opt) => opt.setName("force").setDescription("לרענן גם אם הרשימה החדשה קטנה בהרבה").setRequired(false)),
+    triggers: [
+      { aliases: ["שינויי טיקרים"], mentions: "none" },
+      { aliases: ["רענן טיקרים", "רענון טיקרים"], mentions: "none", args: () => ({ refresh: true }) },
+      { aliases: ["רענן טיקרים בכוח"], mentions: "none", args: () => ({ refresh: true, force: true }) },
+    ],
+    slashArgs: (i) => ({ refresh: !!i.options.getBoolean("refresh"), force: !!i.options.getBoolean("force") }),
+    run: (ctx, { refresh = false, force = false } = {}) =>
+      showTickerUniverse({
+        interaction: ctx.replier,
+        allTickersFile: ctx.allTickersFile,
+        refresh: refresh || force,
+        force,
+        onRefreshed: ctx.onUniverseRefreshed,
+      }),
+  },
+  {
+    name: "help",
+    description: "רשימת הפקודות",
+    triggers: [{ aliases: ["עזרה", "help"] }],
+    intents: [{ phrases: ["עזרה", "פקודות", "help", "commands"] }],
+    run: (ctx) => sendCommandHelp({ send: ctx.reply }),
+  },
+  {
+    name: "ask",
+    description: "שאלו את ג׳מיני על השיחות בחדר",
+    slash: (b) =>
+      b
+        .addStringOption((opt) => opt.setName("question").setDescription("השאלה").setRequired(true))
+        .addChannelOption((opt) => opt.setName("channel").setDescription("על איזה חדר לשאול (ברירת מחדל: חדר הצ'אט)")),
+    // any other text in the bot room is a question; #room mentions in it pick the rooms to read
+    triggers: [{ fallback: true, args: (_, ctx) => ({ question: ctx.text }) }],
+    slashArgs: (i) => ({ question: i.options.getString("question"), channelId: i.options.getChannel("channel")?.id }),
+    // answered in a thread of its own; follow-ups there keep the context (qnaThreads.mjs)
+    run: async (ctx, { question: text, channelId }) => {
+      const { question, channels, unlogged } = await questionChannels(ctx.client, text, [channelId]);
+      if (unlogged.length) return ctx.reply(unloggedText(unlogged));
+      try {
+        const anchor = ctx.source === "message" ? ctx.message : await ctx.reply(`❓ ${question}`);
+        await askInThread({ anchor, question, channels, allTickersFile: ctx.allTickersFile, reply: ctx.reply });
+      } catch (err) {
+        console.error(`Failed to process Gemini question: ${question}`, err);
+        await ctx.reply("❌ שגיאה בעיבוד השאלה, אנא נסה שוב.");
+      }
+    },
+    help: [{
+      text: "לשאול כל שאלה על מה שנאמר בחדר – פשוט כתבו את השאלה",
+      examples: ["מה אמרו היום על NVDA?", "מה אמרו השבוע ב-#קריפטו וב-#מניות על BTC?"],
+      extra: ["התשובה מגיעה בשרשור – שאלות המשך בשרשור (\"ומה לגבי AMD?\") ממשיכות את אותה שיחה"],
+    }],
+  },
+];
+
+function otherUsers(ctx) {
+  return [...ctx.message.mentions.users.values()].filter((u) => u.id !== ctx.client.user.id);
+}
+
+/** "מובילים 7" / "leaderboard week cc" -> { window, mode } */
+function leaderboardArgs(tokens) {
+  const has = (...words) => tokens.some((t) => words.includes(t));
+  let window = "mtd";
+  if (has("7", "שבוע", "week")) window = "7d";
+  else if (has("30")) window = "30d";
+  else if (has("90")) window = "90d";
+  else if (has("הכל", "all")) window = "all";
+  return { window, mode: has("cc") ? "cc" : "oc" };
+}
+
+/* ======================== slash ======================== */
+
+function slashJson(command) {
+  const b = new SlashCommandBuilder().setName(command.name).setDescription(command.description);
+  if (command.admin) b.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+  return (command.slash ? command.slash(b) : b).toJSON();
+}
+
+/** Slash definitions for REST registration */
+export function buildSlashCommands() {
+  return COMMANDS.map(slashJson);
+}
+
+/** The generated help, sent to `channel` */
+export function sendCommandHelp(channel) {
+  return sendHelp({ channel, commands: COMMANDS.filter((c) => !c.admin).map((c) => ({ ...c, json: slashJson(c) })) });
+}
+
+function memberName(guild, u) {
+  return guild?.members.cache.get(u.id)?.displayName || u.globalName || u.username;
+}
+
+const NOT_ADMIN = "⛔ הפקודה הזאת למנהלי השרת בלבד.";
+
+/** Run a registry command, enforcing `admin` */
+async function runCommand(command, ctx, args) {
+  if (command.admin && !ctx.isAdmin) {
+    console.log(`⛔ ${command.name} refused for ${ctx.user.tag}`);
+    return ctx.reply(NOT_ADMIN);
+  }
+  return command.run(ctx, args);
+}
+
+/** Run a chat-input command; false when it isn't in the registry */
+export async function runSlashCommand(interaction, deps) {
+  const command = COMMANDS.find((c) => c.name === interaction.commandName);
+  if (!command) return false;
+
+  await interaction.deferReply(command.ephemeral ? { flags: 64 } : {});
+  const reply = (payload) => interaction.followUp(payload);
+  const ctx = {
+    ...deps,
+    source: "slash",
+    interaction,
+    user: interaction.user,
+    channel: interaction.channel,
+    reply,
+    replier: interaction,
+    isAdmin: !!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild),
+    asMessage: { author: interaction.user, channel: { send: reply }, guild: interaction.guild },
+    memberOf: (u) => {
+      const picked = interaction.options.getMember("user");
+      return { id: u.id, name: (picked?.id === u.id && picked.displayName) || memberName(interaction.guild, u) };
+    },
+  };
+  console.log(`⚡ /${command.name} from ${interaction.user.tag}`);
+  await runCommand(command, ctx, command.slashArgs ? command.slashArgs(interaction) : {});
+  return true;
+}
+
+/* ======================== mention commands ======================== */
+
+const RUN_SCORE = 0.75;      // confident enough to run without asking
+const RUN_MARGIN = 0.15;     // ...and this far ahead of any other command
+const SUGGEST_SCORE = 0.45;  // close enough to offer as "did you mean"
+const MAX_SUGGESTIONS = 3;
+const QUESTION_RE = /\?\s*$|^(מה|למה|איך|מי|מתי|האם|כמה|איפה|what|why|how|who|when|where|is|are|does|do|should)\s/;
+
+/** Mention text as the router sees it: mentions and the bot's name stripped, lower-cased */
+export function cleanCommandText(content) {
+  return (content || "")
+    .replace(/<@!?[0-9]+>/g, "")
+    .trim()
+    .toLowerCase()
+    .replace(/@superpony/g, "")
+    .replace(/<@&1398710664079474789>/g, "")
+    .trim();
+}
+
+function matchTrigger(trigger, text, hasMentions) {
+  if (!mentionsAllowed(trigger, hasMentions)) return null;
+  if (trigger.fallback) return text ? [text] : null;
+  if (trigger.aliases) return trigger.aliases.includes(text) ? [text] : null;
+  if (trigger.match) return trigger.match(text);
+  return trigger.pattern.exec(text);
+}
+
+function mentionsAllowed({ mentions }, hasMentions) {
+  if (mentions === "none") return !hasMentions;
+  if (mentions === "required") return hasMentions;
+  return true;
+}
+
+function messageContext(message, text, deps) {
+  const reply = (payload) => message.channel.send(payload);
+  return {
+    ...deps,
+    source: "message",
+    message,
+    text,
+    user: message.author,
+    channel: message.channel,
+    reply,
+    replier: { channel: message.channel, followUp: reply },
+    isAdmin: !!message.member?.permissions?.has(PermissionFlagsBits.ManageGuild),
+    asMessage: message,
+    memberOf: (u) => ({ id: u.id, name: memberName(message.guild, u) }),
+  };
+}
+
+/** Fuzzy-rank every command intent that fits the message's mentions */
+function rankIntents(text, hasMentions) {
+  const intents = COMMANDS.flatMap((command) =>
+    (command.intents || []).map((intent, index) => ({ ...intent, command, index }))
+  ).filter((intent) => mentionsAllowed(intent, hasMentions));
+  return matchIntents(text, intents);
+}
+
+function runIntent(ctx, { intent, args }) {
+  return runCommand(intent.command, ctx, intent.args ? intent.args(args, ctx) : {});
+}
+
+/** Best match per command, for the "did you mean" buttons */
+function suggestionsFor(ranked) {
+  const seen = new Set();
+  return ranked
+    .filter((r) => r.score >= SUGGEST_SCORE && !seen.has(r.intent.command.name) && seen.add(r.intent.command.name))
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+async function sendSuggestions(message, suggestions) {
+  const row = new ActionRowBuilder().addComponents(
+    ...suggestions.map(({ intent }) =>
+      new ButtonBuilder()
+        .setCustomId(`intent:${intent.command.name}:${intent.index}`)
+        .setLabel(intent.label || intent.phrases[0])
+        .setStyle(ButtonStyle.Primary)
+    ),
+    new ButtonBuilder().setCustomId("intent:ask:0").setLabel("❓ שאלה לג׳מיני").setStyle(ButtonStyle.Secondary)
+  );
+  await message.reply({ content: "🤔 לא בטוח שהבנתי. התכוונתם ל:", components: [row], allowedMentions: { parse: [] } });
+}
+
+/**
+ * Route a bot-room mention. `text` is the cleaned, lower-cased content.
+ * Exact triggers first, then fuzzy intents (run, or "did you mean"), then the Gemini fallback.
+ * Empty text shows the help. Returns the matched command name ("suggest" for did-you-mean).
+ */
+export async function runMessageCommand(message, text, deps) {
+  const ctx = messageContext(message, text, deps);
+  const hasMentions = message.mentions.users.some((u) => u.id !== deps.client.user.id);
+
+  const triggerPass = async (fallback) => {
+    for (const command of COMMANDS) {
+      for (const trigger of (command.triggers || []).filter((t) => !!t.fallback === fallback)) {
+        const match = matchTrigger(trigger, text, hasMentions);
+        if (!match) continue;
+        console.log(`💬 ${command.name} from ${message.author.tag}: ${text}`);
+        await runCommand(command, ctx, trigger.args ? trigger.args(match, ctx) : {});
+        return command.name;
+      }
+    }
+    return null;
+  };
+
+  const exact = await triggerPass(false);
+  if (exact) return exact;
+
+  const ranked = rankIntents(text, hasMentions);
+  const [best] = ranked;
+  const rival = ranked.find((r) => r.intent.command !== best?.intent.command);
+  if (best?.complete && best.score >= RUN_SCORE && (!rival || best.score - rival.score >= RUN_MARGIN)) {
+    console.log(`💬 ${best.intent.command.name} (fuzzy ${best.score.toFixed(2)}) from ${message.author.tag}: ${text}`);
+    await runIntent(ctx, best);
+    return best.intent.command.name;
+  }
+  const suggestions = QUESTION_RE.test(text) ? [] : suggestionsFor(ranked);
+  if (suggestions.length) {
+    console.log(`💬 did-you-mean ${suggestions.map((r) => r.intent.command.name).join(",")} for ${message.author.tag}: ${text}`);
+    await sendSuggestions(message, suggestions);
+    return "suggest";
+  }
+
+  const fallback = await triggerPass(true);
+  if (fallback) return fallback;
+
+  await sendCommandHelp(message.channel);
+  return "help";
+}
+
+/**
+ * "Did you mean" buttons: intent:<command>:<intent index> | intent:ask:0.
+ * The suggestion replies to the original message, which is re-read here,
+ * so the buttons keep working across restarts. Only its author may pick.
+ */
+export async function handleIntentInteraction({ interaction, deps }) {
+  if (!interaction.isButton() || !interaction.customId.startsWith("intent:")) return false;
+  const [, name, index] = interaction.customId.split(":");
+
+  const refId = interaction.message.reference?.messageId;
+  const original = refId && (await interaction.channel.messages.fetch(refId).catch(() => null));
+  if (!original) {
+    await interaction.reply({ content: "❌ ההודעה המקורית לא נמצאה.", flags: 64 });
+    return true;
+  }
+  if (original.author.id !== interaction.user.id) {
+    await interaction.reply({ content: "רק מי ששאל יכול/ה לבחור.", flags: 64 });
+    return true;
+  }
+
+  const command = COMMANDS.find((c) => c.name === name);
+  const intent = command?.intents?.[Number(index)];
+  const label = name === "ask" ? "❓ שאלה לג׳מיני" : intent?.label || intent?.phrases[0] || name;
+  await interaction.update({ content: `👉 ${label}`, components: [] });
+
+  const text = cleanCommandText(original.content);
+  const ctx = messageContext(original, text, deps);
+  console.log(`💬 did-you-mean pick ${name} from ${interaction.user.tag}: ${text}`);
+  if (name === "ask") {
+    await COMMANDS.find((c) => c.name === "ask").run(ctx, { question: text });
+  } else if (intent) {
+    const [match] = matchIntents(text, [{ ...intent, command, index }]);
+    await runIntent(ctx, match || { intent: { ...intent, command }, args: { tokens: [], tickers: [] } });
+  }
+  return true;
+}
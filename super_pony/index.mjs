@@ -4,33 +4,32 @@ import { fileURLToPath } from "url";
 import {
   Client,
   GatewayIntentBits,
+  Partials,
   REST,
   Routes,
-  SlashCommandBuilder,
 } from "discord.js";
 
-import { handleTodaysEarnings } from "./cmd_handlers/todaysEarnings.mjs";
-import { handleAnticipatedImage } from "./cmd_handlers/anticipatedImage.mjs";
-import { sendHelp } from "./cmd_handlers/help.mjs";
-import { listAllTickers } from "./cmd_handlers/listAllTickers.mjs";
-import { listMyTickers } from "./cmd_handlers/listMyTickers.mjs";
-import { listFirstByUser } from "./cmd_handlers/listFirstByUser.mjs";
-import { handleGraphChannelMessage, runBackfillOnce } from "./cmd_handlers/graphChannelHandler.mjs";
-import { showTickersDashboard, handleDashboardInteraction } from "./cmd_handlers/tickersDashboard.mjs";
-import { deleteAndRepost } from "./cmd_handlers/deleteAndRepost.mjs";
-import { appendToLog, readRecent, backfillLastDayMessages } from "../utils/liveLog.mjs";
-import { askGemini } from "../utils/askGemini.mjs";
+import { runBackfillOnce, commitDbIfChanged } from "./cmd_handlers/graphChannelHandler.mjs";
+import { backfillLastDayMessages } from "../utils/liveLog.mjs";
+import { openTickerStore, getMeta, setMeta } from "../utils/tickerStore.mjs";
+import { postDailyRecap, postWeeklyRecap } from "./cmd_handlers/recaps.mjs";
+import { checkPriceAlerts } from "./cmd_handlers/priceAlerts.mjs";
+import { postEarningsResults } from "./cmd_handlers/earningsResults.mjs";
+import { buildSlashCommands } from "./commands.mjs";
+import { refreshTickerUniverse, universeMetaPath } from "../utils/tickerUniverse.mjs";
+import { createRouter } from "./router.mjs";
+import { expireQnaThreads } from "./cmd_handlers/qnaThreads.mjs";
 
 // paths
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DATA_DIR = path.resolve(__dirname, "scanner");
-const DB_PATH = path.join(DATA_DIR, "db.json");
+const DB_PATH = path.join(DATA_DIR, "tickers.sqlite");
+const LEGACY_DB_PATH = path.join(DATA_DIR, "db.json"); // migrated into DB_PATH on first open
 const ALL_TICKERS_PATH = path.join(DATA_DIR, "all_tickers.txt");
 
 // env
 const {
   DISCORD_TOKEN,
-  FINNHUB_TOKEN,
   ANTICIPATED_CHANNEL_ID,
   GRAPHS_CHANNEL_ID,
   SCHEDULE_CHANNEL_ID,
@@ -39,14 +38,24 @@ const {
   DISCORD_GUILD_ID,
   DISCORD_APPLICATION_ID,
   SHUTDOWN_SECRET,
-  CHATROOM_IDS
+  CHATROOM_IDS,
+  RECAP_CHANNEL_ID,
 } = process.env;
 
 // shared state
-let LIVE_LISTENING_ENABLED = false;
+const LIVE_LISTENING_ENABLED = false; // delete-and-repost graph-room messages
 
 let botLogChannel = null; // channel for bot logs
 let botChannel = null; // channel for bot interactions
+let recapChannel = null; // channel for scheduled recaps
+
+/** Chat rooms to stream-log (CHATROOM_IDS, line separated). If empty => log none. */
+function parseChatRooms() {
+  return (CHATROOM_IDS || "")
+    .split(/[\n]+/)
+    .map(s => s.trim())
+    .filter(Boolean);
+}
 
 // graceful shutdown
 async function shutdown(reason = "discord-webhook") {
@@ -60,36 +69,11 @@ async function shutdown(reason = "discord-webhook") {
   }
 }
 
-// slash command def
-const commands = [
-  new SlashCommandBuilder()
-    .setName("todays_earnings")
-    .setDescription("הצג את הטיקרים של החברות שמדווחות היום")
-    .addStringOption((opt) =>
-      opt
-        .setName("type")
-        .setDescription("איזה סוג של טיקרים להציג")
-        .setRequired(false)
-        .addChoices(
-          { name: "All", value: "all" },
-          { name: "S&P 500", value: "sp500" },
-          { name: "Anticipated", value: "anticipated" },
-        )
-    )
-    .addIntegerOption((opt) =>
-      opt
-        .setName("limit")
-        .setDescription("הגבל את מספר הטיקרים המוצגים")
-        .setMinValue(1)
-        .setRequired(false)
-    ),
-].map((c) => c.toJSON());
-
 async function registerSlashCommands() {
   const rest = new REST({ version: "10" }).setToken(DISCORD_TOKEN);
   await rest.put(
     Routes.applicationGuildCommands(DISCORD_APPLICATION_ID, DISCORD_GUILD_ID),
-    { body: commands }
+    { body: buildSlashCommands() }
   );
   console.log("✅ Slash commands registered");
 }
@@ -101,8 +85,223 @@ const client = new Client({
     GatewayIntentBits.GuildMessages,
     GatewayIntentBits.MessageContent,
   ],
+  // edits/deletes of messages sent before this run arrive as partials
+  partials: [Partials.Message, Partials.Channel],
 });
 
+// what registry commands (commands.mjs) get besides the message / interaction
+const commandDeps = {
+  client,
+  dbPath: DB_PATH,
+  allTickersFile: ALL_TICKERS_PATH,
+  onUniverseRefreshed: commitTickerUniverse,
+  env: { ANTICIPATED_CHANNEL_ID },
+};
+
+/* ===== Recap scheduler (Asia/Jerusalem) =====
+ * Each recap slot (day / week) is claimed in the tickers db meta table and committed
+ * before posting, so a job that restarts mid-day never posts the same recap twice.
+ * A post that fails is reported to the log channel instead of retried.
+ */
+const RECAP_TZ = "Asia/Jerusalem";
+const RECAP_TICK_MS = 60 * 1000;
+const RECAP_DAILY_AT = process.env.RECAP_DAILY_AT || "23:30";        // Mon–Fri, after the US close
+const RECAP_WEEKLY_DAY = Number(process.env.RECAP_WEEKLY_DAY || 6);  // 0=Sun ... 6=Sat
+const RECAP_WEEKLY_AT = process.env.RECAP_WEEKLY_AT || "21:00";
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+let recapRunning = false;
+
+/** { ymd: "YYYY-MM-DD", weekday: 0-6, hhmm: "HH:MM" } in Israel time */
+function israelNow(d = new Date()) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: RECAP_TZ, hourCycle: "h23", weekday: "short",
+    year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit",
+  }).formatToParts(d);
+  const get = (t) => parts.find((p) => p.type === t)?.value;
+  return {
+    ymd: `${get("year")}-${get("month")}-${get("day")}`,
+    weekday: WEEKDAYS.indexOf(get("weekday")),
+    hhmm: `${get("hour")}:${get("minute")}`,
+  };
+}
+
+/** Sunday..ymd of ymd's week */
+function weekDaysUpTo(ymd, weekday) {
+  const end = Date.parse(`${ymd}T00:00:00Z`);
+  return Array.from({ length: weekday + 1 }, (_, i) =>
+    new Date(end - (weekday - i) * 86400000).toISOString().slice(0, 10)
+  );
+}
+
+async function runRecapSlot(key, slot, post) {
+  if ((await getMeta(DB_PATH, key)) === slot) return;
+  await setMeta(DB_PATH, key, slot); // claim first: at most one post per slot
+  await commitDbIfChanged(DB_PATH);
+  console.log(`📰 Posting ${key} for ${slot}`);
+  try {
+    await post();
+  } catch (e) {
+    // the slot stays claimed (no double post); tell the admins it is missing
+    console.error(`${key} for ${slot} failed:`, e);
+    await botLogChannel
+      ?.send(`⚠️ הפרסום של ${key} ל־${slot} נכשל ולא יפורסם שוב אוטומטית: ${e?.message || e}`)
+      .catch(() => { });
+  }
+}
+
+async function runRecapScheduler() {
+  if (recapRunning || !recapChannel) return;
+  recapRunning = true;
+  try {
+    const now = israelNow();
+    if (now.weekday >= 1 && now.weekday <= 5 && now.hhmm >= RECAP_DAILY_AT) {
+      await runRecapSlot("recap:daily", now.ymd, () =>
+        postDailyRecap({ channel: recapChannel, dbPath: DB_PATH, ymd: now.ymd })
+      );
+    }
+    if (now.weekday === RECAP_WEEKLY_DAY && now.hhmm >= RECAP_WEEKLY_AT) {
+      const ymds = weekDaysUpTo(now.ymd, now.weekday);
+      await runRecapSlot("recap:weekly", ymds[0], () =>
+        postWeeklyRecap({ channel: recapChannel, dbPath: DB_PATH, ymds })
+      );
+    }
+  } catch (e) {
+    console.error("Recap scheduler failed:", e);
+  } finally {
+    recapRunning = false;
+  }
+}
+
+/* ===== Earnings results follow-up (Asia/Jerusalem) =====
+ * After each reporting window, re-check the day's calendar every few minutes until
+ * noon / midnight; each result is posted once (tracked in the db meta table).
+ * BMO: today's reports, from EARNINGS_BMO_AT. AMC: yesterday's reports, from EARNINGS_AMC_AT.
+ */
+const EARNINGS_TICK_MS = 15 * 60 * 1000;
+const EARNINGS_BMO_AT = process.env.EARNINGS_BMO_AT || "16:45"; // ~09:45 ET
+const EARNINGS_AMC_AT = process.env.EARNINGS_AMC_AT || "00:30"; // ~17:30 ET
+let earningsRunning = false;
+
+async function runEarningsResults() {
+  if (earningsRunning || !recapChannel) return;
+  earningsRunning = true;
+  try {
+    const now = israelNow();
+    const slots = [];
+    if (now.weekday >= 1 && now.weekday <= 5 && now.hhmm >= EARNINGS_BMO_AT) {
+      slots.push({ ymd: now.ymd, session: "bmo" });
+    }
+    const yesterday = (now.weekday + 6) % 7;
+    if (yesterday >= 1 && yesterday <= 5 && now.hhmm >= EARNINGS_AMC_AT && now.hhmm < "12:00") {
+      const ymd = new Date(Date.parse(`${now.ymd}T00:00:00Z`) - 86400000).toISOString().slice(0, 10);
+      slots.push({ ymd, session: "amc" });
+    }
+    for (const slot of slots) {
+      const posted = await postEarningsResults({ channel: recapChannel, dbPath: DB_PATH, ...slot });
+      if (posted) console.log(`📣 Posted ${posted} ${slot.session} earnings result(s) for ${slot.ymd}`);
+    }
+  } catch (e) {
+    console.error("Earnings results job failed:", e);
+  } finally {
+    earningsRunning = false;
+  }
+}
+
+/* ===== Ticker universe refresh (Asia/Jerusalem) =====
+ * Once a day, before the US pre-market: rebuild all_tickers.txt (+ metadata) from Finnhub
+ * or TICKER_UNIVERSE_CSV, commit it with the db, and post the changes to the log channel.
+ * A failed or refused refresh is retried every tick and reported to the log channel once a day.
+ * The graphs-room handlers reload the file on their next message.
+ */
+const UNIVERSE_TICK_MS = 60 * 60 * 1000;
+const UNIVERSE_REFRESH_AT = process.env.UNIVERSE_REFRESH_AT || "09:00";
+let universeRunning = false;
+let universeFailedOn = null; // Israel day of the last failure posted to the log channel
+
+async function commitTickerUniverse() {
+  await commitDbIfChanged(DB_PATH, {
+    also: [ALL_TICKERS_PATH, universeMetaPath(ALL_TICKERS_PATH)],
+    message: "chore(scanner): refresh ticker universe [skip ci]",
+  });
+}
+
+async function runUniverseRefresh() {
+  if (universeRunning) return;
+  if (!process.env.TICKER_UNIVERSE_CSV && !process.env.FINNHUB_TOKEN) return;
+  universeRunning = true;
+  try {
+    const now = israelNow();
+    if (now.hhmm < UNIVERSE_REFRESH_AT) return;
+    if ((await getMeta(DB_PATH, "universe:refresh")) === now.ymd) return;
+    // safe to repeat: the day is claimed only once the refresh went through, so a failure retries next tick
+    const diff = await refreshTickerUniverse({ allTickersFile: ALL_TICKERS_PATH });
+    await setMeta(DB_PATH, "universe:refresh", now.ymd);
+    await commitTickerUniverse();
+    universeFailedOn = null;
+    const changes = diff.added.length + diff.removed.length + diff.renamed.length;
+    if (changes && botLogChannel) {
+      await botLogChannel.send(
+        `📚 רשימת הטיקרים עודכנה: +${diff.added.length} / -${diff.removed.length} / ${diff.renamed.length} שינו סימול (פרטים: /universe)`
+      );
+    }
+  } catch (e) {
+    console.error("Ticker universe refresh failed:", e);
+    const today = israelNow().ymd;
+    if (universeFailedOn !== today && botLogChannel) {
+      universeFailedOn = today; // one report a day; the retries keep going
+      await botLogChannel
+        .send(`⚠️ רענון רשימת הטיקרים נכשל: ${e?.message || e}\nאפשר לנסות שוב או לאשר רשימה קטנה: /universe force`)
+        .catch(() => { });
+    }
+  } finally {
+    universeRunning = false;
+  }
+}
+
+/* ===== Q&A thread expiry ===== */
+const QNA_SWEEP_MS = 60 * 1000;
+
+async function runQnaSweep() {
+  try {
+    const expired = await expireQnaThreads(client);
+    if (expired) console.log(`🧵 ${expired} Q&A thread(s) expired`);
+  } catch (e) {
+    console.error("Q&A thread sweep failed:", e);
+  }
+}
+
+/* ===== Borderline tickers summary =====
+ * Graph-room tickers scored just under the threshold are gathered by the router and
+ * posted to the log channel as one summary every BORDERLINE_SUMMARY_HOURS.
+ */
+const BORDERLINE_SUMMARY_MS = (Number(process.env.BORDERLINE_SUMMARY_HOURS) || 24) * 60 * 60 * 1000;
+
+async function runBorderlineSummary() {
+  try {
+    const n = await router.flushBorderline();
+    if (n) console.log(`🤔 Posted a borderline summary (${n} tickers)`);
+  } catch (e) {
+    console.error("Borderline summary failed:", e);
+  }
+}
+
+/* ===== Price alerts poller ===== */
+const ALERTS_TICK_MS = 5 * 60 * 1000;
+let alertsRunning = false;
+
+async function runAlertsPoller() {
+  if (alertsRunning) return;
+  alertsRunning = true;
+  try {
+    const fired = await checkPriceAlerts({ client, dbPath: DB_PATH });
+    if (fired) console.log(`🔔 ${fired} price alert(s) fired`);
+  } catch (e) {
+    console.error("Price alerts poller failed:", e);
+  } finally {
+    alertsRunning = false;
+  }
+}
+
 client.once("ready", async () => {
   console.log(`✅ Logged in as ${client.user.tag}`);
   try {
@@ -118,11 +317,7 @@ client.once("ready", async () => {
     }
 
     // Backfill messages from the last day for specified chat rooms
-    const chatRooms = (CHATROOM_IDS || "")
-      .split(/[\n]+/)
-      .map(s => s.trim())
-      .filter(Boolean);
-    for (const channelId of chatRooms) {
+    for (const channelId of parseChatRooms()) {
       try {
         await backfillLastDayMessages(client, channelId);
         console.log(`✅ Backfilled last day's messages for channel ${channelId}`);
@@ -150,6 +345,20 @@ client.once("ready", async () => {
     }
 
     console.log("✅ Backfill done; now listening for new messages.");
+
+    recapChannel = client.channels.cache.get(RECAP_CHANNEL_ID || BOT_CHANNEL_ID);
+    if (recapChannel) {
+      setInterval(runRecapScheduler, RECAP_TICK_MS);
+      runRecapScheduler();
+      setInterval(runEarningsResults, EARNINGS_TICK_MS);
+    } else {
+      console.warn("Recap channel not found, scheduled recaps and earnings results are disabled.");
+    }
+    setInterval(runAlertsPoller, ALERTS_TICK_MS);
+    setInterval(runUniverseRefresh, UNIVERSE_TICK_MS);
+    setInterval(runQnaSweep, QNA_SWEEP_MS);
+    setInterval(runBorderlineSummary, BORDERLINE_SUMMARY_MS);
+    runUniverseRefresh();
     if (botLogChannel) {
       await botLogChannel.send("🟢 חזרתי לפעילות, אני זמין, שלחו לי הודעה!");
     } else {
@@ -160,259 +369,25 @@ client.once("ready", async () => {
   }
 });
 
-// Interaction router (components first!)
-client.on("interactionCreate", async (interaction) => {
-  try {
-    if (interaction.isButton() || interaction.isStringSelectMenu()) {
-      const handled = await handleDashboardInteraction({ interaction, dbPath: DB_PATH });
-      if (handled) return;
-    }
-    if (!interaction.isChatInputCommand()) return;
-    if (interaction.commandName !== "todays_earnings") return;
-
-    await interaction.deferReply();
-    const filter = interaction.options.getString("type") || "all";
-    const limit = interaction.options.getInteger("limit") || 0;
-
-    if (filter === "anticipated") {
-      await handleAnticipatedImage({ client, interaction, ANTICIPATED_CHANNEL_ID });
-    } else {
-      await handleTodaysEarnings({ client, interaction, filter, limit, FINNHUB_TOKEN });
-    }
-  } catch (err) {
-    console.error(err);
-    if (interaction.deferred || interaction.replied) {
-      await interaction.followUp({ content: "❌ שגיאה בעיבוד הבקשה.", flags: 64 }).catch(() => { });
-    } else {
-      await interaction.reply({ content: "❌ שגיאה בעיבוד הבקשה.", flags: 64 }).catch(() => { });
-    }
-  }
+// event routers (router.mjs)
+const router = createRouter({
+  client,
+  dbPath: DB_PATH,
+  allTickersFile: ALL_TICKERS_PATH,
+  channels: { bot: BOT_CHANNEL_ID, graphs: GRAPHS_CHANNEL_ID, schedule: SCHEDULE_CHANNEL_ID, log: LOG_CHANNEL_ID },
+  chatRooms: parseChatRooms(),
+  shutdownSecret: SHUTDOWN_SECRET,
+  liveRepost: LIVE_LISTENING_ENABLED,
+  logChannel: () => botLogChannel,
+  shutdown,
+  commandDeps,
 });
 
-// Message router
-client.on("messageCreate", async (message) => {
-  try {
-    // Special path for Discord webhook messages
-    if (message.webhookId) {
-      if (message.channel.id === LOG_CHANNEL_ID) {
-        const text = (message.content || "").trim();
-        if (text === `shutdown ${SHUTDOWN_SECRET}`) {
-          console.log("🔴 Shutdown command received via webhook, shutting down...");
-          if (botLogChannel) {
-            await botLogChannel.send("🔴 אני יורד לדקה של תחזוקה...");
-          } else {
-            console.warn("Bot log channel not found, skipping shutdown message.");
-          }
-          return shutdown();
-        }
-      }
-      return; // ignore other webhook messages
-    }
-
-    // Ignore bot messages
-    if (message.author.bot) return;
-
-    const inBotRoom = message.channel.id === BOT_CHANNEL_ID;
-    const inGraphsRoom = message.channel.id === GRAPHS_CHANNEL_ID;
-    const inScheduleRoom = message.channel.id === SCHEDULE_CHANNEL_ID;
-    // Limit logging to certain channel IDs (line separated). If empty => log None.
-    const chatRooms = (CHATROOM_IDS || "")
-      .split(/[\n]+/)
-      .map(s => s.trim())
-      .filter(Boolean);
-
-    // Stream-log messages (only if channel allowed)
-    const shouldLog = chatRooms.length > 0 && chatRooms.includes(message.channel.id);
-    if (shouldLog) {
-      try {
-        await appendToLog(message);
-      } catch (err) {
-        console.error("Failed to log message: ", err);
-      }
-    }
-
-    const content = (message.content || "").trim();
-    if (!content) return; // Ignore empty messages
-
-    // Handle messages in the graphs room
-    if (inGraphsRoom) {
-      if (content) {
-        // Log user's message in the DB
-        await handleGraphChannelMessage({
-          message,
-          allTickersFile: ALL_TICKERS_PATH,
-          dbPath: DB_PATH,
-          silent: true,
-          updateCheckpoint: true,
-        });
-
-        // Delete and repost the message
-        if (!LIVE_LISTENING_ENABLED) return;
-        let userInitials = message.author.username.replace(/[aeiou\.]/g, "").toLowerCase() || "pny";
-        if (userInitials.length > 3) {
-          userInitials = userInitials.substring(0, 3);
-        }
-        console.log(`🔄 Reposting message from ${message.author.tag} in #${message.channel.name} as ${userInitials}`);
-
-        try {
-          await deleteAndRepost(message, botLogChannel, userInitials);
-          console.log(`🔄 Reposted message from ${message.author.tag} in #${message.channel.name}`);
-        } catch (err) {
-          console.error(`❌ Failed to repost message from ${message.author.tag} in #${message.channel.name}:`, err);
-          if (message.channel.send) {
-            await message.channel.send(`❌ לא הצלחתי לפרסם את ההודעה שלך, אנא נסה שוב, או פנה למנהל השרת.`);
-          }
-        }
-      }
-      return;
-    }
-
-    // Clean the content: remove mentions and normalize
-    let cleanContent = content.replace(/<@!?[0-9]+>/g, "").trim().toLowerCase();
-    // also remove "@superpony" and the bot's ID
-    cleanContent = cleanContent.replace(/@superpony/g, "").replace(/<@&1398710664079474789>/g, "").trim();
-
-    // Check if the message mentions the bot or contains its ID
-    const mentionsBot = (client.user?.id && message.mentions.users.has(client.user.id)) || content.includes("@superpony") || content.includes("1398710664079474789");
-    if (!mentionsBot) return;
-
-    // If in schedule room, handle scheduled messages
-    if (inScheduleRoom) {
-      if (cleanContent === "ססמי המחק" || cleanContent === "ססמי מחק" || cleanContent === "ססמי תמחק") {
-        console.log(`🗑️ User ${message.author.tag} requested to delete the schedule room message`);
-        // delete all the messages in the schedule room from all users and bots
-        const deletableMessages = await message.channel.messages.fetch({ limit: 100 });
-        if (deletableMessages.size > 0) {
-          await message.channel.bulkDelete(deletableMessages);
-          console.log(`🗑️ Deleted ${deletableMessages.size} messages in the schedule room.`);
-        } else {
-          console.log("🗑️ No messages to delete in the schedule room.");
-        }
-      }
-      return; // Ignore other messages in the schedule room
-    }
-
-    // Ignore messages not in the bot room
-    if (!inBotRoom) return;
-
-    console.log(`🔔 Message from: ${message.author.tag}, in channel: ${message.channel.name}, mentions: ${message.mentions.users}, content: `, content);
-
-    const otherMentions = message.mentions.users.filter(u => u.id !== client.user.id);
-
-    // Mine
-    if (otherMentions.size === 0 && (cleanContent === "טיקרים שלי" || cleanContent === "שלי")) {
-      console.log(`📈 User ${message.author.tag} requested their tickers`);
-      await listMyTickers({ message, dbPath: DB_PATH });
-      return;
-    }
-
-    // List all tickers
-    if (otherMentions.size === 0 && (cleanContent === "כל הטיקרים" || cleanContent === "כל טיקרים")) {
-      console.log(`📜 User ${message.author.tag} requested the full ticker list`);
-      await listAllTickers({ message, dbPath: DB_PATH });
-      return;
-    }
-
-    // Dashboard (primary entrypoint)
-    if (otherMentions.size === 0 && cleanContent === "טיקרים") {
-      console.log(`📊 User ${message.author.tag} requested the dashboard`);
-      await showTickersDashboard({ message, dbPath: DB_PATH });
-      return;
-    }
-
-    // Other user tickers
-    if (otherMentions.size > 0 && (cleanContent === "טיקרים" || cleanContent === "הטיקרים" || cleanContent === "של")) {
-      console.log(`🔍 User ${message.author.tag} requested tickers for: ${otherMentions.map(u => u.tag).join(", ")}`);
-      const targetUser = otherMentions.first();
-      await listFirstByUser({ message, dbPath: DB_PATH, targetUser });
-      return;
-    }
-
-    // Earnings
-    if (cleanContent === "דיווחים 500") {
-      console.log(`📈 User ${message.author.tag} requested S&P 500 earnings`);
-      await handleTodaysEarnings({
-        client,
-        interaction: { channel: message.channel, followUp: (t) => message.channel.send(t) },
-        filter: "sp500",
-        limit: 0,
-        FINNHUB_TOKEN,
-      });
-      return;
-    }
-
-    // List all tickers as an image
-    if (cleanContent === "תמונת דיווחים" || cleanContent === "תמונה") {
-      console.log(`🖼️ User ${message.author.tag} requested anticipated earnings image`);
-      await handleAnticipatedImage({
-        client,
-        interaction: { followUp: (t) => message.channel.send(t) },
-        ANTICIPATED_CHANNEL_ID,
-      });
-      return;
-    }
-
-    // All earnings
-    if (cleanContent === "דיווחים" || cleanContent === "מדווחות") {
-      console.log(`📈 User ${message.author.tag} requested all earnings`);
-      await handleTodaysEarnings({
-        client,
-        interaction: { channel: message.channel, followUp: (t) => message.channel.send(t) },
-        filter: "all",
-        limit: 0,
-        FINNHUB_TOKEN,
-      });
-      return;
-    }
-
-    // Fallback: Treat any other text as a Gemini question
-    if (cleanContent) {
-      console.log(`❓ User ${message.author.tag} asked Gemini: ${cleanContent}`);
-      try {
-        await message.channel.send("🔍 מחפש תשובה לשאלה שלך, זה יכול לקחת כמה שניות...");
-
-        const response = await askGemini(cleanContent, message.channel.id);
-        // console.log("[Discord.send] chars:", (response || "").length, "preview:", (response || "").slice(0, 300).replace(/\n/g, " "));
-
-        const maxLen = 1500;
-        let responseLines = response.split("\n").map(line => line.trim()).filter(line => line.length > 0);
-        let chunk = "";
-        for (const line of responseLines) {
-          if ((chunk + line + "\n").length > maxLen) {
-            // console.log("[Discord.send] chars:", (chunk).length, "chunk:", chunk);
-            await message.channel.send(chunk);
-            chunk = "";
-          }
-          // is line larger than maxLen, split it
-          if (line.length > maxLen) {
-            const parts = line.match(new RegExp(`.{1,${maxLen}}`, "g")) || [];
-            for (const part of parts) {
-              await message.channel.send(part);
-            }
-            continue;
-          }
-          else {
-            chunk += line + "\n";
-          }
-        }
-        await message.channel.send(chunk);
-      } catch (err) {
-        console.error(`Failed to process Gemini question: ${cleanContent}`, err);
-        await message.channel.send("❌ שגיאה בעיבוד השאלה, אנא נסה שוב.");
-      }
-      return;
-    }
-
-    // No matching command or question - return help
-    await sendHelp({ channel: message.channel });
-
-  } catch (err) {
-    console.error("messageCreate handler error:", err);
-    if (message?.channel?.send) {
-      await message.channel.send("❌ קרתה שגיאה בעיבוד הבקשה.");
-    }
-  }
-});
+client.on("interactionCreate", router.onInteraction);
+client.on("messageCreate", router.onMessage);
+client.on("messageUpdate", router.onMessageUpdate);
+client.on("messageDelete", router.onMessageDelete);
+client.on("messageDeleteBulk", router.onMessageDeleteBulk);
 
 // global error handlers
 process.on("unhandledRejection", (err) => {
@@ -425,5 +400,6 @@ process.on("uncaughtException", (err) => {
   shutdown();
 });
 
+await openTickerStore(DB_PATH, { legacyJsonPath: LEGACY_DB_PATH });
 await registerSlashCommands();
 client.login(DISCORD_TOKEN);
\ No newline at end of file
@@ -0,0 +1,280 @@
+import {
+  handleGraphChannelMessage,
+  handleGraphChannelEdit,
+  handleGraphChannelDelete,
+} from "./cmd_handlers/graphChannelHandler.mjs";
+import { handleDashboardInteraction } from "./cmd_handlers/tickersDashboard.mjs";
+import { deleteAndRepost } from "./cmd_handlers/deleteAndRepost.mjs";
+import { handleLeaderboardInteraction } from "./cmd_handlers/leaderboard.mjs";
+import { handleQnaFollowUp } from "./cmd_handlers/qnaThreads.mjs";
+import { handlePaginatorInteraction } from "../utils/paginator.mjs";
+import { appendToLog } from "../utils/liveLog.mjs";
+import {
+  runSlashCommand,
+  runMessageCommand,
+  handleIntentInteraction,
+  cleanCommandText,
+} from "./commands.mjs";
+
+const BORDERLINE_SUMMARY_MAX = 20; // tickers per summary
+
+/**
+ * Discord event routers (interactions, messages, graph-room edits / deletes).
+ * index.mjs owns the client, startup and schedulers and wires these to its events;
+ * keeping them here lets the test suite drive them with a fake client.
+ *
+ * opts:
+ *   client, dbPath, allTickersFile
+ *   channels:       { bot, graphs, schedule, log } channel ids
+ *   chatRooms:      channel ids whose messages are stream-logged
+ *   shutdownSecret: webhook "shutdown <secret>" in the log channel stops the bot
+ *   liveRepost:     delete-and-repost graph-room messages as the bot
+ *   logChannel():   the bot log channel (resolved once the client is ready), or null
+ *   shutdown():     graceful stop
+ *   commandDeps:    what registry commands (commands.mjs) get besides the message / interaction
+ * Besides the event handlers, `flushBorderline()` posts the near-miss tickers of the graphs room
+ * gathered since the last call as one summary (index.mjs runs it on a timer).
+ */
+export function createRouter({
+  client,
+  dbPath,
+  allTickersFile,
+  channels = {},
+  chatRooms = [],
+  shutdownSecret,
+  liveRepost = false,
+  logChannel = () => null,
+  shutdown = async () => { },
+  commandDeps,
+}) {
+  const selfDeletedIds = new Set(); // graph-room messages we delete ourselves (delete-and-repost)
+
+  /** Post first-mention hand-overs (from edits/deletes) to the bot log channel */
+  async function reportFirstMentionChanges(changes) {
+    if (!changes?.length) return;
+    const lines = changes.map((c) => {
+      const prev = c.prevUserId ? `<@${c.prevUserId}>` : "—";
+      const next = c.newUserId ? `<@${c.newUserId}>` : "—";
+      return `🔁 אזכור ראשון של \`${c.ticker}\` עבר: ${prev} → ${next} (${c.reason})`;
+    });
+    console.log(lines.join("\n"));
+    const botLogChannel = logChannel();
+    if (botLogChannel) {
+      await botLogChannel.send({ content: lines.join("\n"), allowedMentions: { parse: [] } }).catch(() => { });
+    }
+  }
+
+  // tickers scored just under the threshold (not recorded), summed up for admins to review
+  const borderlineTally = new Map(); // ticker -> { count, confidence (highest), url (latest) }
+
+  function tallyBorderline(message, borderline) {
+    for (const b of borderline || []) {
+      const cur = borderlineTally.get(b.ticker) || { count: 0, confidence: 0, url: null };
+      borderlineTally.set(b.ticker, { count: cur.count + 1, confidence: Math.max(cur.confidence, b.confidence), url: message.url });
+    }
+  }
+
+  /** Post the borderline tickers seen since the last summary to the bot log channel (one message); returns how many */
+  async function flushBorderline() {
+    if (!borderlineTally.size) return 0;
+    const botLogChannel = logChannel();
+    if (!botLogChannel) return 0;
+    const rows = [...borderlineTally.entries()].sort((a, b) => b[1].count - a[1].count || a[0].localeCompare(b[0]));
+    borderlineTally.clear();
+    const lines = rows
+      .slice(0, BORDERLINE_SUMMARY_MAX)
+      .map(([ticker, t]) => `\`${ticker}\` ×${t.count} (עד ${t.confidence.toFixed(2)}) — ${t.url}`);
+    if (rows.length > BORDERLINE_SUMMARY_MAX) lines.push(`ועוד ${rows.length - BORDERLINE_SUMMARY_MAX}...`);
+    const content = `🤔 לא נרשמו (ביטחון נמוך) מאז הסיכום הקודם:\n${lines.join("\n")}`;
+    await botLogChannel.send({ content: content.slice(0, 2000), allowedMentions: { parse: [] } }).catch(() => { });
+    return rows.length;
+  }
+
+  // Interaction router (components first!)
+  async function onInteraction(interaction) {
+    try {
+      if (interaction.isButton() || interaction.isStringSelectMenu() || interaction.isModalSubmit()) {
+        const handled =
+          (await handleDashboardInteraction({ interaction, dbPath })) ||
+          (await handlePaginatorInteraction({ interaction, dbPath })) ||
+          (await handleLeaderboardInteraction({ interaction, dbPath })) ||
+          (await handleIntentInteraction({ interaction, deps: commandDeps }));
+        if (handled) return;
+      }
+      if (!interaction.isChatInputCommand()) return;
+      await runSlashCommand(interaction, commandDeps);
+    } catch (err) {
+      console.error(err);
+      if (interaction.deferred || interaction.replied) {
+        await interaction.followUp({ content: "❌ שגיאה בעיבוד הבקשה.", flags: 64 }).catch(() => { });
+      } else {
+        await interaction.reply({ content: "❌ שגיאה בעיבוד הבקשה.", flags: 64 }).catch(() => { });
+      }
+    }
+  }
+
+  // Message router
+  async function onMessage(message) {
+    try {
+      // Special path for Discord webhook messages
+      if (message.webhookId) {
+        if (message.channel.id === channels.log) {
+          const text = (message.content || "").trim();
+          if (text === `shutdown ${shutdownSecret}`) {
+            console.log("🔴 Shutdown command received via webhook, shutting down...");
+            const botLogChannel = logChannel();
+            if (botLogChannel) {
+              await botLogChannel.send("🔴 אני יורד לדקה של תחזוקה...");
+            } else {
+              console.warn("Bot log channel not found, skipping shutdown message.");
+            }
+            return shutdown();
+          }
+        }
+        return; // ignore other webhook messages
+      }
+
+      // Ignore bot messages
+      if (message.author.bot) return;
+
+      const inBotRoom = message.channel.id === channels.bot;
+      const inGraphsRoom = message.channel.id === channels.graphs;
+      const inScheduleRoom = message.channel.id === channels.schedule;
+
+      // Stream-log messages (only if channel allowed)
+      const shouldLog = chatRooms.length > 0 && chatRooms.includes(message.channel.id);
+      if (shouldLog) {
+        try {
+          await appendToLog(message);
+        } catch (err) {
+          console.error("Failed to log message: ", err);
+        }
+      }
+
+      const content = (message.content || "").trim();
+      // Ignore empty messages (graph-room screenshots still go through: tickers are OCR'd off the chart)
+      if (!content && !(inGraphsRoom && message.attachments?.size)) return;
+
+      // Follow-ups in a Gemini Q&A thread (no mention needed)
+      if (message.channel.isThread?.() && (await handleQnaFollowUp(message))) return;
+
+      // Handle messages in the graphs room
+      if (inGraphsRoom) {
+        // Log user's message in the DB
+        const { borderline } = await handleGraphChannelMessage({
+          message,
+          allTickersFile,
+          dbPath,
+          silent: true,
+          updateCheckpoint: true,
+        });
+        tallyBorderline(message, borderline);
+
+        // Delete and repost the message
+        if (!liveRepost) return;
+        let userInitials = message.author.username.replace(/[aeiou\.]/g, "").toLowerCase() || "pny";
+        if (userInitials.length > 3) {
+          userInitials = userInitials.substring(0, 3);
+        }
+        console.log(`🔄 Reposting message from ${message.author.tag} in #${message.channel.name} as ${userInitials}`);
+
+        try {
+          selfDeletedIds.add(message.id);
+          await deleteAndRepost(message, logChannel(), userInitials);
+          console.log(`🔄 Reposted message from ${message.author.tag} in #${message.channel.name}`);
+        } catch (err) {
+          console.error(`❌ Failed to repost message from ${message.author.tag} in #${message.channel.name}:`, err);
+          if (message.channel.send) {
+            await message.channel.send(`❌ לא הצלחתי לפרסם את ההודעה שלך, אנא נסה שוב, או פנה למנהל השרת.`);
+          }
+        }
+        return;
+      }
+
+      // Clean the content: remove mentions and normalize
+      const cleanContent = cleanCommandText(content);
+
+      // Check if the message mentions the bot or contains its ID
+      const mentionsBot = (client.user?.id && message.mentions.users.has(client.user.id)) || content.includes("@superpony") || content.includes("1398710664079474789");
+      if (!mentionsBot) return;
+
+      // If in schedule room, handle scheduled messages
+      if (inScheduleRoom) {
+        if (cleanContent === "ססמי המחק" || cleanContent === "ססמי מחק" || cleanContent === "ססמי תמחק") {
+          console.log(`🗑️ User ${message.author.tag} requested to delete the schedule room message`);
+          // delete all the messages in the schedule room from all users and bots
+          const deletableMessages = await message.channel.messages.fetch({ limit: 100 });
+          if (deletableMessages.size > 0) {
+            await message.channel.bulkDelete(deletableMessages);
+            console.log(`🗑️ Deleted ${deletableMessages.size} messages in the schedule room.`);
+          } else {
+            console.log("🗑️ No messages to delete in the schedule room.");
+          }
+        }
+        return; // Ignore other messages in the schedule room
+      }
+
+      // Ignore messages not in the bot room
+      if (!inBotRoom) return;
+
+      console.log(`🔔 Message from: ${message.author.tag}, in channel: ${message.channel.name}, mentions: ${message.mentions.users}, content: `, content);
+      await runMessageCommand(message, cleanContent, commandDeps);
+
+    } catch (err) {
+      console.error("messageCreate handler error:", err);
+      if (message?.channel?.send) {
+        await message.channel.send("❌ קרתה שגיאה בעיבוד הבקשה.");
+      }
+    }
+  }
+
+  // Graph-room edits: re-extract tickers
+  async function onMessageUpdate(oldMessage, newMessage) {
+    try {
+      if (newMessage.channelId !== channels.graphs) return;
+      const message = newMessage.partial ? await newMessage.fetch() : newMessage;
+      if (message.author?.bot || message.webhookId) return;
+      if (!oldMessage.partial && oldMessage.content === message.content) return; // embed-only update
+
+      const changes = await handleGraphChannelEdit({ message, allTickersFile, dbPath });
+      await reportFirstMentionChanges(changes);
+    } catch (err) {
+      console.error("messageUpdate handler error:", err);
+    }
+  }
+
+  // Graph-room deletes: retract mentions (tombstoned)
+  async function onMessageDelete(message) {
+    try {
+      if (message.channelId !== channels.graphs) return;
+      if (selfDeletedIds.delete(message.id)) return; // our own delete-and-repost
+
+      const changes = await handleGraphChannelDelete({
+        messageIds: [message.id],
+        dbPath,
+        reason: "delete",
+      });
+      await reportFirstMentionChanges(changes);
+    } catch (err) {
+      console.error("messageDelete handler error:", err);
+    }
+  }
+
+  async function onMessageDeleteBulk(messages, channel) {
+    try {
+      if (channel?.id !== channels.graphs) return;
+      const ids = [...messages.keys()].filter((id) => !selfDeletedIds.delete(id));
+
+      const changes = await handleGraphChannelDelete({
+        messageIds: ids,
+        dbPath,
+        reason: "bulk_delete",
+      });
+      await reportFirstMentionChanges(changes);
+    } catch (err) {
+      console.error("messageDeleteBulk handler error:", err);
+    }
+  }
+
+  return { onInteraction, onMessage, onMessageUpdate, onMessageDelete, onMessageDeleteBulk, flushBorderline };
+}
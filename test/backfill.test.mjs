@@ -0,0 +1,135 @@
+import { tempWorkspace, quietConsole } from "./helpers/setup.mjs";
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import initSqlJs from "sql.js";
+import { createClient, createUser } from "./helpers/fakeDiscord.mjs";
+import { runBackfillOnce } from "../super_pony/cmd_handlers/graphChannelHandler.mjs";
+import { getCheckpoint, updateCheckpoint, queryTickerStore } from "../utils/tickerStore.mjs";
+import { setChartOcr } from "../utils/chartOcr.mjs";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const alice = createUser({ id: "u-alice", username: "alice" });
+
+let restoreConsole;
+before(() => { restoreConsole = quietConsole(); });
+after(() => restoreConsole());
+
+function setup() {
+  const ws = tempWorkspace();
+  const client = createClient();
+  const graphs = client.addChannel({ name: "graphs" });
+  const backfill = (opts = {}) =>
+    runBackfillOnce({ client, channelId: graphs.id, allTickersFile: ws.allTickersFile, dbPath: ws.dbPath, lookbackDays: 14, ...opts });
+  const tickers = async () =>
+    (await queryTickerStore(ws.dbPath, "SELECT ticker FROM mentions ORDER BY ts")).map((r) => r.ticker);
+  return { ws, client, graphs, backfill, tickers };
+}
+
+test("first run scans the lookback window and checkpoints the last processed message", async () => {
+  const { ws, graphs, backfill, tickers } = setup();
+  graphs.addMessage({ content: "AAPL from long ago", author: alice, createdTimestamp: Date.now() - 30 * DAY });
+  graphs.addMessage({ content: "TSLA breakout", author: alice, createdTimestamp: Date.now() - 3 * DAY });
+  const last = graphs.addMessage({ content: "NVDA next", author: alice, createdTimestamp: Date.now() - 1 * DAY });
+
+  await backfill();
+
+  assert.deepEqual(await tickers(), ["TSLA", "NVDA"]);
+  const cp = await getCheckpoint(ws.dbPath, graphs.id);
+  assert.equal(cp.lastProcessedId, last.id);
+  assert.equal(cp.lastProcessedAt, new Date(last.createdTimestamp).toISOString());
+});
+
+test("a second run resumes after the checkpoint", async () => {
+  const { ws, graphs, backfill, tickers } = setup();
+  graphs.addMessage({ content: "TSLA", author: alice, createdTimestamp: Date.now() - 2 * DAY });
+  await backfill();
+  const cp = await getCheckpoint(ws.dbPath, graphs.id);
+
+  const fresh = graphs.addMessage({ content: "AMD", author: alice, createdTimestamp: Date.now() - HOUR });
+  graphs.fetchCalls.length = 0;
+  await backfill();
+
+  assert.equal(graphs.fetchCalls[0].after, cp.lastProcessedId);
+  assert.deepEqual(await tickers(), ["TSLA", "AMD"]);
+  assert.equal((await getCheckpoint(ws.dbPath, graphs.id)).lastProcessedId, fresh.id);
+});
+
+test("an existing checkpoint wins over the lookback window", async () => {
+  const { ws, graphs, backfill, tickers } = setup();
+  const old = graphs.addMessage({ content: "AAPL", author: alice, createdTimestamp: Date.now() - 40 * DAY });
+  graphs.addMessage({ content: "MSFT", author: alice, createdTimestamp: Date.now() - 39 * DAY });
+  await updateCheckpoint(ws.dbPath, graphs.id, old.id, new Date(old.createdTimestamp).toISOString());
+
+  await backfill();
+
+  assert.equal(graphs.fetchCalls[0].after, old.id);
+  assert.deepEqual(await tickers(), ["MSFT"]);
+});
+
+test("pages through more than one batch", async () => {
+  const { ws, graphs, backfill } = setup();
+  const start = Date.now() - 5 * DAY;
+  let lastMsg;
+  for (let i = 0; i < 230; i++) {
+    lastMsg = graphs.addMessage({ content: i % 2 ? "TSLA" : "chatter", author: alice, createdTimestamp: start + i * 1000 });
+  }
+
+  await backfill();
+
+  assert.equal(graphs.fetchCalls.length, 4); // 100 + 100 + 30 + the empty page
+  const [{ n }] = await queryTickerStore(ws.dbPath, "SELECT COUNT(*) AS n FROM mentions");
+  assert.equal(n, 115);
+  assert.equal((await getCheckpoint(ws.dbPath, graphs.id)).lastProcessedId, lastMsg.id);
+});
+
+test("bot messages and bot mentions are skipped and not checkpointed", async () => {
+  const { ws, client, graphs, backfill, tickers } = setup();
+  const user = graphs.addMessage({ content: "AAPL", author: alice, createdTimestamp: Date.now() - 3 * DAY });
+  graphs.addMessage({ content: "TSLA", author: createUser({ bot: true }), createdTimestamp: Date.now() - 2 * DAY });
+  graphs.addMessage({ content: "NVDA?", author: alice, mentions: [client.user], createdTimestamp: Date.now() - DAY });
+
+  await backfill();
+
+  assert.deepEqual(await tickers(), ["AAPL"]);
+  assert.equal((await getCheckpoint(ws.dbPath, graphs.id)).lastProcessedId, user.id);
+});
+
+test("flushes mentions and the checkpoint to disk at the end", async () => {
+  const { ws, graphs, backfill } = setup();
+  const msg = graphs.addMessage({ content: "TSLA", author: alice, createdTimestamp: Date.now() - DAY });
+
+  await backfill();
+
+  const SQL = await initSqlJs();
+  const db = new SQL.Database(fs.readFileSync(ws.dbPath));
+  assert.deepEqual(db.exec("SELECT ticker FROM mentions")[0].values, [["TSLA"]]);
+  assert.deepEqual(db.exec("SELECT last_processed_id FROM checkpoints")[0].values, [[msg.id]]);
+  db.close();
+});
+
+test("screenshot-only posts are credited through OCR", async () => {
+  const { ws, graphs, backfill } = setup();
+  mock.method(globalThis, "fetch", async () => ({ ok: true, arrayBuffer: async () => new ArrayBuffer(8) }));
+  setChartOcr(async () => "NASDAQ:NVDA, 1D");
+  try {
+    graphs.addMessage({ content: "", author: alice, attachments: [{ name: "chart.png", url: "https://cdn.example/chart.png" }], createdTimestamp: Date.now() - DAY });
+    graphs.addMessage({ content: "TSLA", author: alice, createdTimestamp: Date.now() - HOUR });
+
+    await backfill();
+  } finally {
+    setChartOcr(null);
+    mock.restoreAll();
+  }
+
+  assert.deepEqual(
+    await queryTickerStore(ws.dbPath, "SELECT ticker, source FROM mentions ORDER BY ts"),
+    [{ ticker: "NVDA", source: "ocr" }, { ticker: "TSLA", source: "text" }]
+  );
+});
+
+test("requires a channel id", async () => {
+  const { backfill } = setup();
+  await assert.rejects(backfill({ channelId: "" }), /channelId is required/);
+});
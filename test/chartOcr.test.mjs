@@ -0,0 +1,74 @@
+import "./helpers/setup.mjs";
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { parseChartHeader, readChartSymbols, setChartOcr } from "../utils/chartOcr.mjs";
+
+afterEach(() => {
+  setChartOcr(null);
+  mock.restoreAll();
+});
+
+/** Attachments whose download "returns" their name, so the fake OCR can tell them apart */
+function attachments(...names) {
+  mock.method(globalThis, "fetch", async (url) => ({
+    ok: true,
+    arrayBuffer: async () => new TextEncoder().encode(url.split("/").pop()).buffer,
+  }));
+  return new Map(names.map((name, i) => [String(i), { name, url: `https://cdn.example/${name}` }]));
+}
+
+test("parses exchange-prefixed headers", () => {
+  assert.deepEqual(parseChartHeader("NASDAQ:TSLA, 1D"), [{ symbol: "TSLA", exchange: "NASDAQ", interval: "1D" }]);
+  assert.deepEqual(parseChartHeader("NYSE: BRK-B, 1W  O410.2 H412 L409 C411"), [{ symbol: "BRK.B", exchange: "NYSE", interval: "1W" }]);
+  assert.deepEqual(parseChartHeader("BINANCE:BTCUSDT, 4h"), [{ symbol: "BTCUSDT", exchange: "BINANCE", interval: "4h" }]);
+});
+
+test("parses legend and bare title forms", () => {
+  assert.deepEqual(parseChartHeader("TSLA · 1D · NASDAQ O 250.1 H 255"), [{ symbol: "TSLA", exchange: "NASDAQ", interval: "1D" }]);
+  assert.deepEqual(parseChartHeader("TSLA, 15\nVolume 20 SMA"), [{ symbol: "TSLA", exchange: null, interval: "15" }]);
+});
+
+test("merges repeats, keeping the exchange when any line has it", () => {
+  assert.deepEqual(parseChartHeader("AMD, 1D\nNASDAQ:AMD, 1D"), [{ symbol: "AMD", exchange: "NASDAQ", interval: "1D" }]);
+});
+
+test("noise and company names yield nothing", () => {
+  assert.deepEqual(parseChartHeader("random noise text 123"), []);
+  assert.deepEqual(parseChartHeader("Tesla, Inc. · 1D · NASDAQ"), []);
+  assert.deepEqual(parseChartHeader(""), []);
+});
+
+test("reads each image once and keeps listed symbols", async () => {
+  const seen = [];
+  setChartOcr(async (buffer) => {
+    const name = buffer.toString();
+    seen.push(name);
+    return { "tsla.png": "NASDAQ:TSLA, 1D", "nvda.jpg": "NVDA, 4h\nXYZQ, 1D" }[name] || "";
+  });
+
+  const hits = await readChartSymbols(attachments("tsla.png", "notes.txt", "nvda.jpg"), { tickerSet: new Set(["TSLA", "NVDA"]) });
+
+  assert.deepEqual(seen, ["tsla.png", "nvda.jpg"]);
+  assert.deepEqual(hits.map((h) => h.symbol), ["TSLA", "NVDA"]);
+});
+
+test("an OCR failure skips that image only", async () => {
+  setChartOcr(async (buffer) => {
+    if (buffer.toString() === "bad.png") throw new Error("OCR timeout");
+    return "NYSE:IBM, 1D";
+  });
+
+  const hits = await readChartSymbols(attachments("bad.png", "ibm.png"));
+
+  assert.deepEqual(hits.map((h) => h.symbol), ["IBM"]);
+});
+
+test("CHART_OCR=off disables reading", async () => {
+  setChartOcr(async () => "NASDAQ:TSLA, 1D");
+  process.env.CHART_OCR = "off";
+  try {
+    assert.deepEqual(await readChartSymbols(attachments("tsla.png")), []);
+  } finally {
+    delete process.env.CHART_OCR;
+  }
+});
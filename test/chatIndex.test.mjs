@@ -0,0 +1,123 @@
+import { tempWorkspace, writeChatLog, quietConsole, DEFAULT_TICKERS } from "./helpers/setup.mjs";
+import { test, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { tokenize, searchChat } from "../utils/chatIndex.mjs";
+import { askGeminiTurn, setGeminiTransport } from "../utils/askGemini.mjs";
+
+let restoreConsole;
+before(() => { restoreConsole = quietConsole(); });
+after(() => restoreConsole());
+afterEach(() => setGeminiTransport(null));
+
+/** A logs dir with the live logger's record shape; days: { "<channel>_<ymd>": [[author, content, "HH:MM"]] } */
+function logsDir(days) {
+  const dir = path.join(tempWorkspace().dir, "logs");
+  fs.mkdirSync(dir);
+  for (const [key, messages] of Object.entries(days)) writeDay(dir, key, messages);
+  return dir;
+}
+
+function writeDay(dir, key, messages, flag = "w") {
+  const [channelId, ymd] = key.split("_");
+  const lines = messages.map(([author, content, hhmm = "12:00"], i) =>
+    JSON.stringify({
+      msgLink: `https://discord.com/channels/guild/${channelId}/${ymd}-${hhmm}-${i}`,
+      author,
+      content,
+      createdAt: `${ymd}T${hhmm}:00.000Z`,
+    })
+  );
+  fs.writeFileSync(path.join(dir, `${key}.jsonl`), lines.join("\n") + "\n", { flag });
+}
+
+const texts = (hits) => hits.map((h) => h.text);
+
+test("tokens: lowercase, no $, Hebrew prefixes split off, stopwords dropped with their variants", () => {
+  assert.deepEqual(tokenize("$SOFI ובדוחות של AMD!"), ["sofi", "ובדוחות", "בדוחות", "דוחות", "של", "amd"]);
+  assert.deepEqual(tokenize("מה אמרו היום על sofi?", new Set(["מה", "אמרו", "היום", "על"])), ["sofi"]);
+});
+
+test("finds the last talk about a ticker anywhere in the archive", async () => {
+  const dir = logsDir({
+    "chat_2025-03-02": [["dan", "נכנסתי ל-$SOFI ב-7", "09:00"], ["eve", "השוק אדום", "10:00"]],
+    "chat_2025-05-20": [["eve", "TSLA שוב למעלה"], ["dan", "מה עם הריבית?"]],
+    "chat_2025-06-10": [["gil", "sofi דוחות מחר", "15:00"], ["eve", "NVDA חזקה"]],
+  });
+  const { hits, symbols } = await searchChat("מתי מישהו דיבר לאחרונה על sofi?", { dir, tickerSet: new Set(["SOFI", "TSLA"]) });
+  assert.deepEqual(symbols, ["SOFI"]);
+  assert.deepEqual(texts(hits), ["sofi דוחות מחר", "נכנסתי ל-$SOFI ב-7"]);
+  assert.deepEqual(hits.map((h) => h.ymd), ["2025-06-10", "2025-03-02"]);
+});
+
+test("only listed tickers (or $-prefixed ones) filter; other English words are keywords", async () => {
+  const dir = logsDir({
+    "chat_2025-06-01": [["dan", "הריבית עולה והשוק נופל"], ["eve", "TSLA ירדה"], ["gil", "קניתי $HOOD"]],
+  });
+  const tickerSet = new Set(DEFAULT_TICKERS);
+  const rates = await searchChat("what happened with rates ריבית", { dir, tickerSet });
+  assert.deepEqual(rates.symbols, []);
+  assert.deepEqual(texts(rates.hits), ["הריבית עולה והשוק נופל"]);
+  assert.deepEqual((await searchChat("what happened with rates ריבית", { dir })).symbols, [], "no universe: plain words aren't tickers");
+
+  assert.deepEqual((await searchChat("news on tsla", { dir, tickerSet })).symbols, ["TSLA"]);
+  assert.deepEqual((await searchChat("מה עם $hood", { dir })).symbols, ["HOOD"]);
+});
+
+test("keywords rank with BM25; authors named in the question filter", async () => {
+  const dir = logsDir({
+    "chat_2025-06-01": [
+      ["dan", "הדוחות של AMD היו חזקים"],
+      ["eve", "דוחות, דוחות, עונת דוחות"],
+      ["gil", "קניתי קפה"],
+      ["dan", "יצאתי מ-AMD"],
+    ],
+  });
+  const ranked = await searchChat("מה אמרו על דוחות", { dir });
+  assert.deepEqual(texts(ranked.hits), ["דוחות, דוחות, עונת דוחות", "הדוחות של AMD היו חזקים"]);
+
+  const byDan = await searchChat("מה dan אמר על amd", { dir });
+  assert.deepEqual(byDan.authors, ["dan"]);
+  assert.deepEqual(texts(byDan.hits).sort(), ["הדוחות של AMD היו חזקים", "יצאתי מ-AMD"]);
+});
+
+test("room and day filters; nothing to search for -> the newest messages", async () => {
+  const dir = logsDir({
+    "a_2025-06-01": [["dan", "בוקר טוב", "08:00"], ["dan", "TSLA 300", "09:00"]],
+    "a_2025-06-02": [["eve", "TSLA 310", "09:00"]],
+    "b_2025-06-02": [["gil", "TSLA 320", "10:00"]],
+  });
+  assert.deepEqual(texts((await searchChat("tsla", { dir, channelIds: ["a"] })).hits).sort(), ["TSLA 300", "TSLA 310"]);
+  assert.deepEqual(texts((await searchChat("tsla", { dir, dates: ["2025-06-02"] })).hits).sort(), ["TSLA 310", "TSLA 320"]);
+
+  const { hits, byKeywords } = await searchChat("מה קורה?", { dir, channelIds: ["a"], k: 2, recent: 0 });
+  assert.equal(byKeywords, false);
+  assert.deepEqual(texts(hits), ["TSLA 310", "TSLA 300"]);
+});
+
+test("a log written after the first search is found without a restart", async () => {
+  const dir = logsDir({ "chat_2025-06-01": [["dan", "AMD 150"]] });
+  assert.equal((await searchChat("$hood", { dir })).hits.length, 0);
+  await new Promise((r) => setTimeout(r, 5));
+  writeDay(dir, "chat_2025-06-01", [["eve", "HOOD טסה"]], "a");
+  assert.deepEqual(texts((await searchChat("$hood", { dir })).hits), ["HOOD טסה"]);
+});
+
+test("a question without dates is answered from the whole archive in one call", async () => {
+  writeChatLog("2025-01-15", [["dan", "SOFI ב-8, נראה טוב"], ["eve", "מה עם BTC?"]]);
+  writeChatLog("2025-04-03", [["gil", "מכרתי SOFI"]]);
+  const prompts = [];
+  setGeminiTransport(async (prompt) => {
+    prompts.push(prompt);
+    return "gil מכר ב-2025-04-03 [2]";
+  });
+
+  const { text, dates } = await askGeminiTurn("מתי דיברו לאחרונה על sofi?");
+
+  assert.deepEqual(dates, []);
+  assert.equal(prompts.length, 1, "one answer, no date call");
+  assert.match(prompts[0], /== 2025-01-15 ==\n\[1\] dan: SOFI ב-8, נראה טוב\n== 2025-04-03 ==\n\[2\] gil: מכרתי SOFI/);
+  assert.doesNotMatch(prompts[0], /BTC/);
+  assert.equal(text, "### 2025-01-15 – 2025-04-03\ngil מכר ב-2025-04-03 ([2](<https://discord.com/channels/guild/chat-room/1>))");
+});
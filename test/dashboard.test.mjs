@@ -0,0 +1,165 @@
+import { tempWorkspace, writeFixture, quietConsole } from "./helpers/setup.mjs";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createInteraction, createUser, callOf, toJSON } from "./helpers/fakeDiscord.mjs";
+import { handleDashboardInteraction } from "../super_pony/cmd_handlers/tickersDashboard.mjs";
+import { appendMentions } from "../utils/tickerStore.mjs";
+
+const DAY = 24 * 60 * 60 * 1000;
+const alice = createUser({ id: "u-alice", username: "alice" });
+const bob = createUser({ id: "u-bob", username: "bob" });
+const carol = createUser({ id: "u-carol", username: "carol" });
+
+const { dbPath } = tempWorkspace();
+let restoreConsole;
+
+/** Daily bars over the last 40 days, opening at `from` and ending at `to` */
+function chartFixture(symbol, from, to) {
+  const days = 40;
+  const start = Date.now() - days * DAY;
+  const prices = Array.from({ length: days + 1 }, (_, i) => from + ((to - from) * i) / days);
+  writeFixture(`yahoo/chart/${symbol}_1mo`, {
+    chart: {
+      result: [{
+        meta: { regularMarketPrice: to, exchangeTimezoneName: "UTC" },
+        timestamp: prices.map((_, i) => Math.floor((start + i * DAY) / 1000)),
+        indicators: { quote: [{ open: prices, close: prices }] },
+      }],
+    },
+  });
+}
+
+function mention(ticker, user, daysAgo) {
+  const ts = Date.now() - daysAgo * DAY;
+  return {
+    ticker,
+    user: { id: user.id, name: user.username },
+    messageId: `m-${ticker}-${user.id}-${daysAgo}`,
+    channelId: "graphs",
+    guildId: "guild-1",
+    link: `https://discord.com/channels/guild-1/graphs/${ticker}-${daysAgo}`,
+    timestamp: new Date(ts).toISOString(),
+    content: ticker,
+  };
+}
+
+before(async () => {
+  restoreConsole = quietConsole();
+  await appendMentions(dbPath, [
+    mention("TSLA", alice, 10),
+    mention("TSLA", bob, 5),
+    mention("NVDA", bob, 8),
+    mention("AAPL", alice, 3),
+  ]);
+  chartFixture("TSLA", 100, 130);
+  chartFixture("NVDA", 100, 90);
+  chartFixture("AAPL", 100, 105);
+});
+after(() => restoreConsole());
+
+/** customId for the dashboard over the last 30 days (stable whatever the date) */
+const id = (action, { metric = "month_oc", userId = "" } = {}) => `dash:${action}|${metric}|days:30|${userId}`;
+const handle = (interaction) => handleDashboardInteraction({ interaction, dbPath });
+const customIds = (payload) =>
+  toJSON(payload).components.flatMap((row) => row.components.map((c) => c.custom_id)).filter(Boolean);
+
+test("ignores other components", async () => {
+  const interaction = createInteraction({ kind: "button", customId: "lb:open", user: alice });
+  assert.equal(await handle(interaction), false);
+  assert.equal(interaction.calls.length, 0);
+});
+
+test("metric select re-renders the dashboard in place with the new metric", async () => {
+  const interaction = createInteraction({ kind: "select", customId: id("metric"), values: ["mention_cc"], user: alice });
+
+  assert.equal(await handle(interaction), true);
+
+  assert.deepEqual(interaction.calls.map((c) => c.type), ["deferUpdate", "editReply"]);
+  const view = callOf(interaction, "editReply").payload;
+  const [embed] = toJSON(view).embeds;
+  assert.equal(embed.title, "📈 Tickers — Dashboard (Last 30 days)");
+  assert.match(embed.description, /Last 30 days: \*\*3\*\* Tickers/);
+  assert.match(embed.description, /Top 10 Tickers: `TSLA`, `AAPL`, `NVDA`/); // by count, then symbol
+  assert.ok(customIds(view).includes("dash:hot5|mention_cc|days:30|u-alice"));
+});
+
+test("custom period entries open a modal carrying the state", async () => {
+  const interaction = createInteraction({ kind: "select", customId: id("period", { metric: "month_cc" }), values: ["custom_week"], user: alice });
+
+  assert.equal(await handle(interaction), true);
+
+  const modal = toJSON(callOf(interaction, "showModal").payload);
+  assert.equal(modal.custom_id, "dash:period_week|month_cc|days:30|");
+});
+
+test("modal submit applies a custom period", async () => {
+  const days = createInteraction({ kind: "modal", customId: id("period_days"), fields: { value: "14" }, user: alice });
+  assert.equal(await handle(days), true);
+  assert.equal(toJSON(callOf(days, "editReply").payload).embeds[0].title, "📈 Tickers — Dashboard (Last 14 days)");
+
+  const week = createInteraction({ kind: "modal", customId: id("period_week"), fields: { value: "20/08/2025" }, user: alice });
+  assert.equal(await handle(week), true);
+  const view = callOf(week, "editReply").payload;
+  assert.match(toJSON(view).embeds[0].title, /Dashboard \(Week /);
+  assert.ok(customIds(view).includes("dash:hot5|month_oc|week:2025-08-20|u-alice"));
+});
+
+test("invalid modal input gets an ephemeral error", async () => {
+  const interaction = createInteraction({ kind: "modal", customId: id("period_days"), fields: { value: "soon" }, user: alice });
+
+  assert.equal(await handle(interaction), true);
+
+  assert.deepEqual(interaction.calls, [{ type: "reply", payload: { content: "❌ ערך לא תקין.", flags: 64 } }]);
+});
+
+test("All opens an ephemeral list with counts", async () => {
+  const interaction = createInteraction({ kind: "button", customId: id("all"), user: alice });
+
+  assert.equal(await handle(interaction), true);
+
+  assert.deepEqual(callOf(interaction, "deferReply").payload, { flags: 64 });
+  const [embed] = toJSON(callOf(interaction, "editReply").payload).embeds;
+  assert.equal(embed.title, "📋 All (Last 30 days)");
+  assert.match(embed.description, /`TSLA`\]\(.*\) — \*\*2\*\* \(alice\)/);
+});
+
+test("Hot5 ranks by return over the period", async () => {
+  const interaction = createInteraction({ kind: "button", customId: id("hot5"), user: alice });
+
+  assert.equal(await handle(interaction), true);
+
+  const lines = toJSON(callOf(interaction, "editReply").payload).embeds[0].description.split("\n");
+  assert.deepEqual(lines.map((l) => /`(\w+)`/.exec(l)[1]), ["TSLA", "AAPL", "NVDA"]);
+  assert.match(lines[2], /\*\*-\d+\.\d%\*\*/);
+});
+
+test("Mine and the users menu list first mentions of the right user", async () => {
+  const mine = createInteraction({ kind: "button", customId: id("mine"), user: bob });
+  await handle(mine);
+  assert.match(toJSON(callOf(mine, "editReply").payload).embeds[0].description, /`NVDA`/);
+  assert.doesNotMatch(toJSON(callOf(mine, "editReply").payload).embeds[0].description, /TSLA/);
+
+  const picked = createInteraction({ kind: "select", customId: id("user"), values: ["u-alice"], user: bob });
+  await handle(picked);
+  const description = toJSON(callOf(picked, "editReply").payload).embeds[0].description;
+  assert.match(description, /`TSLA`/);
+  assert.match(description, /`AAPL`/);
+
+  const nobody = createInteraction({ kind: "button", customId: id("mine"), user: carol });
+  await handle(nobody);
+  assert.match(callOf(nobody, "editReply").payload.content, /אין טיקרים שהוזכרו ראשונים על ידך/);
+});
+
+test("a failing list falls back to an error message", async () => {
+  const interaction = createInteraction({ kind: "button", customId: id("all"), user: alice });
+  const editReply = interaction.editReply;
+  let first = true;
+  interaction.editReply = async (payload) => {
+    if (first) { first = false; throw new Error("Unknown interaction"); }
+    return editReply(payload);
+  };
+
+  assert.equal(await handle(interaction), true);
+
+  assert.deepEqual(callOf(interaction, "editReply").payload, { content: "לא הצלחתי לחשב תשואות כרגע.", components: [] });
+});
@@ -0,0 +1,94 @@
+import { writeChatLog, quietConsole } from "./helpers/setup.mjs";
+import { test, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { parseDateRange, israelYmd } from "../utils/dateRange.mjs";
+import { askGeminiTurn, setGeminiTransport } from "../utils/askGemini.mjs";
+
+// Thursday 2025-08-21, 01:30 in Israel (still Wednesday in UTC)
+const NOW = new Date("2025-08-20T22:30:00Z");
+const parse = (text) => parseDateRange(text, NOW);
+const span = (from, n) => Array.from({ length: n }, (_, i) => new Date(Date.parse(`${from}T12:00:00Z`) + i * 864e5).toISOString().slice(0, 10));
+
+let restoreConsole;
+before(() => { restoreConsole = quietConsole(); });
+after(() => restoreConsole());
+afterEach(() => setGeminiTransport(null));
+
+test("days follow the Israel calendar", () => {
+  assert.equal(israelYmd(NOW), "2025-08-21");
+  assert.deepEqual(parse("מה אמרו היום?"), ["2025-08-21"]);
+  assert.deepEqual(parse("what happened yesterday"), ["2025-08-20"]);
+  assert.deepEqual(parse("ומה שלשום"), ["2025-08-19"]);
+});
+
+test("weeks start on Sunday", () => {
+  assert.deepEqual(parse("מה היה השבוע?"), span("2025-08-17", 5));
+  assert.deepEqual(parse("this week"), span("2025-08-17", 5));
+  assert.deepEqual(parse("בשבוע שעבר"), span("2025-08-10", 7));
+  assert.deepEqual(parse("last week"), span("2025-08-10", 7));
+});
+
+test("last N days, N days ago and weekday names", () => {
+  assert.deepEqual(parse("ב-3 הימים האחרונים"), span("2025-08-19", 3));
+  assert.deepEqual(parse("past 2 days"), span("2025-08-20", 2));
+  assert.deepEqual(parse("ביומיים האחרונים"), span("2025-08-20", 2));
+  assert.deepEqual(parse("לפני 4 ימים"), ["2025-08-17"]);
+  assert.deepEqual(parse("ביום שלישי"), ["2025-08-19"]);
+  assert.deepEqual(parse("ביום ה׳"), ["2025-08-21"]);
+  assert.deepEqual(parse("בשבת"), ["2025-08-16"]);
+  assert.deepEqual(parse("on monday"), ["2025-08-18"]);
+});
+
+test("explicit dates and ranges", () => {
+  assert.deepEqual(parse("מה אמרו ב-3.8?"), ["2025-08-03"]);
+  assert.deepEqual(parse("ב-25.12"), ["2024-12-25"], "no year: the latest one so far");
+  assert.deepEqual(parse("on 1/8/2025"), ["2025-08-01"]);
+  assert.deepEqual(parse("2025-08-01"), ["2025-08-01"]);
+  assert.deepEqual(parse("בין 3.8 ל-5.8"), span("2025-08-03", 3));
+  assert.deepEqual(parse("from 30/7 to 1/8"), span("2025-07-30", 3));
+  assert.deepEqual(parse("מאז 18.8"), span("2025-08-18", 4));
+  assert.deepEqual(parse("מה אמרו מאז יום שני?"), span("2025-08-18", 4));
+  assert.deepEqual(parse("since monday"), span("2025-08-18", 4));
+  assert.deepEqual(parse("מאז אתמול"), span("2025-08-20", 2));
+  assert.deepEqual(parse("since yesterday"), span("2025-08-20", 2));
+  assert.deepEqual(parse("היום ואתמול"), span("2025-08-20", 2));
+});
+
+test("prices and fractions are not dates", () => {
+  assert.deepEqual(parse("האם TSLA ירדה 2.5 אחוז?"), []);
+  assert.deepEqual(parse("מה אמרו על התמיכה 1.5 של SOFI"), []);
+  assert.deepEqual(parse("ETH above 4.2?"), []);
+  assert.deepEqual(parse("ratio 2/3"), []);
+  assert.deepEqual(parse("ירדה ב-2.5 אחוז"), [], "a price word after it");
+  assert.deepEqual(parse("קניתי ב-4.2$"), []);
+  assert.deepEqual(parse("ETH ב-4.2"), [], "a ticker before it");
+  assert.deepEqual(parse("היא עלתה מ-2.5 ל-3.1"), []);
+  assert.deepEqual(parse("עד 5.8"), ["2025-08-05"]);
+});
+
+test("no time -> [] (the whole archive); a time we can't place -> null", () => {
+  assert.deepEqual(parse("מה אמרו על tsla?"), []);
+  assert.deepEqual(parse("NVDA ירדה 3.8%"), []);
+  assert.deepEqual(parse("tsla 3.80"), []);
+  assert.deepEqual(parse("מה אמרו על tsla ב-17.8.2025?"), ["2025-08-17"], "a year makes it a date");
+  assert.equal(parse("מה אמרו לפני חודש?"), null);
+  assert.equal(parse("במאי"), null);
+  assert.deepEqual(parse("may I ask about NVDA?"), [], "an English month name alone is a word");
+  assert.equal(parse("what did they say on may 5"), null);
+  assert.equal(parse("on the 3rd of march"), null);
+});
+
+test("Gemini is asked for dates only when the parser can't place them", async () => {
+  writeChatLog(israelYmd(), [["dan", "AMD למעלה"]]);
+  const prompts = [];
+  setGeminiTransport(async (prompt) => {
+    prompts.push(prompt);
+    return prompt.includes("YYYY-MM-DD") ? JSON.stringify({ dates: [israelYmd()] }) : "AMD עלתה [1]";
+  });
+
+  assert.deepEqual((await askGeminiTurn("מה אמרו היום על amd?")).dates, [israelYmd()]);
+  assert.equal(prompts.filter((p) => p.includes("YYYY-MM-DD")).length, 0);
+
+  await askGeminiTurn("מה אמרו על amd בתחילת החודש?");
+  assert.equal(prompts.filter((p) => p.includes("YYYY-MM-DD")).length, 1);
+});
@@ -0,0 +1,107 @@
+import { quietConsole } from "./helpers/setup.mjs";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { PermissionFlagsBits } from "discord.js";
+import { createClient, createGuild, createUser } from "./helpers/fakeDiscord.mjs";
+import { deleteAndRepost } from "../super_pony/cmd_handlers/deleteAndRepost.mjs";
+
+const alice = createUser({ id: "u-alice", username: "alice" });
+
+let restoreConsole;
+before(() => { restoreConsole = quietConsole(); });
+after(() => restoreConsole());
+
+function setup({ guild } = {}) {
+  const client = createClient();
+  const graphs = client.addChannel({ name: "graphs", guild });
+  const botLog = client.addChannel({ id: "bot-log", name: "bot-log", guild: graphs.guild });
+  const message = graphs.addMessage({ content: "TSLA looks ready", author: alice });
+  return { graphs, botLog, message };
+}
+
+test("success: forwards, deletes the original, reposts and drops the forward", async () => {
+  const { graphs, botLog, message } = setup();
+
+  await deleteAndRepost(message, botLog, "alc");
+
+  assert.equal(message.deleted, true);
+  assert.equal(graphs.sent.length, 1);
+  assert.match(graphs.sent[0].content, /^TSLA looks ready\n\[@alc\]/);
+  assert.deepEqual(graphs.sent[0].allowedMentions, { parse: [] });
+  assert.equal(botLog.sent.length, 1);
+  assert.equal(botLog.messages.cache.size, 0); // forward copy deleted
+});
+
+test("bot and webhook messages are left alone", async () => {
+  const { graphs, botLog } = setup();
+  const fromBot = graphs.addMessage({ content: "TSLA", author: createUser({ bot: true }) });
+  const fromHook = graphs.addMessage({ content: "TSLA", author: alice, webhookId: "hook-1" });
+
+  await deleteAndRepost(fromBot, botLog, "bot");
+  await deleteAndRepost(fromHook, botLog, "hk");
+
+  assert.equal(fromBot.deleted, false);
+  assert.equal(fromHook.deleted, false);
+  assert.equal(graphs.sent.length + botLog.sent.length, 0);
+});
+
+test("throws without a bot log channel, before touching the message", async () => {
+  const { graphs, message } = setup();
+  await assert.rejects(deleteAndRepost(message, null, "alc"), /botChannel is required/);
+  assert.equal(message.deleted, false);
+  assert.equal(graphs.sent.length, 0);
+});
+
+test("throws on missing permissions, before touching the message", async () => {
+  const noManage = createGuild({ permissions: [PermissionFlagsBits.SendMessages] });
+  let ctx = setup({ guild: noManage });
+  await assert.rejects(deleteAndRepost(ctx.message, ctx.botLog, "alc"), /Missing ManageMessages in original channel/);
+  assert.equal(ctx.message.deleted, false);
+
+  const noSend = createGuild({ permissions: [PermissionFlagsBits.ManageMessages] });
+  ctx = setup({ guild: noSend });
+  await assert.rejects(deleteAndRepost(ctx.message, ctx.botLog, "alc"), /Missing SendMessages in original channel/);
+
+  ctx = setup({ guild: createGuild({ channelPermissions: { "bot-log": [PermissionFlagsBits.ViewChannel] } }) });
+  await assert.rejects(deleteAndRepost(ctx.message, ctx.botLog, "alc"), /Missing SendMessages in botChannel/);
+  assert.equal(ctx.botLog.sent.length, 0);
+});
+
+test("delete failure: keeps the forward and reports the error", async () => {
+  const { graphs, botLog, message } = setup();
+  message.failDelete = new Error("Unknown Message");
+
+  await assert.rejects(deleteAndRepost(message, botLog, "alc"), /Failed to delete original: Unknown Message/);
+
+  assert.equal(graphs.sent.length, 0);
+  assert.equal(botLog.sent.length, 1);
+  assert.equal(botLog.messages.cache.size, 1); // audit copy stays
+});
+
+test("repost failure: keeps the forward and logs the failure for admins", async () => {
+  const { graphs, botLog, message } = setup();
+  graphs.failSend = new Error("Missing Access");
+
+  await assert.rejects(deleteAndRepost(message, botLog, "alc"), /Missing Access/);
+
+  assert.equal(message.deleted, true);
+  assert.equal(graphs.sent.length, 0);
+  assert.equal(botLog.sent.length, 2); // forward + failure report
+  assert.match(botLog.sent[1].content, /Mirror failed for message .* by <@u-alice>/);
+  assert.match(botLog.sent[1].content, /Missing Access/);
+  assert.equal(botLog.messages.cache.size, 2);
+});
+
+test("repost failure is still thrown when the failure report can't be sent", async () => {
+  const { graphs, botLog, message } = setup();
+  graphs.failSend = new Error("Missing Access");
+  const send = botLog.send;
+  let calls = 0;
+  botLog.send = async (payload) => {
+    if (++calls === 2) throw new Error("log channel gone");
+    return send(payload);
+  };
+
+  await assert.rejects(deleteAndRepost(message, botLog, "alc"), /Missing Access/);
+  assert.equal(calls, 2);
+});
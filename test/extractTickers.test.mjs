@@ -0,0 +1,53 @@
+import "./helpers/setup.mjs";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractTickers } from "../super_pony/cmd_handlers/graphChannelHandler.mjs";
+
+const KNOWN = new Set(["AAPL", "TSLA", "NVDA", "AMD", "BRK.B", "A", "ON", "IT", "ALL", "AI"]);
+const extract = (text, opts) => extractTickers(text, KNOWN, opts);
+
+test("finds plain and $-prefixed symbols", () => {
+  assert.deepEqual(extract("$TSLA looks good"), ["TSLA"]);
+  assert.deepEqual(extract("TSLA and NVDA"), ["TSLA", "NVDA"]);
+});
+
+test("lowercase symbols need a context clue", () => {
+  assert.deepEqual(extract("tsla and nvda"), []);
+  assert.deepEqual(extract("tsla and nvda", { hasChart: true }), ["TSLA", "NVDA"]);
+  assert.deepEqual(extract("nvda 140 tomorrow"), ["NVDA"]);
+});
+
+test("normalizes class shares to the dotted form", () => {
+  assert.deepEqual(extract("BRK-B breakout"), ["BRK.B"]);
+  assert.deepEqual(extract("brk.b support"), ["BRK.B"]);
+});
+
+test("treats punctuation, brackets and Hebrew as word boundaries", () => {
+  assert.deepEqual(extract("AMD, NVDA."), ["AMD", "NVDA"]);
+  assert.deepEqual(extract("(AAPL)"), ["AAPL"]);
+  assert.deepEqual(extract("קניתיTSLA היום"), ["TSLA"]);
+});
+
+test("returns each symbol once", () => {
+  assert.deepEqual(extract("TSLA TSLA $TSLA"), ["TSLA"]);
+});
+
+test("skips unknown words, everyday words and the default blacklist", () => {
+  assert.deepEqual(extract("FOO BAR"), []);
+  assert.deepEqual(extract("A ON IT"), []);
+  assert.deepEqual(extract("ALL in, AI is the future"), []);
+});
+
+test("$ forces a blacklisted or everyday symbol", () => {
+  assert.deepEqual(extract("$AI and $ALL"), ["AI", "ALL"]);
+});
+
+test("ignores URL paths", () => {
+  assert.deepEqual(extract("https://www.tradingview.com/x/AAPL/"), []);
+  assert.deepEqual(extract("TSLA chart: https://www.tradingview.com/x/AAPL/"), ["TSLA"]);
+});
+
+test("empty text yields nothing", () => {
+  assert.deepEqual(extract(""), []);
+  assert.deepEqual(extract(undefined), []);
+});
@@ -0,0 +1,316 @@
+import { Collection, PermissionFlagsBits } from "discord.js";
+
+/**
+ * In-memory stand-ins for the slice of the discord.js surface the bot uses:
+ * Client (user, channels cache / fetch), text channels (send, messages.fetch with
+ * before / after paging, bulkDelete), threads, messages and component / slash interactions.
+ * Everything the bot does is recorded on the fakes (`channel.sent`, `interaction.calls`)
+ * so tests assert on it instead of on a live gateway.
+ */
+
+const DISCORD_EPOCH = 1420070400000n;
+let increment = 0;
+
+/** Snowflake for a timestamp (ms); ids made for one ms still sort by creation */
+export function snowflake(ts = Date.now()) {
+  return (((BigInt(ts) - DISCORD_EPOCH) << 22n) | BigInt(increment++ & 0xfff)).toString();
+}
+
+const byIdDesc = (a, b) => (BigInt(b.id) > BigInt(a.id) ? 1 : -1);
+
+export function createUser({ id = snowflake(), username = "user", bot = false, globalName = null } = {}) {
+  return { id, username, bot, globalName, tag: `${username}#0001`, toString: () => `<@${id}>` };
+}
+
+/** Guild whose bot member has `permissions` (PermissionFlagsBits values), per channel id if given */
+export function createGuild({ id = "guild-1", permissions = Object.values(PermissionFlagsBits), channelPermissions = {} } = {}) {
+  const permsFor = (channel) => new Set(channelPermissions[channel?.id] ?? permissions);
+  return {
+    id,
+    members: {
+      cache: new Collection(),
+      me: { permissionsIn: (channel) => ({ has: (flag) => permsFor(channel).has(flag) }) },
+    },
+  };
+}
+
+/** `parent`: makes a thread of that channel (isThread(), parentId, archived / setArchived) */
+export function createChannel({ id = snowflake(), name = "channel", guild = createGuild(), client = null, parent = null, ownerId = null } = {}) {
+  const store = new Collection(); // id -> message
+  const channel = {
+    id,
+    name,
+    guild,
+    guildId: guild?.id,
+    client,
+    sent: [],          // payloads the bot sent, in order
+    fetchCalls: [],    // messages.fetch arguments, in order
+    failSend: null,    // set to an Error to make the next send() reject
+    isTextBased: () => true,
+    isThread: () => !!parent,
+    parentId: parent?.id ?? null,
+    ownerId,           // threads: who opened it
+    archived: false,
+
+    async setArchived(archived = true) {
+      channel.archived = archived;
+      return channel;
+    },
+
+    async send(payload) {
+      if (channel.failSend) {
+        const err = channel.failSend;
+        channel.failSend = null;
+        throw err;
+      }
+      const options = typeof payload === "string" ? { content: payload } : payload;
+      channel.sent.push(options);
+      return channel.addMessage({
+        content: options.content ?? "",
+        author: channel.client?.user || createUser({ username: "bot", bot: true }),
+        embeds: options.embeds || [],
+        components: options.components || [],
+      });
+    },
+
+    async bulkDelete(messages) {
+      const ids = messages instanceof Map ? [...messages.keys()] : messages.map((m) => m.id ?? m);
+      ids.forEach((mid) => store.delete(mid));
+      return new Collection(ids.map((mid) => [mid, true]));
+    },
+
+    messages: {
+      cache: store,
+      /** fetch(id) | fetch({ limit, before, after }) — newest first, like the API */
+      async fetch(arg = {}) {
+        channel.fetchCalls.push(arg);
+        if (typeof arg === "string") {
+          const m = store.get(arg);
+          if (!m) throw Object.assign(new Error("Unknown Message"), { code: 10008 });
+          return m;
+        }
+        const { limit = 50, before, after } = arg;
+        let list = [...store.values()].sort(byIdDesc);
+        if (before) list = list.filter((m) => BigInt(m.id) < BigInt(before));
+        if (after) {
+          // the `limit` messages right after `after`
+          list = list.filter((m) => BigInt(m.id) > BigInt(after)).reverse().slice(0, limit).reverse();
+        } else {
+          list = list.slice(0, limit);
+        }
+        return new Collection(list.map((m) => [m.id, m]));
+      },
+    },
+
+    /** Put a message in the channel's history (not recorded as sent) */
+    addMessage(fields = {}) {
+      const m = createMessage({ ...fields, channel });
+      store.set(m.id, m);
+      return m;
+    },
+  };
+  return channel;
+}
+
+export function createMessage({
+  channel,
+  content = "",
+  author = createUser(),
+  createdTimestamp = Date.now(),
+  id = snowflake(createdTimestamp),
+  mentions = [],
+  attachments = [],
+  webhookId = null,
+  reference = null,
+  member = null,
+  embeds = [],
+  components = [],
+} = {}) {
+  const message = {
+    id,
+    content,
+    author,
+    channel,
+    channelId: channel?.id,
+    guild: channel?.guild,
+    guildId: channel?.guildId,
+    member,
+    createdTimestamp,
+    webhookId,
+    reference,
+    embeds,
+    components,
+    partial: false,
+    deleted: false,
+    failDelete: null, // set to an Error to make delete() reject
+    failThread: null, // set to an Error to make startThread() reject
+    thread: null,
+    url: `https://discord.com/channels/${channel?.guildId}/${channel?.id}/${id}`,
+    mentions: { users: new Collection(mentions.map((u) => [u.id, u])) },
+    attachments: new Collection(attachments.map((a, i) => [String(i), a])),
+    stickers: new Collection(),
+    edits: [],
+
+    async delete() {
+      if (message.failDelete) throw message.failDelete;
+      message.deleted = true;
+      channel?.messages.cache.delete(id);
+      return message;
+    },
+    async edit(payload) {
+      message.edits.push(payload);
+      return message;
+    },
+    async reply(payload) {
+      const options = typeof payload === "string" ? { content: payload } : payload;
+      return channel.send({ ...options, reply: { messageReference: id } });
+    },
+    async fetch() {
+      return message;
+    },
+    /** Thread off this message (registered with the client, if any) */
+    async startThread({ name = "thread", autoArchiveDuration = null } = {}) {
+      if (message.failThread) throw message.failThread;
+      const opts = { id: message.id, name, guild: channel?.guild, parent: channel, ownerId: channel?.client?.user?.id ?? null };
+      message.thread = channel?.client ? channel.client.addChannel(opts) : createChannel({ ...opts, client: null });
+      message.thread.autoArchiveDuration = autoArchiveDuration;
+      return message.thread;
+    },
+  };
+  return message;
+}
+
+export function createClient({ user = createUser({ id: "100000000000000001", username: "SuperPony", bot: true }) } = {}) {
+  const cache = new Collection();
+  const client = {
+    user,
+    channels: {
+      cache,
+      async fetch(id) {
+        const ch = cache.get(id);
+        if (!ch) throw Object.assign(new Error("Unknown Channel"), { code: 10003 });
+        return ch;
+      },
+    },
+    users: {
+      async fetch(id) {
+        return createUser({ id, username: `user-${id}` });
+      },
+    },
+    /** Create a channel this client can see */
+    addChannel(opts = {}) {
+      const ch = createChannel({ ...opts, client });
+      cache.set(ch.id, ch);
+      return ch;
+    },
+  };
+  return client;
+}
+
+const INTERACTION_KINDS = ["button", "select", "modal", "chat"];
+
+/**
+ * kind: "button" | "select" | "modal" | "chat"
+ * - components: customId, values (select), fields ({ [customId]: value }, modal), message
+ * - chat: commandName, options ({ [name]: value }; subcommand under "subcommand")
+ * Responses are recorded in `calls` as { type, payload } (reply, deferReply, deferUpdate,
+ * editReply, followUp, update, showModal), with deferred / replied tracked like discord.js.
+ */
+export function createInteraction({
+  kind,
+  customId = null,
+  values = [],
+  fields = {},
+  commandName = null,
+  options = {},
+  user = createUser(),
+  channel = null,
+  message = null,
+  guild = channel?.guild ?? null,
+} = {}) {
+  if (!INTERACTION_KINDS.includes(kind)) throw new Error(`unknown interaction kind: ${kind}`);
+  const calls = [];
+  const respond = (type, mark) => async (payload) => {
+    if (mark !== "edit" && (interaction.deferred || interaction.replied)) {
+      throw Object.assign(new Error("The reply to this interaction has already been sent or deferred."), {
+        code: "InteractionAlreadyReplied",
+      });
+    }
+    if (mark === "edit" && !(interaction.deferred || interaction.replied)) {
+      throw Object.assign(new Error("The reply to this interaction has not been sent or deferred."), {
+        code: "InteractionNotReplied",
+      });
+    }
+    calls.push({ type, payload });
+    if (mark === "deferred") interaction.deferred = true;
+    if (mark === "replied") interaction.replied = true;
+    return payload;
+  };
+
+  const option = (name) => options[name] ?? null;
+  const interaction = {
+    kind,
+    customId,
+    values,
+    commandName,
+    user,
+    channel,
+    channelId: channel?.id,
+    guild,
+    message,
+    deferred: false,
+    replied: false,
+    calls,
+    failNext: null, // set to an Error to make the next response reject
+
+    isButton: () => kind === "button",
+    isStringSelectMenu: () => kind === "select",
+    isModalSubmit: () => kind === "modal",
+    isChatInputCommand: () => kind === "chat",
+    isRepliable: () => true,
+
+    fields: { getTextInputValue: (id) => fields[id] ?? "" },
+    options: {
+      getSubcommand: () => option("subcommand"),
+      getString: option,
+      getInteger: option,
+      getNumber: option,
+      getBoolean: option,
+      getUser: option,
+      getMember: option,
+      getChannel: option,
+    },
+
+    reply: respond("reply", "replied"),
+    deferReply: respond("deferReply", "deferred"),
+    deferUpdate: respond("deferUpdate", "deferred"),
+    update: respond("update", "replied"),
+    showModal: respond("showModal", "replied"),
+    editReply: respond("editReply", "edit"),
+    followUp: respond("followUp", "edit"),
+  };
+
+  // an armed failure rejects whichever response comes next
+  for (const type of ["reply", "deferReply", "deferUpdate", "update", "showModal", "editReply", "followUp"]) {
+    const inner = interaction[type];
+    interaction[type] = async (payload) => {
+      if (interaction.failNext) {
+        const err = interaction.failNext;
+        interaction.failNext = null;
+        throw err;
+      }
+      return inner(payload);
+    };
+  }
+  return interaction;
+}
+
+/** First recorded response of `type` (or undefined) */
+export function callOf(interaction, type) {
+  return interaction.calls.find((c) => c.type === type);
+}
+
+/** Plain JSON of a payload's builders (embeds / components), for assertions */
+export function toJSON(payload) {
+  return JSON.parse(JSON.stringify(payload ?? null));
+}
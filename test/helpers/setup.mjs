@@ -0,0 +1,61 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * Test environment; import before any bot module (some read env on import).
+ * - no git commits of the tickers db, no network (market data replays an empty fixtures dir)
+ * - chat logs (the Gemini context) read from a temp dir, for channel "chat-room"
+ * - temp dirs per test for the sql.js store and the tickers list
+ */
+
+const ROOT = fs.mkdtempSync(path.join(os.tmpdir(), "super-pony-test-"));
+const FIXTURES_DIR = path.join(ROOT, "market_fixtures");
+fs.mkdirSync(FIXTURES_DIR);
+const LOG_DIR = path.join(ROOT, "chat_logs");
+fs.mkdirSync(LOG_DIR);
+
+process.env.TICKER_DB_GIT = "off";
+process.env.GEMINI_API_KEY ||= "test-key";
+process.env.MARKET_DATA_BACKEND = "fixtures";
+process.env.MARKET_DATA_FIXTURES = FIXTURES_DIR;
+process.env.MARKET_DATA_CACHE = "off";
+process.env.LOG_DIR = LOG_DIR;
+process.env.CONTEXT_CHANNEL_ID = "chat-room";
+
+process.on("exit", () => fs.rmSync(ROOT, { recursive: true, force: true }));
+
+export const DEFAULT_TICKERS = ["AAPL", "TSLA", "NVDA", "MSFT", "AMD", "BRK.B", "SPY", "A", "ON", "IT"];
+
+let n = 0;
+
+/** Fresh { dir, dbPath, allTickersFile } (the db is created on first use) */
+export function tempWorkspace({ tickers = DEFAULT_TICKERS } = {}) {
+  const dir = path.join(ROOT, `ws-${++n}`);
+  fs.mkdirSync(dir);
+  const allTickersFile = path.join(dir, "all_tickers.txt");
+  fs.writeFileSync(allTickersFile, tickers.join("\n"));
+  return { dir, dbPath: path.join(dir, "tickers.sqlite"), allTickersFile };
+}
+
+/** Write a market data fixture (same layout the http backend records) */
+export function writeFixture(key, data) {
+  const file = path.join(FIXTURES_DIR, ...key.split("/").map((p) => p.replace(/[^\w.-]+/g, "_"))) + ".json";
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ data }));
+}
+
+/** Write a day of a chat room's log (default: "chat-room", the Gemini Q&A default context); messages: [author, content, ts?] */
+export function writeChatLog(ymd, messages, channelId = "chat-room") {
+  const lines = messages.map(([author, content, ts], i) =>
+    JSON.stringify({ msgLink: `https://discord.com/channels/guild/${channelId}/${i + 1}`, timestamp: ts ?? i + 1, author, content })
+  );
+  fs.writeFileSync(path.join(LOG_DIR, `${channelId}_${ymd}.jsonl`), lines.join("\n") + "\n");
+}
+
+/** Silence console output from the code under test; returns a restore fn */
+export function quietConsole() {
+  const saved = { log: console.log, warn: console.warn, error: console.error };
+  console.log = console.warn = console.error = () => { };
+  return () => Object.assign(console, saved);
+}
@@ -0,0 +1,63 @@
+import { tempWorkspace, writeFixture, quietConsole } from "./helpers/setup.mjs";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createInteraction, createUser, callOf, toJSON } from "./helpers/fakeDiscord.mjs";
+import { showLeaderboard } from "../super_pony/cmd_handlers/leaderboard.mjs";
+import { appendMentions } from "../utils/tickerStore.mjs";
+
+const DAY = 24 * 60 * 60 * 1000;
+const { dbPath } = tempWorkspace();
+let restoreConsole;
+
+/** Daily bars over the last 20 days, from `from` to `to` */
+function chartFixture(symbol, from, to) {
+  const prices = Array.from({ length: 21 }, (_, i) => from + ((to - from) * i) / 20);
+  writeFixture(`yahoo/chart/${symbol}_1mo`, {
+    chart: {
+      result: [{
+        meta: { regularMarketPrice: to, exchangeTimezoneName: "UTC" },
+        timestamp: prices.map((_, i) => Math.floor((Date.now() - (20 - i) * DAY) / 1000)),
+        indicators: { quote: [{ open: prices, close: prices }] },
+      }],
+    },
+  });
+}
+
+const CALLERS = 18;
+const symbolOf = (u, k) => `Q${String.fromCharCode(65 + u)}${String.fromCharCode(65 + k)}`;
+
+before(async () => {
+  restoreConsole = quietConsole();
+  const entries = [];
+  for (let u = 0; u < CALLERS; u++) {
+    const user = createUser({ id: `u-${u}`, username: `long_trader_name_${u}` });
+    for (let k = 0; k < 2; k++) {
+      const ticker = symbolOf(u, k);
+      chartFixture(ticker, 100, 100 + u - k * 5);
+      entries.push({
+        ticker,
+        user: { id: user.id, name: user.username },
+        messageId: `m-${ticker}`,
+        channelId: "123456789012345678",
+        guildId: "987654321098765432",
+        link: `https://discord.com/channels/987654321098765432/123456789012345678/1400000000000000${String(u * 2 + k).padStart(3, "0")}`,
+        timestamp: new Date(Date.now() - 5 * DAY).toISOString(),
+        content: ticker,
+      });
+    }
+  }
+  await appendMentions(dbPath, entries);
+});
+after(() => restoreConsole());
+
+test("many callers fit the embed description, the rest are counted", async () => {
+  const interaction = createInteraction({ kind: "chat", commandName: "leaderboard" });
+  await interaction.deferReply();
+  await showLeaderboard({ interaction, dbPath, window: "30d" });
+
+  const [embed] = toJSON(callOf(interaction, "followUp").payload).embeds;
+  assert.ok(embed.description.length <= 4096, `description is ${embed.description.length} chars`);
+  assert.match(embed.description, /^1\. \*\*long_trader_name_17\*\*/);
+  assert.match(embed.description, /\n\+\d+ משתמשים נוספים$/);
+  assert.match(embed.footer.text, /18 משתמשים/);
+});
@@ -0,0 +1,65 @@
+import { tempWorkspace, quietConsole } from "./helpers/setup.mjs";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { createHttpBackend, createMarketData, TTL } from "../utils/marketData.mjs";
+
+let restoreConsole;
+before(() => { restoreConsole = quietConsole(); });
+after(() => restoreConsole());
+
+const TEST_URL = "https://example.test/data";
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+
+/** A `get` answering from `replies` in order (an Error is thrown); records the calls */
+function fakeGet(replies) {
+  const calls = [];
+  const get = async (url) => {
+    calls.push(url);
+    const next = replies[calls.length - 1];
+    if (next instanceof Error) throw next;
+    return { data: next };
+  };
+  return { get, calls };
+}
+
+test("a 429 is retried with backoff", async () => {
+  const { get, calls } = fakeGet([httpError(429), httpError(503), { ok: 1 }]);
+  const backend = createHttpBackend({ get, rateLimits: {}, backoffMs: 1 });
+  assert.deepEqual(await backend.request({ key: "t/retry", url: TEST_URL }), { ok: 1 });
+  assert.equal(calls.length, 3);
+});
+
+test("non-retryable errors and Retry-After past the cap throw at once", async () => {
+  const notFound = fakeGet([httpError(404), { ok: 1 }]);
+  await assert.rejects(createHttpBackend({ get: notFound.get, rateLimits: {}, backoffMs: 1 }).request({ key: "t/404", url: TEST_URL }), /HTTP 404/);
+  assert.equal(notFound.calls.length, 1);
+
+  const limited = fakeGet([httpError(429, { "retry-after": "3600" }), { ok: 1 }]);
+  const started = Date.now();
+  await assert.rejects(createHttpBackend({ get: limited.get, rateLimits: {} }).request({ key: "t/429", url: TEST_URL }), /HTTP 429/);
+  assert.equal(limited.calls.length, 1);
+  assert.ok(Date.now() - started < 1000, "no hour-long sleep");
+});
+
+test("a fresh cache entry is served; a stale one is refetched", async () => {
+  const cacheDir = path.join(tempWorkspace().dir, "cache");
+  const requests = [];
+  const backend = { name: "fake", request: async ({ key }) => (requests.push(key), { chart: { result: [{ fresh: true }] } }) };
+  const md = createMarketData({ backend, cacheDir });
+  const file = path.join(cacheDir, "yahoo", "chart", "TSLA_1mo.json");
+  const writeEntry = (age) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ fetchedAt: Date.now() - age, data: { chart: { result: [{ cached: true }] } } }));
+  };
+
+  writeEntry(TTL.chart - 60 * 1000);
+  assert.deepEqual(await md.getChart("TSLA", "1mo"), { cached: true });
+  assert.equal(requests.length, 0);
+
+  writeEntry(TTL.chart + 60 * 1000);
+  assert.deepEqual(await md.getChart("TSLA", "1mo"), { fresh: true });
+  assert.deepEqual(requests, ["yahoo/chart/TSLA_1mo"]);
+  assert.equal(JSON.parse(fs.readFileSync(file, "utf-8")).data.chart.result[0].fresh, true, "the refetch is cached");
+});
@@ -0,0 +1,223 @@
+import { tempWorkspace, writeChatLog, quietConsole } from "./helpers/setup.mjs";
+import { test, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { setGeminiTransport, linkCitations } from "../utils/askGemini.mjs";
+import { askInThread, expireQnaThreads } from "../super_pony/cmd_handlers/qnaThreads.mjs";
+import { createRouter } from "../super_pony/router.mjs";
+import { runSlashCommand } from "../super_pony/commands.mjs";
+import { createClient, createUser, createInteraction } from "./helpers/fakeDiscord.mjs";
+
+const FOREVER = Number.MAX_SAFE_INTEGER;
+
+const DAY_1 = "2025-08-17";
+const DAY_2 = "2025-08-18";
+const UNCITED = " ⚠️ _ללא מקור_";
+const alice = createUser({ id: "200000000000000001", username: "alice" });
+
+let restoreConsole;
+before(() => {
+  restoreConsole = quietConsole();
+  writeChatLog(DAY_1, [["bob", "TSLA נראית חזק מעל 400"], ["carol", "NVDA בדוחות השבוע"]]);
+  writeChatLog(DAY_2, [["bob", "סגרתי חצי TSLA"]]);
+});
+after(() => restoreConsole());
+afterEach(async () => {
+  setGeminiTransport(null);
+  await expireQnaThreads(createClient(), FOREVER); // forget this test's sessions
+});
+
+/** Canned Gemini: date extraction -> both log days, anything else -> answer(N) ("answer N"); records the prompts */
+function fakeGemini(answer = (n) => `answer ${n}`) {
+  const calls = { dates: [], answers: [] };
+  setGeminiTransport(async (prompt) => {
+    if (prompt.includes("YYYY-MM-DD")) {
+      calls.dates.push(prompt);
+      return JSON.stringify({ dates: [DAY_1, DAY_2] });
+    }
+    calls.answers.push(prompt);
+    return answer(calls.answers.length);
+  });
+  return calls;
+}
+
+function setup() {
+  const ws = tempWorkspace();
+  const client = createClient();
+  const bot = client.addChannel({ name: "bot" });
+  const router = createRouter({
+    client,
+    dbPath: ws.dbPath,
+    allTickersFile: ws.allTickersFile,
+    channels: { bot: bot.id },
+    commandDeps: { client, dbPath: ws.dbPath, allTickersFile: ws.allTickersFile, env: {} },
+  });
+  return { client, bot, router };
+}
+
+const texts = (channel) => channel.sent.map((p) => p.content);
+
+test("a bot-room question is answered in a thread of its own", async () => {
+  const calls = fakeGemini();
+  const { client, bot, router } = setup();
+  const question = bot.addMessage({ content: "<@100000000000000001> מה אמרו על TSLA?", author: alice, mentions: [client.user] });
+  await router.onMessage(question);
+
+  const thread = question.thread;
+  assert.ok(thread?.isThread());
+  assert.equal(thread.name, "❓ מה אמרו על tsla?");
+  assert.equal(thread.autoArchiveDuration, 60);
+  assert.deepEqual(texts(thread), ["🔍 מחפש תשובה לשאלה שלך, זה יכול לקחת כמה שניות...", `### ${DAY_1} – ${DAY_2}\nanswer 1${UNCITED}\n`]);
+  assert.equal(bot.sent.length, 0);
+  assert.equal(calls.answers.length, 1, "one answer over both days");
+  assert.match(calls.answers[0], /== 2025-08-17 ==\n\[1\] bob: TSLA נראית חזק מעל 400\n== 2025-08-18 ==\n\[2\] bob: סגרתי חצי TSLA/);
+  assert.doesNotMatch(calls.answers[0], /NVDA בדוחות/, "only messages about TSLA");
+});
+
+test("a follow-up in the thread keeps the earlier turns and the same days", async () => {
+  const calls = fakeGemini();
+  const { client, bot, router } = setup();
+  const question = bot.addMessage({ content: "<@100000000000000001> מה אמרו על TSLA ב-17.8.2025?", author: alice, mentions: [client.user] });
+  await router.onMessage(question);
+  const thread = question.thread;
+
+  await router.onMessage(thread.addMessage({ content: "ומה לגבי NVDA?", author: alice }));
+
+  assert.equal(calls.dates.length, 0, "dates parsed locally, and kept for the follow-up");
+  const followUp = calls.answers[1];
+  assert.match(followUp, /--- שיחה קודמת בשרשור ---\nשאלה: מה אמרו על tsla ב-17\.8\.2025\?\nתשובה: ### 2025-08-17\nanswer 1/);
+  assert.match(followUp, /השאלה של המשתמש: ומה לגבי NVDA\?/);
+  assert.match(followUp, /carol: NVDA בדוחות השבוע/);
+  assert.doesNotMatch(followUp, /סגרתי חצי TSLA/, "the window stays on the first question's days");
+  assert.equal(texts(thread).at(-1), `### ${DAY_1}\nanswer 2${UNCITED}\n`);
+});
+
+test("messages in other threads are left alone", async () => {
+  fakeGemini();
+  const { client, bot, router } = setup();
+  const other = client.addChannel({ name: "some thread", parent: bot });
+  await router.onMessage(other.addMessage({ content: "ומה לגבי NVDA?", author: alice }));
+  assert.equal(other.sent.length, 0);
+});
+
+test("a Q&A thread without a session (after a restart) says so instead of staying silent", async () => {
+  const calls = fakeGemini();
+  const { client, bot, router } = setup();
+  const anchor = await bot.send("❓ מה אמרו על TSLA?");
+  const thread = await anchor.startThread({ name: "❓ מה אמרו על tsla?" }); // opened by the previous run
+
+  await router.onMessage(thread.addMessage({ content: "ומה לגבי NVDA?", author: alice }));
+
+  assert.match(texts(thread).at(-1), /השיחה הזו כבר לא פעילה/);
+  assert.equal(thread.archived, true);
+  assert.equal(calls.answers.length, 0);
+});
+
+test("without a thread the answer goes to the channel", async () => {
+  fakeGemini();
+  const { client, bot, router } = setup();
+  const question = bot.addMessage({ content: "<@100000000000000001> מה אמרו על NVDA?", author: alice, mentions: [client.user] });
+  question.failThread = Object.assign(new Error("Missing Permissions"), { code: 50013 });
+  await router.onMessage(question);
+
+  assert.equal(question.thread, null);
+  assert.deepEqual(texts(bot).map((t) => t.trim()), ["🔍 מחפש תשובה לשאלה שלך, זה יכול לקחת כמה שניות...", `### ${DAY_1}\nanswer 1${UNCITED}`]);
+});
+
+test("idle threads are archived and stop answering", async () => {
+  const calls = fakeGemini();
+  const { client, bot, router } = setup();
+  const question = bot.addMessage({ content: "מה אמרו ב-17.8.2025?", author: alice });
+  await askInThread({ anchor: question, question: "מה אמרו ב-17.8.2025?", reply: (p) => bot.send(p) });
+  const thread = question.thread;
+
+  assert.equal(await expireQnaThreads(client, Date.now() + 5 * 60 * 1000), 0);
+  assert.equal(await expireQnaThreads(client, Date.now() + 31 * 60 * 1000), 1);
+  assert.equal(thread.archived, true);
+  assert.match(texts(thread).at(-1), /השרשור נסגר/);
+
+  await router.onMessage(thread.addMessage({ content: "ועוד משהו?", author: alice }));
+  assert.equal(calls.answers.length, 1);
+});
+
+/* ===== context rooms ===== */
+
+test("#room mentions merge those rooms' logs, attributed by room", async () => {
+  const calls = fakeGemini();
+  const { client, bot, router } = setup();
+  const stocks = client.addChannel({ name: "מניות" });
+  const crypto = client.addChannel({ name: "קריפטו" });
+  writeChatLog(DAY_1, [["dan", "AMD שוברת למעלה", 10], ["dan", "סגרתי AMD", 30]], stocks.id);
+  writeChatLog(DAY_1, [["eve", "BTC מעל 100k", 20]], crypto.id);
+
+  const question = bot.addMessage({ content: `<@100000000000000001> מה אמרו ב-<#${stocks.id}> וב-<#${crypto.id}>?`, author: alice, mentions: [client.user] });
+  await router.onMessage(question);
+
+  assert.equal(question.thread.name, "❓ מה אמרו ב-#מניות וב-#קריפטו?");
+  assert.match(calls.answers[0], /\[1\] \[#מניות\] dan: AMD שוברת למעלה\n\[2\] \[#קריפטו\] eve: BTC מעל 100k\n\[3\] \[#מניות\] dan: סגרתי AMD/);
+  assert.match(calls.answers[0], /ציין בתשובה מאיזה חדר/);
+  assert.doesNotMatch(calls.answers[0], /TSLA/, "the default room is not read");
+  assert.equal(texts(question.thread).at(-1), `### ${DAY_1} · #מניות, #קריפטו\nanswer 1${UNCITED}\n`);
+
+  // follow-ups stay on the same rooms
+  await router.onMessage(question.thread.addMessage({ content: "ומה לגבי BTC?", author: alice }));
+  assert.match(calls.answers[1], /\[1\] eve: BTC מעל 100k/);
+  assert.equal(texts(question.thread).at(-1), `### ${DAY_1} · #קריפטו\nanswer 2${UNCITED}\n`);
+});
+
+test("a room without a log is refused before asking", async () => {
+  const calls = fakeGemini();
+  const { client, bot, router } = setup();
+  const lobby = client.addChannel({ name: "lobby" });
+  await router.onMessage(bot.addMessage({ content: `<@100000000000000001> מה אמרו ב-<#${lobby.id}>?`, author: alice, mentions: [client.user] }));
+
+  assert.deepEqual(texts(bot), ["❌ אין לי היסטוריה של #lobby – אפשר לשאול רק על חדרים שאני מתעד."]);
+  assert.equal(calls.dates.length + calls.answers.length, 0);
+});
+
+test("/ask takes the room as an option", async () => {
+  const calls = fakeGemini();
+  const { client } = setup();
+  const crypto = client.addChannel({ name: "קריפטו" });
+  writeChatLog(DAY_2, [["eve", "ETH חלש"]], crypto.id);
+
+  const interaction = createInteraction({ kind: "chat", commandName: "ask", options: { question: "מה אמרו?", channel: crypto } });
+  await runSlashCommand(interaction, { client, env: {} });
+
+  assert.match(calls.answers[0], /בחדר #קריפטו \(תאריכים בשעון ישראל\)\.\n== 2025-08-18 ==\n\[1\] eve: ETH חלש/);
+  const sent = interaction.calls.filter((c) => c.type === "followUp").map((c) => c.payload);
+  assert.equal(sent.at(-1).trim(), `### ${DAY_2} · #קריפטו\nanswer 1${UNCITED}`);
+});
+
+/* ===== citations ===== */
+
+test("cited ids become jump links; uncited claims are flagged", () => {
+  const refs = new Map([[1, "https://x/1"], [2, null], [3, "https://x/3"]]);
+  const answer = ["סיכום:", "- TSLA מעל 400 [1][3]", "- נסגר חצי [2, 9]", "- NVDA לדוחות", "- שמועה [7]", "", "אין מספיק מידע כדי לענות לשאלה"];
+  assert.deepEqual(linkCitations(answer.join("\n"), refs).split("\n"), [
+    "סיכום:",
+    "- TSLA מעל 400 ([1](<https://x/1>), [3](<https://x/3>))",
+    "- נסגר חצי (2)",
+    `- NVDA לדוחות${UNCITED}`,
+    `- שמועה${UNCITED}`,
+    "",
+    "אין מספיק מידע כדי לענות לשאלה",
+  ]);
+});
+
+test("the prompt numbers the context and the answer links to the cited messages", async () => {
+  const calls = fakeGemini((n) => (n === 1 ? "- TSLA נראית חזק [1]\n- NVDA בדוחות [2]" : "- עדיין חזק [1]"));
+  const { client, bot, router } = setup();
+  const question = bot.addMessage({ content: "<@100000000000000001> מה אמרו ב-17.8.2025?", author: alice, mentions: [client.user] });
+  await router.onMessage(question);
+
+  assert.match(calls.answers[0], /\[1\] bob: TSLA נראית חזק מעל 400\n\[2\] carol: NVDA בדוחות השבוע/);
+  assert.match(calls.answers[0], /סיים כל משפט או נקודה בתשובה במזהי ההודעות/);
+  assert.equal(
+    texts(question.thread).at(-1),
+    `### ${DAY_1}\n- TSLA נראית חזק ([1](<https://discord.com/channels/guild/chat-room/1>))\n- NVDA בדוחות ([2](<https://discord.com/channels/guild/chat-room/2>))\n`
+  );
+
+  // the next turn sees the answer without the links
+  await router.onMessage(question.thread.addMessage({ content: "ומה עכשיו?", author: alice }));
+  assert.match(calls.answers[1], /תשובה: ### 2025-08-17\n- TSLA נראית חזק\n- NVDA בדוחות\n/);
+});
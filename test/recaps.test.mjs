@@ -0,0 +1,37 @@
+import { tempWorkspace, quietConsole } from "./helpers/setup.mjs";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createChannel, toJSON } from "./helpers/fakeDiscord.mjs";
+import { postDailyRecap } from "../super_pony/cmd_handlers/recaps.mjs";
+import { appendMentions } from "../utils/tickerStore.mjs";
+import { israelYmd } from "../utils/dateRange.mjs";
+
+let restoreConsole;
+before(() => { restoreConsole = quietConsole(); });
+after(() => restoreConsole());
+
+test("a day with many first mentions fits the new-tickers field", async () => {
+  const { dbPath } = tempWorkspace();
+  const fresh = 30;
+  await appendMentions(dbPath, Array.from({ length: fresh }, (_, i) => ({
+    ticker: `N${String.fromCharCode(65 + Math.floor(i / 26))}${String.fromCharCode(65 + (i % 26))}`,
+    user: { id: `u-${i}`, name: `a_rather_long_member_name_${i}` },
+    messageId: `m-${i}`,
+    channelId: "123456789012345678",
+    guildId: "987654321098765432",
+    link: `https://discord.com/channels/987654321098765432/123456789012345678/14000000000000${String(i).padStart(5, "0")}`,
+    timestamp: new Date(Date.now() - (fresh - i) * 1000).toISOString(),
+    content: "new",
+  })));
+  const channel = createChannel({ name: "recaps" });
+
+  await postDailyRecap({ channel, dbPath, ymd: israelYmd() });
+
+  const [embed] = toJSON(channel.sent[0]).embeds;
+  const field = embed.fields[0];
+  assert.equal(field.name, `טיקרים חדשים היום (${fresh})`);
+  assert.ok(field.value.length <= 1024, `field is ${field.value.length} chars`);
+  const lines = field.value.split("\n");
+  assert.match(lines[0], /^• \[`NAA`\]\(https:\/\/discord\.com\/channels\/.+\) — a_rather_long_member_name_0$/);
+  assert.equal(lines.at(-1), `ועוד ${fresh - (lines.length - 1)}...`);
+});
@@ -0,0 +1,245 @@
+import { tempWorkspace, quietConsole } from "./helpers/setup.mjs";
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { Collection } from "discord.js";
+import { createClient, createUser, createInteraction, callOf, toJSON } from "./helpers/fakeDiscord.mjs";
+import { createRouter } from "../super_pony/router.mjs";
+import { queryTickerStore, getCheckpoint } from "../utils/tickerStore.mjs";
+import { setChartOcr } from "../utils/chartOcr.mjs";
+
+const alice = createUser({ id: "200000000000000001", username: "alice" });
+const bob = createUser({ id: "200000000000000002", username: "bob" });
+
+let restoreConsole;
+before(() => { restoreConsole = quietConsole(); });
+after(() => restoreConsole());
+
+function setup({ liveRepost = false, withLogChannel = true, allTickersFile } = {}) {
+  const ws = tempWorkspace();
+  const client = createClient();
+  const rooms = {
+    bot: client.addChannel({ name: "bot" }),
+    graphs: client.addChannel({ name: "graphs" }),
+    schedule: client.addChannel({ name: "schedule" }),
+    log: client.addChannel({ name: "bot-log" }),
+    lobby: client.addChannel({ name: "lobby" }),
+  };
+  const shutdowns = [];
+  const router = createRouter({
+    client,
+    dbPath: ws.dbPath,
+    allTickersFile: allTickersFile ?? ws.allTickersFile,
+    channels: { bot: rooms.bot.id, graphs: rooms.graphs.id, schedule: rooms.schedule.id, log: rooms.log.id },
+    shutdownSecret: "s3cret",
+    liveRepost,
+    logChannel: () => (withLogChannel ? rooms.log : null),
+    shutdown: async () => { shutdowns.push(Date.now()); },
+    commandDeps: { client, dbPath: ws.dbPath, env: {} },
+  });
+  const mentionRows = () => queryTickerStore(ws.dbPath, "SELECT ticker, user_id FROM mentions ORDER BY ts");
+  return { ws, client, rooms, router, shutdowns, mentionRows };
+}
+
+/* ===== messages ===== */
+
+test("webhook shutdown with the secret in the log channel stops the bot", async () => {
+  const { rooms, router, shutdowns } = setup();
+  await router.onMessage(rooms.log.addMessage({ content: "shutdown wrong", webhookId: "hook" }));
+  await router.onMessage(rooms.bot.addMessage({ content: "shutdown s3cret", webhookId: "hook" }));
+  assert.equal(shutdowns.length, 0);
+
+  await router.onMessage(rooms.log.addMessage({ content: "shutdown s3cret", webhookId: "hook" }));
+
+  assert.equal(shutdowns.length, 1);
+  assert.equal(rooms.log.sent[0].content, "🔴 אני יורד לדקה של תחזוקה...");
+});
+
+test("bot and empty messages are ignored", async () => {
+  const { client, rooms, router } = setup();
+  await router.onMessage(rooms.bot.addMessage({ content: "עזרה", author: createUser({ bot: true }), mentions: [client.user] }));
+  await router.onMessage(rooms.bot.addMessage({ content: "   ", author: alice, mentions: [client.user] }));
+  assert.equal(rooms.bot.sent.length, 0);
+});
+
+test("graph-room messages are recorded silently and checkpointed", async () => {
+  const { rooms, router, ws, mentionRows } = setup();
+  const msg = rooms.graphs.addMessage({ content: "TSLA and $NVDA", author: alice });
+
+  await router.onMessage(msg);
+
+  assert.deepEqual(await mentionRows(), [
+    { ticker: "TSLA", user_id: alice.id },
+    { ticker: "NVDA", user_id: alice.id },
+  ]);
+  assert.equal((await getCheckpoint(ws.dbPath, rooms.graphs.id)).lastProcessedId, msg.id);
+  assert.equal(rooms.graphs.sent.length, 0);
+  assert.equal(msg.deleted, false);
+});
+
+test("screenshot-only graph posts are OCR'd; an edit keeps the chart's tickers", async () => {
+  const { rooms, router, ws } = setup();
+  mock.method(globalThis, "fetch", async () => ({ ok: true, arrayBuffer: async () => new ArrayBuffer(8) }));
+  setChartOcr(async () => "TSLA · 1D · NASDAQ");
+  const msg = rooms.graphs.addMessage({ content: "", author: alice, attachments: [{ name: "chart.png", url: "https://cdn.example/chart.png" }] });
+  try {
+    await router.onMessage(msg);
+    await router.onMessageUpdate(msg, { ...msg, content: "AMD too" });
+  } finally {
+    setChartOcr(null);
+    mock.restoreAll();
+  }
+
+  assert.deepEqual(
+    await queryTickerStore(ws.dbPath, "SELECT ticker, source FROM mentions ORDER BY source, ticker"),
+    [{ ticker: "TSLA", source: "ocr" }, { ticker: "AMD", source: "text" }]
+  );
+});
+
+test("borderline tickers are not recorded, and are summed up in one log-channel post", async () => {
+  const { rooms, router, mentionRows } = setup();
+  const first = rooms.graphs.addMessage({ content: "TSLA, maybe amd too", author: alice });
+  const second = rooms.graphs.addMessage({ content: "amd again", author: alice });
+
+  await router.onMessage(first);
+  await router.onMessage(second);
+
+  assert.deepEqual((await mentionRows()).map((r) => r.ticker), ["TSLA"]);
+  assert.equal(rooms.log.sent.length, 0, "nothing posted per message");
+  assert.equal(await router.flushBorderline(), 1);
+  assert.deepEqual(rooms.log.sent.map((p) => p.content), [`🤔 לא נרשמו (ביטחון נמוך) מאז הסיכום הקודם:\n\`AMD\` ×2 (עד 0.45) — ${second.url}`]);
+  assert.equal(await router.flushBorderline(), 0, "the tally starts over");
+});
+
+test("live repost replaces the message, and its own delete doesn't retract mentions", async () => {
+  const { rooms, router, mentionRows } = setup({ liveRepost: true });
+  const msg = rooms.graphs.addMessage({ content: "AMD", author: alice });
+
+  await router.onMessage(msg);
+  await router.onMessageDelete(msg);
+
+  assert.equal(msg.deleted, true);
+  assert.match(rooms.graphs.sent[0].content, /^AMD\n\[@lc\]/);
+  assert.deepEqual(await mentionRows(), [{ ticker: "AMD", user_id: alice.id }]);
+});
+
+test("a failed repost tells the user", async () => {
+  const { rooms, router } = setup({ liveRepost: true, withLogChannel: false });
+
+  await router.onMessage(rooms.graphs.addMessage({ content: "AMD", author: alice }));
+
+  assert.equal(rooms.graphs.sent.length, 1);
+  assert.match(rooms.graphs.sent[0].content, /לא הצלחתי לפרסם את ההודעה שלך/);
+});
+
+test("bot-room commands need a mention", async () => {
+  const { client, rooms, router } = setup();
+  await router.onMessage(rooms.bot.addMessage({ content: "עזרה", author: alice }));
+  assert.equal(rooms.bot.sent.length, 0);
+
+  await router.onMessage(rooms.bot.addMessage({ content: `<@${client.user.id}> עזרה`, author: alice, mentions: [client.user] }));
+
+  assert.ok(rooms.bot.sent.length >= 1);
+  assert.match(rooms.bot.sent[0].content, /הנה רשימת הפקודות/);
+});
+
+test("mentions outside the bot room are ignored", async () => {
+  const { client, rooms, router } = setup();
+  await router.onMessage(rooms.lobby.addMessage({ content: `<@${client.user.id}> עזרה`, author: alice, mentions: [client.user] }));
+  assert.equal(rooms.lobby.sent.length, 0);
+});
+
+test("the schedule-room delete phrase clears the room", async () => {
+  const { client, rooms, router } = setup();
+  rooms.schedule.addMessage({ content: "09:30 open", author: bob });
+  rooms.schedule.addMessage({ content: "16:00 close", author: bob });
+  await router.onMessage(rooms.schedule.addMessage({ content: `<@${client.user.id}> שלום`, author: alice, mentions: [client.user] }));
+  assert.equal(rooms.schedule.messages.cache.size, 3);
+
+  await router.onMessage(rooms.schedule.addMessage({ content: `<@${client.user.id}> ססמי מחק`, author: alice, mentions: [client.user] }));
+
+  assert.equal(rooms.schedule.messages.cache.size, 0);
+});
+
+test("handler errors are reported in the channel", async () => {
+  const { rooms, router } = setup({ allTickersFile: "/nonexistent/all_tickers.txt" });
+
+  await router.onMessage(rooms.graphs.addMessage({ content: "TSLA", author: alice }));
+
+  assert.deepEqual(rooms.graphs.sent, [{ content: "❌ קרתה שגיאה בעיבוד הבקשה." }]);
+});
+
+/* ===== graph-room edits / deletes ===== */
+
+test("edits re-extract tickers; deletes retract them and report first-mention hand-overs", async () => {
+  const { rooms, router, mentionRows } = setup();
+  const first = rooms.graphs.addMessage({ content: "TSLA", author: alice });
+  const second = rooms.graphs.addMessage({ content: "TSLA again", author: bob });
+  await router.onMessage(first);
+  await router.onMessage(second);
+
+  const edited = { ...first, content: "TSLA and AAPL" };
+  await router.onMessageUpdate(first, edited);
+  assert.deepEqual((await mentionRows()).map((r) => r.ticker).sort(), ["AAPL", "TSLA", "TSLA"]);
+
+  await router.onMessageUpdate(edited, { ...edited }); // embed-only update: no-op
+  await router.onMessageDelete(first);
+
+  assert.deepEqual(await mentionRows(), [{ ticker: "TSLA", user_id: bob.id }]);
+  const report = rooms.log.sent.map((p) => p.content).join("\n");
+  assert.match(report, new RegExp(`אזכור ראשון של \`TSLA\` עבר: <@${alice.id}> → <@${bob.id}> \\(delete\\)`));
+});
+
+test("bulk deletes outside the graph room are ignored", async () => {
+  const { rooms, router, mentionRows } = setup();
+  const msg = rooms.graphs.addMessage({ content: "NVDA", author: alice });
+  await router.onMessage(msg);
+
+  await router.onMessageDeleteBulk(new Collection([[msg.id, msg]]), rooms.lobby);
+  assert.equal((await mentionRows()).length, 1);
+
+  await router.onMessageDeleteBulk(new Collection([[msg.id, msg]]), rooms.graphs);
+  assert.equal((await mentionRows()).length, 0);
+});
+
+/* ===== interactions ===== */
+
+test("components go to their handler; unknown ones are left alone", async () => {
+  const { router } = setup();
+  const dash = createInteraction({ kind: "modal", customId: "dash:period_days|month_oc|mtd|", fields: { value: "x" }, user: alice });
+  await router.onInteraction(dash);
+  assert.equal(callOf(dash, "reply").payload.content, "❌ ערך לא תקין.");
+
+  const stray = createInteraction({ kind: "button", customId: "nobody:home", user: alice });
+  await router.onInteraction(stray);
+  assert.equal(stray.calls.length, 0);
+});
+
+test("slash commands run through the registry", async () => {
+  const { router, rooms } = setup();
+  await router.onMessage(rooms.graphs.addMessage({ content: "TSLA", author: alice }));
+  const interaction = createInteraction({ kind: "chat", commandName: "all_tickers", options: {}, user: alice, channel: rooms.bot });
+
+  await router.onInteraction(interaction);
+
+  assert.equal(interaction.calls[0].type, "deferReply");
+  const reply = toJSON(callOf(interaction, "followUp").payload);
+  assert.match(JSON.stringify(reply), /TSLA/);
+});
+
+test("a failing interaction gets an ephemeral error, as a reply or a follow-up", async () => {
+  const { router, rooms } = setup();
+  const early = createInteraction({ kind: "chat", commandName: "all_tickers", user: alice, channel: rooms.bot });
+  early.failNext = new Error("Unknown interaction");
+  await router.onInteraction(early);
+  assert.deepEqual(early.calls, [{ type: "reply", payload: { content: "❌ שגיאה בעיבוד הבקשה.", flags: 64 } }]);
+
+  const late = createInteraction({ kind: "chat", commandName: "all_tickers", user: alice, channel: rooms.bot });
+  const followUps = [];
+  late.followUp = async (payload) => {
+    followUps.push(payload);
+    if (followUps.length === 1) throw new Error("Missing Access");
+  };
+  await router.onInteraction(late);
+  assert.equal(late.deferred, true);
+  assert.deepEqual(followUps.at(-1), { content: "❌ שגיאה בעיבוד הבקשה.", flags: 64 });
+});
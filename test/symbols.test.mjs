@@ -0,0 +1,108 @@
+import { tempWorkspace, writeFixture, quietConsole, DEFAULT_TICKERS } from "./helpers/setup.mjs";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { resolveSymbol, normalizeSymbol, assetClassOf, priceSymbol } from "../utils/symbols.mjs";
+import { scoreTickers } from "../utils/tickerExtractor.mjs";
+import { computeGainers } from "../super_pony/cmd_handlers/tickersDashboard.mjs";
+import { handleGraphChannelMessage } from "../super_pony/cmd_handlers/graphChannelHandler.mjs";
+import { parseSymbols } from "../super_pony/cmd_handlers/watchlists.mjs";
+import { parseAlertSpec } from "../super_pony/cmd_handlers/priceAlerts.mjs";
+import { queryTickerStore } from "../utils/tickerStore.mjs";
+import { createClient, createUser } from "./helpers/fakeDiscord.mjs";
+
+const DAY = 24 * 60 * 60 * 1000;
+const US = new Set([...DEFAULT_TICKERS, "BTC", "ETH", "TEVA"]);
+const accepted = (text) => scoreTickers(text, US).accepted.map((t) => t.ticker);
+
+let restoreConsole;
+before(() => { restoreConsole = quietConsole(); });
+after(() => restoreConsole());
+
+test("normalizes every written form to one canonical id", () => {
+  const cases = {
+    BTC: "BTC-USD",
+    btcusd: "BTC-USD",
+    BTCUSDT: "BTC-USD",
+    "BTC-USD": "BTC-USD",
+    "eth/usd": "ETH-USD",
+    "BINANCE:SOLUSDT": "SOL-USD",
+    "TASE:TEVA": "TEVA.TA",
+    "teva.ta": "TEVA.TA",
+    "^SPX": "^SPX",
+    "^GSPC": "^SPX",
+    "SP:SPX": "^SPX",
+    "TVC:VIX": "^VIX",
+    "NASDAQ:TSLA": "TSLA",
+    "brk-b": "BRK.B",
+    $NVDA: "NVDA",
+  };
+  for (const [input, id] of Object.entries(cases)) assert.equal(normalizeSymbol(input), id, input);
+  for (const junk of ["^FOO", "NOTE:TSLA", "SOLANA", "12:30", ""]) assert.equal(normalizeSymbol(junk), null, junk);
+});
+
+test("plain US tickers must be listed; qualified forms are recognized by shape", () => {
+  assert.equal(resolveSymbol("ZZZZ", US), null);
+  assert.deepEqual(resolveSymbol("TEVA", US), { id: "TEVA", assetClass: "stock", qualified: false });
+  assert.deepEqual(resolveSymbol("TASE:NICE", US), { id: "NICE.TA", assetClass: "tase", qualified: true });
+  assert.deepEqual(resolveSymbol("eth", US), { id: "ETH-USD", assetClass: "crypto", qualified: false });
+});
+
+test("asset class decides the price symbol", () => {
+  assert.deepEqual(
+    ["TSLA", "BRK.B", "BTC-USD", "TEVA.TA", "^SPX", "^TA35"].map((id) => [assetClassOf(id), priceSymbol(id)]),
+    [["stock", "TSLA"], ["stock", "BRK-B"], ["crypto", "BTC-USD"], ["tase", "TEVA.TA"], ["index", "^GSPC"], ["index", "TA35.TA"]]
+  );
+});
+
+test("the extractor picks up crypto, TASE and index symbols", () => {
+  assert.deepEqual(accepted("BTC מעל 100k, ETHUSDT נראה חלש"), ["BTC-USD", "ETH-USD"]);
+  assert.deepEqual(accepted("TASE:TEVA ו-NICE.TA, ^SPX ליד השיא"), ["TEVA.TA", "NICE.TA", "^SPX"]);
+  assert.deepEqual(accepted("TEVA 18 breakout"), ["TEVA"]);
+  assert.deepEqual(accepted("BINANCE:BTCUSDT, NASDAQ:TSLA."), ["BTC-USD", "TSLA"]);
+  assert.deepEqual(accepted("note:TSLA and/or 12:30"), []);
+});
+
+test("graph-room mentions are stored under the canonical id", async () => {
+  const ws = tempWorkspace({ tickers: [...DEFAULT_TICKERS, "BTC"] });
+  const message = createClient().addChannel({ name: "graphs" }).addMessage({ content: "$btc and TASE:TEVA", author: createUser() });
+  await handleGraphChannelMessage({ message, allTickersFile: ws.allTickersFile, dbPath: ws.dbPath, silent: true, commitAfterWrite: false });
+  assert.deepEqual(await queryTickerStore(ws.dbPath, "SELECT ticker FROM mentions ORDER BY ticker"), [
+    { ticker: "BTC-USD" },
+    { ticker: "TEVA.TA" },
+  ]);
+});
+
+test("returns are priced per asset class", async () => {
+  const fixture = (yahoo, from, to) => {
+    const prices = Array.from({ length: 21 }, (_, i) => from + ((to - from) * i) / 20);
+    writeFixture(`yahoo/chart/${yahoo}_1mo`, {
+      chart: {
+        result: [{
+          meta: { regularMarketPrice: to, exchangeTimezoneName: "UTC" },
+          timestamp: prices.map((_, i) => Math.floor((Date.now() - (20 - i) * DAY) / 1000)),
+          indicators: { quote: [{ open: prices, close: prices }] },
+        }],
+      },
+    });
+  };
+  fixture("BTC-USD", 100000, 120000);
+  fixture("TEVA.TA", 6000, 5700);
+  fixture("^GSPC", 6000, 6060);
+
+  const firstTs = Date.now() - 20 * DAY;
+  const ranked = await computeGainers(
+    ["^SPX", "TEVA.TA", "BTC-USD"].map((symbol) => ({ symbol, firstTs })),
+    { anchor: "mention" }
+  );
+  assert.deepEqual(ranked.map((r) => [r.symbol, Math.round(r.pct)]), [["BTC-USD", 20], ["^SPX", 1], ["TEVA.TA", -5]]);
+});
+
+test("commands take the new forms too", () => {
+  assert.deepEqual(parseSymbols("btc, tase:teva ^spx tsla ???"), { symbols: ["BTC-USD", "TEVA.TA", "^SPX", "TSLA"], invalid: ["???"] });
+  assert.deepEqual(
+    parseSymbols("hello $tsla world btc", new Set(DEFAULT_TICKERS)),
+    { symbols: ["TSLA", "BTC-USD"], invalid: ["hello", "world"] },
+    "plain stock symbols must be listed"
+  );
+  assert.deepEqual(parseAlertSpec("btcusdt 130000"), { symbol: "BTC-USD", kind: "price", value: 130000, direction: null });
+});
@@ -0,0 +1,66 @@
+import "./helpers/setup.mjs";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { scoreTickers, formatScored, DEFAULT_THRESHOLD } from "../utils/tickerExtractor.mjs";
+
+const KNOWN = new Set(["TSLA", "NVDA", "AMD", "NOW", "ALL", "IT", "NEXT", "KORE", "AI", "A"]);
+const score = (text, opts) => scoreTickers(text, KNOWN, opts);
+const confidence = (text, ticker, opts) => {
+  const r = score(text, opts);
+  return [...r.accepted, ...r.borderline].find((t) => t.ticker === ticker)?.confidence;
+};
+
+test("$ beats caps beats lowercase", () => {
+  assert.equal(confidence("$TSLA", "TSLA"), 0.95);
+  assert.equal(confidence("TSLA", "TSLA"), 0.6);
+  assert.equal(confidence("tsla", "TSLA"), 0.45);
+});
+
+test("caps earn nothing in an all-caps message", () => {
+  assert.equal(confidence("WOW TSLA IS FLYING TODAY", "TSLA"), 0.45);
+});
+
+test("everyday words are rejected unless the context says ticker", () => {
+  const plain = score("ALL of it is NOW priced in");
+  assert.deepEqual(plain.accepted, []);
+
+  const r = score("NOW at 650 breakout");
+  assert.deepEqual(r.accepted.map((t) => t.ticker), ["NOW"]);
+  assert.deepEqual(r.accepted[0].reasons, ["caps", "word", "price", "TA"]);
+});
+
+test("context clues: prices, TA words (en / he) and charts", () => {
+  assert.deepEqual(score("tsla 250").accepted[0].reasons, ["price"]);
+  assert.deepEqual(score("קניתי tsla ב-250").accepted[0].reasons, ["price"]);
+  assert.deepEqual(score("amd RSI oversold").accepted[0].reasons, ["TA"]);
+  assert.deepEqual(score("פריצה ב amd").accepted[0].reasons, ["TA"]);
+  assert.deepEqual(score("nvda", { hasChart: true }).accepted[0].reasons, ["chart"]);
+  assert.deepEqual(score("nvda https://www.tradingview.com/x/AbC12/").accepted[0].reasons, ["chart"]);
+  assert.equal(confidence("meeting at 10:30 about nvda", "NVDA"), 0.45); // a time isn't a price
+});
+
+test("near misses are reported as borderline, the rest dropped", () => {
+  const r = score("TSLA 250 is next");
+  assert.deepEqual(r.accepted.map((t) => t.ticker), ["TSLA"]);
+  assert.deepEqual(r.borderline.map(formatScored), ["NEXT 0.30 (word, price)"]);
+  assert.deepEqual(score("ma kore achi").borderline.map(formatScored), ["KORE 0.45"]);
+  assert.deepEqual(score("it is all fine").borderline, []);
+});
+
+test("the threshold is configurable", () => {
+  assert.equal(DEFAULT_THRESHOLD, 0.5);
+  assert.deepEqual(score("tsla", { threshold: 0.4 }).accepted.map((t) => t.ticker), ["TSLA"]);
+  assert.deepEqual(score("TSLA", { threshold: 0.7 }).accepted, []);
+  assert.deepEqual(score("TSLA", { threshold: 0.7 }).borderline.map((t) => t.ticker), ["TSLA"]);
+});
+
+test("a custom blacklist replaces the default", () => {
+  assert.deepEqual(score("AMD and AI chips", { blacklist: new Set(["AMD"]) }).accepted.map((t) => t.ticker), ["AI"]);
+  assert.deepEqual(score("$AMD", { blacklist: new Set(["AMD"]) }).accepted.map((t) => t.ticker), ["AMD"]);
+});
+
+test("keeps the best occurrence of a repeated symbol", () => {
+  const r = score("tsla... $TSLA");
+  assert.equal(r.accepted.length, 1);
+  assert.equal(r.accepted[0].confidence, 0.95);
+});
@@ -0,0 +1,150 @@
+import { tempWorkspace, writeFixture, quietConsole } from "./helpers/setup.mjs";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { PermissionFlagsBits } from "discord.js";
+import {
+  parseUniverseCsv,
+  fromFinnhubSymbols,
+  diffUniverse,
+  refreshTickerUniverse,
+  loadTickerUniverse,
+  readUniverseMeta,
+} from "../utils/tickerUniverse.mjs";
+import { handleGraphChannelMessage } from "../super_pony/cmd_handlers/graphChannelHandler.mjs";
+import { runSlashCommand } from "../super_pony/commands.mjs";
+import { queryTickerStore } from "../utils/tickerStore.mjs";
+import { createClient, createInteraction, createUser, callOf, toJSON } from "./helpers/fakeDiscord.mjs";
+
+let restoreConsole;
+before(() => { restoreConsole = quietConsole(); });
+after(() => restoreConsole());
+
+const row = (symbol, name, type = "stock", exchange = "NASDAQ") => ({ symbol, name, exchange, type, previous: null });
+
+test("parses a universe CSV (quoted names, type and rename columns)", () => {
+  const rows = parseUniverseCsv(
+    'Ticker,Name,Exchange,Type,Previous\nMETA,"Meta Platforms, Inc.",nasdaq,Common,FB\nSPY,SPDR S&P 500,NYSEARCA,ETF,\nbrk-b,Berkshire,NYSE,,\n'
+  );
+  assert.deepEqual(rows, [
+    { symbol: "META", name: "Meta Platforms, Inc.", exchange: "NASDAQ", type: "stock", previous: "FB" },
+    { symbol: "SPY", name: "SPDR S&P 500", exchange: "NYSEARCA", type: "etf", previous: null },
+    { symbol: "BRK.B", name: "Berkshire", exchange: "NYSE", type: "stock", previous: null },
+  ]);
+  assert.throws(() => parseUniverseCsv("name\nfoo"), /no symbol column/);
+});
+
+test("keeps listed Finnhub symbols and maps their types", () => {
+  const rows = fromFinnhubSymbols([
+    { symbol: "AAPL", displaySymbol: "AAPL", description: "APPLE INC", type: "Common Stock", mic: "XNAS" },
+    { symbol: "SPY", displaySymbol: "SPY", description: "SPDR S&P 500 ETF TRUST", type: "ETP", mic: "ARCX" },
+    { symbol: "BRK.B", displaySymbol: "BRK.B", description: "BERKSHIRE HATHAWAY INC-CL B", type: "Common Stock", mic: "XNYS" },
+    { symbol: "TCEHY", displaySymbol: "TCEHY", description: "TENCENT HOLDINGS LTD-UNS ADR", type: "ADR", mic: "OOTC" },
+  ]);
+  assert.deepEqual(rows.map((r) => [r.symbol, r.exchange, r.type]), [
+    ["AAPL", "NASDAQ", "stock"],
+    ["SPY", "NYSEARCA", "etf"],
+    ["BRK.B", "NYSE", "stock"],
+  ]);
+});
+
+test("diff pairs a dropped and a new symbol of the same company as a rename", () => {
+  const prev = { FB: { name: "Meta Platforms Inc" }, TSLA: { name: "Tesla Inc" }, OLD: {} };
+  const diff = diffUniverse(prev, [row("META", "Meta Platforms, Inc. - Class A"), row("TSLA", "Tesla Inc"), row("NEW", "New Co")]);
+  assert.deepEqual(diff, { added: ["NEW"], removed: ["OLD"], renamed: [{ from: "FB", to: "META" }] });
+});
+
+test("refresh writes the list and metadata, and readers reload without a restart", async () => {
+  const ws = tempWorkspace({ tickers: ["AAPL", "FB", "TSLA"] });
+  const before = await loadTickerUniverse(ws.allTickersFile);
+  assert.ok(before.set.has("FB"));
+
+  const diff = await refreshTickerUniverse({
+    allTickersFile: ws.allTickersFile,
+    source: "test",
+    rows: [row("AAPL", "Apple"), { ...row("META", "Meta Platforms"), previous: "FB" }, row("TSLA", "Tesla"), row("SPY", "SPDR", "etf")],
+  });
+  assert.deepEqual(
+    { added: diff.added, removed: diff.removed, renamed: diff.renamed, count: diff.count },
+    { added: ["SPY"], removed: [], renamed: [{ from: "FB", to: "META" }], count: 4 }
+  );
+
+  assert.equal(fs.readFileSync(ws.allTickersFile, "utf-8"), "AAPL\nMETA\nSPY\nTSLA\n");
+  const now = await loadTickerUniverse(ws.allTickersFile);
+  assert.deepEqual([...now.set], ["AAPL", "META", "SPY", "TSLA"]);
+  assert.deepEqual([...now.renames], [["FB", "META"]]);
+  assert.deepEqual(now.meta.symbols.SPY, { name: "SPDR", exchange: "NASDAQ", type: "etf" });
+});
+
+test("renames chain, and a symbol listed again stops being a rename", async () => {
+  const ws = tempWorkspace({ tickers: ["FB"] });
+  const refresh = (rows) => refreshTickerUniverse({ allTickersFile: ws.allTickersFile, source: "test", rows, force: true });
+  await refresh([{ ...row("META", "Meta"), previous: "FB" }]);
+  await refresh([{ ...row("MTA", "Meta"), previous: "META" }]);
+  assert.deepEqual((await readUniverseMeta(ws.allTickersFile)).renames, { FB: "MTA", META: "MTA" });
+
+  await refresh([row("MTA", "Meta"), row("FB", "Fresh Bakery")]);
+  assert.deepEqual([...(await loadTickerUniverse(ws.allTickersFile)).renames], [["META", "MTA"]]);
+});
+
+test("refuses a much smaller universe unless forced", async () => {
+  const ws = tempWorkspace({ tickers: ["AAPL", "AMD", "TSLA", "NVDA"] });
+  const rows = [row("AAPL", "Apple")];
+  await assert.rejects(refreshTickerUniverse({ allTickersFile: ws.allTickersFile, source: "test", rows }), /refusing 1 symbols/);
+  assert.match(fs.readFileSync(ws.allTickersFile, "utf-8"), /NVDA/);
+
+  await refreshTickerUniverse({ allTickersFile: ws.allTickersFile, source: "test", rows, force: true });
+  assert.equal(fs.readFileSync(ws.allTickersFile, "utf-8"), "AAPL\n");
+});
+
+test("refreshes from Finnhub or an imported CSV", async () => {
+  const ws = tempWorkspace({ tickers: ["AAPL"] });
+  writeFixture("finnhub/symbols/US", [
+    { symbol: "AAPL", displaySymbol: "AAPL", description: "APPLE INC", type: "Common Stock", mic: "XNAS" },
+    { symbol: "QQQ", displaySymbol: "QQQ", description: "INVESCO QQQ TRUST", type: "ETP", mic: "XNAS" },
+  ]);
+  assert.deepEqual((await refreshTickerUniverse({ allTickersFile: ws.allTickersFile })).added, ["QQQ"]);
+  assert.equal((await readUniverseMeta(ws.allTickersFile)).source, "finnhub");
+
+  const csvPath = path.join(ws.dir, "universe.csv");
+  fs.writeFileSync(csvPath, "symbol,name,type\nAAPL,Apple,stock\nQQQ,Invesco QQQ,etf\nBTC,Bitcoin,crypto\n");
+  const diff = await refreshTickerUniverse({ allTickersFile: ws.allTickersFile, csvPath });
+  assert.deepEqual(diff.added, ["BTC"]);
+  assert.equal((await readUniverseMeta(ws.allTickersFile)).symbols.BTC.type, "crypto");
+});
+
+test("an old symbol is credited to its new one", async () => {
+  const ws = tempWorkspace({ tickers: ["FB", "TSLA"] });
+  await refreshTickerUniverse({
+    allTickersFile: ws.allTickersFile,
+    source: "test",
+    rows: [{ ...row("META", "Meta"), previous: "FB" }, row("TSLA", "Tesla")],
+  });
+  const message = createClient().addChannel({ name: "graphs" }).addMessage({ content: "FB 600 breakout", author: createUser() });
+  const { tickers } = await handleGraphChannelMessage({ message, allTickersFile: ws.allTickersFile, dbPath: ws.dbPath, silent: true, commitAfterWrite: false });
+  assert.deepEqual(tickers, ["META"]);
+  assert.deepEqual(await queryTickerStore(ws.dbPath, "SELECT ticker FROM mentions"), [{ ticker: "META" }]);
+});
+
+test("/universe is for server managers and shows the last diff", async () => {
+  const ws = tempWorkspace({ tickers: ["AAPL", "FB"] });
+  await refreshTickerUniverse({
+    allTickersFile: ws.allTickersFile,
+    source: "test",
+    rows: [row("AAPL", "Apple"), { ...row("META", "Meta"), previous: "FB" }, row("SPY", "SPDR", "etf")],
+  });
+  const deps = { client: createClient(), dbPath: ws.dbPath, allTickersFile: ws.allTickersFile, env: {} };
+
+  const member = createInteraction({ kind: "chat", commandName: "universe" });
+  await runSlashCommand(member, deps);
+  assert.match(callOf(member, "followUp").payload, /למנהלי השרת/);
+
+  const admin = createInteraction({ kind: "chat", commandName: "universe" });
+  admin.memberPermissions = { has: (flag) => flag === PermissionFlagsBits.ManageGuild };
+  await runSlashCommand(admin, deps);
+  const [embed] = toJSON(callOf(admin, "followUp").payload).embeds;
+  assert.deepEqual(embed.fields.map((f) => f.name), ["➕ נוספו (1)", "➖ הוסרו (0)", "🔀 שינו סימול (1)"]);
+  assert.equal(embed.fields[2].value, "`FB`→`META`");
+  assert.match(embed.description, /stock: 2 · etf: 1/);
+});
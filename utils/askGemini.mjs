@@ -1,6 +1,9 @@
 import fetch from "node-fetch";
 import fs from "fs/promises";
 import path from "path";
+import { readLogFile, searchChat } from "./chatIndex.mjs";
+import { parseDateRange, israelYmd } from "./dateRange.mjs";
+import { loadTickerUniverse } from "./tickerUniverse.mjs";
 
 /**
  * Env:
@@ -9,6 +12,12 @@ import path from "path";
  *   - GEMINI_DEBUG (1/true)
  *   - LOG_DIR (optional; default below)
  *   - CONTEXT_CHANNEL_ID (optional; fallback if אין hint)
+ *   - CHATROOM_IDS (the logged rooms; the first is the default context)
+ * A question is answered from the messages most relevant to it anywhere in the archive
+ * (chatIndex.mjs: keywords, tickers, authors), narrowed to the days it names, if any, and to
+ * the rooms it targets (askGeminiTurn `channels`; lines tagged with their room when mixed).
+ * Every context line carries a short id ([12]); the model cites them and the answer turns
+ * them into jump links to the source messages (linkCitations).
  */
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const GEMINI_MODEL = process.env.GEMINI_MODEL || "gemini-2.5-flash-lite";
@@ -41,7 +50,15 @@ async function inferLatestChannelIdFromLogs(dir = LOG_DIR) {
 }
 
 // ========== Generic Gemini call ==========
+let transport = null; // (prompt, { model, temperature, maxOutputTokens }) -> text; null = the HTTP API
+
+/** Swap the Gemini call, e.g. for a canned one in tests; null restores the API */
+export function setGeminiTransport(fn) {
+  transport = fn;
+}
+
 async function callGemini(model, apiKey, prompt, { temperature = 0.4, maxOutputTokens = 2048 } = {}) {
+  if (transport) return (await transport(prompt, { model, temperature, maxOutputTokens })).trim();
   const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent?key=${encodeURIComponent(apiKey)}`;
   const body = { contents: [{ role: "user", parts: [{ text: prompt }]}], generationConfig: { temperature, maxOutputTokens } };
   // glog("Gemini request:", { url, prompt, temperature, maxOutputTokens });
@@ -59,14 +76,24 @@ async function callGemini(model, apiKey, prompt, { temperature = 0.4, maxOutputT
   return text.trim();
 }
 
-// ========== Dates extraction via Gemini ==========
-async function extractDatesArrayWithGemini(model, apiKey, userPrompt, tz = "Asia/Jerusalem") {
+// ========== Dates extraction ==========
+/** The days a question names: the local parser (dateRange.mjs), Gemini only for what it can't place */
+async function resolveDates(userPrompt) {
+  const parsed = parseDateRange(userPrompt);
+  if (parsed) {
+    glog("Parsed dates:", parsed);
+    return parsed;
+  }
+  return extractDatesArrayWithGemini(GEMINI_MODEL, GEMINI_API_KEY, userPrompt);
+}
+
+async function extractDatesArrayWithGemini(model, apiKey, userPrompt) {
   if (!userPrompt || typeof userPrompt !== "string") {
     glog("Invalid userPrompt for date extraction:", userPrompt);
     throw new Error("Invalid user prompt for date extraction");
   }
 
-  const now = new Date().toISOString().split("T")[0]; // Current date: 2025-08-18
+  const now = israelYmd(); // Current date: 2025-08-18
 
   const systemInstr = [
     "אתה ממפה פרומפט של משתמש לטווחי תאריכים מוחלטים בפורמט YYYY-MM-DD.",
@@ -74,24 +101,15 @@ async function extractDatesArrayWithGemini(model, apiKey, userPrompt, tz = "Asia
     "אם המשתמש ביקש 'השבוע', החזר את כל הימים מהיום הראשון של השבוע (יום ראשון) עד היום הנוכחי בשעון ישראל (Asia/Jerusalem).",
     "לדוגמה, אם היום הוא 2025-08-23 (שבת), 'השבוע' מתייחס ל-2025-08-17 עד 2025-08-23.",
     "אם המשתמש ציין תאריכים ספציפיים (למשל, '2025-08-20'), החזר אותם ישירות.",
-    "אם אין תאריכים ברורים, החזר את התאריך הנוכחי.",
+    "אם אין בבקשה שום התייחסות לזמן, החזר רשימה ריקה: {\"dates\":[]} (החיפוש ייעשה בכל הארכיון).",
     "התאריך היום הוא: " + now,
     "דוגמה פלט חוקית: {\"dates\":[\"2025-08-17\",\"2025-08-18\",\"2025-08-19\",\"2025-08-20\",\"2025-08-21\",\"2025-08-22\",\"2025-08-23\"]}"
   ].join("\n");
 
   const prompt = `${systemInstr}\n\nפרומפט משתמש:\n${userPrompt}`;
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent?key=${encodeURIComponent(apiKey)}`;
-  const body = { contents: [{ role: "user", parts: [{ text: prompt }]}], generationConfig: { temperature: 0.0, maxOutputTokens: 256 } };
-  glog("Gemini date extraction request:", { url, prompt });
+  glog("Gemini date extraction request:", { prompt });
 
-  const res = await fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
-  if (!res.ok) {
-    const t = await res.text().catch(()=>"");
-    glog("Gemini date extraction error:", { status: res.status, text: t.slice(0,400) });
-    throw new Error(`Gemini dates HTTP ${res.status}`);
-  }
-  const data = await res.json();
-  const txt = data?.candidates?.[0]?.content?.parts?.map(p => p.text).join("")?.trim() || "{}";
+  const txt = (await callGemini(model, apiKey, prompt, { temperature: 0.0, maxOutputTokens: 256 })) || "{}";
   // glog("Gemini date extraction response:", txt);
 
   const jsonStart = txt.indexOf("{"), jsonEnd = txt.lastIndexOf("}");
@@ -106,129 +124,231 @@ async function extractDatesArrayWithGemini(model, apiKey, userPrompt, tz = "Asia
     glog("Failed to parse Gemini date response:", e.message);
     throw new Error("Failed to parse Gemini date response");
   }
-  const dates = Array.isArray(json?.dates) ? json.dates : [];
-  if (!dates.length) {
-    glog("No dates returned by Gemini, checking for 'השבוע'");
-    if (userPrompt.toLowerCase().includes("השבוע")) {
-      glog("Applying fallback for 'השבוע'");
-      const now = new Date().toLocaleString("en-US", { timeZone: tz });
-      const today = new Date(now);
-      const dayOfWeek = today.getDay();
-      const startOfWeek = new Date(today);
-      startOfWeek.setDate(today.getDate() - (dayOfWeek === 0 ? 6 : dayOfWeek - 1)); // Start from Sunday
-      const dates = [];
-      for (let d = new Date(startOfWeek); d <= today; d.setDate(d.getDate() + 1)) {
-        dates.push(d.toISOString().split("T")[0]);
-      }
-      glog("Fallback dates:", dates);
-      return dates;
-    }
-    glog("No valid dates returned by Gemini and no 'השבוע' in prompt");
-    throw new Error("No dates returned by Gemini");
-  }
+  const dates = (Array.isArray(json?.dates) ? json.dates : []).filter((d) => /^\d{4}-\d{2}-\d{2}$/.test(d));
+  if (!dates.length) glog("No dates in the prompt, searching the whole archive");
   glog("Extracted dates:", dates);
   return dates;
 }
 
 // ========== Read logs for a specific YYYY-MM-DD ==========
-async function readLogsForDate(channelId, ymd) {
-  const file = path.join(LOG_DIR, `${channelId}_${ymd}.jsonl`);
-  let out = [];
+/** Does the channel have any log file? (only logged rooms can be a question's context) */
+export async function hasChannelLogs(channelId) {
   try {
-    const txt = await fs.readFile(file, "utf-8");
-    for (const line of txt.split(/\r?\n/)) {
-      if (!line.trim()) continue;
-      try {
-        const obj = JSON.parse(line);
-        const text = obj.content?.trim?.() || obj.text?.trim?.() || obj.message?.trim?.() || "";
-        if (!text) continue;
-        out.push({ ts: obj.timestamp || obj.ts || 0, author: obj.author || obj.user || "Unknown", text });
-      } catch {}
-    }
-  } catch {}
-  out.sort((a,b)=> (a.ts||0)-(b.ts||0));
-  return out;
+    return (await fs.readdir(LOG_DIR)).some((f) => f.startsWith(`${channelId}_`) && f.endsWith(".jsonl"));
+  } catch {
+    return false;
+  }
+}
+
+function readLogsForDate(channelId, ymd) {
+  return readLogFile(path.join(LOG_DIR, `${channelId}_${ymd}.jsonl`));
+}
+
+/** "#name" of a context channel (the id when the name isn't known) */
+function channelLabel(channel) {
+  return `#${channel.name || channel.id}`;
+}
+
+// ========== Citations ==========
+const CITATION_RUN_RE = /(?:\s*\[\d+(?:\s*,\s*\d+)*\])+/g; // "[3]", "[3, 7]", "[3][7]"
+const UNCITED_MARK = " ⚠️ _ללא מקור_";
+
+/** Does an answer line make a claim? (not a heading, an intro ending in ":" or the "no info" reply) */
+function isClaimLine(line) {
+  const t = line.trim();
+  return !!t && !t.startsWith("#") && !t.endsWith(":") && !t.includes("אין מספיק מידע");
+}
+
+/**
+ * Model answer citing context ids -> the posted text: ids become Discord jump links
+ * (`refs`: id -> msgLink, null for old records without one), ids not in `refs` are dropped,
+ * and claim lines left without a valid citation are flagged.
+ */
+export function linkCitations(answer, refs) {
+  return answer
+    .split("\n")
+    .map((line) => {
+      let cited = false;
+      const out = line.replace(CITATION_RUN_RE, (run) => {
+        const ids = [...new Set(run.match(/\d+/g).map(Number))].filter((id) => refs.has(id));
+        if (!ids.length) return "";
+        cited = true;
+        return ` (${ids.map((id) => (refs.get(id) ? `[${id}](<${refs.get(id)}>)` : `${id}`)).join(", ")})`;
+      });
+      return !cited && isClaimLine(out) ? out.trimEnd() + UNCITED_MARK : out;
+    })
+    .join("\n");
+}
+
+/** Posted answer -> plain text again (links and flags out), for the next turn's history */
+function stripCitations(text) {
+  return text.replace(/ \((?:\[\d+\]\(<[^>]+>\)|\d+)(?:, (?:\[\d+\]\(<[^>]+>\)|\d+))*\)/g, "").split(UNCITED_MARK).join("");
+}
+
+// ========== Multi-day chat summary (weekly recap) ==========
+/**
+ * Short Hebrew summary of the chat on the given YYYY-MM-DD days (Israel time).
+ * Keeps the newest messages when the days don't fit the context budget.
+ * Returns "" when there are no messages; throws on Gemini errors.
+ */
+export async function summarizeChatDays(ymds, channelId = CONTEXT_CHANNEL_ID) {
+  const lines = [];
+  for (const ymd of ymds) {
+    for (const m of await readLogsForDate(channelId, ymd)) lines.push(`[${ymd}] ${m.author}: ${m.text}\n`);
+  }
+  if (!lines.length) return "";
+
+  const MAX = 30000;
+  let acc = [], sum = 0;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (sum + lines[i].length > MAX) break;
+    acc.push(lines[i]); sum += lines[i].length;
+  }
+  acc = acc.reverse();
+
+  const prompt = [
+    "אתה עוזר מסכם שיחות.",
+    "סכם את השבוע בחדר ב-5 עד 8 נקודות קצרות.",
+    "- התרכז בשוק ההון: מניות, טיקרים, דוחות, קריפטו, מחירים ונתונים מספריים.",
+    "- ציין שמות משתתפים רק כשזה חשוב להבנה.",
+    "- אל תמציא מידע שלא מופיע בהקשר.",
+    "",
+    "--- הקשר ---",
+    acc.join(""),
+    "--- סוף הקשר ---",
+  ].join("\n");
+
+  return callGemini(GEMINI_MODEL, GEMINI_API_KEY, prompt, { maxOutputTokens: 1024 });
 }
 
 // ========== Main ==========
+const HISTORY_ANSWER_MAX = 1500; // chars of each earlier answer kept in the prompt
+const TOP_K = 80;                // retrieved messages per question
+const CONTEXT_MAX = 30000;       // chars of them in the prompt
+
+/** Earlier turns of a thread as prompt lines */
+function historyLines(history) {
+  if (!history?.length) return [];
+  return [
+    "--- שיחה קודמת בשרשור ---",
+    ...history.flatMap((t) => [`שאלה: ${t.question}`, `תשובה: ${stripCitations(t.answer).slice(0, HISTORY_ANSWER_MAX)}`, ""]),
+    "--- סוף שיחה קודמת ---",
+    "השאלה הנוכחית היא שאלת המשך: פרש אותה לאור השיחה הקודמת (למשל 'ומה לגבי NVDA?' = אותה שאלה על NVDA).",
+    "",
+  ];
+}
+
+/** One-shot question -> answer text */
 export async function askGemini(userPrompt) {
+  return (await askGeminiTurn(userPrompt)).text;
+}
+
+/**
+ * A question within a conversation -> { text, dates }.
+ * The most relevant messages (TOP_K, up to CONTEXT_MAX chars) go to one Gemini call, oldest first.
+ * opts: { history: [{ question, answer }] (earlier turns, oldest first),
+ *         dates: YYYY-MM-DD days to search (a follow-up keeps its thread's window; default: the days the
+ *                question names, [] = the whole archive),
+ *         channels: [{ id, name }] rooms to search (default: CONTEXT_CHANNEL_ID, or every room without one);
+ *                   lines from several rooms say which room they came from,
+ *         allTickersFile: the ticker universe; a plain word filters by ticker only when it is listed there }
+ * `dates` is null when the question failed.
+ */
+export async function askGeminiTurn(userPrompt, { history = [], dates: fixedDates = null, channels = null, allTickersFile = null } = {}) {
   try {
-    const channelId = CONTEXT_CHANNEL_ID;
-    // glog("contextChannel:", channelId);
+    const targeted = !!channels?.length;
+    if (!targeted) channels = CONTEXT_CHANNEL_ID ? [{ id: CONTEXT_CHANNEL_ID, name: null }] : [];
+    // glog("context channels:", channels);
 
     if (!userPrompt || typeof userPrompt !== "string" || userPrompt.trim() === "") {
-      glog("Invalid or missing userPrompt:", userPrompt, "contextChannelId:", channelId);
-      return "❌ השאלה אינה תקינה. אנא ספק שאלה ברורה.";
+      glog("Invalid or missing userPrompt:", userPrompt, "context channels:", channels.map((c) => c.id));
+      return { text: "❌ השאלה אינה תקינה. אנא ספק שאלה ברורה.", dates: null };
+    }
+
+    const dates = fixedDates ?? (await resolveDates(userPrompt));
+
+    // the rooms a question names ("#מניות") aren't keywords
+    const query = channels.reduce((q, c) => q.split(channelLabel(c)).join(" "), userPrompt);
+    const tickerSet = allTickersFile
+      ? (await loadTickerUniverse(allTickersFile).catch((err) => glog("no ticker universe:", err?.message)))?.set
+      : null;
+    const search = (q) => searchChat(q, { dir: LOG_DIR, channelIds: channels.map((c) => c.id), dates, tickerSet, k: TOP_K });
+    let found = await search(query);
+    if (!found.byKeywords && !found.symbols.length && !found.authors.length && history.length) {
+      // "ומה עוד?" has nothing to search for; the thread's last question does
+      found = await search(`${history.at(-1).question} ${query}`);
     }
+    glog("retrieval:", { terms: found.terms, symbols: found.symbols, authors: found.authors, hits: found.hits.length });
 
-    const dates = await extractDatesArrayWithGemini(GEMINI_MODEL, GEMINI_API_KEY, userPrompt, "Asia/Jerusalem");
-
-    const perDaySummaries = [];
-    for (const ymd of dates) {
-      const msgs = await readLogsForDate(channelId, ymd);
-      if (msgs.length === 0) continue;
-
-      const MAX = 15000;
-      let acc = [], sum = 0;
-      for (let i = msgs.length - 1; i >= 0; i--) {
-        const s = `${msgs[i].author}: ${msgs[i].text}\n`;
-        if (sum + s.length > MAX) break;
-        acc.push(s); sum += s.length;
-      }
-      acc = acc.reverse();
-
-      // const dayPrompt = [
-      //   `הקשר משיחות בתאריך ${ymd} (שעון ישראל).`,
-      //   `ענה לשאלת המשתמש תוך סיכום נקודות חשובות, עם שמות/תאריכים/מספרים:`,
-      //   userPrompt,
-      //   "",
-      //   "--- הקשר ---",
-      //   acc.join("")
-      // ].join("\n");
-
-      const now = new Date().toISOString().split("T")[0]; // Current date: 2025-08-18
-
-      const dayPrompt = [
-        "אתה עוזר מסכם שיחות.",
-        "הוראות חשובות:",
-        "- תענה אך ורק לשאלה שנשאלת.",
-        "- אם בקונטקסט אין מספיק מידע לענות לשאלה → השב: 'אין מספיק מידע כדי לענות לשאלה'.",
-        "- אל תכלול נושאים אחרים.",
-        "- למשל אם שואלים על שוק ההון - התרכז רק בשוק ההון (חברות, מניות, טיקרים, שוק קריפטו, מחירים, נתונים מספריים).",
-        "",
-        `השאלה של המשתמש: ${userPrompt}`,
-        "",
-        "--- הקשר ---",
-        `ההקשר הזה הוא משיחות בתאריך ${ymd} (שעון ישראל).`,
-        acc.join(""),
-        "--- סוף הקשר ---",
-        "התאריך היום הוא: " + now
-      ].join("\n");
-      
-
-
-      const dayAnswer = await callGemini(GEMINI_MODEL, GEMINI_API_KEY, dayPrompt);
-      if (dayAnswer) {
-        perDaySummaries.push(`### ${ymd}\n${dayAnswer}`);
-      }
+    const labels = new Map(channels.map((c) => [c.id, channelLabel(c)]));
+    const roomOf = (d) => labels.get(d.channelId) || channelLabel({ id: d.channelId });
+    const multi = new Set(found.hits.map((d) => d.channelId)).size > 1;
+
+    let picked = [], sum = 0;
+    for (const d of found.hits) {
+      const line = `${multi ? `[${roomOf(d)}] ` : ""}${d.author}: ${d.text}\n`;
+      if (sum + line.length > CONTEXT_MAX) continue;
+      picked.push({ d, line }); sum += line.length;
+    }
+    if (!picked.length) {
+      const where = targeted ? ` ב-${channels.map(channelLabel).join(", ")}` : "";
+      const when = dates.length ? ` לתאריכים שביקשת (${dates.join(", ")})` : "";
+      return { text: `לא נמצאו הודעות רלוונטיות${where}${when}`, dates };
     }
+    picked.sort((a, b) => a.d.ymd.localeCompare(b.d.ymd) || (a.d.ts || 0) - (b.d.ts || 0));
 
-    if (perDaySummaries.length === 0) {
-      return `לא נמצאו הודעות לתאריכים שביקשת (${dates.join(", ")})`;
+    const refs = new Map(); // citation id -> msgLink
+    const context = [];
+    let day = null;
+    for (const { d, line } of picked) {
+      if (d.ymd !== day) context.push(`== ${(day = d.ymd)} ==\n`);
+      refs.set(refs.size + 1, d.link);
+      context.push(`[${refs.size}] ${line}`);
     }
 
-    // Concatenate per-day responses instead of summarizing
-    const final = perDaySummaries.join("\n\n");
-    return final || "לא התקבלו תשובות לתאריכים המבוקשים.";
+    const now = israelYmd(); // Current date: 2025-08-18
+
+    const prompt = [
+      "אתה עוזר מסכם שיחות.",
+      "הוראות חשובות:",
+      "- תענה אך ורק לשאלה שנשאלת.",
+      "- אם בקונטקסט אין מספיק מידע לענות לשאלה → השב: 'אין מספיק מידע כדי לענות לשאלה'.",
+      "- אל תכלול נושאים אחרים.",
+      "- למשל אם שואלים על שוק ההון - התרכז רק בשוק ההון (חברות, מניות, טיקרים, שוק קריפטו, מחירים, נתונים מספריים).",
+      "- ההקשר הוא ההודעות הרלוונטיות ביותר מהארכיון, לפי סדר הזמן, עם כותרת לכל יום. כשזה חשוב (למשל 'מתי דיברו על...'), ציין את התאריך.",
+      "- כל שורה בהקשר מתחילה במזהה בסוגריים מרובעים, למשל [12]. סיים כל משפט או נקודה בתשובה במזהי ההודעות שעליהן הם מבוססים, למשל [12] או [12][15].",
+      "- צטט רק מזהים שמופיעים בהקשר, ואל תכתוב טענה שאין לה הודעה שמבססת אותה.",
+      ...(multi ? ["- ההקשר מגיע מכמה חדרים; אחרי המזהה מופיע שם החדר בסוגריים. ציין בתשובה מאיזה חדר הגיע כל מידע (למשל: 'ב-#מניות אמרו...')."] : []),
+      "",
+      ...historyLines(history),
+      `השאלה של המשתמש: ${userPrompt}`,
+      "",
+      "--- הקשר ---",
+      `ההקשר הזה הוא משיחות ${targeted ? `ב${channels.length > 1 ? "חדרים" : "חדר"} ${channels.map(channelLabel).join(", ")} ` : ""}(תאריכים בשעון ישראל).`,
+      context.join(""),
+      "--- סוף הקשר ---",
+      "התאריך היום הוא: " + now
+    ].join("\n");
+
+    const answer = await callGemini(GEMINI_MODEL, GEMINI_API_KEY, prompt);
+    if (!answer) return { text: "לא התקבלה תשובה לשאלה.", dates };
+
+    const first = picked[0].d.ymd, last = picked.at(-1).d.ymd;
+    const rooms = targeted ? ` · ${[...new Set(picked.map(({ d }) => roomOf(d)))].join(", ")}` : "";
+    return { text: `### ${first}${last !== first ? ` – ${last}` : ""}${rooms}\n${linkCitations(answer, refs)}`, dates };
   } catch (error) {
     console.error(`Error in askGemini:`, error);
-    if (error.message === "Invalid user prompt for date extraction" || error.message === "No dates returned by Gemini") {
-      return "❌ לא ניתן לזהות תאריכים מהבקשה. אנא נסח את השאלה מחדש או ציין תאריכים ספציפיים.";
-    }
-    if (error.status === 429) return "❌ הגעת לגבול השאלות היומי של ג׳מיני. נסו שוב מאוחר יותר.";
-    if (error.status === 400 && String(error.message).includes("maximum number of tokens")) {
-      return "❌ השאלה ארוכה מדי. נסו טווח קצר יותר.";
-    }
-    return "❌ שגיאת Gemini.";
+    return { text: geminiErrorText(error), dates: null };
+  }
+}
+
+function geminiErrorText(error) {
+  if (error.message === "Invalid user prompt for date extraction") {
+    return "❌ לא ניתן לזהות תאריכים מהבקשה. אנא נסח את השאלה מחדש או ציין תאריכים ספציפיים.";
+  }
+  if (error.status === 429) return "❌ הגעת לגבול השאלות היומי של ג׳מיני. נסו שוב מאוחר יותר.";
+  if (error.status === 400 && String(error.message).includes("maximum number of tokens")) {
+    return "❌ השאלה ארוכה מדי. נסו טווח קצר יותר.";
   }
+  return "❌ שגיאת Gemini.";
 }
\ No newline at end of file
@@ -0,0 +1,124 @@
+import sharp from "sharp";
+import Tesseract from "tesseract.js";
+import { downloadAttachments } from "./downloadAttachments.mjs";
+import { resolveSymbol } from "./symbols.mjs";
+
+/**
+ * Tickers read off chart screenshots (TradingView and the like).
+ * The top strip of each image (symbol header / legend) is OCR'd and parsed for
+ * "NASDAQ:TSLA, 1D", "TSLA, 1D" or "TSLA · 1D · NASDAQ".
+ *
+ * Env:
+ *   CHART_OCR=off  skip OCR entirely
+ */
+
+const OCR_TIMEOUT_MS = 15000;
+const HEADER_FRACTION = 0.12;   // header + legend live in the top ~10% of a TradingView snapshot
+const MAX_IMAGES = 4;           // per message
+const IMAGE_RE = /\.(png|jpe?g|webp)$/i;
+
+const EXCHANGES = [
+  "NASDAQ", "NYSE", "AMEX", "NYSEARCA", "ARCA", "CBOE", "BATS", "OTC", "TSX", "TSXV", "LSE", "XETR", "TASE",
+  "BINANCE", "COINBASE", "BITSTAMP", "KRAKEN", "BYBIT", "CME", "CME_MINI", "COMEX", "NYMEX", "TVC", "SP", "INDEX",
+];
+const INTERVAL = String.raw`\d{1,3}[smhHDWM]?|[DWM]|\d{1,3}\s?(?:min|h)`;
+const SYMBOL = String.raw`[A-Z]{1,6}(?:[.\-][A-Z]{1,2})?(?:USDT?|USD)?`;
+const SEP = String.raw`\s*[·•\-–|,]\s*`;
+
+const PATTERNS = [
+  // NASDAQ:TSLA, 1D   (also "NASDAQ: TSLA")
+  { re: new RegExp(String.raw`\b(${EXCHANGES.join("|")})\s?:\s?(${SYMBOL})\b(?:\s*,\s*(${INTERVAL})\b)?`, "g"), exchange: 1, symbol: 2, interval: 3 },
+  // TSLA · 1D · NASDAQ
+  { re: new RegExp(String.raw`\b(${SYMBOL})${SEP}(${INTERVAL})${SEP}(${EXCHANGES.join("|")})\b`, "g"), exchange: 3, symbol: 1, interval: 2 },
+  // TSLA, 1D   (snapshot title without the exchange)
+  { re: new RegExp(String.raw`(?:^|\s)(${SYMBOL}),\s?(${INTERVAL})\b`, "gm"), exchange: null, symbol: 1, interval: 2 },
+];
+
+/**
+ * Symbols in OCR'd header text -> [{ symbol, exchange, interval }] (first seen first, deduped)
+ * Symbols use the dotted class form (BRK-B -> BRK.B); exchange/interval are null when absent.
+ */
+export function parseChartHeader(text) {
+  const found = new Map();
+  for (const line of (text || "").split(/\r?\n/)) {
+    for (const p of PATTERNS) {
+      p.re.lastIndex = 0;
+      let m;
+      while ((m = p.re.exec(line)) !== null) {
+        const symbol = m[p.symbol].replace(/-/g, ".");
+        const exchange = p.exchange ? m[p.exchange] : null;
+        const prev = found.get(symbol);
+        if (!prev || (!prev.exchange && exchange)) {
+          found.set(symbol, { symbol, exchange, interval: (p.interval && m[p.interval]) || prev?.interval || null });
+        }
+      }
+    }
+  }
+  return [...found.values()];
+}
+
+/** OCR the top strip of an image buffer -> text ("" when unreadable) */
+async function ocrChartHeader(buffer) {
+  const image = sharp(buffer);
+  const { width, height } = await image.metadata();
+  const strip = Math.max(1, Math.round(height * HEADER_FRACTION));
+  const prepared = await image
+    .extract({ left: 0, top: 0, width, height: strip })
+    .greyscale()
+    .normalize()
+    .resize(width * 2, strip * 2, { kernel: "cubic" })
+    .toBuffer();
+
+  // one worker per image, always terminated: a timed-out recognize must not keep running
+  const worker = await Tesseract.createWorker("eng");
+  let timer = null;
+  try {
+    await worker.setParameters({ tessedit_pageseg_mode: Tesseract.PSM.SINGLE_BLOCK });
+    const result = await Promise.race([
+      worker.recognize(prepared),
+      new Promise((_, rej) => { timer = setTimeout(() => rej(new Error("OCR timeout")), OCR_TIMEOUT_MS); }),
+    ]);
+    return result?.data?.text || "";
+  } finally {
+    clearTimeout(timer);
+    await worker.terminate().catch(() => { });
+  }
+}
+
+let ocrEngine = ocrChartHeader;
+
+/** Swap the OCR engine (buffer -> Promise<text>), e.g. a canned one in tests; null restores Tesseract */
+export function setChartOcr(fn) {
+  ocrEngine = fn || ocrChartHeader;
+}
+
+export function isChartImage(att) {
+  return att?.contentType?.startsWith("image/") || IMAGE_RE.test(att?.name || att?.url || "");
+}
+
+/**
+ * Chart symbols found in a message's image attachments.
+ * -> [{ symbol (canonical id, e.g. BTC-USD for BINANCE:BTCUSDT), exchange, interval }];
+ *    US symbols must be in `tickerSet` (when given).
+ * Failures (download, OCR, timeouts) are logged and skipped.
+ */
+export async function readChartSymbols(attachments, { tickerSet = null } = {}) {
+  if (process.env.CHART_OCR === "off") return [];
+  const images = [...(attachments?.values() || [])].filter(isChartImage).slice(0, MAX_IMAGES);
+  if (!images.length) return [];
+
+  const files = await downloadAttachments(new Map(images.map((a, i) => [String(i), a])));
+  const found = new Map();
+  for (const file of files) {
+    try {
+      const text = await ocrEngine(file.attachment);
+      for (const hit of parseChartHeader(text)) {
+        const id = resolveSymbol(hit.exchange ? `${hit.exchange}:${hit.symbol}` : hit.symbol, tickerSet)?.id;
+        if (id && !found.has(id)) found.set(id, { ...hit, symbol: id });
+      }
+    } catch (err) {
+      console.warn(`chart OCR failed for ${file.name}:`, err?.message || err);
+    }
+  }
+  return [...found.values()];
+}
@@ -0,0 +1,206 @@
+import fs from "fs/promises";
+import path from "path";
+import { resolveSymbol } from "./symbols.mjs";
+
+/**
+ * Local search over the whole chat archive (<channel>_<YYYY-MM-DD>.jsonl in the logs dir).
+ * Every logged message is a document; a query is ranked with BM25 over its keywords, after
+ * filtering by room, day, ticker (a listed ticker named in the query must be in the message) and author
+ * (a known author named in the query). Files are re-read when they change (mtime:size), so the
+ * live log is searchable without a restart.
+ */
+
+const FILE_RE = /^(.+)_(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const K1 = 1.2;
+const B = 0.75;
+const MIN_AUTHOR_LEN = 3; // shorter display names match too many words
+
+const STOPWORDS = new Set([
+  // Hebrew question / filler words
+  "מה", "מי", "מתי", "איך", "למה", "איפה", "כמה", "האם", "על", "של", "את", "עם", "זה", "זו", "זאת", "הוא", "היא",
+  "הם", "הן", "אני", "אתה", "אנחנו", "יש", "אין", "לא", "כן", "גם", "רק", "כל", "או", "אם", "כי", "אבל", "עוד",
+  "אמרו", "אמר", "אמרה", "דיברו", "דיבר", "דיברה", "כתבו", "כתב", "מישהו", "מישהי", "משהו", "לגבי", "בנוגע",
+  "היום", "אתמול", "השבוע", "החודש", "לאחרונה", "פעם", "אחרונה", "האחרונה", "האחרון", "בחדר", "בצ'אט", "ומה",
+  // English
+  "the", "a", "an", "and", "or", "of", "to", "in", "on", "about", "what", "who", "when", "did", "does", "is",
+  "are", "was", "were", "someone", "anyone", "last", "talk", "talked", "said", "say", "today", "yesterday",
+]);
+const HE_PREFIX = /^[והבלמשכ]/;
+
+/* ======================== tokens ======================== */
+
+/**
+ * Lowercase words ($ and punctuation off); Hebrew words also without a one/two-letter prefix (ו, ה, ב...).
+ * Words in `skip` are dropped with their variants.
+ */
+export function tokenize(text, skip = null) {
+  const out = [];
+  for (const raw of String(text || "").toLowerCase().split(/[^\p{L}\p{N}.'-]+/u)) {
+    const w = raw.replace(/^[.'-]+|[.'-]+$/g, "");
+    if (w.length < 2 || skip?.has(w)) continue;
+    out.push(w);
+    if (HE_PREFIX.test(w) && w.length >= 4) {
+      out.push(w.slice(1));
+      if (HE_PREFIX.test(w.slice(1)) && w.length >= 5) out.push(w.slice(2));
+    }
+  }
+  return out;
+}
+
+/**
+ * Canonical symbols written in the text ("$sofi", "BTCUSD", "tase:teva").
+ * `tickerSet` given: a plain word counts only when it is a listed ticker.
+ * `tickerSet` false: only explicit forms count ($, pairs, exchange prefixes, coins) - plain words stay keywords.
+ * Otherwise (indexing messages) any short Latin word counts.
+ */
+function textSymbols(text, tickerSet = null) {
+  const out = new Set();
+  for (const m of String(text || "").matchAll(/\$?[A-Za-z^][A-Za-z0-9.:/^-]{0,14}/g)) {
+    const word = m[0].replace(/^\$/, "").replace(/[.:/-]+$/, "");
+    if (STOPWORDS.has(word.toLowerCase())) continue;
+    const sym = resolveSymbol(word, tickerSet || null);
+    if (!sym) continue;
+    if (tickerSet === false && !m[0].startsWith("$") && !sym.qualified && sym.assetClass === "stock") continue;
+    out.add(sym.id);
+  }
+  return out;
+}
+
+/* ======================== index ======================== */
+
+/** One log record -> { ts, author, text, link } or null (no text) */
+export function parseLogRecord(obj) {
+  const text = obj.content?.trim?.() || obj.text?.trim?.() || obj.message?.trim?.() || "";
+  if (!text) return null;
+  const ts = obj.timestamp || obj.ts || Date.parse(obj.createdAt) || 0;
+  return { ts, author: obj.author || obj.user || "Unknown", text, link: obj.msgLink || null };
+}
+
+/** Records of one log file, oldest first (missing file -> []) */
+export async function readLogFile(file) {
+  const out = [];
+  let txt = "";
+  try {
+    txt = await fs.readFile(file, "utf-8");
+  } catch {
+    return out;
+  }
+  for (const line of txt.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      const rec = parseLogRecord(JSON.parse(line));
+      if (rec) out.push(rec);
+    } catch { }
+  }
+  return out.sort((a, b) => (a.ts || 0) - (b.ts || 0));
+}
+
+const _files = new Map(); // file -> { version, docs }
+let _index = null; // { key, docs, df, avgLen, authors }
+
+/**
+ * The index over every log file in `dir`:
+ * { docs: [{ channelId, ymd, ts, author, text, link, tf: Map, len, symbols: Set }], df: Map, avgLen, authors: Set }
+ */
+export async function loadChatIndex(dir) {
+  let names = [];
+  try {
+    names = (await fs.readdir(dir)).filter((f) => FILE_RE.test(f)).sort();
+  } catch { }
+
+  const versions = [];
+  for (const name of names) {
+    const file = path.join(dir, name);
+    let version = null;
+    try {
+      const st = await fs.stat(file);
+      version = `${st.mtimeMs}:${st.size}`;
+    } catch {
+      continue;
+    }
+    versions.push(`${name}@${version}`);
+    if (_files.get(file)?.version === version) continue;
+
+    const [, channelId, ymd] = FILE_RE.exec(name);
+    const docs = (await readLogFile(file)).map((rec) => {
+      const tf = new Map();
+      const words = tokenize(`${rec.author} ${rec.text}`);
+      for (const w of words) tf.set(w, (tf.get(w) || 0) + 1);
+      return { ...rec, channelId, ymd, tf, len: words.length, symbols: textSymbols(rec.text) };
+    });
+    _files.set(file, { version, docs });
+  }
+
+  const key = `${dir}|${versions.join("|")}`;
+  if (_index?.key === key) return _index;
+
+  const docs = names.flatMap((name) => _files.get(path.join(dir, name))?.docs || []);
+  const df = new Map();
+  let total = 0;
+  for (const doc of docs) {
+    total += doc.len;
+    for (const w of doc.tf.keys()) df.set(w, (df.get(w) || 0) + 1);
+  }
+  _index = { key, docs, df, avgLen: docs.length ? total / docs.length : 0, authors: new Set(docs.map((d) => d.author)) };
+  return _index;
+}
+
+/* ======================== search ======================== */
+
+/** Authors of the index named in the query (whole word, case-insensitive) */
+function namedAuthors(query, authors) {
+  const q = ` ${String(query || "").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ")} `;
+  return [...authors].filter((a) => a.length >= MIN_AUTHOR_LEN && q.includes(` ${a.toLowerCase()} `));
+}
+
+/**
+ * Messages relevant to `query`, best first -> { hits: [doc + { score }], terms, symbols, authors, byKeywords }.
+ * opts: { dir, channelIds (default: all), dates (YYYY-MM-DD list; empty = the whole archive),
+ *         tickerSet (the ticker universe: a plain word in the query filters by ticker only when it is listed;
+ *                    without it only $-prefixed / explicit symbols do),
+ *         k (top hits), recent (also the newest N filtered matches, for "when did ... last" questions) }
+ * A query without keywords, or whose keywords match nothing, ranks by recency (byKeywords false).
+ */
+export async function searchChat(query, { dir, channelIds = null, dates = [], tickerSet = null, k = 60, recent = 10 } = {}) {
+  const index = await loadChatIndex(dir);
+  const authors = namedAuthors(query, index.authors);
+  const authorWords = new Set(authors.flatMap((a) => tokenize(a)));
+  const symbols = [...textSymbols(query, tickerSet || false)].filter((id) => !authorWords.has(id.toLowerCase()));
+  const terms = [...new Set(tokenize(query, STOPWORDS))].filter((w) => !authorWords.has(w));
+
+  const days = dates?.length ? new Set(dates) : null;
+  const rooms = channelIds?.length ? new Set(channelIds) : null;
+  const pool = index.docs.filter(
+    (d) =>
+      (!rooms || rooms.has(d.channelId)) &&
+      (!days || days.has(d.ymd)) &&
+      (!authors.length || authors.includes(d.author)) &&
+      (!symbols.length || symbols.some((s) => d.symbols.has(s)))
+  );
+
+  const N = index.docs.length;
+  const idf = new Map(terms.map((w) => {
+    const n = index.df.get(w) || 0;
+    return [w, Math.log(1 + (N - n + 0.5) / (n + 0.5))];
+  }));
+  const scored = pool.map((d) => {
+    let score = 0;
+    for (const w of terms) {
+      const f = d.tf.get(w);
+      if (f) score += idf.get(w) * ((f * (K1 + 1)) / (f + K1 * (1 - B + (B * d.len) / (index.avgLen || 1))));
+    }
+    return { ...d, score };
+  });
+
+  // a ticker / author filter already says what is relevant; keywords order it.
+  // Keywords that match nothing ("מה קורה?") leave the newest messages.
+  const filtered = symbols.length > 0 || authors.length > 0;
+  const byKeywords = scored.some((d) => d.score > 0);
+  const ranked = byKeywords
+    ? scored.filter((d) => d.score > 0 || filtered).sort((a, b) => b.score - a.score || b.ts - a.ts)
+    : scored.sort((a, b) => b.ts - a.ts);
+  const top = ranked.slice(0, k);
+  const taken = new Set(top);
+  for (const d of [...ranked].sort((a, b) => b.ts - a.ts).slice(0, recent)) if (!taken.has(d)) top.push(d);
+  return { hits: top, terms, symbols, authors, byKeywords };
+}
@@ -0,0 +1,186 @@
+/**
+ * Days a question refers to, worked out locally (no Gemini call):
+ *   היום / today, אתמול / yesterday, שלשום, השבוע / this week (from Sunday), שבוע שעבר / last week
+ *   (Sunday-Saturday), N הימים האחרונים / last N days, לפני N ימים / N days ago,
+ *   יום שלישי / tuesday (the latest one),
+ *   ב-dd.mm / on dd/mm, dd/mm/yyyy, yyyy-mm-dd, ranges ("בין 3.8 ל-7.8", "3/8-7/8") and "מאז 3.8" / "since 3/8",
+ *   "מאז יום שני" / "since monday" / "מאז אתמול" (that day through today).
+ * A bare "2.5" is a number, and so is a d.m next to a price word or a ticker ("ETH above 4.2").
+ * Days are Asia/Jerusalem calendar days. Several expressions add up.
+ */
+
+const IL_TZ = "Asia/Jerusalem";
+const MAX_DAYS = 366;
+
+/** The Israel calendar day of `now` as YYYY-MM-DD */
+export function israelYmd(now = new Date()) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone: IL_TZ, year: "numeric", month: "2-digit", day: "2-digit" }).format(now);
+}
+
+function addDays(ymd, n) {
+  const d = new Date(`${ymd}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+function weekday(ymd) {
+  return new Date(`${ymd}T12:00:00Z`).getUTCDay(); // 0 = Sunday
+}
+
+/** from..to inclusive (swapped if reversed, capped at MAX_DAYS back from `to`) */
+function daysBetween(from, to) {
+  if (from > to) [from, to] = [to, from];
+  const out = [];
+  for (let d = to; d >= from && out.length < MAX_DAYS; d = addDays(d, -1)) out.push(d);
+  return out.reverse();
+}
+
+/** d.m[.y] -> YYYY-MM-DD or null; without a year, the latest such day up to today */
+function explicitDay(d, m, y, today) {
+  let year = y ? Number(y.length === 2 ? `20${y}` : y) : Number(today.slice(0, 4));
+  const make = () => `${year}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+  let ymd = make();
+  const check = new Date(`${ymd}T12:00:00Z`);
+  if (Number.isNaN(check.getTime()) || check.getUTCDate() !== Number(d) || check.getUTCMonth() + 1 !== Number(m)) return null;
+  if (!y && ymd > today) {
+    year -= 1;
+    ymd = make();
+  }
+  return ymd;
+}
+
+/* ======================== rules ======================== */
+
+// a word on its own, with an optional Hebrew prefix letter ("ב-", "מ", "ו", "ה"...)
+const word = (re) => new RegExp(`(?<![\\p{L}\\p{N}])(?:[ובלמשה]-?)?(?:${re})(?![\\p{L}\\p{N}])`, "giu");
+const DATE = "(\\d{1,2})[./](\\d{1,2})(?:[./](\\d{4}|\\d{2}))?(?![\\d%.]|/\\d)";
+
+const HE_DAYS = { "ראשון": 0, "שני": 1, "שלישי": 2, "רביעי": 3, "חמישי": 4, "שישי": 5, "שבת": 6 };
+const HE_DAY_LETTERS = { "א": 0, "ב": 1, "ג": 2, "ד": 3, "ה": 4, "ו": 5 };
+const EN_DAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+/** The latest `dow` up to today */
+const lastWeekday = (dow, today) => addDays(today, -((weekday(today) - dow + 7) % 7));
+// single days "מאז" / "since" can start from (resolved by the rules below)
+const SINCE_DAY = `אתמול|שלשום|yesterday|יום\\s+(?:${Object.keys(HE_DAYS).join("|")})|יום\\s+[אבגדהו]['׳]|שבת|${EN_DAYS.join("|")}`;
+const NUMBER_WORDS = { "יומיים": 2, "שלושה": 3, "שלושת": 3, "ארבעה": 4, "ארבעת": 4, "חמישה": 5, "חמשת": 5, "שבעה": 7, "שבעת": 7 };
+
+// numbers next to these are prices, not dates ("ירדה ב-2.5 אחוז", "ETH above 4.2", "התמיכה 1.5", "עלתה מ-2.5 ל-3")
+const PRICE_WORD = new RegExp(
+  "^[ובלהמש]?-?(?:אחוז|אחוזים|%|\\$|דולר|שקל|ש\"ח|נקודות|תמיכה|התנגדות|מחיר|יעד|סטופ|יחס|" +
+  "עלתה|עלה|ירדה|ירד|קפצה|קפץ|צנחה|צנח|נפלה|נפל|" +
+  "above|below|over|under|price|target|support|resistance|stop|ratio|at|x|rose|fell|dropped|jumped)$",
+  "u"
+);
+const PREFIX_TOKEN = /^(?:[בלמ]-?|בין|from|between)$/; // looked past for the word before it
+// short Latin words that aren't tickers, around a date ("on 3.8", "from 30/7 to 1/8")
+const NOT_TICKER = new Set(["on", "from", "since", "to", "until", "and", "the", "of", "by", "in", "say", "said", "was", "what"]);
+
+/**
+ * A d.m match (no year) in `m.input` at `m.index` is a date unless a neighbouring word makes it a price:
+ * a price word or sign on either side, another number or a ticker right before it ("ETH ב-4.2").
+ */
+function notAPrice(m) {
+  const words = m.input.slice(0, m.index).trim().split(/\s+/);
+  let before = words.at(-1) || "";
+  if (PREFIX_TOKEN.test(before)) before = words.at(-2) || "";
+  const after = m.input.slice(m.index + m[0].length).trim().split(/\s+/)[0] || "";
+  if (PRICE_WORD.test(before) || PRICE_WORD.test(after) || /^[%$]/.test(after) || /[\d$]$/.test(before)) return false;
+  return !(/^\$?[a-z]{1,5}$/.test(before) && !NOT_TICKER.has(before));
+}
+
+/** [regex, (match, today) -> [from, to] | null], tried in order; a matched span is blanked for later rules */
+const RULES = [
+  // ranges and "since" before single dates
+  [new RegExp(`${DATE}\\s*(?:-|–|עד|ל-?|ו-?|to|until|and)\\s*${DATE}`, "giu"), (m, today) => {
+    if (!m[3] && !m[6] && !notAPrice(m)) return null;
+    const a = explicitDay(m[1], m[2], m[3] || m[6], today);
+    const b = explicitDay(m[4], m[5], m[6] || m[3], today);
+    return a && b ? [a, b] : null;
+  }],
+  [new RegExp(`(?:מאז|since|from|מ-?)\\s*${DATE}`, "giu"), (m, today) => {
+    if (!m[3] && !notAPrice(m)) return null;
+    const a = explicitDay(m[1], m[2], m[3], today);
+    return a ? [a, today] : null;
+  }],
+  [word(`(?:מאז|since)\\s+(${SINCE_DAY})`), (m, today) => {
+    const from = firstDay(m[1], today);
+    return from ? [from, today] : null;
+  }],
+  // a single d.m needs date context: a year, or "ב-" / "עד" / "on" right before it ("2.5" alone is a number)
+  [new RegExp(`(?<![\\p{L}\\p{N}.])((?:[בל]|עד|on)\\s*-?\\s*)?${DATE}`, "giu"), (m, today) => {
+    if (!m[4] && (!m[1] || !notAPrice(m))) return null;
+    const a = explicitDay(m[2], m[3], m[4], today);
+    return a ? [a, a] : null;
+  }],
+  [word("(?:ה)?שבוע\\s+שעבר|last\\s+week|previous\\s+week"), (_, today) => {
+    const sunday = addDays(today, -weekday(today) - 7);
+    return [sunday, addDays(sunday, 6)];
+  }],
+  [word("(?:ה)?שבוע\\s+(?:ה)?אחרון|past\\s+week"), (_, today) => [addDays(today, -6), today]],
+  [word("השבוע|this\\s+week"), (_, today) => [addDays(today, -weekday(today)), today]],
+  [word(`(\\d{1,3}|${Object.keys(NUMBER_WORDS).join("|")})\\s+(?:ה)?ימים\\s+(?:ה)?אחרונים|(?:last|past)\\s+(\\d{1,3})\\s+days`), (m, today) => {
+    const n = Number(m[1]) || NUMBER_WORDS[m[1]] || Number(m[2]);
+    return n > 0 ? [addDays(today, -(n - 1)), today] : null;
+  }],
+  [word("(?:ה)?יומיים\\s+(?:ה)?אחרונים"), (_, today) => [addDays(today, -1), today]],
+  [word("לפני\\s+(\\d{1,3})\\s+ימים|לפני\\s+יומיים|(\\d{1,3})\\s+days?\\s+ago"), (m, today) => {
+    const day = addDays(today, -(Number(m[1] || m[2]) || 2));
+    return [day, day];
+  }],
+  [word("שלשום|day\\s+before\\s+yesterday"), (_, today) => [addDays(today, -2), addDays(today, -2)]],
+  [word("אתמול|yesterday"), (_, today) => [addDays(today, -1), addDays(today, -1)]],
+  [word("היום|הבוקר|הערב|הלילה|today|tonight|this\\s+morning"), (_, today) => [today, today]],
+  [word(`יום\\s+(${Object.keys(HE_DAYS).join("|")})|יום\\s+([אבגדהו])['׳]|שבת|ב(שלישי|רביעי|חמישי|שישי)`), (m, today) => {
+    const dow = m[1] ? HE_DAYS[m[1]] : m[2] ? HE_DAY_LETTERS[m[2]] : m[3] ? HE_DAYS[m[3]] : 6;
+    const day = lastWeekday(dow, today);
+    return [day, day];
+  }],
+  [word(EN_DAYS.join("|")), (m, today) => {
+    const day = lastWeekday(EN_DAYS.indexOf(m[0].toLowerCase().replace(/^[^a-z]+/, "")), today);
+    return [day, day];
+  }],
+];
+
+/** The day a single-day expression ("יום שני", "אתמול") names, or null */
+function firstDay(expr, today) {
+  for (const [re, toRange] of RULES) {
+    re.lastIndex = 0;
+    const m = re.exec(expr);
+    const range = m && toRange(m, today);
+    if (range) return range[0];
+  }
+  return null;
+}
+
+// time words the rules don't cover: the question names a time we can't place ("לפני חודש", "במאי", "may 5").
+// English month names only next to a number: "may I ask", "march higher" are no dates
+const EN_MONTHS = "january|february|march|april|may|june|july|august|september|october|november|december";
+const UNRESOLVED_HINT = word(
+  "חודש|החודש|שנה|שנים|לפני|מאז|שבוע|שבועות|ימים|יום|month|months|year|years|week|weeks|days?|ago|since|" +
+  "ינואר|פברואר|מרץ|מרס|אפריל|מאי|יוני|יולי|אוגוסט|ספטמבר|אוקטובר|נובמבר|דצמבר|" +
+  `(?:${EN_MONTHS})\\s+\\d{1,4}|\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?(?:${EN_MONTHS})`
+);
+
+/**
+ * Question -> YYYY-MM-DD days it refers to (sorted), [] when it names no time at all,
+ * or null when it names a time these rules can't resolve (ask Gemini).
+ */
+export function parseDateRange(text, now = new Date()) {
+  const today = israelYmd(now);
+  // ISO dates as d.m.yyyy, so one DATE pattern covers them
+  let rest = String(text || "").toLowerCase().replace(/(\d{4})-(\d{2})-(\d{2})/g, (_, y, m, d) => `${d}.${m}.${y}`);
+  const days = new Set();
+  for (const [re, toRange] of RULES) {
+    rest = rest.replace(re, (...args) => {
+      const m = Object.assign(args.slice(0, -2), { index: args.at(-2), input: args.at(-1) }); // as from exec()
+      const range = toRange(m, today);
+      if (!range) return args[0];
+      for (const d of daysBetween(...range)) days.add(d);
+      return " ";
+    });
+  }
+  if (days.size) return [...days].sort();
+  UNRESOLVED_HINT.lastIndex = 0;
+  return UNRESOLVED_HINT.test(rest) ? null : [];
+}
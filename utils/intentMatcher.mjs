@@ -0,0 +1,147 @@
+/**
+ * Fuzzy intent matching for free-text bot commands.
+ * Tolerates typos, word order, extra words and mixed Hebrew/English:
+ * the text is normalized, arguments (limit, min, date, $tickers) are pulled out,
+ * and what is left is scored against each intent's phrases token by token.
+ *
+ * intent: { phrases: ["טיקרים שלי", "my tickers"], optional?: ["week", ...], slot?: "ticker", ...anything }
+ *   optional — words that may appear next to a phrase (argument values) without counting as extra words
+ */
+
+const STOPWORDS = new Set([
+  // en
+  "please", "pls", "show", "me", "the", "a", "an", "give", "get", "i", "want", "to", "see", "can", "you", "for",
+  // he
+  "בבקשה", "תראה", "תראי", "תציג", "תציגי", "הצג", "לי", "את", "תן", "תני", "אפשר", "רוצה", "לראות",
+]);
+
+const SYMBOL_RE = /^[a-z]{1,5}(?:[.\-][a-z]{1,2})?$/;
+const EXTRA_WORD_PENALTY = 0.5;
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/** 0..1; 0 when the words are too far apart to be a typo */
+export function wordSimilarity(a, b) {
+  if (a === b) return 1;
+  const len = Math.max(a.length, b.length);
+  const allowed = len <= 3 ? 0 : len <= 5 ? 1 : 2;
+  const d = levenshtein(a, b);
+  return d <= allowed ? 1 - d / len : 0;
+}
+
+export function normalizeText(text) {
+  return (text || "")
+    .toLowerCase()
+    .replace(/s&p\s*500|s&p|s\s*&\s*p|ס&פ/g, "sp500")
+    .replace(/['`׳]/g, "")
+    .replace(/[״",.!?;:()[\]{}]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function isoDate(tok) {
+  let m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(tok);
+  if (m) return `${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}`;
+  m = /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/.exec(tok);
+  if (m) return `${m[3].length === 2 ? `20${m[3]}` : m[3]}-${m[2].padStart(2, "0")}-${m[1].padStart(2, "0")}`;
+  return null;
+}
+
+/**
+ * Pull arguments out of normalized text.
+ * -> { tokens, limit, min, date, tickers }
+ *   "limit 10" / "top 10" / "הגבל 10" -> limit; "min 3" / "מינימום 3" -> min;
+ *   "from 2025-01-01" / "מ-1/2/25" -> date (ISO); "$tsla" -> tickers
+ */
+export function extractArgs(text) {
+  const raw = normalizeText(text).split(" ").filter(Boolean);
+  const out = { tokens: [], limit: null, min: null, date: null, tickers: [] };
+  for (let i = 0; i < raw.length; i++) {
+    const tok = raw[i];
+    const next = raw[i + 1];
+    if (/^(limit|top|טופ|הגבל|הגבלה|לימיט)$/.test(tok) && /^\d+$/.test(next || "")) {
+      out.limit = Number(next); i++; continue;
+    }
+    if (/^(min|minimum|מינימום)$/.test(tok) && /^\d+$/.test(next || "")) {
+      out.min = Number(next); i++; continue;
+    }
+    if (/^(from|since|מאז|מתאריך|מ)$/.test(tok) && isoDate(next || "")) {
+      out.date = isoDate(next); i++; continue;
+    }
+    const prefixed = /^מ-?(.+)$/.exec(tok);
+    if (isoDate(tok) || (prefixed && isoDate(prefixed[1]))) {
+      out.date = isoDate(tok) || isoDate(prefixed[1]); continue;
+    }
+    if (/^\$/.test(tok) && SYMBOL_RE.test(tok.slice(1))) {
+      out.tickers.push(tok.slice(1).toUpperCase()); continue;
+    }
+    if (STOPWORDS.has(tok)) continue;
+    out.tokens.push(tok);
+  }
+  return out;
+}
+
+/** Best score of `tokens` against one phrase; extra words lower the score */
+function scorePhrase(phrase, tokens, { slot, optional = [] }, tickers, vocabulary) {
+  const want = normalizeText(phrase).split(" ").filter(Boolean);
+  const used = new Set();
+  let sum = 0, matched = 0;
+  for (const w of want) {
+    let best = 0, bestIdx = -1;
+    tokens.forEach((t, i) => {
+      if (used.has(i)) return;
+      const s = wordSimilarity(w, t);
+      if (s > best) { best = s; bestIdx = i; }
+    });
+    if (bestIdx >= 0) { used.add(bestIdx); sum += best; matched++; }
+  }
+
+  let ticker = tickers[0] || null;
+  if (slot === "ticker" && !ticker) {
+    // a bare word is a ticker only if it isn't (a typo of) a command word
+    const idx = tokens.findIndex(
+      (t, i) => !used.has(i) && SYMBOL_RE.test(t) && ![...vocabulary].some((v) => wordSimilarity(v, t) > 0)
+    );
+    if (idx >= 0) { used.add(idx); ticker = tokens[idx].toUpperCase(); }
+  }
+  tokens.forEach((t, i) => {
+    if (!used.has(i) && optional.some((o) => wordSimilarity(o, t) > 0)) used.add(i);
+  });
+  const extra = tokens.length - used.size;
+  const complete = matched === want.length && (slot !== "ticker" || !!ticker);
+  const score = (sum / want.length) * (want.length / (want.length + EXTRA_WORD_PENALTY * extra));
+  return { score, complete, ticker };
+}
+
+/**
+ * Rank `intents` against free text.
+ * -> [{ intent, score, complete, args }] best first; args = extractArgs(...) + { ticker }
+ */
+export function matchIntents(text, intents) {
+  const args = extractArgs(text);
+  if (!args.tokens.length && !args.tickers.length) return [];
+  const vocabulary = new Set(intents.flatMap((i) => i.phrases.flatMap((p) => normalizeText(p).split(" "))));
+  const results = [];
+  for (const intent of intents) {
+    let best = null;
+    for (const phrase of intent.phrases) {
+      const r = scorePhrase(phrase, args.tokens, intent, args.tickers, vocabulary);
+      if (!best || r.score > best.score || (r.score === best.score && r.complete)) best = r;
+    }
+    if (best?.score > 0) {
+      results.push({ intent, score: best.score, complete: best.complete, args: { ...args, ticker: best.ticker } });
+    }
+  }
+  return results.sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,238 @@
+import axios from "axios";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/**
+ * Market data provider: Yahoo charts, the Finnhub earnings calendar / company profiles /
+ * exchange symbol lists and the S&P 500 constituents, behind one interface with pluggable backends.
+ *
+ * - backend.request({ key, url, responseType }) -> data
+ *   - http:     live requests, per-host rate limiting, retry with backoff on 429 / 5xx / network errors
+ *               (a Retry-After longer than MAX_RETRY_WAIT_MS fails instead of waiting)
+ *   - fixtures: replays recorded JSON from `<dir>/<key>.json`, never touches the network
+ * - an on-disk response cache (per-request TTL) sits in front of the backend
+ *
+ * Env:
+ *   MARKET_DATA_BACKEND   http (default) | fixtures
+ *   MARKET_DATA_FIXTURES  fixtures dir (default data/market_fixtures)
+ *   MARKET_DATA_RECORD=1  with the http backend, also write every response as a fixture
+ *   MARKET_DATA_CACHE     cache dir (default data/market_cache, none with fixtures); "off" disables it
+ *   FINNHUB_TOKEN
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CACHE_DIR = path.resolve(__dirname, "../data/market_cache");      // repo-anchored
+const DEFAULT_FIXTURES_DIR = path.resolve(__dirname, "../data/market_fixtures");
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+export const TTL = {
+  chart: 10 * MINUTE,
+  earnings: 30 * MINUTE,
+  profile: 7 * DAY,
+  symbols: 12 * 60 * MINUTE,
+  sp500: 30 * DAY,
+};
+
+const RATE_LIMITS_MS = {
+  "finnhub.io": 1100,                 // free tier: 60 calls/min
+  "query1.finance.yahoo.com": 250,
+};
+const MAX_RETRIES = 3;
+const BACKOFF_MS = 500;
+const MAX_RETRY_WAIT_MS = 30 * 1000; // longer Retry-After: give up rather than stall a command / the alerts poller
+
+const SP500_CSV_URL = "https://raw.githubusercontent.com/datasets/s-and-p-500-companies/master/data/constituents.csv";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** "finnhub/profile/BRK.B" -> "<dir>/finnhub/profile/BRK.B.json" */
+function keyPath(dir, key) {
+  return path.join(dir, ...key.split("/").map((p) => p.replace(/[^\w.-]+/g, "_"))) + ".json";
+}
+
+async function writeJson(file, value) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(value, null, 2), "utf-8");
+}
+
+/* ======================== backends ======================== */
+
+function isRetryable(err) {
+  const status = err?.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return ["ECONNRESET", "ETIMEDOUT", "ECONNABORTED", "EAI_AGAIN", "ENETUNREACH"].includes(err?.code);
+}
+
+function retryDelay(err, attempt, backoffMs) {
+  const retryAfter = Number(err?.response?.headers?.["retry-after"]);
+  if (retryAfter > 0) return retryAfter * 1000;
+  return backoffMs * 2 ** attempt + Math.floor(Math.random() * 100);
+}
+
+/**
+ * Live HTTP backend; `recordDir` saves every response as a replayable fixture.
+ * `get(url, config) -> { data }` defaults to axios.get (tests pass their own).
+ */
+export function createHttpBackend({
+  recordDir = null,
+  rateLimits = RATE_LIMITS_MS,
+  get = (url, config) => axios.get(url, config),
+  backoffMs = BACKOFF_MS,
+  maxRetryWaitMs = MAX_RETRY_WAIT_MS,
+} = {}) {
+  const nextSlot = new Map(); // host -> earliest time of the next request
+
+  async function throttle(url) {
+    const host = new URL(url).host;
+    const gap = rateLimits[host];
+    if (!gap) return;
+    const now = Date.now();
+    const at = Math.max(now, nextSlot.get(host) || 0);
+    nextSlot.set(host, at + gap);
+    if (at > now) await sleep(at - now);
+  }
+
+  return {
+    name: "http",
+    async request({ key, url, responseType }) {
+      for (let attempt = 0; ; attempt++) {
+        await throttle(url);
+        try {
+          const { data } = await get(url, responseType ? { responseType } : undefined);
+          if (recordDir) {
+            await writeJson(keyPath(recordDir, key), { url: url.replace(/token=[^&]+/, "token=***"), data }).catch((e) => {
+              console.warn(`market data: failed to record ${key}:`, e?.message || e);
+            });
+          }
+          return data;
+        } catch (err) {
+          if (attempt >= MAX_RETRIES || !isRetryable(err)) throw err;
+          const wait = retryDelay(err, attempt, backoffMs);
+          if (wait > maxRetryWaitMs) {
+            console.warn(`market data: ${key} rate limited, retry-after ${wait}ms is over the ${maxRetryWaitMs}ms cap`);
+            throw err;
+          }
+          console.warn(`market data: ${key} failed (${err?.response?.status || err?.code}), retry in ${wait}ms`);
+          await sleep(wait);
+        }
+      }
+    },
+  };
+}
+
+/** Replays `<dir>/<key>.json` ({ data }) recorded by the http backend */
+export function createFixtureBackend({ dir = DEFAULT_FIXTURES_DIR } = {}) {
+  return {
+    name: "fixtures",
+    async request({ key }) {
+      try {
+        return JSON.parse(await fs.readFile(keyPath(dir, key), "utf-8")).data;
+      } catch (e) {
+        const err = new Error(`no market data fixture for ${key}`);
+        err.code = "FIXTURE_MISSING";
+        throw err;
+      }
+    },
+  };
+}
+
+/* ======================== provider ======================== */
+
+/**
+ * Provider over a backend with an on-disk cache (`cacheDir: null` disables it).
+ * Every getter takes { maxAgeMs } to override its default TTL, and { cacheOnly }
+ * to answer from the cache alone (undefined on a miss).
+ */
+export function createMarketData({
+  backend = createHttpBackend(),
+  cacheDir = DEFAULT_CACHE_DIR,
+  finnhubToken = process.env.FINNHUB_TOKEN,
+} = {}) {
+  async function cached(key, url, ttl, { maxAgeMs = ttl, cacheOnly = false, responseType } = {}) {
+    const file = cacheDir && keyPath(cacheDir, key);
+    if (file) {
+      try {
+        const entry = JSON.parse(await fs.readFile(file, "utf-8"));
+        if (Date.now() - entry.fetchedAt <= maxAgeMs) return entry.data;
+      } catch {}
+    }
+    if (cacheOnly) return undefined;
+
+    const data = await backend.request({ key, url, responseType });
+    if (file) {
+      await writeJson(file, { fetchedAt: Date.now(), data }).catch((e) => {
+        console.warn(`market data: failed to cache ${key}:`, e?.message || e);
+      });
+    }
+    return data;
+  }
+
+  return {
+    backend: backend.name,
+
+    /** Yahoo daily chart `result[0]` for a range (1mo | 3mo | 1y | 5y) */
+    async getChart(symbol, range, opts) {
+      const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?interval=1d&range=${range}`;
+      const data = await cached(`yahoo/chart/${symbol}_${range}`, url, TTL.chart, opts);
+      return data?.chart?.result?.[0];
+    },
+
+    /** Finnhub earnings calendar rows for YYYY-MM-DD..YYYY-MM-DD */
+    async getEarningsCalendar(from, to, opts = {}) {
+      const url = `https://finnhub.io/api/v1/calendar/earnings?from=${from}&to=${to}&token=${finnhubToken}`;
+      const data = await cached(`finnhub/earnings/${from}_${to}`, url, TTL.earnings, opts);
+      return data && (data.earningsCalendar || data);
+    },
+
+    /** Finnhub company profile ({ marketCapitalization ($M), name, ... }) */
+    async getCompanyProfile(symbol, opts) {
+      const url = `https://finnhub.io/api/v1/stock/profile2?symbol=${encodeURIComponent(symbol)}&token=${finnhubToken}`;
+      return cached(`finnhub/profile/${symbol}`, url, TTL.profile, opts);
+    },
+
+    /** Finnhub symbol list for an exchange ([{ symbol, displaySymbol, description, type, mic }]) */
+    async getStockSymbols(exchange = "US", opts) {
+      const url = `https://finnhub.io/api/v1/stock/symbol?exchange=${encodeURIComponent(exchange)}&token=${finnhubToken}`;
+      return cached(`finnhub/symbols/${exchange}`, url, TTL.symbols, opts);
+    },
+
+    /** S&P 500 constituent symbols */
+    async getSP500Symbols(opts) {
+      const csv = await cached("sp500/constituents", SP500_CSV_URL, TTL.sp500, { ...opts, responseType: "text" });
+      return csv === undefined
+        ? undefined
+        : csv
+          .split("\n")
+          .slice(1)
+          .map((line) => line.split(",")[0])
+          .filter(Boolean);
+    },
+  };
+}
+
+function providerFromEnv() {
+  const fixtures = process.env.MARKET_DATA_BACKEND === "fixtures";
+  const backend = fixtures
+    ? createFixtureBackend({ dir: process.env.MARKET_DATA_FIXTURES || DEFAULT_FIXTURES_DIR })
+    : createHttpBackend({
+      recordDir: process.env.MARKET_DATA_RECORD === "1" ? process.env.MARKET_DATA_FIXTURES || DEFAULT_FIXTURES_DIR : null,
+    });
+  const envCache = process.env.MARKET_DATA_CACHE;
+  const cacheDir = envCache === "off" ? null : envCache || (fixtures ? null : DEFAULT_CACHE_DIR);
+  return createMarketData({ backend, cacheDir });
+}
+
+let provider = null;
+
+/** The shared provider (built from env on first use) */
+export function marketData() {
+  if (!provider) provider = providerFromEnv();
+  return provider;
+}
+
+/** Swap the shared provider, e.g. for a fixture-backed one in tests; null resets to env */
+export function setMarketData(next) {
+  provider = next;
+}
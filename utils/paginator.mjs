@@ -0,0 +1,187 @@
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } from "discord.js";
+
+/**
+ * Shared paginator: one message with First/Prev/Next/Last buttons, a jump-to-page select
+ * and a sort select, instead of one message per page.
+ *
+ * Lists are registered by name with a loader; the customIds carry
+ * "pg:<name>:<control>|<sort>|<page>|<args...>", and every click reloads the list
+ * from the store, so a paginated message keeps working after a restart.
+ *
+ * Loader: async ({ dbPath, args }) => {
+ *   title, footer, color,
+ *   items: [{ symbol, count, ts, ... }],    // ts = date used by the "date" sort
+ *   renderLine: (item, index) => string,
+ *   withReturns?: async (items) => items,   // adds `pct`, needed for the "return" sort
+ *   empty?: string,                         // message when there are no items
+ * }
+ */
+
+const MAX_DESC = 3500;
+const MAX_JUMP_OPTIONS = 25;
+
+export const PAGINATOR_SORTS = [
+  { label: "By count",     value: "count" },
+  { label: "By date",      value: "date"  },
+  { label: "Alphabetical", value: "alpha" },
+  { label: "By return",    value: "return" },
+];
+
+const lists = new Map();
+
+/** Register a paginated list loader under `name` (a short id, no ":" or "|") */
+export function registerPaginatedList(name, loader) {
+  lists.set(name, loader);
+}
+
+function encodeId(name, control, { sort, page, args }) {
+  return [`pg:${name}:${control}`, sort, page, ...args].join("|");
+}
+
+function decodeId(customId) {
+  const [head, sort, page, ...args] = customId.split("|");
+  const [, name, control] = head.split(":");
+  return { name, control, sort: sort || "count", page: Math.max(0, Number(page) || 0), args };
+}
+
+async function sortItems(items, sort, list) {
+  switch (sort) {
+    case "date":
+      return [...items].sort((a, b) => (b.ts || 0) - (a.ts || 0) || a.symbol.localeCompare(b.symbol));
+    case "alpha":
+      return [...items].sort((a, b) => a.symbol.localeCompare(b.symbol));
+    case "return": {
+      const scored = list.withReturns ? await list.withReturns(items) : items;
+      // no price data -> after everything that has one, by count
+      return [...scored].sort((a, b) => {
+        const pa = Number.isFinite(a.pct), pb = Number.isFinite(b.pct);
+        if (pa && pb) return b.pct - a.pct;
+        if (pa !== pb) return pa ? -1 : 1;
+        return (b.count || 0) - (a.count || 0) || a.symbol.localeCompare(b.symbol);
+      });
+    }
+    case "count":
+    default:
+      return [...items].sort((a, b) => (b.count || 0) - (a.count || 0) || a.symbol.localeCompare(b.symbol));
+  }
+}
+
+function chunkLines(lines) {
+  const pages = [];
+  let buf = [], size = 0;
+  for (const ln of lines) {
+    const add = ln.length + 1;
+    if (size + add > MAX_DESC && buf.length) { pages.push(buf.join("\n")); buf = []; size = 0; }
+    buf.push(ln); size += add;
+  }
+  if (buf.length) pages.push(buf.join("\n"));
+  return pages;
+}
+
+/** Up to 25 jump targets, centred on the current page */
+function jumpOptions(page, total) {
+  const start = Math.max(0, Math.min(page - Math.floor(MAX_JUMP_OPTIONS / 2), total - MAX_JUMP_OPTIONS));
+  const end = Math.min(total, start + MAX_JUMP_OPTIONS);
+  const opts = [];
+  for (let p = start; p < end; p++) {
+    opts.push({ label: `עמוד ${p + 1}`, value: String(p), default: p === page });
+  }
+  return opts;
+}
+
+function buildControls(name, { sort, page, args }, total) {
+  const state = { sort, args };
+  const last = total - 1;
+  const btn = (control, label, target, disabled) =>
+    new ButtonBuilder()
+      .setCustomId(encodeId(name, control, { ...state, page: target }))
+      .setStyle(ButtonStyle.Secondary)
+      .setLabel(label)
+      .setDisabled(disabled);
+
+  const rows = [];
+  if (total > 1) {
+    rows.push(
+      new ActionRowBuilder().addComponents(
+        btn("first", "⏮ First", 0, page === 0),
+        btn("prev", "◀ Prev", Math.max(0, page - 1), page === 0),
+        btn("next", "Next ▶", Math.min(last, page + 1), page === last),
+        btn("last", "Last ⏭", last, page === last),
+      ),
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId(encodeId(name, "jump", { ...state, page }))
+          .setPlaceholder("Jump to page")
+          .addOptions(jumpOptions(page, total))
+      )
+    );
+  }
+  rows.push(
+    new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(encodeId(name, "sort", { ...state, page }))
+        .setPlaceholder("Sort")
+        .addOptions(PAGINATOR_SORTS.map((s) => ({ ...s, default: s.value === sort })))
+    )
+  );
+  return rows;
+}
+
+/**
+ * Message payload ({ content, embeds, components }) for one page of a registered list.
+ * Out-of-range pages are clamped, so a shrinking list never breaks old buttons.
+ */
+export async function buildPaginatedMessage(name, { dbPath, args = [], sort = "count", page = 0 }) {
+  const loader = lists.get(name);
+  if (!loader) throw new Error(`Unknown paginated list: ${name}`);
+
+  const list = await loader({ dbPath, args });
+  if (!list.items.length) {
+    return { content: list.empty || "לא נמצאו טיקרים.", embeds: [], components: [] };
+  }
+
+  const sorted = await sortItems(list.items, sort, list);
+  const pages = chunkLines(sorted.map((item, i) => list.renderLine(item, i)));
+  const cur = Math.min(page, pages.length - 1);
+
+  const embed = new EmbedBuilder()
+    .setColor(list.color ?? 0x5865f2)
+    .setTitle(list.title)
+    .setDescription(pages[cur] || "—")
+    .setFooter({ text: `עמוד ${cur + 1}/${pages.length} — ${list.footer}` });
+
+  return {
+    content: "",
+    embeds: [embed],
+    components: buildControls(name, { sort, page: cur, args }, pages.length),
+  };
+}
+
+/** Post the first page of a list to a channel (message commands) */
+export async function sendPaginated(channel, name, opts) {
+  return channel.send(await buildPaginatedMessage(name, opts));
+}
+
+/** Component router for `pg:*` ids; updates the paginated message in place */
+export async function handlePaginatorInteraction({ interaction, dbPath }) {
+  const cid = interaction.customId || "";
+  if (!cid.startsWith("pg:")) return false;
+  const { name, control, sort, page, args } = decodeId(cid);
+  if (!lists.has(name)) return false;
+
+  let next = { sort, page };
+  if (control === "jump" && interaction.isStringSelectMenu()) {
+    next.page = Number(interaction.values?.[0]) || 0;
+  } else if (control === "sort" && interaction.isStringSelectMenu()) {
+    next = { sort: interaction.values?.[0] || "count", page: 0 };
+  }
+
+  try {
+    await interaction.deferUpdate();
+    await interaction.editReply(await buildPaginatedMessage(name, { dbPath, args, ...next }));
+  } catch (e) {
+    console.error(`paginator ${name} error:`, e);
+    await interaction.followUp({ content: "❌ לא הצלחתי לטעון את העמוד.", flags: 64 }).catch(() => {});
+  }
+  return true;
+}
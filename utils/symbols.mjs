@@ -0,0 +1,114 @@
+/**
+ * Symbol forms beyond plain US tickers, normalized to one canonical id per instrument:
+ *   stock   TSLA, BRK.B                 (US; "BRK-B" -> "BRK.B"; NASDAQ:TSLA -> TSLA)
+ *   crypto  BTC-USD                     (BTC, BTCUSD, BTCUSDT, BTC/USD, BINANCE:BTCUSDT)
+ *   tase    TEVA.TA                     (TEVA.TA, TASE:TEVA)
+ *   index   ^SPX                        (^SPX, ^GSPC, SP:SPX, TVC:VIX)
+ * A bare coin name is crypto only for the few the room always means that way (BARE_CRYPTO):
+ * BTC / ETH are US listings too, but nobody here means the ETFs.
+ * Prices come from Yahoo for every class; `priceSymbol` maps an id to its Yahoo symbol.
+ */
+
+export const ASSET_CLASSES = ["stock", "crypto", "tase", "index"];
+
+const CRYPTO = new Set([
+  "BTC", "ETH", "SOL", "XRP", "DOGE", "ADA", "AVAX", "DOT", "LINK", "LTC", "BNB", "SHIB", "PEPE", "TON",
+  "TRX", "MATIC", "POL", "ARB", "OP", "SUI", "APT", "NEAR", "ATOM", "UNI", "XLM", "BCH", "ETC", "HBAR",
+  "FIL", "ICP", "INJ", "RNDR", "RENDER", "WIF", "BONK", "TAO", "KAS", "SEI", "TIA", "FET", "AAVE", "HYPE",
+]);
+const BARE_CRYPTO = new Set(["BTC", "ETH", "XRP", "DOGE", "SHIB", "PEPE", "BNB"]);
+const QUOTES = ["USDT", "USDC", "USD"]; // all priced as USD
+
+/** canonical index id (no ^) -> Yahoo symbol; aliases point at the canonical name */
+const INDEXES = {
+  SPX: "^GSPC",
+  NDX: "^NDX",
+  IXIC: "^IXIC",
+  DJI: "^DJI",
+  RUT: "^RUT",
+  VIX: "^VIX",
+  SOX: "^SOX",
+  TA35: "TA35.TA",
+  TA125: "^TA125.TA",
+};
+const INDEX_ALIASES = { GSPC: "SPX", NASDAQ: "IXIC", COMP: "IXIC", DJIA: "DJI", SPXUSD: "SPX", NAS100: "NDX" };
+
+const US_EXCHANGES = new Set(["NASDAQ", "NYSE", "AMEX", "NYSEARCA", "ARCA", "BATS", "CBOE"]);
+const TASE_EXCHANGES = new Set(["TASE", "TLV"]);
+const CRYPTO_EXCHANGES = new Set(["BINANCE", "COINBASE", "BITSTAMP", "KRAKEN", "BYBIT", "OKX", "CRYPTO", "BITFINEX"]);
+const INDEX_EXCHANGES = new Set(["SP", "TVC", "INDEX", "DJ", "CBOE", "NASDAQ", "TASE"]);
+
+const TASE_RE = /^[A-Z][A-Z0-9]{0,7}$/;
+const US_RE = /^[A-Z]{1,5}(?:\.[A-Z]{1,2})?$/;
+
+function indexId(name) {
+  const n = INDEX_ALIASES[name] || name;
+  return INDEXES[n] ? `^${n}` : null;
+}
+
+const PAIR_RE = new RegExp(`^([A-Z0-9]{2,10}?)[-/]?(${QUOTES.join("|")})$`);
+
+/** "BTCUSDT" / "BTC-USD" / "BTC/USD" -> "BTC-USD" (known coins only) */
+function cryptoPair(s) {
+  const m = PAIR_RE.exec(s);
+  return m && CRYPTO.has(m[1]) ? `${m[1]}-USD` : null;
+}
+
+/**
+ * Token as written (case-insensitive, no `$`) -> { id, assetClass, qualified } or null.
+ * `qualified`: written in an explicit form (pair, exchange prefix, ^, .TA), as good as a `$`.
+ * US stocks must be in `tickerSet` (when given); the other classes are recognized by form.
+ */
+export function resolveSymbol(token, tickerSet = null) {
+  const t = String(token || "").trim().toUpperCase();
+  if (!t) return null;
+  const stock = (s) => {
+    const id = s.replace(/-/g, ".");
+    return US_RE.test(id) && (!tickerSet || tickerSet.has(id)) ? id : null;
+  };
+  let m, id;
+
+  if ((m = /^\^([A-Z0-9]{2,8})$/.exec(t))) {
+    return (id = indexId(m[1])) ? { id, assetClass: "index", qualified: true } : null;
+  }
+  if ((m = /^([A-Z_]{2,10}):([A-Z0-9.\-/!^]{1,14})$/.exec(t))) {
+    const [, ex, sym] = m;
+    if (INDEX_EXCHANGES.has(ex) && (id = indexId(sym.replace(/^\^/, "")))) return { id, assetClass: "index", qualified: true };
+    if (CRYPTO_EXCHANGES.has(ex) && (id = cryptoPair(sym))) return { id, assetClass: "crypto", qualified: true };
+    if (TASE_EXCHANGES.has(ex) && TASE_RE.test(sym)) return { id: `${sym}.TA`, assetClass: "tase", qualified: true };
+    if (US_EXCHANGES.has(ex) && (id = stock(sym))) return { id, assetClass: "stock", qualified: true };
+    return null;
+  }
+  if ((m = /^([A-Z][A-Z0-9]{0,7})\.TA$/.exec(t))) {
+    return { id: `${m[1]}.TA`, assetClass: "tase", qualified: true };
+  }
+  if ((id = cryptoPair(t))) return { id, assetClass: "crypto", qualified: true };
+  if (BARE_CRYPTO.has(t)) return { id: `${t}-USD`, assetClass: "crypto", qualified: false };
+  if ((id = stock(t))) return { id, assetClass: "stock", qualified: false };
+  return null;
+}
+
+/** User input (commands) -> canonical id or null; plain tickers aren't checked against a list */
+export function normalizeSymbol(input) {
+  return resolveSymbol(String(input || "").trim().replace(/^\$/, ""))?.id || null;
+}
+
+/** Asset class of a canonical id */
+export function assetClassOf(id) {
+  if (id.startsWith("^")) return "index";
+  if (/-USD$/.test(id)) return "crypto";
+  if (/\.TA$/.test(id)) return "tase";
+  return "stock";
+}
+
+/** Per-class price lookup: canonical id -> Yahoo chart symbol */
+const YAHOO_SYMBOL = {
+  stock: (id) => id.replace(/\./g, "-"), // BRK.B -> BRK-B
+  crypto: (id) => id,
+  tase: (id) => id,
+  index: (id) => INDEXES[id.slice(1)] || id,
+};
+
+export function priceSymbol(id) {
+  return YAHOO_SYMBOL[assetClassOf(id)](id);
+}
@@ -0,0 +1,167 @@
+/**
+ * Context-aware ticker extraction for the graphs room.
+ * Every 1–5 letter word found in all_tickers.txt is a candidate; each gets a confidence (0..1):
+ *   base:    $TSLA 0.95 · TSLA 0.6 · tsla 0.45 (all-caps messages don't earn the caps base)
+ *   penalty: common English / transliterated Hebrew word -0.4, one letter -0.25, two letters -0.1
+ *   bonus:   price number next to it +0.25, TA / trading words +0.15, chart attachment or link +0.1
+ * Candidates at or above the threshold are accepted; the ones just below it are reported
+ * as borderline so false negatives can be spotted (and the threshold tuned).
+ * Crypto pairs, exchange-qualified, TASE and index symbols (BTCUSDT, TASE:TEVA, TEVA.TA, ^SPX) count
+ * as `$` and are stored under their canonical id (utils/symbols.mjs).
+ * A renamed symbol (FB, no longer listed) is credited to its new one (META).
+ *
+ * Env:
+ *   TICKER_MIN_CONFIDENCE  acceptance threshold (default 0.5)
+ *   TICKER_BLACKLIST       words never taken without a `$` (default DEFAULT_BLACKLIST)
+ */
+
+import { resolveSymbol } from "./symbols.mjs";
+
+export const DEFAULT_THRESHOLD = 0.5;
+const BORDERLINE_MARGIN = 0.2;
+
+/** Listed symbols that in chat are (almost) always jargon; `$` still forces them */
+export const DEFAULT_BLACKLIST = [
+  "A", "I", "AI", "AM", "PM", "DD", "IMO", "TV", "USA", "UK", "EU",
+  "IPO", "EPS", "RSI", "EMA", "SMA", "ATH", "CEO", "ETF", "YOLO", "HODL",
+];
+
+/** Everyday words that are also listed symbols (en + Hebrew written in Latin letters) */
+const STOPWORDS = new Set([
+  // en
+  "ALL", "IT", "ON", "ARE", "NOW", "SEE", "GOOD", "REAL", "FUN", "LOVE", "RUN", "GO", "SO", "BE", "FOR",
+  "BY", "OR", "TWO", "LOW", "HIGH", "HOPE", "WELL", "PLAY", "CASH", "TECH", "EVER", "TRUE", "OPEN",
+  "JUST", "POST", "ANY", "OUT", "HAS", "CAN", "MAN", "CAR", "FAST", "SAFE", "NICE", "PUMP", "NEXT",
+  "AN", "AS", "HE", "SHE", "YOU", "HI", "TIME", "COST", "BULL", "UP", "DAY", "WEEK", "TOP", "GAP",
+  "WOW", "AA", "BIG", "BEST", "FREE", "VERY", "ONE", "NEW", "HOLD", "BUY", "SELL", "WAIT", "MOON",
+  // he, transliterated
+  "MA", "KEN", "LO", "AL", "AZ", "ZE", "OD", "GAM", "TOV", "NU", "OY", "AHI", "ACHI", "BRO",
+  "YALLA", "SABABA", "WALLA", "STAM", "BETACH", "EIZE",
+]);
+
+const TA_WORDS_RE = new RegExp(
+  "(?:^|[^A-Za-z\\u0590-\\u05FF])(?:" +
+    [
+      "rsi", "macd", "ema", "sma", "vwap", "support", "resistance", "breakout", "breakdown", "calls?", "puts?",
+      "long", "short", "target", "tp", "sl", "stop", "entry", "setup", "chart", "earnings", "squeeze", "volume",
+      "תמיכה", "התנגדות", "פריצה", "שבירה", "לונג", "שורט", "יעד", "סטופ", "כניסה", "גרף", "מניה", "מניית",
+      "אופציות", "קול", "פוט", "דוחות", "ממוצע", "ווליום",
+    ].join("|") +
+    ")(?=$|[^A-Za-z\\u0590-\\u05FF])",
+  "i"
+);
+
+/** A price / level near a symbol: 250, 12.5, $250, 3%, @180, ב-250 (not times, dates or long ids) */
+const PRICE_RE = /(?:^|[\s$@(\-\u0590-\u05FF])\d{1,5}(?:\.\d{1,4})?(?:%|\$)?(?=$|[\s,.)!?])/;
+const PRICE_WINDOW = 24; // chars around the symbol
+
+const CHART_LINK_RE = /tradingview\.com\/(?:x|chart)\//i;
+
+/**
+ * Standalone words only (`$` captured; Hebrew is a boundary, so is the dash of a Hebrew prefix: ו-TSLA).
+ * A word may carry an index `^`, an exchange prefix (TASE:TEVA) and a class / market / quote
+ * suffix (BRK.B, TEVA.TA, BTC-USD).
+ */
+const TICKER_RE = /(?:^|[\s"'`([{<]|[^\x00-\x7F]|(?<=[\u0590-\u05FF])-)(\$?)(\^?[A-Za-z][A-Za-z0-9_]{0,9}(?::\^?[A-Za-z0-9]{1,12})?(?:[.\-/][A-Za-z]{1,4})?)(?=$|[\s"'`)\]}>.,:;!?]|[^\x00-\x7F])/gu;
+
+let _envBlacklist = null;
+
+/** TICKER_BLACKLIST (any whitespace / comma separated) or DEFAULT_BLACKLIST */
+export function blacklistFromEnv() {
+  if (_envBlacklist) return _envBlacklist;
+  const raw = process.env.TICKER_BLACKLIST?.trim() ? process.env.TICKER_BLACKLIST : DEFAULT_BLACKLIST.join("\n");
+  _envBlacklist = new Set(raw.split(/[\s,;]+/).map((s) => s.trim().toUpperCase()).filter(Boolean));
+  return _envBlacklist;
+}
+
+export function thresholdFromEnv() {
+  const t = Number(process.env.TICKER_MIN_CONFIDENCE);
+  return Number.isFinite(t) && t > 0 && t <= 1 ? t : DEFAULT_THRESHOLD;
+}
+
+/** Shouting: most Latin words in caps, so caps says nothing about a word */
+function isMostlyCaps(text) {
+  const words = text.match(/[A-Za-z]{2,}/g) || [];
+  if (words.length < 4) return false;
+  return words.filter((w) => w === w.toUpperCase()).length / words.length >= 0.6;
+}
+
+function scoreCandidate({ symbol, dollar, qualified, raw, start, end }, text, ctx) {
+  const reasons = [];
+  let score;
+  if (dollar || qualified) {
+    score = 0.95;
+    reasons.push(dollar ? "$" : "qualified");
+  } else if (raw === raw.toUpperCase() && !ctx.shouting) {
+    score = 0.6;
+    reasons.push("caps");
+  } else {
+    score = 0.45;
+  }
+
+  if (!dollar && !qualified) {
+    if (STOPWORDS.has(symbol)) { score -= 0.4; reasons.push("word"); }
+    const letters = symbol.replace(/\./g, "").length;
+    if (letters === 1) { score -= 0.25; reasons.push("1 letter"); }
+    else if (letters === 2) { score -= 0.1; reasons.push("2 letters"); }
+  }
+
+  const around = text.slice(Math.max(0, start - PRICE_WINDOW), start) + " " + text.slice(end, end + PRICE_WINDOW);
+  if (PRICE_RE.test(around)) { score += 0.25; reasons.push("price"); }
+  if (ctx.taWords) { score += 0.15; reasons.push("TA"); }
+  if (ctx.chart) { score += 0.1; reasons.push("chart"); }
+
+  return { ticker: symbol, confidence: Math.round(Math.min(1, Math.max(0, score)) * 100) / 100, reasons };
+}
+
+/**
+ * Score every listed symbol in `text`.
+ * opts: { hasChart, threshold, blacklist (Set of uppercase symbols), renames (Map OLD -> NEW) }
+ * -> { accepted: [{ ticker, confidence, reasons }], borderline: [...] } in order of appearance;
+ *    borderline = rejected within BORDERLINE_MARGIN of the threshold
+ */
+export function scoreTickers(
+  text,
+  tickerSet,
+  { hasChart = false, threshold = thresholdFromEnv(), blacklist = blacklistFromEnv(), renames = null } = {}
+) {
+  const out = { accepted: [], borderline: [] };
+  if (!text) return out;
+  const ctx = {
+    shouting: isMostlyCaps(text),
+    taWords: TA_WORDS_RE.test(text),
+    chart: hasChart || CHART_LINK_RE.test(text),
+  };
+
+  const best = new Map(); // symbol -> best scored occurrence
+  TICKER_RE.lastIndex = 0;
+  let m;
+  while ((m = TICKER_RE.exec(text)) !== null) {
+    const [, dollar, raw] = m;
+    const resolved = resolveSymbol(raw, tickerSet);
+    const written = raw.toUpperCase().replace(/-/g, ".");
+    const renamedTo = !resolved && renames?.get(written);
+    if (!resolved && !renamedTo) continue;
+    let symbol = resolved?.id || written;
+    const qualified = !!resolved?.qualified;
+    if (!dollar && !qualified && blacklist.has(written)) continue;
+    const end = m.index + m[0].length;
+    const scored = scoreCandidate({ symbol, dollar, qualified, raw, start: end - raw.length - dollar.length, end }, text, ctx);
+    if (renamedTo) {
+      scored.reasons.push(`${symbol}→${renamedTo}`);
+      scored.ticker = symbol = renamedTo;
+    }
+    if (!best.has(symbol) || scored.confidence > best.get(symbol).confidence) best.set(symbol, scored);
+  }
+
+  for (const s of best.values()) {
+    if (s.confidence >= threshold) out.accepted.push(s);
+    else if (s.confidence >= threshold - BORDERLINE_MARGIN) out.borderline.push(s);
+  }
+  return out;
+}
+
+/** "IT 0.40 (caps, word, 2 letters)" */
+export function formatScored({ ticker, confidence, reasons }) {
+  return `${ticker} ${confidence.toFixed(2)}${reasons.length ? ` (${reasons.join(", ")})` : ""}`;
+}
@@ -0,0 +1,109 @@
+import { queryTickerStore } from "./tickerStore.mjs";
+
+/**
+ * Shared aggregations over the ticker store, used by the dashboard and list handlers.
+ * Common filters: { fromTs, toTs, userId } — time range is [fromTs, toTs) in ms,
+ * `userId` keeps only that user's own mentions.
+ */
+
+function buildWhere({ fromTs, toTs, userId } = {}) {
+  const clauses = [];
+  const params = {};
+  if (Number.isFinite(fromTs)) { clauses.push("ts >= :fromTs"); params[":fromTs"] = fromTs; }
+  if (Number.isFinite(toTs))   { clauses.push("ts < :toTs");    params[":toTs"] = toTs; }
+  if (userId)                  { clauses.push("user_id = :userId"); params[":userId"] = userId; }
+  return { where: clauses.length ? `WHERE ${clauses.join(" AND ")}` : "", params };
+}
+
+/**
+ * Per-ticker aggregate within the filter:
+ * [{ symbol, count, firstTs, firstLink, firstUserId, firstUserName, lastTs, lastLink }]
+ * sorted by count desc, then symbol.
+ * (SQLite returns the bare columns from the MIN/MAX row of each group.)
+ */
+export async function getTickerAggregates(dbPath, filter = {}) {
+  const { where, params } = buildWhere(filter);
+  const rows = await queryTickerStore(
+    dbPath,
+    `WITH scoped AS (SELECT * FROM mentions ${where}),
+     firsts AS (
+       SELECT ticker, COUNT(*) AS count, MIN(ts) AS first_ts, link AS first_link, user_id AS first_user_id
+       FROM scoped GROUP BY ticker
+     ),
+     lasts AS (
+       SELECT ticker, MAX(ts) AS last_ts, link AS last_link
+       FROM scoped GROUP BY ticker
+     )
+     SELECT f.ticker, f.count, f.first_ts, f.first_link, f.first_user_id,
+            COALESCE(u.name, '') AS first_user_name, l.last_ts, l.last_link
+     FROM firsts f
+     JOIN lasts l ON l.ticker = f.ticker
+     LEFT JOIN users u ON u.id = f.first_user_id
+     ORDER BY f.count DESC, f.ticker ASC`,
+    params
+  );
+  return rows.map((r) => ({
+    symbol: r.ticker,
+    count: r.count,
+    firstTs: r.first_ts,
+    firstLink: r.first_link || "",
+    firstUserId: r.first_user_id || "",
+    firstUserName: r.first_user_name || "",
+    lastTs: r.last_ts,
+    lastLink: r.last_link || "",
+  }));
+}
+
+/** Tickers whose first mention (within the filter range) belongs to `userId` */
+export async function getFirstMentionsByUser(dbPath, userId, filter = {}) {
+  const aggs = await getTickerAggregates(dbPath, { fromTs: filter.fromTs, toTs: filter.toTs });
+  return aggs.filter((a) => a.firstUserId === userId);
+}
+
+/**
+ * How many first mentions each user holds within the range:
+ * [{ id, name, count }] sorted by count desc, then name.
+ */
+export async function getFirstMentionCounts(dbPath, filter = {}) {
+  const aggs = await getTickerAggregates(dbPath, { fromTs: filter.fromTs, toTs: filter.toTs });
+  const byUser = new Map();
+  for (const a of aggs) {
+    if (!a.firstUserId) continue;
+    const cur = byUser.get(a.firstUserId) || { id: a.firstUserId, name: a.firstUserName || "", count: 0 };
+    cur.count++;
+    byUser.set(a.firstUserId, cur);
+  }
+  return [...byUser.values()].sort(
+    (a, b) => b.count - a.count || (a.name || "").localeCompare(b.name || "")
+  );
+}
+
+/** { uniqueTickers, mentions } within the filter */
+export async function getTotals(dbPath, filter = {}) {
+  const { where, params } = buildWhere(filter);
+  const [row] = await queryTickerStore(
+    dbPath,
+    `SELECT COUNT(DISTINCT ticker) AS unique_tickers, COUNT(*) AS mentions FROM mentions ${where}`,
+    params
+  );
+  return { uniqueTickers: row?.unique_tickers || 0, mentions: row?.mentions || 0 };
+}
+
+/** Every stored mention of one symbol, oldest first: [{ ts, userId, userName, link, messageId }] */
+export async function getTickerMentions(dbPath, symbol) {
+  const rows = await queryTickerStore(
+    dbPath,
+    `SELECT m.ts, m.user_id, COALESCE(u.name, '') AS user_name, m.link, m.message_id
+     FROM mentions m LEFT JOIN users u ON u.id = m.user_id
+     WHERE m.ticker = :ticker
+     ORDER BY m.ts ASC, m.id ASC`,
+    { ":ticker": symbol.toUpperCase() }
+  );
+  return rows.map((r) => ({
+    ts: r.ts,
+    userId: r.user_id,
+    userName: r.user_name,
+    link: r.link || "",
+    messageId: r.message_id,
+  }));
+}
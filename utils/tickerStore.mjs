@@ -0,0 +1,584 @@
+import fs from "fs/promises";
+import fssync from "fs";
+import path from "path";
+import initSqlJs from "sql.js";
+
+/**
+ * SQLite (sql.js) storage for graph-room ticker mentions.
+ * The database lives in memory; writes mark it dirty and `flushTickerStore`
+ * exports it to `dbPath` (commitDbIfChanged flushes before `git add`).
+ *
+ * Tables: mentions, users, checkpoints, meta, plus an audit trail for edits/deletes:
+ * mention_tombstones (retracted rows) and first_mention_changes.
+ * price_alerts holds user price alerts (one-shot: `triggered_at` is set when they fire);
+ * watchlist_items / watchlist_shares hold personal watchlists and who may view them.
+ * On first open, a sibling `db.json` (legacy format) is imported once.
+ * Mentions carry a `source`: "text" (message body) or "ocr" (read off a chart screenshot).
+ */
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS users (
+  id   TEXT PRIMARY KEY,
+  name TEXT NOT NULL DEFAULT ''
+);
+CREATE TABLE IF NOT EXISTS mentions (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  message_id TEXT NOT NULL,
+  ticker     TEXT NOT NULL,
+  user_id    TEXT NOT NULL,
+  channel_id TEXT,
+  guild_id   TEXT,
+  link       TEXT,
+  ts         INTEGER NOT NULL,
+  content    TEXT,
+  source     TEXT NOT NULL DEFAULT 'text', -- text | ocr (chart screenshot)
+  UNIQUE (message_id, ticker)
+);
+CREATE INDEX IF NOT EXISTS idx_mentions_ticker_ts ON mentions (ticker, ts);
+CREATE INDEX IF NOT EXISTS idx_mentions_user_ts   ON mentions (user_id, ts);
+CREATE INDEX IF NOT EXISTS idx_mentions_ts        ON mentions (ts);
+CREATE TABLE IF NOT EXISTS checkpoints (
+  channel_id        TEXT PRIMARY KEY,
+  last_processed_id TEXT NOT NULL,
+  last_processed_at TEXT
+);
+CREATE TABLE IF NOT EXISTS meta (
+  key   TEXT PRIMARY KEY,
+  value TEXT
+);
+CREATE TABLE IF NOT EXISTS mention_tombstones (
+  id           INTEGER PRIMARY KEY AUTOINCREMENT,
+  message_id   TEXT NOT NULL,
+  ticker       TEXT NOT NULL,
+  user_id      TEXT NOT NULL,
+  channel_id   TEXT,
+  link         TEXT,
+  ts           INTEGER NOT NULL,
+  content      TEXT,
+  reason       TEXT NOT NULL,
+  retracted_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_tombstones_ticker ON mention_tombstones (ticker, retracted_at);
+CREATE TABLE IF NOT EXISTS first_mention_changes (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  ticker          TEXT NOT NULL,
+  prev_user_id    TEXT,
+  prev_message_id TEXT,
+  new_user_id     TEXT,
+  new_message_id  TEXT,
+  reason          TEXT NOT NULL,
+  changed_at      INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_first_changes_ticker ON first_mention_changes (ticker, changed_at);
+CREATE TABLE IF NOT EXISTS price_alerts (
+  id           INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id      TEXT NOT NULL,
+  channel_id   TEXT,
+  ticker       TEXT NOT NULL,
+  kind         TEXT NOT NULL,  -- above | below | move | basis_move
+  target       REAL NOT NULL,  -- price (above/below) or percent (move/basis_move)
+  direction    TEXT,           -- up | down | any (percent kinds)
+  ref_price    REAL,           -- price a percent move is measured from
+  created_at   INTEGER NOT NULL,
+  triggered_at INTEGER
+);
+CREATE INDEX IF NOT EXISTS idx_price_alerts_user ON price_alerts (user_id, triggered_at);
+CREATE TABLE IF NOT EXISTS watchlist_items (
+  user_id  TEXT NOT NULL,
+  ticker   TEXT NOT NULL,
+  added_at INTEGER NOT NULL,
+  PRIMARY KEY (user_id, ticker)
+);
+CREATE TABLE IF NOT EXISTS watchlist_shares (
+  owner_id  TEXT NOT NULL,
+  member_id TEXT NOT NULL,
+  shared_at INTEGER NOT NULL,
+  PRIMARY KEY (owner_id, member_id)
+);
+`;
+
+let _sqlPromise = null;
+const stores = new Map(); // dbPath -> Promise<{ db, dbPath, dirty, saveQueue }>
+
+function getSql() {
+  if (!_sqlPromise) _sqlPromise = initSqlJs();
+  return _sqlPromise;
+}
+
+/** Compare two snowflake strings (by BigInt) */
+function snowflakeGt(a, b) {
+  if (!b) return true;
+  return BigInt(a) > BigInt(b);
+}
+
+/* ======================== open / persist ======================== */
+async function openStore(dbPath, legacyJsonPath) {
+  const SQL = await getSql();
+  let db;
+  if (fssync.existsSync(dbPath)) {
+    db = new SQL.Database(await fs.readFile(dbPath));
+  } else {
+    db = new SQL.Database();
+  }
+  db.exec(SCHEMA);
+  const upgraded = upgradeSchema(db);
+
+  const store = { db, dbPath, dirty: upgraded, saveQueue: Promise.resolve() };
+  const migrated = await migrateFromJson(store, legacyJsonPath);
+  if (migrated || !fssync.existsSync(dbPath)) await persist(store);
+  return store;
+}
+
+/** Columns added after a table first shipped (CREATE TABLE IF NOT EXISTS keeps old tables as they were) */
+function upgradeSchema(db) {
+  const cols = selectAll(db, "PRAGMA table_info(mentions)").map((c) => c.name);
+  if (cols.includes("source")) return false;
+  db.run("ALTER TABLE mentions ADD COLUMN source TEXT NOT NULL DEFAULT 'text'");
+  return true;
+}
+
+function getStore(dbPath, { legacyJsonPath } = {}) {
+  if (!stores.has(dbPath)) {
+    const legacy = legacyJsonPath ?? path.join(path.dirname(dbPath), "db.json");
+    const p = openStore(dbPath, legacy);
+    p.catch(() => stores.delete(dbPath));
+    stores.set(dbPath, p);
+  }
+  return stores.get(dbPath);
+}
+
+/** Serialize exports so two writes never race on the same file */
+function persist(store) {
+  store.dirty = false;
+  store.saveQueue = store.saveQueue.then(async () => {
+    await fs.mkdir(path.dirname(store.dbPath), { recursive: true });
+    await fs.writeFile(store.dbPath, Buffer.from(store.db.export()));
+  });
+  return store.saveQueue;
+}
+
+/** One-time import of the legacy db.json ({ entries, checkpoints } or a bare array) */
+async function migrateFromJson(store, legacyJsonPath) {
+  const { db } = store;
+  const done = selectAll(db, "SELECT value FROM meta WHERE key = 'migrated_from_json'");
+  if (done.length) return false;
+  if (!legacyJsonPath || !fssync.existsSync(legacyJsonPath)) return false;
+
+  let json;
+  try {
+    json = JSON.parse(await fs.readFile(legacyJsonPath, "utf-8"));
+  } catch (e) {
+    console.error("tickerStore: failed to parse legacy db.json, skipping migration:", e?.message || e);
+    return false;
+  }
+  const entries = Array.isArray(json) ? json : json?.entries || [];
+  const checkpoints = Array.isArray(json) ? {} : json?.checkpoints || {};
+
+  transaction(db, () => {
+    insertMentions(db, entries);
+    for (const [channelId, cp] of Object.entries(checkpoints)) {
+      if (!cp?.lastProcessedId) continue;
+      writeCheckpoint(db, channelId, cp.lastProcessedId, cp.lastProcessedAt || null);
+    }
+    db.run("INSERT OR REPLACE INTO meta (key, value) VALUES ('migrated_from_json', ?)", [new Date().toISOString()]);
+  });
+  console.log(`✅ Migrated ${entries.length} entries from ${legacyJsonPath} into ${store.dbPath}`);
+  return true;
+}
+
+/* ======================== low-level helpers ======================== */
+function transaction(db, fn) {
+  db.run("BEGIN");
+  try {
+    const out = fn();
+    db.run("COMMIT");
+    return out;
+  } catch (e) {
+    db.run("ROLLBACK");
+    throw e;
+  }
+}
+
+function selectAll(db, sql, params = {}) {
+  const stmt = db.prepare(sql);
+  try {
+    stmt.bind(params);
+    const rows = [];
+    while (stmt.step()) rows.push(stmt.getAsObject());
+    return rows;
+  } finally {
+    stmt.free();
+  }
+}
+
+/** Insert entries in the db.json shape; returns how many rows were new */
+function insertMentions(db, entries) {
+  let added = 0;
+  for (const e of entries) {
+    const ticker = e?.ticker?.toUpperCase();
+    const userId = e?.user?.id;
+    if (!ticker || !userId || !e.messageId) continue;
+
+    db.run(
+      `INSERT INTO users (id, name) VALUES (?, ?)
+       ON CONFLICT(id) DO UPDATE SET name = excluded.name WHERE excluded.name <> ''`,
+      [userId, e.user.name || ""]
+    );
+    db.run(
+      `INSERT OR IGNORE INTO mentions (message_id, ticker, user_id, channel_id, guild_id, link, ts, content, source)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        e.messageId,
+        ticker,
+        userId,
+        e.channelId || null,
+        e.guildId || null,
+        e.link || "",
+        Date.parse(e.timestamp),
+        e.content ?? null,
+        e.source || "text",
+      ]
+    );
+    added += db.getRowsModified();
+  }
+  return added;
+}
+
+/** Current first mention per ticker: Map ticker -> { userId, messageId } */
+function firstOwners(db, tickers) {
+  const out = new Map();
+  for (const ticker of tickers) {
+    const [row] = selectAll(
+      db,
+      `SELECT user_id, message_id FROM mentions WHERE ticker = :ticker ORDER BY ts ASC, id ASC LIMIT 1`,
+      { ":ticker": ticker }
+    );
+    out.set(ticker, row ? { userId: row.user_id, messageId: row.message_id } : null);
+  }
+  return out;
+}
+
+/** Compare first owners before/after a change and record every hand-over */
+function recordFirstChanges(db, before, reason) {
+  const after = firstOwners(db, [...before.keys()]);
+  const changes = [];
+  const now = Date.now();
+  for (const [ticker, prev] of before) {
+    const next = after.get(ticker);
+    if ((prev?.messageId || null) === (next?.messageId || null)) continue;
+    db.run(
+      `INSERT INTO first_mention_changes
+         (ticker, prev_user_id, prev_message_id, new_user_id, new_message_id, reason, changed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [ticker, prev?.userId || null, prev?.messageId || null, next?.userId || null, next?.messageId || null, reason, now]
+    );
+    changes.push({
+      ticker,
+      prevUserId: prev?.userId || null,
+      newUserId: next?.userId || null,
+      reason,
+    });
+  }
+  return changes;
+}
+
+/** Move mention rows into the tombstone table; `where` filters mentions */
+function tombstoneMentions(db, where, params, reason) {
+  db.run(
+    `INSERT INTO mention_tombstones
+       (message_id, ticker, user_id, channel_id, link, ts, content, reason, retracted_at)
+     SELECT message_id, ticker, user_id, channel_id, link, ts, content, :reason, :now
+     FROM mentions WHERE ${where}`,
+    { ...params, ":reason": reason, ":now": Date.now() }
+  );
+  db.run(`DELETE FROM mentions WHERE ${where}`, params);
+  return db.getRowsModified();
+}
+
+function writeCheckpoint(db, channelId, msgId, tsIso) {
+  db.run(
+    `INSERT INTO checkpoints (channel_id, last_processed_id, last_processed_at) VALUES (?, ?, ?)
+     ON CONFLICT(channel_id) DO UPDATE SET
+       last_processed_id = excluded.last_processed_id,
+       last_processed_at = excluded.last_processed_at`,
+    [channelId, msgId, tsIso]
+  );
+}
+
+/* ======================== Public API ======================== */
+
+/** Open (and migrate, if needed) the store up front; later calls reuse it */
+export async function openTickerStore(dbPath, opts) {
+  await getStore(dbPath, opts);
+}
+
+/** Run a read-only query; rows come back as plain objects */
+export async function queryTickerStore(dbPath, sql, params = {}) {
+  const { db } = await getStore(dbPath);
+  return selectAll(db, sql, params);
+}
+
+/** Append entries (db.json entry shape); dedupes by (messageId, ticker) */
+export async function appendMentions(dbPath, entries) {
+  if (!entries?.length) return 0;
+  const store = await getStore(dbPath);
+  const added = transaction(store.db, () => insertMentions(store.db, entries));
+  if (added > 0) store.dirty = true;
+  return added;
+}
+
+/** Tickers currently stored for one message (optionally only from one `source`) */
+export async function getMessageTickers(dbPath, messageId, { source } = {}) {
+  const rows = await queryTickerStore(
+    dbPath,
+    `SELECT ticker FROM mentions WHERE message_id = :messageId${source ? " AND source = :source" : ""}`,
+    source ? { ":messageId": messageId, ":source": source } : { ":messageId": messageId }
+  );
+  return rows.map((r) => r.ticker);
+}
+
+/**
+ * Re-sync one edited message: tickers no longer present are tombstoned (reason "edit"),
+ * new ones are inserted, kept ones get the new content.
+ * Only mentions from `source` are compared (an edit changes the text, not the chart).
+ * Returns { added, removed, firstChanges }.
+ */
+export async function replaceMessageMentions(dbPath, messageId, entries, { source = "text" } = {}) {
+  const store = await getStore(dbPath);
+  const { db } = store;
+  const wanted = new Set(entries.map((e) => e.ticker.toUpperCase()));
+  const current = await getMessageTickers(dbPath, messageId, { source });
+  const stored = await getMessageTickers(dbPath, messageId);
+  const dropped = current.filter((t) => !wanted.has(t));
+  const fresh = entries.filter((e) => !stored.includes(e.ticker.toUpperCase())).map((e) => ({ ...e, source }));
+  const content = entries[0]?.content;
+
+  const result = transaction(db, () => {
+    const before = firstOwners(db, [...new Set([...current, ...wanted])]);
+    let removed = 0;
+    for (const ticker of dropped) {
+      removed += tombstoneMentions(
+        db,
+        "message_id = :messageId AND ticker = :ticker AND source = :source",
+        { ":messageId": messageId, ":ticker": ticker, ":source": source },
+        "edit"
+      );
+    }
+    const added = insertMentions(db, fresh);
+    if (content !== undefined) {
+      db.run("UPDATE mentions SET content = ? WHERE message_id = ?", [content, messageId]);
+    }
+    return { added, removed, firstChanges: recordFirstChanges(db, before, "edit") };
+  });
+
+  if (result.added || result.removed || content !== undefined) store.dirty = true;
+  return result;
+}
+
+/**
+ * Retract every mention of the given messages (deleted posts).
+ * `reason` is stored on the tombstones and the audit rows ("delete" | "bulk_delete").
+ * Returns { removed, firstChanges }.
+ */
+export async function retractMessageMentions(dbPath, messageIds, { reason = "delete" } = {}) {
+  if (!messageIds?.length) return { removed: 0, firstChanges: [] };
+  const store = await getStore(dbPath);
+  const { db } = store;
+
+  const result = transaction(db, () => {
+    const tickers = new Set();
+    for (const messageId of messageIds) {
+      for (const r of selectAll(db, "SELECT ticker FROM mentions WHERE message_id = :id", { ":id": messageId })) {
+        tickers.add(r.ticker);
+      }
+    }
+    if (!tickers.size) return { removed: 0, firstChanges: [] };
+
+    const before = firstOwners(db, [...tickers]);
+    let removed = 0;
+    for (const messageId of messageIds) {
+      removed += tombstoneMentions(db, "message_id = :id", { ":id": messageId }, reason);
+    }
+    return { removed, firstChanges: recordFirstChanges(db, before, reason) };
+  });
+
+  if (result.removed) store.dirty = true;
+  return result;
+}
+
+export async function getCheckpoint(dbPath, channelId) {
+  const rows = await queryTickerStore(
+    dbPath,
+    "SELECT last_processed_id, last_processed_at FROM checkpoints WHERE channel_id = :channelId",
+    { ":channelId": channelId }
+  );
+  if (!rows.length) return null;
+  return { lastProcessedId: rows[0].last_processed_id, lastProcessedAt: rows[0].last_processed_at };
+}
+
+/** Update checkpoint for a channel (only if id is newer) */
+export async function updateCheckpoint(dbPath, channelId, msgId, tsIso) {
+  const store = await getStore(dbPath);
+  const cp = await getCheckpoint(dbPath, channelId);
+  if (cp?.lastProcessedId && !snowflakeGt(msgId, cp.lastProcessedId)) return false;
+  writeCheckpoint(store.db, channelId, msgId, tsIso);
+  store.dirty = true;
+  return true;
+}
+
+/** Value stored under `key` in the meta table, or null */
+export async function getMeta(dbPath, key) {
+  const rows = await queryTickerStore(dbPath, "SELECT value FROM meta WHERE key = :key", { ":key": key });
+  return rows.length ? rows[0].value : null;
+}
+
+export async function setMeta(dbPath, key, value) {
+  const store = await getStore(dbPath);
+  store.db.run("INSERT OR REPLACE INTO meta (key, value) VALUES (:key, :value)", { ":key": key, ":value": String(value) });
+  store.dirty = true;
+}
+
+/* ======================== price alerts ======================== */
+
+/** Insert an alert; returns its id */
+export async function addPriceAlert(dbPath, { userId, channelId, ticker, kind, target, direction = null, refPrice = null }) {
+  const store = await getStore(dbPath);
+  store.db.run(
+    `INSERT INTO price_alerts (user_id, channel_id, ticker, kind, target, direction, ref_price, created_at)
+     VALUES (:userId, :channelId, :ticker, :kind, :target, :direction, :refPrice, :now)`,
+    {
+      ":userId": userId, ":channelId": channelId || null, ":ticker": ticker, ":kind": kind,
+      ":target": target, ":direction": direction, ":refPrice": refPrice, ":now": Date.now(),
+    }
+  );
+  store.dirty = true;
+  return selectAll(store.db, "SELECT last_insert_rowid() AS id")[0].id;
+}
+
+/**
+ * Alerts as stored: [{ id, userId, channelId, ticker, kind, target, direction, refPrice, createdAt, triggeredAt }].
+ * Filters: { userId, activeOnly = true }.
+ */
+export async function getPriceAlerts(dbPath, { userId, activeOnly = true } = {}) {
+  const clauses = [];
+  const params = {};
+  if (userId) { clauses.push("user_id = :userId"); params[":userId"] = userId; }
+  if (activeOnly) clauses.push("triggered_at IS NULL");
+  const rows = await queryTickerStore(
+    dbPath,
+    `SELECT * FROM price_alerts ${clauses.length ? `WHERE ${clauses.join(" AND ")}` : ""} ORDER BY id`,
+    params
+  );
+  return rows.map((r) => ({
+    id: r.id,
+    userId: r.user_id,
+    channelId: r.channel_id,
+    ticker: r.ticker,
+    kind: r.kind,
+    target: r.target,
+    direction: r.direction,
+    refPrice: r.ref_price,
+    createdAt: r.created_at,
+    triggeredAt: r.triggered_at,
+  }));
+}
+
+/** Delete one of the user's alerts; false when it doesn't exist or isn't theirs */
+export async function deletePriceAlert(dbPath, id, userId) {
+  const store = await getStore(dbPath);
+  store.db.run("DELETE FROM price_alerts WHERE id = :id AND user_id = :userId", { ":id": id, ":userId": userId });
+  const removed = store.db.getRowsModified() > 0;
+  if (removed) store.dirty = true;
+  return removed;
+}
+
+export async function markPriceAlertTriggered(dbPath, id, ts = Date.now()) {
+  const store = await getStore(dbPath);
+  store.db.run("UPDATE price_alerts SET triggered_at = :ts WHERE id = :id", { ":id": id, ":ts": ts });
+  store.dirty = true;
+}
+
+/* ======================== watchlists ======================== */
+
+/** Add tickers to a user's watchlist; returns the ones that were new */
+export async function addWatchlistTickers(dbPath, userId, tickers) {
+  const store = await getStore(dbPath);
+  const added = transaction(store.db, () =>
+    tickers.filter((ticker) => {
+      store.db.run(
+        "INSERT OR IGNORE INTO watchlist_items (user_id, ticker, added_at) VALUES (:userId, :ticker, :now)",
+        { ":userId": userId, ":ticker": ticker, ":now": Date.now() }
+      );
+      return store.db.getRowsModified() > 0;
+    })
+  );
+  if (added.length) store.dirty = true;
+  return added;
+}
+
+/** Remove tickers from a user's watchlist; returns the ones that were there */
+export async function removeWatchlistTickers(dbPath, userId, tickers) {
+  const store = await getStore(dbPath);
+  const removed = transaction(store.db, () =>
+    tickers.filter((ticker) => {
+      store.db.run("DELETE FROM watchlist_items WHERE user_id = :userId AND ticker = :ticker", {
+        ":userId": userId,
+        ":ticker": ticker,
+      });
+      return store.db.getRowsModified() > 0;
+    })
+  );
+  if (removed.length) store.dirty = true;
+  return removed;
+}
+
+/** [{ ticker, addedAt }] in the order they were added */
+export async function getWatchlist(dbPath, userId) {
+  const rows = await queryTickerStore(
+    dbPath,
+    "SELECT ticker, added_at FROM watchlist_items WHERE user_id = :userId ORDER BY added_at, ticker",
+    { ":userId": userId }
+  );
+  return rows.map((r) => ({ ticker: r.ticker, addedAt: r.added_at }));
+}
+
+/** Let `memberId` view `ownerId`'s watchlist; false if already shared */
+export async function shareWatchlist(dbPath, ownerId, memberId) {
+  const store = await getStore(dbPath);
+  store.db.run(
+    "INSERT OR IGNORE INTO watchlist_shares (owner_id, member_id, shared_at) VALUES (:ownerId, :memberId, :now)",
+    { ":ownerId": ownerId, ":memberId": memberId, ":now": Date.now() }
+  );
+  const shared = store.db.getRowsModified() > 0;
+  if (shared) store.dirty = true;
+  return shared;
+}
+
+export async function unshareWatchlist(dbPath, ownerId, memberId) {
+  const store = await getStore(dbPath);
+  store.db.run("DELETE FROM watchlist_shares WHERE owner_id = :ownerId AND member_id = :memberId", {
+    ":ownerId": ownerId,
+    ":memberId": memberId,
+  });
+  const removed = store.db.getRowsModified() > 0;
+  if (removed) store.dirty = true;
+  return removed;
+}
+
+/** Member ids `ownerId` shared their watchlist with */
+export async function getWatchlistShares(dbPath, ownerId) {
+  const rows = await queryTickerStore(
+    dbPath,
+    "SELECT member_id FROM watchlist_shares WHERE owner_id = :ownerId ORDER BY shared_at",
+    { ":ownerId": ownerId }
+  );
+  return rows.map((r) => r.member_id);
+}
+
+/** Export pending changes to disk; resolves once the file is written */
+export async function flushTickerStore(dbPath) {
+  if (!stores.has(dbPath)) return;
+  const store = await stores.get(dbPath);
+  if (store.dirty) await persist(store);
+  await store.saveQueue;
+}
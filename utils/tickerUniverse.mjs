@@ -0,0 +1,299 @@
+import fs from "fs/promises";
+import { marketData } from "./marketData.mjs";
+
+/**
+ * The ticker universe: every symbol the graphs room can mention.
+ * - all_tickers.txt          one symbol per line (what the extractor matches)
+ * - all_tickers.meta.json    { updatedAt, source, symbols: { SYM: { name, exchange, type } },
+ *                              renames: { OLD: NEW }, lastDiff: { at, source, added, removed, renamed } }
+ * A refresh rebuilds both from the Finnhub US symbol list (listed exchanges only) or an
+ * importable CSV, and records what changed. Readers pick up a new file on its next use
+ * (mtime check), so no restart is needed.
+ *
+ * Renames: a dropped symbol whose company shows up under a new symbol (same name), or a
+ * CSV row with a `previous` column. Old symbols keep being credited to the new one.
+ *
+ * Env:
+ *   TICKER_UNIVERSE_CSV  import this CSV instead of Finnhub (columns: symbol, name, exchange, type[, previous])
+ *   FINNHUB_TOKEN        the Finnhub source (refresh is skipped without one of the two)
+ */
+
+export const TYPES = ["stock", "etf", "crypto", "other"];
+
+/** Finnhub MICs of the exchanges we track (no OTC) */
+const LISTED_MICS = {
+  XNAS: "NASDAQ",
+  XNYS: "NYSE",
+  ARCX: "NYSEARCA",
+  XASE: "AMEX",
+  BATS: "CBOE",
+};
+
+const FINNHUB_TYPES = {
+  "Common Stock": "stock",
+  ADR: "stock",
+  REIT: "stock",
+  "NY Reg Shrs": "stock",
+  "Tracking Stk": "stock",
+  MLP: "stock",
+  "Ltd Part": "stock",
+  Preference: "stock",
+  ETP: "etf",
+  "Open-End Fund": "etf",
+  "Closed-End Fund": "etf",
+};
+
+const SYMBOL_RE = /^[A-Z][A-Z0-9]{0,5}(?:\.[A-Z]{1,2})?$/;
+const MIN_KEEP_RATIO = 0.9; // a refresh that drops more than 10% of the symbols is refused (partial download?)
+
+/** "/x/all_tickers.txt" -> "/x/all_tickers.meta.json" */
+export function universeMetaPath(allTickersFile) {
+  return allTickersFile.replace(/\.txt$/i, "") + ".meta.json";
+}
+
+function normSymbol(s) {
+  return String(s || "").trim().toUpperCase().replace(/[-/]/g, ".");
+}
+
+function normType(t) {
+  const v = String(t || "").trim().toLowerCase();
+  if (TYPES.includes(v)) return v;
+  if (["common", "common stock", "equity", "adr", "reit"].includes(v)) return "stock";
+  if (["etp", "fund"].includes(v)) return "etf";
+  return v ? "other" : "stock";
+}
+
+/** Company name as compared for rename detection: "Meta Platforms, Inc. - Class A" -> "meta platforms" */
+function nameKey(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/\s+-\s+.*$/, "")
+    .replace(/\b(inc|corp|corporation|co|company|ltd|plc|sa|nv|ag|holdings?|group|class [a-z]|the)\b\.?/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/* ======================== sources ======================== */
+
+/** Split one CSV line (quoted fields, "" escapes) */
+function csvFields(line) {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cur += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { out.push(cur); cur = ""; }
+    else cur += c;
+  }
+  out.push(cur);
+  return out.map((f) => f.trim());
+}
+
+/** CSV with a header row -> [{ symbol, name, exchange, type, previous }] (unknown columns ignored) */
+export function parseUniverseCsv(text) {
+  const [header, ...lines] = String(text || "").split(/\r?\n/).filter((l) => l.trim());
+  if (!header) return [];
+  const cols = csvFields(header).map((h) => h.toLowerCase());
+  const col = (...names) => cols.findIndex((c) => names.includes(c));
+  const at = {
+    symbol: col("symbol", "ticker"),
+    name: col("name", "description", "company"),
+    exchange: col("exchange", "market"),
+    type: col("type", "asset_type"),
+    previous: col("previous", "renamed_from", "old_symbol"),
+  };
+  if (at.symbol < 0) throw new Error("universe CSV: no symbol column");
+
+  return lines.map((line) => {
+    const f = csvFields(line);
+    const get = (k) => (at[k] >= 0 ? f[at[k]] || "" : "");
+    return {
+      symbol: normSymbol(get("symbol")),
+      name: get("name"),
+      exchange: get("exchange").toUpperCase(),
+      type: normType(get("type")),
+      previous: normSymbol(get("previous")) || null,
+    };
+  });
+}
+
+/** Finnhub /stock/symbol rows -> universe rows (listed exchanges only) */
+export function fromFinnhubSymbols(rows) {
+  return (rows || [])
+    .filter((r) => LISTED_MICS[r.mic])
+    .map((r) => ({
+      symbol: normSymbol(r.displaySymbol || r.symbol),
+      name: r.description || "",
+      exchange: LISTED_MICS[r.mic],
+      type: FINNHUB_TYPES[r.type] || "other",
+      previous: null,
+    }));
+}
+
+async function fetchUniverse({ csvPath = process.env.TICKER_UNIVERSE_CSV } = {}) {
+  if (csvPath) {
+    return { source: `csv:${csvPath}`, rows: parseUniverseCsv(await fs.readFile(csvPath, "utf-8")) };
+  }
+  if (!process.env.FINNHUB_TOKEN && marketData().backend === "http") {
+    throw new Error("ticker universe: set TICKER_UNIVERSE_CSV or FINNHUB_TOKEN");
+  }
+  return { source: "finnhub", rows: fromFinnhubSymbols(await marketData().getStockSymbols("US", { maxAgeMs: 0 })) };
+}
+
+/* ======================== load ======================== */
+
+const _cache = new Map(); // allTickersFile -> { version, metaVersion, universe }
+
+/** "mtime:size" (null when missing), so a rewrite within the same tick still counts */
+async function versionOf(file) {
+  try {
+    const st = await fs.stat(file);
+    return `${st.mtimeMs}:${st.size}`;
+  } catch {
+    return null;
+  }
+}
+
+/** The meta file (empty shape when there is none yet) */
+export async function readUniverseMeta(allTickersFile) {
+  try {
+    return JSON.parse(await fs.readFile(universeMetaPath(allTickersFile), "utf-8"));
+  } catch {
+    return { updatedAt: null, source: null, symbols: {}, renames: {}, lastDiff: null };
+  }
+}
+
+/**
+ * { set (uppercase symbols), renames (Map OLD -> NEW), meta }, reloaded when either file changes.
+ * Throws when the tickers file is missing.
+ */
+export async function loadTickerUniverse(allTickersFile) {
+  const version = await versionOf(allTickersFile);
+  if (version === null) throw new Error(`Missing tickers file: ${allTickersFile}`);
+  const metaVersion = await versionOf(universeMetaPath(allTickersFile));
+  const hit = _cache.get(allTickersFile);
+  if (hit && hit.version === version && hit.metaVersion === metaVersion) return hit.universe;
+
+  const txt = await fs.readFile(allTickersFile, "utf-8");
+  const set = new Set(
+    txt
+      .split(/\r?\n/)
+      .map((s) => s.trim().toUpperCase())
+      .filter(Boolean)
+  );
+  const meta = await readUniverseMeta(allTickersFile);
+  // a symbol that is listed again belongs to whoever lists it now
+  const renames = new Map(Object.entries(meta.renames || {}).filter(([from, to]) => !set.has(from) && set.has(to)));
+  const universe = { set, renames, meta };
+  if (hit && hit.universe.set.size !== set.size) {
+    console.log(`🔄 Ticker universe reloaded: ${set.size} symbols (was ${hit.universe.set.size})`);
+  }
+  _cache.set(allTickersFile, { version, metaVersion, universe });
+  return universe;
+}
+
+/* ======================== refresh ======================== */
+
+/**
+ * prev: { SYM: { name } } (names may be missing), rows: the new universe
+ * -> { added, removed, renamed: [{ from, to }] } (sorted)
+ */
+export function diffUniverse(prev, rows) {
+  const next = new Map(rows.map((r) => [r.symbol, r]));
+  let added = [...next.keys()].filter((s) => !(s in prev));
+  let removed = Object.keys(prev).filter((s) => !next.has(s));
+
+  const renamed = [];
+  const explicit = rows.filter((r) => r.previous && r.previous !== r.symbol && removed.includes(r.previous));
+  for (const r of explicit) renamed.push({ from: r.previous, to: r.symbol });
+
+  // same company name on exactly one dropped and one new symbol
+  const byName = (list, nameOf) => {
+    const m = new Map();
+    for (const s of list) {
+      const k = nameKey(nameOf(s));
+      if (k) m.set(k, m.has(k) ? null : s);
+    }
+    return m;
+  };
+  const taken = new Set(renamed.flatMap((r) => [r.from, r.to]));
+  const removedByName = byName(removed.filter((s) => !taken.has(s)), (s) => prev[s]?.name);
+  const addedByName = byName(added.filter((s) => !taken.has(s)), (s) => next.get(s).name);
+  for (const [k, from] of removedByName) {
+    const to = addedByName.get(k);
+    if (from && to) renamed.push({ from, to });
+  }
+
+  const moved = new Set(renamed.flatMap((r) => [r.from, r.to]));
+  added = added.filter((s) => !moved.has(s)).sort();
+  removed = removed.filter((s) => !moved.has(s)).sort();
+  renamed.sort((a, b) => a.from.localeCompare(b.from));
+  return { added, removed, renamed };
+}
+
+async function writeAtomic(file, text) {
+  const tmp = `${file}.tmp`;
+  await fs.writeFile(tmp, text, "utf-8");
+  await fs.rename(tmp, file);
+}
+
+/**
+ * Rebuild the universe files from the source; returns the diff
+ * ({ at, source, count, added, removed, renamed }), also kept in meta.lastDiff.
+ * A result much smaller than the current list is refused unless `force`.
+ * opts: { csvPath, rows (already fetched, skips the source), source, force }
+ */
+export async function refreshTickerUniverse({ allTickersFile, csvPath, rows, source, force = false }) {
+  if (!rows) ({ rows, source } = await fetchUniverse({ csvPath }));
+  rows = [...new Map(rows.filter((r) => SYMBOL_RE.test(r.symbol)).map((r) => [r.symbol, r])).values()];
+
+  const meta = await readUniverseMeta(allTickersFile);
+  let current = {};
+  try {
+    const txt = await fs.readFile(allTickersFile, "utf-8");
+    for (const s of txt.split(/\r?\n/).map((l) => l.trim().toUpperCase()).filter(Boolean)) {
+      current[s] = meta.symbols?.[s] || {};
+    }
+  } catch {
+    current = { ...(meta.symbols || {}) };
+  }
+
+  const count = Object.keys(current).length;
+  if (!force && count && rows.length < count * MIN_KEEP_RATIO) {
+    throw new Error(`ticker universe: refusing ${rows.length} symbols (have ${count}); use force to accept`);
+  }
+
+  const diff = diffUniverse(current, rows);
+  const listed = new Set(rows.map((r) => r.symbol));
+  const renames = { ...(meta.renames || {}) };
+  for (const { from, to } of diff.renamed) {
+    for (const [old, target] of Object.entries(renames)) if (target === from) renames[old] = to; // FB -> META -> ...
+    renames[from] = to;
+  }
+  for (const old of Object.keys(renames)) if (listed.has(old)) delete renames[old];
+
+  const at = new Date().toISOString();
+  const next = {
+    updatedAt: at,
+    source,
+    symbols: Object.fromEntries(
+      rows
+        .sort((a, b) => a.symbol.localeCompare(b.symbol))
+        .map((r) => [r.symbol, { name: r.name || null, exchange: r.exchange || null, type: r.type }])
+    ),
+    renames,
+    lastDiff: { at, source, count: rows.length, ...diff },
+  };
+
+  await writeAtomic(universeMetaPath(allTickersFile), JSON.stringify(next, null, 1));
+  await writeAtomic(allTickersFile, Object.keys(next.symbols).join("\n") + "\n");
+  console.log(
+    `📚 Ticker universe (${source}): ${rows.length} symbols, +${diff.added.length} / -${diff.removed.length} / ${diff.renamed.length} renamed`
+  );
+  return next.lastDiff;
+}